@@ -14,18 +14,29 @@ import { TTSManager } from '../infrastructure/TTSManager.js';
 import { ErrorHandler } from '../infrastructure/ErrorHandler.js';
 import { EventBus } from '../infrastructure/EventBus.js';
 import { StatsService } from '../services/StatsService.js';
+import { OptimizerService } from '../services/OptimizerService.js';
+import { PresetService } from '../services/PresetService.js';
 
 // Repositories
 import { VocabularyRepository } from '../repositories/VocabularyRepository.js';
 import { MistakeRepository } from '../repositories/MistakeRepository.js';
+import { ExamRepository } from '../repositories/ExamRepository.js';
+import { CustomStudyPresetRepository } from '../repositories/CustomStudyPresetRepository.js';
 
 // Core Logic & Models
 import { Word } from '../core/Word.js';
 import { SessionManager } from '../core/SessionManager.js';
+import { normalizeExamSettings, DEFAULT_EXAM_SETTINGS } from '../core/Exam.js';
+import { missedWordsToCsv } from '../core/SessionSummary.js';
+import { DEFAULT_ANSWER_STRICTNESS } from '../core/AnswerChecker.js';
+import { DEFAULT_CHOICE_COUNT } from '../core/ChoiceQuiz.js';
+import { normalizeQueueOrder, DEFAULT_QUEUE_ORDER } from '../core/QueueOrder.js';
+import { describeCustomStudyFilter } from '../core/CustomStudy.js';
 
 // Use Cases
 import { StartRegularStudySessionUseCase } from '../use-cases/StartRegularStudySession.js';
 import { StartStudySession } from '../use-cases/StartStudySession.js';
+import { StartCustomStudySessionUseCase } from '../use-cases/StartCustomStudySession.js';
 
 // UI Controllers & Components
 import { DeckList } from '../components/DeckList.js';
@@ -34,20 +45,26 @@ import { ProgressBar } from '../components/ProgressBar.js';
 import { ImportController } from '../ui/import-controller.js';
 import { UpdateController } from '../ui/update-controller.js';
 import { DeckManageController } from '../ui/deck-manage-controller.js';
+import { ExamController } from '../ui/exam-controller.js';
+import { CustomStudyController } from '../ui/custom-study-controller.js';
 import * as dom from '../ui/dom-elements.js';
 import * as modals from '../ui/modal-manager.js';
 import { showNotification } from '../ui/notifications.js';
 import * as screenManager from '../ui/screen-manager.js';
 import * as settingsController from '../ui/settings-controller.js';
 import * as cardController from '../ui/card-controller.js';
+import * as keyboardShortcuts from '../ui/keyboard-shortcuts.js';
 
 import { STORAGE_KEYS } from '../common/constants.js';
+import { shuffleArray } from '../common/utils.js';
 
 export class App {
     constructor() {
         // --- State ---
         this.vocabularyWords = [];
         this.currentModeRef = { value: 'zh-ar' };
+        this.lastSessionSummary = null; // Summary of the last finished session, for its quick actions
+        this.scopeModalPurpose = 'study'; // 'study' or 'exam', set when the scope modal opens
 
         // --- Services & Infrastructure ---
         this.eventBus = new EventBus();
@@ -56,16 +73,25 @@ export class App {
         this.storageService = new StorageService(this.dbManager);
         this.statsService = new StatsService(this.storageService);
         this.ttsManager = new TTSManager(this.storageService);
+        this.optimizerService = new OptimizerService(this.storageService);
+        this.presetService = new PresetService(this.storageService);
         
         // --- Repositories ---
         this.vocabularyRepository = new VocabularyRepository(this.dbManager);
         this.mistakeRepository = new MistakeRepository(this.storageService);
+        this.examRepository = new ExamRepository(this.storageService);
+        this.customStudyPresetRepository = new CustomStudyPresetRepository(this.storageService);
 
         // --- UI Components & Controllers ---
         this.studyCardComponent = new StudyCard(dom.cardContainer, this.eventBus);
         this.progressBarComponent = new ProgressBar(dom.progressContainer);
         this.deckListComponent = new DeckList(dom.deckSelectionContainer, this.eventBus);
         this.deckManageController = new DeckManageController(this.vocabularyRepository, this.mistakeRepository);
+        this.examController = new ExamController({
+            examRepository: this.examRepository,
+            mistakeRepository: this.mistakeRepository,
+            onMistakesChanged: () => this._renderDeckSelection(),
+        });
         
         // --- Core Logic ---
         this.sessionManager = new SessionManager({
@@ -77,6 +103,8 @@ export class App {
             eventBus: this.eventBus,
             errorHandler: this.errorHandler,
             mistakeRepository: this.mistakeRepository,
+            presetService: this.presetService,
+            vocabularyWords: this.vocabularyWords,
         });
 
         // --- Use Cases ---
@@ -87,6 +115,21 @@ export class App {
             statsService: this.statsService,
             vocabularyWords: this.vocabularyWords,
             startSessionCallback: this._startSessionFromPrecomputedQueue.bind(this),
+            presetService: this.presetService,
+        });
+        this.customStudyUseCase = new StartCustomStudySessionUseCase({
+            storageService: this.storageService,
+            dbManager: this.dbManager,
+            mistakeRepository: this.mistakeRepository,
+            vocabularyWords: this.vocabularyWords,
+            startSessionCallback: this._startSessionFromPrecomputedQueue.bind(this),
+            startPracticeCallback: this._startPracticeSession.bind(this),
+        });
+        this.customStudyController = new CustomStudyController({
+            presetRepository: this.customStudyPresetRepository,
+            customStudyUseCase: this.customStudyUseCase,
+            getCollectionsAndDecks: () => this.regularStudyUseCase.getCollectionsAndDecks(),
+            onPresetsChanged: () => this._renderDeckSelection(),
         });
 
         this.importController = new ImportController({
@@ -128,8 +171,14 @@ export class App {
             // Pass dependencies to settings controller
             await settingsController.initSettingsUI(this.storageService, this.ttsManager);
             settingsController.setupSettingsListeners({ 
-                onStudyPlanChange: this._updateStudyPlanDisplay.bind(this) 
+                onStudyPlanChange: this._updateStudyPlanDisplay.bind(this),
+                onDayStartChange: (hour) => this.statsService.setDayStartHour(hour),
+                optimizerService: this.optimizerService,
+                presetService: this.presetService,
+                onShortcutsChange: keyboardShortcuts.setShortcutBindings,
+                onSchedulerSettingsChange: () => this.sessionManager.invalidateSchedulerSettings(),
             });
+            keyboardShortcuts.setShortcutBindings(await this.storageService.getSetting(STORAGE_KEYS.KEYBOARD_SHORTCUTS, {}));
 
             // Initialize Card Controller
             cardController.initCardController(this.storageService);
@@ -194,27 +243,43 @@ export class App {
         this.eventBus.on('sessionStarted', () => {
             this._switchToPage('study-page');
             screenManager.showScreen(dom.cardContainer);
+            cardController.setPausedView(false);
+            cardController.renderSessionGoal('');
         });
         this.eventBus.on('sessionStopped', () => {
+             cardController.setPausedView(false);
              this._renderDeckSelection();
              this._switchToPage('decks-page');
         });
-        this.eventBus.on('sessionCompleted', ({ allMastered }) => {
-            cardController.showCompletionScreen(allMastered);
+        this.eventBus.on('sessionCompleted', ({ allMastered, goalReached, summary }) => {
+            this.lastSessionSummary = summary;
+            cardController.showCompletionScreen(allMastered, summary, goalReached);
         });
+        this.eventBus.on('sessionPauseChanged', ({ paused }) => cardController.setPausedView(paused));
+        this.eventBus.on('sessionGoalProgress', ({ text }) => cardController.renderSessionGoal(text));
         this.eventBus.on('historyStateChanged', ({ canGoBack }) => {
             dom.prevBtn.disabled = !canGoBack;
         });
+        this.eventBus.on('undoStateChanged', ({ canUndo }) => {
+            if (dom.undoBtn) dom.undoBtn.disabled = !canUndo;
+        });
         this.eventBus.on('reviewModeChanged', ({ isReviewing }) => {
             if (isReviewing) cardController.enterReviewMode();
             else cardController.exitReviewMode();
         });
+        this.eventBus.on('wordLeeched', ({ word, lapses, suspended }) => {
+            const action = suspended ? '已加入错题本并暂停，可在词库管理中恢复' : '已加入错题本';
+            showNotification(`“${word.arabic}” 已遗忘 ${lapses} 次，被标记为难词，${action}。`, false);
+        });
         this.eventBus.on('wordShown', (word) => {
             cardController.setCurrentWord(word.arabic);
         });
 
         // Mistake Notebook Events
         this.eventBus.on('mistakeSessionStart', () => this._startMistakeSession());
+        this.eventBus.on('customStudyOpen', (presetId) => this.customStudyController.open(presetId));
+        this.eventBus.on('customStudyPresetStart', (presetId) => this._startCustomStudyPreset(presetId));
+        this.eventBus.on('customStudyPresetDelete', (presetId) => this._deleteCustomStudyPreset(presetId));
         this.eventBus.on('manageDeck', (deckName) => this.deckManageController.open(deckName, this.vocabularyWords));
 
         console.log('[DEBUG] Event Bus listeners setup complete.');
@@ -226,16 +291,37 @@ export class App {
                 e.preventDefault();
                 const targetPage = button.getAttribute('data-page');
                 if (targetPage === 'decks-page') this._renderDeckSelection();
+                if (targetPage === 'settings-page') {
+                    settingsController.renderPresetSettings(this.regularStudyUseCase.getCollectionsAndDecks());
+                }
                 this._switchToPage(targetPage);
             });
         });
 
         dom.backToMenuBtn.addEventListener('click', () => this._goBackToMenu());
         dom.finishBackToMenuBtn.addEventListener('click', () => this._goBackToMenu());
+        dom.sessionSummary?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) this._handleSummaryAction(action, e.target.closest('[data-action]'));
+        });
         dom.prevBtn.addEventListener('click', () => this.sessionManager.showPreviousWord());
+        dom.undoBtn?.addEventListener('click', () => this._undoLastRating());
+        keyboardShortcuts.initKeyboardShortcuts({
+            isSessionActive: () => this.sessionManager.isSessionActive,
+            isPaused: () => this.sessionManager.isPaused,
+        });
+        dom.buryBtn?.addEventListener('click', () => this.sessionManager.buryCurrentWord());
+        dom.suspendBtn?.addEventListener('click', () => this.sessionManager.suspendCurrentWord());
+        dom.pauseBtn?.addEventListener('click', () => this.sessionManager.pause());
+        dom.resumeBtn?.addEventListener('click', () => this.sessionManager.resume());
+        // Time spent in another tab or window counts neither for the session goal nor for answer times.
+        document.addEventListener('visibilitychange', () => this.sessionManager.setHidden(document.hidden));
+        dom.pauseExitBtn?.addEventListener('click', () => this._goBackToMenu());
         dom.nextWordInHistoryBtn.addEventListener('click', () => this.sessionManager.showNextWord());
 
         dom.regularStudyBtn.addEventListener('click', () => this._populateAndShowStudyScopeModal());
+        dom.examBtn?.addEventListener('click', () => this._populateAndShowStudyScopeModal({ exam: true }));
+        dom.examHistoryBtn?.addEventListener('click', () => this.examController.showHistory());
         dom.switchStudyPlanBtn.addEventListener('click', () => this._populateAndShowStudyPlanModal());
         
         // Fix: Added missing listener for the main import button
@@ -271,7 +357,10 @@ export class App {
         scopeModal?.querySelectorAll('.tab-btn').forEach(tab => {
             tab.addEventListener('click', () => this._switchStudyScopeTab(tab.dataset.tab));
         });
-        scopeModal?.querySelector('#regular-study-start-btn')?.addEventListener('click', () => this._startRegularStudyFromModal());
+        scopeModal?.querySelector('#regular-study-start-btn')?.addEventListener('click', () => {
+            if (this.scopeModalPurpose === 'exam') this._startExamFromModal();
+            else this._startRegularStudyFromModal();
+        });
         
         console.log('[DEBUG] All modal listeners setup complete.');
         console.log('[DEBUG] Exiting _setupEventListeners.');
@@ -368,11 +457,24 @@ export class App {
             }
         }
 
+        // In textbook order, each collection shows the lesson it is at.
+        try {
+            const currentLessons = await this.regularStudyUseCase.getCurrentLessons();
+            currentLessons?.forEach((lesson, name) => {
+                if (collections[name]) collections[name].currentLesson = lesson;
+            });
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to load lesson progress');
+        }
+
         // Load Mistake Notebook Stats
         const mistakeCount = await this.mistakeRepository.getCount();
         const mistakeData = { count: mistakeCount };
 
-        this.deckListComponent.render(collections, mistakeData);
+        const customStudyPresets = (await this.customStudyPresetRepository.getAll())
+            .map(preset => ({ id: preset.id, name: preset.name, description: describeCustomStudyFilter(preset.filter) }));
+
+        this.deckListComponent.render(collections, mistakeData, customStudyPresets);
         screenManager.showScreen(dom.startScreen);
     }
 
@@ -408,9 +510,32 @@ export class App {
     }
 
     // --- Modal & Data Management Logic ---
-    _populateAndShowStudyScopeModal() {
+    /**
+     * Shows the scope modal, either to start regular study or, with `exam`, a random test.
+     * @param {object} [options={}]
+     * @param {boolean} [options.exam=false] - Also show the exam settings.
+     */
+    async _populateAndShowStudyScopeModal({ exam = false } = {}) {
         const collections = this.regularStudyUseCase.getCollectionsAndDecks();
         const container = dom.regularStudyScopeModal;
+        this.scopeModalPurpose = exam ? 'exam' : 'study';
+        container.querySelector('h2').textContent = exam ? '选择测试范围' : '选择学习范围';
+        container.querySelector('#regular-study-start-btn').textContent = exam ? '开始测试' : '开始学习';
+        dom.examSettingsSection.style.display = exam ? 'block' : 'none';
+        if (dom.studyOrderSection) {
+            dom.studyOrderSection.style.display = exam ? 'none' : '';
+            dom.sessionQueueOrderSelect.value = normalizeQueueOrder(
+                await this.storageService.getSetting(STORAGE_KEYS.QUEUE_ORDER, DEFAULT_QUEUE_ORDER));
+        }
+        if (exam) {
+            const settings = normalizeExamSettings(
+                await this.storageService.getSetting(STORAGE_KEYS.EXAM_SETTINGS, DEFAULT_EXAM_SETTINGS));
+            dom.examQuestionCountInput.value = settings.questionCount;
+            dom.examTimeLimitInput.value = settings.timeLimitMinutes;
+            dom.examSettingsSection.querySelectorAll('input[name="exam-type"]').forEach(cb => {
+                cb.checked = settings.types.includes(cb.value);
+            });
+        }
         const collectionList = container.querySelector('#collection-options-list');
         const deckList = container.querySelector('#deck-options-list');
         collectionList.innerHTML = '';
@@ -449,7 +574,11 @@ export class App {
         container.style.display = 'block';
     }
 
-    async _startRegularStudyFromModal() {
+    /**
+     * Reads the scopes checked in the scope modal.
+     * @returns {Array<object>|null} The scopes, or null (after notifying) if none is checked.
+     */
+    _getSelectedScopes() {
         const scopeModal = dom.regularStudyScopeModal;
         const activeTab = scopeModal.querySelector('.tab-btn.active').dataset.tab;
         let selectedScopes = [];
@@ -463,46 +592,139 @@ export class App {
         }
         if (activeTab !== 'global' && selectedScopes.length === 0) {
             showNotification('请至少选择一个学习范围。', false);
-            return;
+            return null;
         }
-        scopeModal.style.display = 'none';
-        const success = await this.regularStudyUseCase.execute({ scopes: selectedScopes });
+        return selectedScopes;
+    }
+
+    async _startRegularStudyFromModal() {
+        const selectedScopes = this._getSelectedScopes();
+        if (!selectedScopes) return;
+        dom.regularStudyScopeModal.style.display = 'none';
+        const success = await this.regularStudyUseCase.execute({
+            scopes: selectedScopes,
+            queueOrder: dom.sessionQueueOrderSelect?.value,
+        });
         if (!success) {
             showNotification('太棒了，所选范围内今天没有需要复习或学习的单词！', true);
         }
     }
 
+    async _startExamFromModal() {
+        const selectedScopes = this._getSelectedScopes();
+        if (!selectedScopes) return;
+        const types = [...dom.examSettingsSection.querySelectorAll('input[name="exam-type"]:checked')].map(cb => cb.value);
+        if (types.length === 0) {
+            showNotification('请至少选择一种题型。', false);
+            return;
+        }
+        const settings = normalizeExamSettings({
+            questionCount: dom.examQuestionCountInput.value,
+            timeLimitMinutes: dom.examTimeLimitInput.value,
+            types,
+        });
+        await this.storageService.saveSetting(STORAGE_KEYS.EXAM_SETTINGS, settings);
+
+        const { wordList, sessionDeckName } = this.regularStudyUseCase.getWordsForScopes(selectedScopes);
+        const started = this.examController.start({
+            words: wordList,
+            vocabulary: this.vocabularyWords,
+            scopeName: sessionDeckName,
+            settings,
+            strictness: await this.storageService.getSetting(STORAGE_KEYS.ANSWER_STRICTNESS, DEFAULT_ANSWER_STRICTNESS),
+            optionCount: await this.storageService.getSetting(STORAGE_KEYS.CHOICE_COUNT, DEFAULT_CHOICE_COUNT),
+        });
+        if (!started) {
+            showNotification('所选范围内没有可以出题的单词，请换一个范围或题型。', false);
+            return;
+        }
+        dom.regularStudyScopeModal.style.display = 'none';
+    }
+
     async _startMistakeSession() {
         const mistakeWords = await this.mistakeRepository.getAllWords();
         if (mistakeWords.length === 0) {
             showNotification('错题本为空！', false);
             return;
         }
+        await this._startPracticeSession(mistakeWords, 'mistake-notebook');
+    }
+
+    async _startCustomStudyPreset(presetId) {
+        const preset = await this.customStudyPresetRepository.get(presetId);
+        if (!preset) return;
+        const started = await this.customStudyUseCase.execute(preset.filter, preset.updateFsrs);
+        if (!started) showNotification(`预设“${preset.name}”目前没有符合条件的单词。`, false);
+    }
 
-        const fullWords = await this.vocabularyRepository.getWordsByArabic(mistakeWords);
+    async _deleteCustomStudyPreset(presetId) {
+        const preset = await this.customStudyPresetRepository.get(presetId);
+        if (!preset || !confirm(`确定要删除预设“${preset.name}”吗？`)) return;
+        await this.customStudyPresetRepository.remove(presetId);
+        this._renderDeckSelection();
+    }
+
+    /**
+     * Starts a practice session over the given words that does not touch FSRS progress.
+     * @param {Array<string>} arabicWords - The words to practice.
+     * @param {string} deckName - The session's deck name.
+     */
+    async _startPracticeSession(arabicWords, deckName) {
+        const fullWords = await this.vocabularyRepository.getWordsByArabic(arabicWords);
 
         if (fullWords.length === 0) {
-            showNotification('无法加载错题单词（可能已被删除）。', false);
+            showNotification('无法加载这些单词（可能已被删除）。', false);
             return;
         }
 
-        // Mistake notebook is purely for practice, so no FSRS updates (Option A)
+        // Mistake notebook and re-drills are purely for practice, so no FSRS updates (Option A)
         // Enable FSRS? User said "Option A (Cram Mode): ...does *not* affect FSRS progress"
         // So enableFsrs = false.
 
         // We shuffle the queue
-        const sessionQueue = fullWords.sort(() => Math.random() - 0.5);
+        const sessionQueue = shuffleArray(fullWords);
 
         this.sessionManager.start({
             sessionQueue: sessionQueue,
             fullWordList: fullWords,
             savedSession: null,
             isFsrsSession: false, // Explicitly false
-            deckName: 'mistake-notebook', // Special deck name
+            deckName, // Special deck name, not a real deck
             studyMode: this.currentModeRef.value
         });
     }
 
+    /**
+     * Handles the quick actions of the end-of-session summary, which all act on the missed words.
+     * @param {string} action - 'redrill', 'add-mistakes' or 'export'.
+     * @param {HTMLButtonElement} button - The clicked button.
+     */
+    async _handleSummaryAction(action, button) {
+        const missedWords = this.lastSessionSummary?.missedWords || [];
+        if (missedWords.length === 0) return;
+        const arabicWords = missedWords.map(word => word.arabic);
+
+        if (action === 'redrill') {
+            await this._startPracticeSession(arabicWords, 'session-redrill');
+        } else if (action === 'add-mistakes') {
+            let added = 0;
+            for (const arabic of arabicWords) {
+                if (await this.mistakeRepository.addWord(arabic)) added++;
+            }
+            button.disabled = true;
+            showNotification(added > 0 ? `已将 ${added} 个单词加入错题本。` : '这些单词都已在错题本中。', true);
+        } else if (action === 'export') {
+            const blob = new Blob(['\uFEFF' + missedWordsToCsv(missedWords)], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `Missed_Words_${new Date().toLocaleDateString().replace(/\//g, '-')}.csv`;
+            a.click();
+            URL.revokeObjectURL(url);
+            showNotification('列表已导出。', true);
+        }
+    }
+
     _populateAndShowStudyPlanModal() {
         const collections = this.regularStudyUseCase.getCollectionsAndDecks();
         const container = dom.studyPlanOptionsContainer;
@@ -556,9 +778,37 @@ export class App {
         modal.querySelectorAll('.tab-content').forEach(content => content.classList.toggle('active', content.id === `tab-${tabId}`));
     }
 
+    async _undoLastRating() {
+        const undone = await this.sessionManager.undo();
+        if (undone) {
+            showNotification('已撤销上一次评分。', true);
+        }
+    }
+
     async _showStats() {
         const summary = this.statsService.getSummary(this.vocabularyWords);
-        modals.renderStats(summary);
+        try {
+            summary.push(...await this.statsService.getResponseTimeSummary(this.vocabularyWords));
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to summarize answer times');
+        }
+        // Without a forecast the modal still opens with the other stats.
+        const loadForecast = async (options) => {
+            try {
+                return await this.statsService.getForecast(this.vocabularyWords, {
+                    ...options,
+                    presetService: this.presetService,
+                });
+            } catch (error) {
+                this.errorHandler.devError(error, 'Failed to build the review forecast');
+                return null;
+            }
+        };
+        const onForecastChange = async (options) => {
+            const forecast = await loadForecast(options);
+            if (forecast) modals.renderForecast(forecast, onForecastChange);
+        };
+        modals.renderStats(summary, await loadForecast(), onForecastChange);
         modals.openStatsModal();
     }
 
@@ -10,8 +10,31 @@ export const STORAGE_KEYS = {
     STATS: 'arabic_learning_stats',
     STUDY_MODE: 'study_mode',
     RECALL_MODE: 'recall_mode',
+    ANSWER_MODE: 'answer_mode',
+    ANSWER_STRICTNESS: 'answer_strictness',
+    CHOICE_COUNT: 'choice_count',
+    LISTENING_RESPONSE: 'listening_response',
+    SLOW_RECALL_SECONDS: 'slow_recall_seconds',
+    SESSION_GOAL_TYPE: 'session_goal_type',
+    SESSION_GOAL_VALUE: 'session_goal_value',
+    QUEUE_ORDER: 'queue_order',
+    QUEUE_INTERLEAVE_RATIO: 'queue_interleave_ratio',
+    NEW_WORD_ORDER: 'new_word_order',
+    LESSON_UNLOCK_PERCENT: 'lesson_unlock_percent',
     DAILY_REVIEW_WORDS: 'daily_review_words',
     DAILY_NEW_WORDS: 'daily_new_words',
+    DESIRED_RETENTION: 'desired_retention',
+    FSRS_WEIGHTS: 'fsrs_weights',
+    LEARNING_STEPS: 'learning_steps',
+    RELEARNING_STEPS: 'relearning_steps',
+    ENABLE_FUZZ: 'enable_fuzz',
+    ENABLE_LOAD_BALANCE: 'enable_load_balance',
+    LEECH_THRESHOLD: 'leech_threshold',
+    LEECH_ACTION: 'leech_action',
+    BURY_SIBLINGS: 'bury_siblings',
+    DAY_START_HOUR: 'day_start_hour',
+    SCHEDULER_PRESETS: 'scheduler_presets',
+    PRESET_ASSIGNMENTS: 'preset_assignments',
     THEME: 'theme',
     LAST_ACTIVE_DECK: 'last_active_deck',
     REGULAR_STUDY_STATS: 'regular_study_stats',
@@ -23,6 +46,10 @@ export const STORAGE_KEYS = {
     ARABIC_TTS_VOLUME: 'arabic_tts_volume',
     ARABIC_TTS_AUTO_PLAY: 'arabic_tts_auto_play',
     MISTAKE_NOTEBOOK: 'mistake_notebook_words',
+    EXAM_HISTORY: 'exam_history',
+    EXAM_SETTINGS: 'exam_settings',
+    CUSTOM_STUDY_PRESETS: 'custom_study_presets',
+    KEYBOARD_SHORTCUTS: 'keyboard_shortcuts',
     AI_API_URL: 'ai_api_url',
     AI_API_KEY: 'ai_api_key',
     AI_MODEL: 'ai_model',
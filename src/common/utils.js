@@ -5,16 +5,34 @@
 /**
  * 使用 Fisher-Yates 算法原地打乱一个数组。
  * @param {Array} array 要打乱的数组。
+ * @param {Function} [random=Math.random] 返回 [0, 1) 的随机数函数；传入 createSeededRandom 的结果可得到可复现的顺序。
  * @returns {Array} 打乱后的原始数组。
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
 }
 
+/**
+ * 创建一个带种子的伪随机数生成器 (mulberry32)，相同的种子总是产生相同的序列。
+ * 用于需要可复现结果的场景，例如测试。
+ * @param {number} seed 32 位整数种子。
+ * @returns {Function} 每次调用返回一个 [0, 1) 之间的数，可替代 Math.random。
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * 创建一个防抖函数，该函数会延迟执行 func 直到在 wait 毫秒内没有再次调用它。
  * @param {Function} func 要防抖的函数。
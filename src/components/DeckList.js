@@ -21,10 +21,14 @@ export class DeckList {
     /**
      * 渲染词库和集合的列表。
      * @param {object} collections - 一个包含集合和其下子词库信息的对象。
-     *   格式: { collectionName: { wordCount: number, subDecks: { deckName: { wordCount: number } } } }
+     *   格式: { collectionName: { wordCount: number, subDecks: { deckName: { wordCount: number } },
+     *   currentLesson?: { deck: string, name: string, total: number, learned: number } } }
+     *   按课文顺序学习新词时，currentLesson 为集合当前所在的课。
      * @param {object} [mistakeNotebookData=null] - 错题本数据 { count: number }
+     * @param {Array<{id: string, name: string, description: string}>} [customStudyPresets=null] - 自定义学习的预设，
+     *   description 为筛选条件的说明；为 null 时不显示自定义学习。
      */
-    render(collections, mistakeNotebookData = null) {
+    render(collections, mistakeNotebookData = null, customStudyPresets = null) {
         this.container.innerHTML = ''; // 清空现有内容
 
         // Render Mistake Notebook at the top if it exists
@@ -69,6 +73,10 @@ export class DeckList {
             this.container.appendChild(mistakeDiv);
         }
 
+        if (customStudyPresets) {
+            this.container.appendChild(this._createCustomStudyElement(customStudyPresets));
+        }
+
         if (!collections || Object.keys(collections).length === 0) {
             const msg = document.createElement('p');
             msg.textContent = '没有可用的词库。请先导入一个词库文件。';
@@ -107,6 +115,10 @@ export class DeckList {
 
         details.appendChild(summary);
 
+        if (collection.currentLesson) {
+            details.appendChild(this._createCurrentLessonElement(collection.currentLesson));
+        }
+
         const subDecksContainer = document.createElement('div');
         subDecksContainer.className = 'sub-decks-container';
 
@@ -124,6 +136,9 @@ export class DeckList {
             button.style.flexGrow = '1';
             button.disabled = subDeck.wordCount === 0;
             button.dataset.deckName = `${collectionName}//${deckName}`;
+            if (collection.currentLesson?.deck === button.dataset.deckName) {
+                button.classList.add('current-lesson');
+            }
 
             // Browse/Manage Button (📖)
             const manageBtn = document.createElement('button');
@@ -142,6 +157,83 @@ export class DeckList {
         return details;
     }
 
+    /**
+     * 创建“当前课”的进度条：已学会的单词数 / 这一课的单词数。
+     * @private
+     */
+    _createCurrentLessonElement(lesson) {
+        const percent = lesson.total > 0 ? Math.round((lesson.learned / lesson.total) * 100) : 0;
+        const element = document.createElement('div');
+        element.className = 'current-lesson-progress';
+
+        const label = document.createElement('div');
+        label.className = 'current-lesson-label';
+        label.textContent = `当前课：${lesson.name}（已学会 ${lesson.learned}/${lesson.total}，${percent}%）`;
+
+        const bar = document.createElement('div');
+        bar.className = 'current-lesson-bar';
+        const fill = document.createElement('div');
+        fill.className = 'current-lesson-fill';
+        fill.style.width = `${percent}%`;
+        bar.appendChild(fill);
+
+        element.append(label, bar);
+        return element;
+    }
+
+    /**
+     * 创建“自定义学习”区域：新建按钮和保存的预设列表。
+     * @private
+     */
+    _createCustomStudyElement(presets) {
+        const container = document.createElement('div');
+        container.className = 'collection-container custom-study-container';
+
+        const header = document.createElement('div');
+        header.className = 'collection-header custom-study-header';
+        const title = document.createElement('span');
+        title.className = 'custom-study-title';
+        title.textContent = '🔍 自定义学习';
+        const newButton = document.createElement('button');
+        newButton.textContent = '新建筛选';
+        newButton.className = 'btn btn-small custom-study-new-btn';
+        header.append(title, newButton);
+        container.appendChild(header);
+
+        for (const preset of presets) {
+            const row = document.createElement('div');
+            row.className = 'custom-study-preset';
+
+            const startButton = document.createElement('button');
+            startButton.className = 'btn custom-study-start-btn';
+            startButton.dataset.presetId = preset.id;
+            startButton.title = preset.description;
+            const name = document.createElement('span');
+            name.className = 'custom-study-preset-name';
+            name.textContent = preset.name;
+            const description = document.createElement('span');
+            description.className = 'custom-study-preset-description';
+            description.textContent = preset.description;
+            startButton.append(name, description);
+
+            const editButton = document.createElement('button');
+            editButton.textContent = '✏️';
+            editButton.className = 'btn btn-small custom-study-edit-btn';
+            editButton.title = '编辑预设';
+            editButton.dataset.presetId = preset.id;
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '🗑️';
+            deleteButton.className = 'btn btn-small custom-study-delete-btn';
+            deleteButton.title = '删除预设';
+            deleteButton.dataset.presetId = preset.id;
+
+            row.append(startButton, editButton, deleteButton);
+            container.appendChild(row);
+        }
+        return container;
+    }
+
     /**
      * 使用事件委托处理容器内的所有点击事件。
      * @private
@@ -164,6 +256,14 @@ export class DeckList {
              if (this.eventBus) {
                 this.eventBus.emit('mistakeSessionStart');
              }
+        } else if (target.closest('.custom-study-start-btn')) {
+            this.eventBus?.emit('customStudyPresetStart', target.closest('.custom-study-start-btn').dataset.presetId);
+        } else if (target.matches('.custom-study-new-btn')) {
+            this.eventBus?.emit('customStudyOpen', null);
+        } else if (target.matches('.custom-study-edit-btn')) {
+            this.eventBus?.emit('customStudyOpen', target.dataset.presetId);
+        } else if (target.matches('.custom-study-delete-btn')) {
+            this.eventBus?.emit('customStudyPresetDelete', target.dataset.presetId);
         } else if (target.matches('.manage-deck-btn')) {
             const deckName = target.dataset.deckName;
              if (this.eventBus) {
@@ -7,6 +7,28 @@
  */
 
 import { RATING } from '../core/ReviewScheduler.js'; // Note: This should be from ReviewScheduler, not FSRS directly.
+import { pickDueCard, directionsForMode, DIRECTION } from '../core/SenseProgress.js';
+import { checkAnswer, DEFAULT_ANSWER_STRICTNESS } from '../core/AnswerChecker.js';
+import { buildChoiceOptions, ratingForChoice, DEFAULT_CHOICE_COUNT } from '../core/ChoiceQuiz.js';
+import { buildCloze } from '../core/Cloze.js';
+
+/** How the card asks for the answer. */
+export const ANSWER_MODE = {
+    REVEAL: 'reveal', // Reveal the answer and grade yourself
+    TYPED: 'typed', // Type the Arabic (zh→ar cards only)
+    CHOICE: 'choice', // Pick the answer from several options, graded automatically
+    LISTENING: 'listening', // Hear the word (nothing is shown) and answer as set in LISTENING_RESPONSE
+    CLOZE: 'cloze', // Type the word blanked out of its example sentence
+};
+
+/** How a listening card is answered. */
+export const LISTENING_RESPONSE = {
+    TYPED: 'typed', // Write down the Arabic that was heard
+    CHOICE: 'choice', // Pick the meaning
+};
+
+/** How long a correct choice stays on screen before the card moves on. */
+const CHOICE_CORRECT_DELAY_MS = 800;
 
 export class StudyCard {
     /**
@@ -21,6 +43,14 @@ export class StudyCard {
         this.eventBus = eventBus;
         this.word = null;
         this.currentMode = 'zh-ar';
+        this.cardKey = null; // The card (definition and direction) being quizzed and rated
+        this.direction = DIRECTION.ZH_AR;
+        this.isListening = false; // The Arabic is played instead of shown
+        this.cloze = null; // The example sentence with the word blanked out, in cloze mode
+        this.answerStrictness = null; // Set while the typed answer input is shown
+        this.suggestedRating = null; // Set once a typed answer has been checked
+        this.revealed = false; // Whether the answer has been revealed, announced once per card
+        this.choiceTimer = null; // Moves on after a correct choice
 
         // Find all necessary DOM elements within the container using correct ID selectors
         this.dom = {
@@ -29,10 +59,22 @@ export class StudyCard {
             answerDisplay: this.container.querySelector('#answer-display'),
             explanationDisplay: this.container.querySelector('#explanation-display'),
             definitionToggleContainer: this.container.querySelector('#definition-toggle-container'),
+            typedAnswerContainer: this.container.querySelector('#typed-answer-container'),
+            typedAnswerInput: this.container.querySelector('#typed-answer-input'),
+            typedAnswerCheckBtn: this.container.querySelector('#typed-answer-check-btn'),
+            typedAnswerResult: this.container.querySelector('#typed-answer-result'),
+            choiceContainer: this.container.querySelector('#choice-container'),
+            choiceOptions: this.container.querySelector('#choice-options'),
+            choiceContinueBtn: this.container.querySelector('#choice-continue-btn'),
+            controls: this.container.querySelector('#controls'),
+            listeningControls: this.container.querySelector('#listening-controls'),
+            listeningReplayBtn: this.container.querySelector('#listening-replay-btn'),
+            listeningSlowReplayBtn: this.container.querySelector('#listening-slow-replay-btn'),
             ttsPlayBtn: this.container.querySelector('#tts-play-btn'),
             ttsExplanationPlayBtn: this.container.querySelector('#tts-explanation-play-btn'),
             forgotBtn: this.container.querySelector('#forgot-btn'),
             hardBtn: this.container.querySelector('#hard-btn'),
+            goodBtn: this.container.querySelector('#good-btn'),
             easyBtn: this.container.querySelector('#easy-btn'),
         };
 
@@ -43,8 +85,20 @@ export class StudyCard {
      * Renders a new word onto the card.
      * @param {import('../core/Word.js').Word} word - The word object to display.
      * @param {string} mode - The current study mode ('ar-zh', 'zh-ar', 'mixed').
+     * @param {object} [options={}]
+     * @param {string} [options.answerMode=ANSWER_MODE.REVEAL] - How the answer is given, see ANSWER_MODE.
+     * @param {string} [options.strictness] - How strictly typed answers are checked, see ANSWER_STRICTNESS.
+     * @param {number} [options.choiceCount] - Number of options in choice mode.
+     * @param {Array<import('../core/Word.js').Word>} [options.choicePool=[]] - The words distractors are drawn from.
+     * @param {string} [options.listeningResponse=LISTENING_RESPONSE.TYPED] - How listening cards are answered.
      */
-    render(word, mode) {
+    render(word, mode, {
+        answerMode = ANSWER_MODE.REVEAL,
+        strictness = DEFAULT_ANSWER_STRICTNESS,
+        choiceCount = DEFAULT_CHOICE_COUNT,
+        choicePool = [],
+        listeningResponse = LISTENING_RESPONSE.TYPED,
+    } = {}) {
         this.word = word;
         this.currentMode = mode;
 
@@ -55,8 +109,27 @@ export class StudyCard {
         }
         
         this.container.style.display = 'block';
-        this._setupDefinitionToggles();
-        this._updateView(0); // Display the first definition by default
+        this.revealed = false;
+        // Quiz the card that is due, in its own direction; the other definitions stay reachable through the toggles.
+        const { key, index, direction } = pickDueCard(this.word, directionsForMode(mode));
+        this.cardKey = key;
+        this.direction = direction;
+        // A listening card plays the Arabic and asks for it (typed) or its meaning (choice), whatever the card's direction.
+        this.isListening = answerMode === ANSWER_MODE.LISTENING;
+        const typed = this.isListening
+            ? listeningResponse === LISTENING_RESPONSE.TYPED
+            : answerMode === ANSWER_MODE.TYPED && direction === DIRECTION.ZH_AR;
+        const choice = this.isListening ? !typed : answerMode === ANSWER_MODE.CHOICE;
+        // A cloze card asks for the blanked words; without an example sentence it falls back to revealing the answer.
+        this.cloze = answerMode === ANSWER_MODE.CLOZE ? buildCloze(this.word, index) : null;
+        this._setupDefinitionToggles(index);
+        this._updateView(index);
+        this._setupListening();
+        this._setupCloze();
+        this._setupTypedAnswer(typed || this.cloze ? strictness : null, this.cloze?.answer);
+        this._setupChoices(choice
+            ? buildChoiceOptions(this.word, index, this.isListening ? DIRECTION.AR_ZH : direction, choicePool, { optionCount: choiceCount })
+            : null);
 
         // Notify that a new word is being shown
         this.eventBus.emit('wordShown', this.word);
@@ -67,7 +140,11 @@ export class StudyCard {
      * @private
      */
     _bindEventListeners() {
-        this.dom.answerDisplay?.addEventListener('click', () => this._toggleVisibility(this.dom.answerDisplay));
+        this.dom.answerDisplay?.addEventListener('click', () => {
+            this._toggleVisibility(this.dom.answerDisplay);
+            this.dom.wordDisplayWrapper?.classList.remove('listening-hidden');
+            if (this.dom.answerDisplay.classList.contains('revealed')) this._markRevealed();
+        });
         this.dom.explanationDisplay?.addEventListener('click', () => this._toggleVisibility(this.dom.explanationDisplay));
         
         this.dom.definitionToggleContainer?.addEventListener('click', this._handleDefinitionToggle.bind(this));
@@ -92,21 +169,51 @@ export class StudyCard {
             };
         }
 
-        this.dom.forgotBtn?.addEventListener('click', () => this._handleRating(RATING.FORGOT));
+        this.dom.listeningReplayBtn?.addEventListener('click', () => {
+            if (this.word) this.eventBus.emit('playWordTTS', { word: this.word, listening: true });
+        });
+        this.dom.listeningSlowReplayBtn?.addEventListener('click', () => {
+            if (this.word) this.eventBus.emit('playWordTTS', { word: this.word, listening: true, slow: true });
+        });
+
+        this.dom.typedAnswerCheckBtn?.addEventListener('click', () => this._checkTypedAnswer());
+        this.dom.typedAnswerInput?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || e.isComposing) return;
+            e.preventDefault();
+            // The first Enter checks the answer, the second one accepts the suggested rating.
+            if (this.suggestedRating === null) {
+                this._checkTypedAnswer();
+            } else {
+                this._handleRating(this.suggestedRating);
+            }
+        });
+
+        this.dom.choiceOptions?.addEventListener('click', (e) => {
+            const button = e.target.closest('.choice-option-btn');
+            if (button) this._handleChoice(parseInt(button.dataset.index, 10));
+        });
+        this.dom.choiceContinueBtn?.addEventListener('click', () => {
+            if (this.suggestedRating !== null) this._handleRating(this.suggestedRating);
+        });
+
+        this.dom.forgotBtn?.addEventListener('click', () => this._handleRating(RATING.AGAIN));
         this.dom.hardBtn?.addEventListener('click', () => this._handleRating(RATING.HARD));
+        this.dom.goodBtn?.addEventListener('click', () => this._handleRating(RATING.GOOD));
         this.dom.easyBtn?.addEventListener('click', () => this._handleRating(RATING.EASY));
     }
 
     /**
      * Sets up the toggle buttons based on the number of definitions the word has.
+     * @param {number} [activeIndex=0] - The definition shown first.
      * @private
      */
-    _setupDefinitionToggles() {
+    _setupDefinitionToggles(activeIndex = 0) {
         const toggleContainer = this.dom.definitionToggleContainer;
         if (!toggleContainer) return;
 
         toggleContainer.innerHTML = '';
-        if (this.word.definitions.length > 1) {
+        // A cloze card is about one sentence, so there is nothing to toggle.
+        if (this.word.definitions.length > 1 && !this.cloze) {
             this.word.definitions.forEach((_, index) => {
                 const button = document.createElement('button');
                 button.className = 'definition-toggle-btn';
@@ -114,7 +221,7 @@ export class StudyCard {
                 button.dataset.index = index;
                 toggleContainer.appendChild(button);
             });
-            toggleContainer.firstChild?.classList.add('active');
+            toggleContainer.children[activeIndex]?.classList.add('active');
         }
     }
 
@@ -130,12 +237,8 @@ export class StudyCard {
         const { wordDisplay, answerDisplay, explanationDisplay, wordDisplayWrapper } = this.dom;
         if (!wordDisplay || !answerDisplay || !explanationDisplay) return; // Safety check
 
-        let isArZh;
-        if (this.currentMode === 'mixed') {
-            isArZh = Math.random() < 0.5;
-        } else {
-            isArZh = this.currentMode === 'ar-zh';
-        }
+        // Listening cards are laid out like ar→zh cards, with the Arabic hidden until the answer.
+        const isArZh = this.direction === DIRECTION.AR_ZH || this.isListening;
 
         wordDisplay.innerHTML = (isArZh ? this.word.arabic : definition.chinese).replace(/\n/g, '<br>');
         answerDisplay.innerHTML = (isArZh ? definition.chinese : this.word.arabic).replace(/\n/g, '<br>');
@@ -168,6 +271,227 @@ export class StudyCard {
         }
     }
 
+    /**
+     * Shows the replay buttons and hides the Arabic on listening cards, or restores the normal card.
+     * @private
+     */
+    _setupListening() {
+        const { listeningControls, wordDisplayWrapper } = this.dom;
+        if (listeningControls) listeningControls.style.display = this.isListening ? 'flex' : 'none';
+        wordDisplayWrapper?.classList.toggle('listening-hidden', this.isListening);
+    }
+
+    /**
+     * Replaces the prompt with the example sentence, blanks and the Chinese translation as a hint,
+     * and the answer with the complete sentence with the blanked words marked.
+     * @private
+     */
+    _setupCloze() {
+        const { wordDisplay, answerDisplay, wordDisplayWrapper } = this.dom;
+        if (!this.cloze || !wordDisplay || !answerDisplay) return;
+
+        const sentence = document.createElement('div');
+        sentence.className = 'cloze-sentence';
+        sentence.dir = 'rtl';
+        const filled = sentence.cloneNode();
+        for (const part of this.cloze.parts) {
+            if (part.blank) {
+                const blank = document.createElement('span');
+                blank.className = 'cloze-blank';
+                blank.textContent = '\u2026\u2026';
+                sentence.appendChild(blank);
+                const answer = document.createElement('mark');
+                answer.textContent = part.text;
+                filled.appendChild(answer);
+            } else {
+                sentence.appendChild(document.createTextNode(part.text));
+                filled.appendChild(document.createTextNode(part.text));
+            }
+        }
+        const hint = document.createElement('div');
+        hint.className = 'cloze-hint';
+        hint.dir = 'ltr';
+        hint.textContent = this.cloze.hint;
+
+        wordDisplay.replaceChildren(sentence, hint);
+        wordDisplay.dir = 'rtl';
+        if (wordDisplayWrapper) wordDisplayWrapper.dir = 'rtl';
+        answerDisplay.replaceChildren(filled);
+        answerDisplay.dir = 'rtl';
+    }
+
+    /**
+     * Reveals the answer and, on listening cards, the Arabic that was played.
+     * @private
+     */
+    _revealAnswer() {
+        this.dom.answerDisplay?.classList.replace('spoiler', 'revealed');
+        this.dom.wordDisplayWrapper?.classList.remove('listening-hidden');
+        this._markRevealed();
+    }
+
+    /**
+     * Announces the first reveal of the card's answer, with the rating suggested so far
+     * (null when the card is self-graded), so that the recall time can be recorded.
+     * @private
+     */
+    _markRevealed() {
+        if (this.revealed || !this.word) return;
+        this.revealed = true;
+        this.eventBus.emit('answerRevealed', { word: this.word, suggestedRating: this.suggestedRating });
+    }
+
+    /**
+     * Suggests a rating from outside the card, e.g. 'Hard' after a slow recall. On a checked typed answer
+     * it replaces the suggestion that Enter accepts; on a self-graded card the button is only marked.
+     * Choice questions rate themselves, so they are left alone.
+     * @param {number|null} rating
+     */
+    suggestRating(rating) {
+        if (this.choiceQuestion || rating === null) return;
+        if (this.answerStrictness) {
+            if (this.suggestedRating === null) return; // Not checked yet
+            this.suggestedRating = rating;
+        }
+        this._highlightRatingButton(rating);
+    }
+
+    /**
+     * Shows (with a strictness) or hides (with null) the typed answer input and clears the last check.
+     * @param {string|null} strictness - See ANSWER_STRICTNESS.
+     * @param {string} [expected] - What has to be typed, the word's Arabic by default.
+     * @private
+     */
+    _setupTypedAnswer(strictness, expected) {
+        this.answerStrictness = strictness;
+        this.expectedAnswer = expected || null;
+        this.suggestedRating = null;
+        this._highlightRatingButton(null);
+
+        const { typedAnswerContainer, typedAnswerInput, typedAnswerResult } = this.dom;
+        if (!typedAnswerContainer || !typedAnswerInput) return;
+
+        typedAnswerContainer.style.display = strictness ? 'block' : 'none';
+        typedAnswerInput.value = '';
+        typedAnswerInput.readOnly = false;
+        if (typedAnswerResult) typedAnswerResult.innerHTML = '';
+        if (strictness) typedAnswerInput.focus();
+    }
+
+    /**
+     * Compares the typed answer with the word, shows the character diff and the answer,
+     * and preselects a rating that the user can accept with Enter or override with the buttons.
+     * @private
+     */
+    _checkTypedAnswer() {
+        const { typedAnswerInput, typedAnswerResult } = this.dom;
+        if (!this.answerStrictness || !this.word || !typedAnswerInput || this.suggestedRating !== null) return;
+
+        const result = checkAnswer(this.expectedAnswer || this.word.arabic, typedAnswerInput.value, this.answerStrictness);
+        this.suggestedRating = result.suggestedRating;
+        typedAnswerInput.readOnly = true;
+
+        if (typedAnswerResult) {
+            typedAnswerResult.innerHTML = '';
+            const verdict = document.createElement('div');
+            verdict.className = `typed-answer-verdict ${result.correct ? 'correct' : 'wrong'}`;
+            verdict.textContent = result.correct
+                ? '\u2705 \u6b63\u786e'
+                : `\u274c \u6709\u8bef\uff08\u76f8\u4f3c\u5ea6 ${Math.round(result.similarity * 100)}%\uff09`;
+            const diff = document.createElement('div');
+            diff.className = 'typed-answer-diff';
+            diff.dir = 'rtl';
+            for (const part of result.diff) {
+                const span = document.createElement('span');
+                span.className = `diff-${part.type}`;
+                span.textContent = part.text;
+                if (part.type === 'missing') span.title = '\u6f0f\u5199\u6216\u5199\u9519\u7684\u90e8\u5206';
+                if (part.type === 'extra') span.title = '\u591a\u5199\u6216\u5199\u9519\u7684\u90e8\u5206';
+                diff.appendChild(span);
+            }
+            typedAnswerResult.append(verdict, diff);
+        }
+
+        this._revealAnswer();
+        this._highlightRatingButton(this.suggestedRating);
+    }
+
+    /**
+     * Shows the options of a choice question, or hides them with null. The rating buttons are hidden
+     * while a question is shown, since the choice itself is the rating.
+     * A question with fewer than two options (a tiny vocabulary) falls back to self-grading.
+     * @param {{options: Array<{text: string, correct: boolean}>, correctIndex: number}|null} question
+     * @private
+     */
+    _setupChoices(question) {
+        clearTimeout(this.choiceTimer);
+        this.choiceTimer = null;
+        this.choiceQuestion = question && question.options.length > 1 ? question : null;
+
+        const { choiceContainer, choiceOptions, choiceContinueBtn, controls } = this.dom;
+        controls?.classList.toggle('rating-hidden', Boolean(this.choiceQuestion));
+        if (!choiceContainer || !choiceOptions) return;
+
+        choiceContainer.style.display = this.choiceQuestion ? 'block' : 'none';
+        choiceOptions.innerHTML = '';
+        if (choiceContinueBtn) choiceContinueBtn.style.display = 'none';
+        if (!this.choiceQuestion) return;
+
+        const optionDir = this.direction === DIRECTION.ZH_AR ? 'rtl' : 'ltr';
+        this.choiceQuestion.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.className = 'btn choice-option-btn';
+            button.dataset.index = index;
+            button.dir = optionDir;
+            button.textContent = option.text;
+            choiceOptions.appendChild(button);
+        });
+    }
+
+    /**
+     * Marks the chosen and the correct option and reveals the answer. A correct choice moves on by itself;
+     * after a wrong one the card stays so the answer can be studied, until "continue" is clicked.
+     * @param {number} index - The chosen option.
+     * @private
+     */
+    _handleChoice(index) {
+        const question = this.choiceQuestion;
+        if (!question || this.suggestedRating !== null || !question.options[index]) return;
+
+        const correct = index === question.correctIndex;
+        this.suggestedRating = ratingForChoice(correct);
+        const buttons = this.dom.choiceOptions.querySelectorAll('.choice-option-btn');
+        buttons.forEach((button, i) => {
+            button.disabled = true;
+            if (i === question.correctIndex) button.classList.add('correct');
+            else if (i === index) button.classList.add('wrong');
+        });
+        this._revealAnswer();
+
+        if (correct) {
+            this.choiceTimer = setTimeout(() => this._handleRating(this.suggestedRating), CHOICE_CORRECT_DELAY_MS);
+        } else if (this.dom.choiceContinueBtn) {
+            this.dom.choiceContinueBtn.style.display = 'inline-block';
+        }
+    }
+
+    /**
+     * Marks the rating button of the suggested rating, or clears the mark with null.
+     * @param {number|null} rating
+     * @private
+     */
+    _highlightRatingButton(rating) {
+        const buttons = {
+            [RATING.AGAIN]: this.dom.forgotBtn,
+            [RATING.HARD]: this.dom.hardBtn,
+            [RATING.GOOD]: this.dom.goodBtn,
+            [RATING.EASY]: this.dom.easyBtn,
+        };
+        for (const [value, button] of Object.entries(buttons)) {
+            button?.classList.toggle('suggested-rating', Number(value) === rating);
+        }
+    }
+
     /**
      * Toggles an element's visibility (spoiler/revealed).
      * @param {HTMLElement} element - The element to toggle.
@@ -186,7 +510,7 @@ export class StudyCard {
      */
     _handleRating(rating) {
         if (this.eventBus && this.word) {
-            this.eventBus.emit('wordRated', { word: this.word, rating: rating });
+            this.eventBus.emit('wordRated', { word: this.word, rating: rating, cardKey: this.cardKey });
         }
     }
 }
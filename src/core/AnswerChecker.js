@@ -0,0 +1,177 @@
+/**
+ * @fileoverview 输入答案模式的答案检查：把用户输入的阿语与 `word.arabic` 比较。
+ *
+ * 比较以“字母单元”为单位：一个基本字母连同其后的标音符号（tashkeel）算作一个单元，
+ * 这样逐字符差异既能按严格程度忽略标音，又能原样显示用户输入的内容。
+ * 严格程度决定哪些差异可以忽略：
+ * - EXACT：只忽略空白和键盘差异（波斯语键盘的 ک/ی）；
+ * - NORMAL：另外忽略标音符号；
+ * - LENIENT：另外统一 alef/hamza 的各种写法（أ إ آ ٱ → ا，ؤ ئ → ء，ى → ي）以及 ة/ه。
+ */
+
+import { RATING } from './FSRS.js';
+
+/** 答案检查的严格程度。 */
+export const ANSWER_STRICTNESS = {
+  EXACT: 'exact',
+  NORMAL: 'normal',
+  LENIENT: 'lenient',
+};
+
+export const DEFAULT_ANSWER_STRICTNESS = ANSWER_STRICTNESS.NORMAL;
+
+/** 相似度不低于这个值（例如长单词中的一个错字）时建议评为“模糊”，否则为“忘记”。 */
+const HARD_SIMILARITY = 0.75;
+
+/** 标音符号（含古兰经注音符号和上标 alef）。 */
+const TASHKEEL = /[\u064B-\u065F\u0670\u06D6-\u06ED]/;
+/** 延长线（tatweel）只是排版用的，总是忽略。 */
+const TATWEEL = '\u0640';
+
+/** 任何严格程度下都统一的键盘差异。 */
+const KEYBOARD_VARIANTS = { 'ک': 'ك', 'ی': 'ي' };
+/** LENIENT 下统一的 alef/hamza 写法。 */
+const HAMZA_VARIANTS = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+  'ؤ': 'ء', 'ئ': 'ء', 'ى': 'ي',
+};
+/** LENIENT 下统一的 ta marbuta。 */
+const TA_MARBUTA_VARIANTS = { 'ة': 'ه' };
+
+/**
+ * @param {string} strictness - ANSWER_STRICTNESS 中的值。
+ * @returns {{ignoreTashkeel: boolean, normalizeHamza: boolean, normalizeTaMarbuta: boolean}}
+ * @private
+ */
+function optionsFor(strictness) {
+  return {
+    ignoreTashkeel: strictness !== ANSWER_STRICTNESS.EXACT,
+    normalizeHamza: strictness === ANSWER_STRICTNESS.LENIENT,
+    normalizeTaMarbuta: strictness === ANSWER_STRICTNESS.LENIENT,
+  };
+}
+
+/**
+ * 把文本拆成字母单元：`text` 为原样显示的字符，`key` 为按严格程度规整后用于比较的值。
+ * 连续空白合并为一个空格单元。
+ * @private
+ */
+function toUnits(text, strictness) {
+  const options = optionsFor(strictness);
+  const units = [];
+  for (const char of (text || '').trim().replace(/\s+/g, ' ')) {
+    if (char === TATWEEL) continue;
+    if (TASHKEEL.test(char)) {
+      const last = units[units.length - 1];
+      if (last) {
+        last.text += char;
+        if (!options.ignoreTashkeel) last.key += char;
+      } else if (!options.ignoreTashkeel) {
+        units.push({ text: char, key: char });
+      }
+      continue;
+    }
+    let base = KEYBOARD_VARIANTS[char] || char;
+    if (options.normalizeHamza) base = HAMZA_VARIANTS[base] || base;
+    if (options.normalizeTaMarbuta) base = TA_MARBUTA_VARIANTS[base] || base;
+    units.push({ text: char, key: base });
+  }
+  if (!options.ignoreTashkeel) {
+    // 同一字母上的多个标音符号顺序不固定（例如 shadda 与 fatha）。
+    for (const unit of units) {
+      unit.key = unit.key[0] + [...unit.key.slice(1)].sort().join('');
+    }
+  }
+  return units;
+}
+
+/**
+ * 按严格程度规整一段阿语，用于判断两段文本是否算作相同。
+ * @param {string} text - 阿语文本。
+ * @param {string} [strictness=DEFAULT_ANSWER_STRICTNESS] - ANSWER_STRICTNESS 中的值。
+ * @returns {string}
+ */
+export function normalizeArabic(text, strictness = DEFAULT_ANSWER_STRICTNESS) {
+  return toUnits(text, strictness).map(unit => unit.key).join('');
+}
+
+/**
+ * 逐字母单元比较两段文本（最长公共子序列）。
+ * @param {string} expected - 正确答案。
+ * @param {string} actual - 用户输入。
+ * @param {string} [strictness=DEFAULT_ANSWER_STRICTNESS] - ANSWER_STRICTNESS 中的值。
+ * @returns {Array<{type: 'equal' | 'missing' | 'extra', text: string}>}
+ *   按顺序排列的差异：equal 为两边相同的单元（显示正确答案中的写法），missing 为用户漏写或写错的单元，
+ *   extra 为用户多写或写错的单元。
+ */
+export function diffAnswer(expected, actual, strictness = DEFAULT_ANSWER_STRICTNESS) {
+  const a = toUnits(expected, strictness);
+  const b = toUnits(actual, strictness);
+  // lcs[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度。
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i].key === b[j].key ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].key === b[j].key) {
+      diff.push({ type: 'equal', text: a[i].text });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'missing', text: a[i++].text });
+    } else {
+      diff.push({ type: 'extra', text: b[j++].text });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'missing', text: a[i++].text });
+  while (j < b.length) diff.push({ type: 'extra', text: b[j++].text });
+  return diff;
+}
+
+/**
+ * 两段文本按字母单元计算的编辑距离（替换、插入、删除各算一次）。
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].key === b[j - 1].key ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 检查用户输入的答案，并给出建议评分：正确为“记得”，只有少量错字为“模糊”，其余为“忘记”。
+ * 建议评分只是默认值，用户可以改选其他评分。
+ * @param {string} expected - 正确答案（`word.arabic`）。
+ * @param {string} actual - 用户输入。
+ * @param {string} [strictness=DEFAULT_ANSWER_STRICTNESS] - ANSWER_STRICTNESS 中的值。
+ * @returns {{correct: boolean, similarity: number, suggestedRating: number, diff: Array<object>}}
+ *   similarity 为 0–1 之间的相似度；diff 见 diffAnswer。
+ */
+export function checkAnswer(expected, actual, strictness = DEFAULT_ANSWER_STRICTNESS) {
+  const a = toUnits(expected, strictness);
+  const b = toUnits(actual, strictness);
+  const distance = editDistance(a, b);
+  const similarity = b.length === 0 ? 0 : 1 - distance / Math.max(a.length, b.length, 1);
+  const correct = b.length > 0 && distance === 0;
+
+  let suggestedRating = RATING.AGAIN;
+  if (correct) {
+    suggestedRating = RATING.GOOD;
+  } else if (similarity >= HARD_SIMILARITY) {
+    suggestedRating = RATING.HARD;
+  }
+  return { correct, similarity, suggestedRating, diff: diffAnswer(expected, actual, strictness) };
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview 答题用时：每张卡片记录“显示到翻看答案”（回想用时，revealMs）和“显示到评分”（answerMs）的时间，
+ * 不含暂停和应用切到后台的时间（见 SessionGoal.js 的 SessionClock），随复习记录一起保存。
+ *
+ * 回想用时超过阈值算作“偏慢”：
+ * - 翻看答案时，若建议评分为“记得/简单”（或还没有建议评分），改为建议“模糊”；
+ * - 偏慢但仍评为“记得/简单”的单词标记为“答对但偏慢”，在会话总结和统计中列出。
+ * 没有用时的旧复习记录不参与统计。
+ */
+
+import { RATING } from './FSRS.js';
+import { senseKeyOf } from './SenseProgress.js';
+
+/** 回想偏慢的默认阈值（秒）；0 表示不判断快慢。 */
+export const DEFAULT_SLOW_RECALL_SECONDS = 8;
+
+/**
+ * 把阈值设置规整为合法的秒数。
+ * @param {*} seconds - 设置值。
+ * @returns {number}
+ */
+export function normalizeSlowRecallSeconds(seconds) {
+  const value = parseFloat(seconds);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SLOW_RECALL_SECONDS;
+}
+
+/**
+ * 回想是否偏慢。
+ * @param {number | null | undefined} revealMs - 回想用时。
+ * @param {number} slowRecallMs - 阈值（毫秒），0 表示不判断。
+ * @returns {boolean}
+ */
+export function isSlowRecall(revealMs, slowRecallMs) {
+  return slowRecallMs > 0 && Number.isFinite(revealMs) && revealMs > slowRecallMs;
+}
+
+/**
+ * 根据回想用时调整建议评分：偏慢时把“记得/简单”（或没有建议）降为“模糊”，“忘记”和“模糊”不变。
+ * @param {number | null} suggestedRating - 原来的建议评分，翻看答案模式下为 null。
+ * @param {number} revealMs - 回想用时。
+ * @param {number} slowRecallMs - 阈值（毫秒）。
+ * @returns {number | null}
+ */
+export function suggestRatingForLatency(suggestedRating, revealMs, slowRecallMs) {
+  if (!isSlowRecall(revealMs, slowRecallMs)) return suggestedRating;
+  if (suggestedRating === null || suggestedRating >= RATING.GOOD) return RATING.HARD;
+  return suggestedRating;
+}
+
+/**
+ * 是否“答对但偏慢”：评为“记得/简单”，但回想用时超过阈值。
+ * @param {number} rating - 评分。
+ * @param {number} revealMs - 回想用时。
+ * @param {number} slowRecallMs - 阈值（毫秒）。
+ * @returns {boolean}
+ */
+export function isCorrectButSlow(rating, revealMs, slowRecallMs) {
+  return rating >= RATING.GOOD && isSlowRecall(revealMs, slowRecallMs);
+}
+
+/**
+ * 按词库统计平均回想用时。
+ * @param {Array<object>} reviewLogs - 复习记录（含 `arabic`、`defId`、`revealMs`）。
+ * @param {Array<import('./Word.js').Word>} words - 单词，用于查找释义所属的词库。
+ * @returns {Array<{deck: string, averageMs: number, count: number}>} 按词库名排序；没有带用时记录的词库不列出。
+ */
+export function averageLatencyByDeck(reviewLogs, words) {
+  const decksByCard = new Map();
+  for (const word of words) {
+    word.definitions?.forEach((definition, index) => {
+      decksByCard.set(`${word.arabic}\u0000${senseKeyOf(definition, index)}`, definition.sourceDeck);
+    });
+  }
+
+  const totals = new Map();
+  for (const log of reviewLogs) {
+    if (!Number.isFinite(log.revealMs)) continue;
+    const deck = decksByCard.get(`${log.arabic}\u0000${log.defId}`);
+    if (!deck) continue;
+    const total = totals.get(deck) || { sum: 0, count: 0 };
+    total.sum += log.revealMs;
+    total.count++;
+    totals.set(deck, total);
+  }
+  return [...totals.entries()]
+    .map(([deck, { sum, count }]) => ({ deck, averageMs: Math.round(sum / count), count }))
+    .sort((a, b) => a.deck.localeCompare(b.deck));
+}
+
+/**
+ * 找出“答对但偏慢”的单词：按每个单词最近一次带用时的复习判断。
+ * @param {Array<object>} reviewLogs - 复习记录（含 `arabic`、`timestamp`、`rating`、`revealMs`）。
+ * @param {number} slowRecallMs - 阈值（毫秒）。
+ * @returns {Array<{arabic: string, revealMs: number, timestamp: number}>} 按回想用时从长到短排列。
+ */
+export function findCorrectButSlowWords(reviewLogs, slowRecallMs) {
+  const latest = new Map();
+  for (const log of reviewLogs) {
+    if (!Number.isFinite(log.revealMs)) continue;
+    const current = latest.get(log.arabic);
+    if (!current || log.timestamp > current.timestamp) latest.set(log.arabic, log);
+  }
+  return [...latest.values()]
+    .filter(log => isCorrectButSlow(log.rating, log.revealMs, slowRecallMs))
+    .map(({ arabic, revealMs, timestamp }) => ({ arabic, revealMs, timestamp }))
+    .sort((a, b) => b.revealMs - a.revealMs);
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 选择题模式：为被测验的卡片生成 4–6 个选项，并挑选“像正确答案”的干扰项。
+ *
+ * 干扰项优先取自同一集合（`sourceDeck` 中 `//` 之前的部分），不够时再从其他集合补足。
+ * 在候选中按与正确答案的相似度排序（加一点随机扰动，避免每次都是同样几个）：
+ * - 中文→阿语（选项是阿语）：字母组成相近（常共享词根字母）、长度相近、词首/词尾形式相同（如 م… 或 …ة）；
+ * - 阿语→中文（选项是中文释义）：共有的汉字（包括括号中的词性说明）、长度相近。
+ * 选对评为“记得”，选错评为“忘记”。
+ */
+
+import { RATING } from './FSRS.js';
+import { DIRECTION } from './SenseProgress.js';
+import { normalizeArabic, ANSWER_STRICTNESS } from './AnswerChecker.js';
+
+/** 选项个数的范围和默认值。 */
+export const CHOICE_COUNT_RANGE = { min: 4, max: 6 };
+export const DEFAULT_CHOICE_COUNT = 4;
+
+/** 排序时加入的随机扰动幅度（相似度为 0–1）。 */
+const SCORE_JITTER = 0.15;
+
+/**
+ * 把选项个数规整到允许的范围内。
+ * @param {*} count - 设置值。
+ * @returns {number}
+ */
+export function normalizeChoiceCount(count) {
+  const value = parseInt(count, 10);
+  if (!Number.isFinite(value)) return DEFAULT_CHOICE_COUNT;
+  return Math.min(CHOICE_COUNT_RANGE.max, Math.max(CHOICE_COUNT_RANGE.min, value));
+}
+
+/**
+ * 选择结果对应的 FSRS 评分。
+ * @param {boolean} correct - 是否选对。
+ * @returns {number}
+ */
+export function ratingForChoice(correct) {
+  return correct ? RATING.GOOD : RATING.AGAIN;
+}
+
+/** @private */
+function collectionOf(definition) {
+  return (definition?.sourceDeck || '').split('//')[0];
+}
+
+/** 两个集合的 Jaccard 系数。 @private */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/** 长度接近程度：相同为 1，相差越大越接近 0。 @private */
+function lengthCloseness(a, b) {
+  return 1 - Math.abs(a.length - b.length) / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * 两个阿语单词的相似度（0–1）。
+ * @private
+ */
+function arabicSimilarity(a, b) {
+  const x = normalizeArabic(a, ANSWER_STRICTNESS.LENIENT).replace(/\s/g, '');
+  const y = normalizeArabic(b, ANSWER_STRICTNESS.LENIENT).replace(/\s/g, '');
+  return 0.5 * jaccard(new Set(x), new Set(y))
+    + 0.3 * lengthCloseness(x, y)
+    + 0.1 * (x[0] === y[0] ? 1 : 0)
+    + 0.1 * (x[x.length - 1] === y[y.length - 1] ? 1 : 0);
+}
+
+/**
+ * 两个中文释义的相似度（0–1）。
+ * @private
+ */
+function chineseSimilarity(a, b) {
+  const x = a.replace(/\s/g, '');
+  const y = b.replace(/\s/g, '');
+  return 0.6 * jaccard(new Set(x), new Set(y)) + 0.4 * lengthCloseness(x, y);
+}
+
+/**
+ * 为一张卡片挑选干扰项。
+ * @param {import('./Word.js').Word} word - 被测验的单词。
+ * @param {object} definition - 被测验的释义。
+ * @param {string} direction - DIRECTION 中的值：ZH_AR 时选项是阿语，AR_ZH 时选项是中文释义。
+ * @param {Array<import('./Word.js').Word>} vocabulary - 全部已加载的单词。
+ * @param {object} [options={}]
+ * @param {number} [options.count=DEFAULT_CHOICE_COUNT - 1] - 需要的干扰项个数。
+ * @param {Function} [options.random=Math.random] - 返回 [0, 1) 的随机数函数。
+ * @returns {Array<string>} 干扰项文本，可能少于 count（词库太小时）。
+ */
+export function pickDistractors(word, definition, direction, vocabulary, {
+  count = DEFAULT_CHOICE_COUNT - 1,
+  random = Math.random,
+} = {}) {
+  const showsArabic = direction === DIRECTION.ZH_AR;
+  const answer = showsArabic ? word.arabic : definition.chinese;
+  const keyOf = text => (showsArabic ? normalizeArabic(text, ANSWER_STRICTNESS.LENIENT) : text.trim());
+  const similarity = showsArabic ? arabicSimilarity : chineseSimilarity;
+  const collection = collectionOf(definition);
+
+  // 每个候选文本只保留一次，记录是否来自同一集合。
+  const candidates = new Map();
+  for (const other of vocabulary) {
+    if (!other || other.arabic === word.arabic || !Array.isArray(other.definitions)) continue;
+    const texts = showsArabic
+      ? [{ text: other.arabic, sameCollection: other.definitions.some(d => collectionOf(d) === collection) }]
+      : other.definitions.map(d => ({ text: d.chinese, sameCollection: collectionOf(d) === collection }));
+    for (const { text, sameCollection } of texts) {
+      if (!text) continue;
+      const key = keyOf(text);
+      // 与正确答案（或本词其他释义）写法相同的不能作为干扰项。
+      if (key === keyOf(answer) || (!showsArabic && word.definitions.some(d => keyOf(d.chinese || '') === key))) continue;
+      const existing = candidates.get(key);
+      if (!existing || (sameCollection && !existing.sameCollection)) {
+        candidates.set(key, { text, sameCollection });
+      }
+    }
+  }
+
+  const ranked = [...candidates.values()]
+    .map(candidate => ({ ...candidate, score: similarity(answer, candidate.text) + random() * SCORE_JITTER }))
+    .sort((a, b) => (b.sameCollection - a.sameCollection) || (b.score - a.score));
+  return ranked.slice(0, count).map(candidate => candidate.text);
+}
+
+/**
+ * 生成一道选择题：正确答案和干扰项随机排列。
+ * @param {import('./Word.js').Word} word - 被测验的单词。
+ * @param {number} definitionIndex - 被测验的释义下标。
+ * @param {string} direction - DIRECTION 中的值。
+ * @param {Array<import('./Word.js').Word>} vocabulary - 全部已加载的单词。
+ * @param {object} [options={}]
+ * @param {number} [options.optionCount=DEFAULT_CHOICE_COUNT] - 选项个数（含正确答案）。
+ * @param {Function} [options.random=Math.random] - 返回 [0, 1) 的随机数函数。
+ * @returns {{options: Array<{text: string, correct: boolean}>, correctIndex: number}}
+ */
+export function buildChoiceOptions(word, definitionIndex, direction, vocabulary, {
+  optionCount = DEFAULT_CHOICE_COUNT,
+  random = Math.random,
+} = {}) {
+  const definition = word.definitions[definitionIndex] || word.definitions[0];
+  const answer = direction === DIRECTION.ZH_AR ? word.arabic : definition.chinese;
+  const distractors = pickDistractors(word, definition, direction, vocabulary, {
+    count: normalizeChoiceCount(optionCount) - 1,
+    random,
+  });
+
+  const options = [{ text: answer, correct: true }, ...distractors.map(text => ({ text, correct: false }))];
+  for (let i = options.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [options[i], options[j]] = [options[j], options[i]];
+  }
+  return { options, correctIndex: options.findIndex(option => option.correct) };
+}
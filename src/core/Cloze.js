@@ -0,0 +1,185 @@
+/**
+ * @fileoverview 填空卡片：从释义的 `explanation` 中解析阿语例句，把目标单词（及其变化形式）挖空。
+ *
+ * 词库中的例句写作“阿语句子 (中文翻译)”，例如 `مَنْ هُوَ؟ (他是谁？)`；末尾可能带有 `[2级词汇]` 之类的标签。
+ * 目标单词取自 `word.arabic`，其中 `ج` 之后的复数形式也算作单词的形式。句子中的词按以下规则与单词比较
+ * （比较前按宽松程度规整，忽略标音符号和 alef/hamza、ة/ه 的写法差异）：
+ * - 可以带连词 و/ف、介词 ب/ك/ل 和冠词 ال 前缀；三个字母以上的单词还可以带现在式动词前缀 ي/ت/ن/ا；
+ * - 可以带代词、双数、复数和动词人称后缀，词尾的 ة 在后缀前写作 ت；
+ * - 两个字母以内的短词必须完全相同，避免误挖。
+ * 没有可解析例句、或例句中找不到单词的释义不生成填空卡片。
+ */
+
+import { normalizeArabic, ANSWER_STRICTNESS } from './AnswerChecker.js';
+
+/** 例句：阿语部分后跟括号中的中文翻译。 */
+const SENTENCE_PATTERN = /([^()（）]+?)\s*[(（]([^()（）]*[\u4E00-\u9FFF][^()（）]*)[)）]/g;
+/** 释义末尾的词汇等级等标签。 */
+const TAG_PATTERN = /\[[^\]]*\]/g;
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+/** 例句之前可能出现的中文说明：汉字、中文标点和冒号。 */
+const LEAD_IN_SEPARATOR = /[\u4E00-\u9FFF\u3000-\u303F\uFF01-\uFF1F:]/;
+/** 词首和词尾的标点（包括阿语的 ، ؛ ؟）。 */
+const EDGE_PUNCTUATION = /^([\p{P}\p{S}]*)(.*?)([\p{P}\p{S}]*)$/u;
+
+/** 允许的后缀（规整后的写法）。 */
+const SUFFIXES = new Set([
+  '', 'ا', 'ي', 'ني', 'ك', 'ه', 'ها', 'نا', 'كم', 'كما', 'كن', 'هم', 'هما', 'هن',
+  'ان', 'ين', 'ون', 'ات', 'وا', 'ت', 'تم', 'تن', 'ته', 'تها',
+]);
+const CONJUNCTIONS = ['', 'و', 'ف'];
+const PREPOSITIONS = ['', 'ب', 'ك', 'ل'];
+const IMPERFECT_PREFIXES = ['ي', 'ت', 'ن', 'ا'];
+/** 不超过这个长度的单词只按完全相同匹配。 */
+const SHORT_WORD_LENGTH = 2;
+
+/** @private */
+function normalize(text) {
+  return normalizeArabic(text, ANSWER_STRICTNESS.LENIENT).replace(/\s/g, '');
+}
+
+/**
+ * 从释义的 explanation 中解析所有例句。
+ * @param {string} explanation - 释义的解释文本。
+ * @returns {Array<{arabic: string, chinese: string}>} 按出现顺序排列；没有时为空数组。
+ */
+export function parseExampleSentences(explanation) {
+  const text = (explanation || '').replace(TAG_PATTERN, '');
+  const sentences = [];
+  for (const match of text.matchAll(SENTENCE_PATTERN)) {
+    // 只保留最后一段中文（如“🌍 例句:”之类的引导语）之后的阿语，并去掉上一句括号之后残留的标点。
+    const arabic = match[1].split(LEAD_IN_SEPARATOR).pop().replace(/^[\s\p{P}\p{S}]+/u, '').trim();
+    const chinese = match[2].trim();
+    if (ARABIC_LETTER.test(arabic)) sentences.push({ arabic, chinese });
+  }
+  return sentences;
+}
+
+/**
+ * 单词的各个形式（原形和 `ج` 之后的复数），每个形式是规整后的词序列。
+ * @param {string} arabic - `word.arabic`。
+ * @returns {Array<Array<string>>}
+ */
+export function wordForms(arabic) {
+  return (arabic || '')
+    .split(/\s+ج\s+|[،,/]/)
+    .map(form => form.trim().split(/\s+/).map(normalize).filter(Boolean))
+    .filter(tokens => tokens.length > 0);
+}
+
+/**
+ * 去掉词首前缀后的所有可能词干。
+ * @private
+ */
+function stripPrefixes(token, allowImperfect) {
+  const stems = new Set([token]);
+  for (const conjunction of CONJUNCTIONS) {
+    if (!token.startsWith(conjunction)) continue;
+    const afterConjunction = token.slice(conjunction.length);
+    for (const preposition of PREPOSITIONS) {
+      if (!afterConjunction.startsWith(preposition)) continue;
+      const rest = afterConjunction.slice(preposition.length);
+      stems.add(rest);
+      if (rest.startsWith('ال')) stems.add(rest.slice(2));
+      // ل + ال 写作 لل。
+      if (preposition === 'ل' && rest.startsWith('ل')) stems.add(rest.slice(1));
+      if (allowImperfect && IMPERFECT_PREFIXES.includes(rest[0])) stems.add(rest.slice(1));
+    }
+  }
+  return stems;
+}
+
+/**
+ * 句子中的一个词（规整后）是否是单词形式中某个词的变化形式。
+ * @param {string} token - 句子中的词。
+ * @param {string} form - 单词形式中的词。
+ * @returns {boolean}
+ */
+export function isInflectionOf(token, form) {
+  if (!token || !form) return false;
+  if (token === form) return true;
+  const base = form.startsWith('ال') && form.length > 3 ? form.slice(2) : form;
+  if (base.length <= SHORT_WORD_LENGTH) return false;
+
+  const bases = [base];
+  if (base.endsWith('ه')) bases.push(`${base.slice(0, -1)}ت`, base.slice(0, -1));
+  for (const stem of stripPrefixes(token, base.length >= 3)) {
+    if (stem.length < SHORT_WORD_LENGTH) continue;
+    for (const candidate of bases) {
+      if (stem.startsWith(candidate) && SUFFIXES.has(stem.slice(candidate.length))) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 把句子拆成词，词首尾的标点单独保留。
+ * @private
+ */
+function tokenize(sentence) {
+  return sentence.split(/(\s+)/).filter(Boolean).map((text) => {
+    if (/^\s+$/.test(text)) return { text, space: true };
+    const [, lead, core, trail] = text.match(EDGE_PUNCTUATION);
+    return { text, lead, core, trail, key: normalize(core) };
+  });
+}
+
+/**
+ * 在句子中找出单词出现的位置（词下标的区间）。
+ * @private
+ */
+function findMatches(tokens, forms) {
+  const words = tokens.map((token, index) => ({ token, index })).filter(({ token }) => !token.space && token.key);
+  const ranges = [];
+  for (let i = 0; i < words.length; i++) {
+    const form = forms.find(parts => parts.every((part, j) => isInflectionOf(words[i + j]?.token.key, part)));
+    if (!form) continue;
+    ranges.push([words[i].index, words[i + form.length - 1].index]);
+    i += form.length - 1;
+  }
+  return ranges;
+}
+
+/**
+ * 为单词的一个释义生成填空题。
+ * @param {import('./Word.js').Word} word - 单词。
+ * @param {number} [definitionIndex=0] - 释义下标。
+ * @returns {{parts: Array<{text: string, blank: boolean}>, answer: string, hint: string, sentence: string} | null}
+ *   parts 为按顺序排列的句子片段（blank 为挖空的部分）；answer 为挖掉的词，多处时以空格连接；
+ *   hint 为中文翻译。没有可用的例句时为 null。
+ */
+export function buildCloze(word, definitionIndex = 0) {
+  const definition = word?.definitions?.[definitionIndex];
+  if (!definition) return null;
+  const forms = wordForms(word.arabic);
+  if (forms.length === 0) return null;
+
+  for (const sentence of parseExampleSentences(definition.explanation)) {
+    const tokens = tokenize(sentence.arabic);
+    const ranges = findMatches(tokens, forms);
+    if (ranges.length === 0) continue;
+
+    const parts = [];
+    const answers = [];
+    const pushText = (text) => {
+      if (!text) return;
+      const last = parts[parts.length - 1];
+      if (last && !last.blank) last.text += text;
+      else parts.push({ text, blank: false });
+    };
+    let next = 0;
+    for (const [start, end] of ranges) {
+      tokens.slice(next, start).forEach(token => pushText(token.text));
+      const blank = tokens.slice(start, end + 1);
+      const answer = blank.map(token => (token.space ? ' ' : token.core)).join('');
+      pushText(blank[0].lead);
+      parts.push({ text: answer, blank: true });
+      pushText(blank[blank.length - 1].trail);
+      answers.push(answer);
+      next = end + 1;
+    }
+    tokens.slice(next).forEach(token => pushText(token.text));
+    return { parts, answer: answers.join(' '), hint: sentence.chinese, sentence: sentence.arabic };
+  }
+  return null;
+}
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview 自定义学习：按条件从全部单词中筛选出一批单词来学习，例如
+ * “第一册中难度大于 7、本月学会的单词”或“上周最后一次评为模糊的单词”。
+ *
+ * 筛选条件（filter），未设置的条件不参与筛选，所有条件同时满足才入选：
+ * - decks：集合名或完整的词库名（`集合//词库`），满足其一即可；
+ * - stages：阶段（0–4，见 FSRS._calculateStage）；
+ * - difficulty / stability / lapses：`{ min, max }` 范围（含边界），稳定性以天为单位；
+ * - firstLearnedFrom / firstLearnedTo：首次学会的日期范围（`YYYY-MM-DD`，按本地时间，含边界）；
+ * - lastRatings / lastRatedWithinDays：最近一次评分是其中之一，且（如果设置了天数）发生在最近 N 天内；
+ * - tags：单词的标记（CUSTOM_STUDY_TAG），满足其一即可；
+ * - limit：最多取多少个单词。
+ * 单词级的难度、稳定性等取自应当测验的卡片（见 SenseProgress.js），与其他统计一致。
+ */
+
+import { RATING } from './FSRS.js';
+
+/** 可以筛选的单词标记。 */
+export const CUSTOM_STUDY_TAG = {
+  LEECH: 'leech',
+  SUSPENDED: 'suspended',
+  BURIED: 'buried',
+  MISTAKE: 'mistake',
+};
+
+/** 自定义学习会话使用的词库名。 */
+export const CUSTOM_STUDY_DECK = 'custom-study';
+
+/** 默认最多取的单词数。 */
+export const DEFAULT_CUSTOM_STUDY_LIMIT = 100;
+
+/** @private */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/** @private */
+function normalizeRange(range) {
+  return { min: toNumber(range?.min), max: toNumber(range?.max) };
+}
+
+/** @private */
+function normalizeDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+/**
+ * 把筛选条件规整为合法值（可能来自表单或保存的预设）。
+ * @param {object} [filter={}]
+ * @returns {object}
+ */
+export function normalizeCustomStudyFilter(filter = {}) {
+  const validRatings = Object.values(RATING);
+  const validTags = Object.values(CUSTOM_STUDY_TAG);
+  const list = value => (Array.isArray(value) ? value : []);
+  const limit = parseInt(filter.limit, 10);
+  const withinDays = toNumber(filter.lastRatedWithinDays);
+  return {
+    decks: [...new Set(list(filter.decks).filter(deck => typeof deck === 'string' && deck))],
+    stages: [...new Set(list(filter.stages).map(Number).filter(stage => stage >= 0 && stage <= 4))],
+    difficulty: normalizeRange(filter.difficulty),
+    stability: normalizeRange(filter.stability),
+    lapses: normalizeRange(filter.lapses),
+    firstLearnedFrom: normalizeDate(filter.firstLearnedFrom),
+    firstLearnedTo: normalizeDate(filter.firstLearnedTo),
+    lastRatings: [...new Set(list(filter.lastRatings).map(Number).filter(rating => validRatings.includes(rating)))],
+    lastRatedWithinDays: withinDays !== null && withinDays > 0 ? withinDays : null,
+    tags: [...new Set(list(filter.tags).filter(tag => validTags.includes(tag)))],
+    limit: Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_CUSTOM_STUDY_LIMIT,
+  };
+}
+
+/**
+ * 每个单词最近一次的评分。
+ * @param {Array<{arabic: string, rating: number, timestamp: number}>} reviewLogs - 复习记录。
+ * @returns {Map<string, {rating: number, timestamp: number}>}
+ */
+export function getLastRatings(reviewLogs) {
+  const lastRatings = new Map();
+  for (const { arabic, rating, timestamp } of reviewLogs) {
+    const current = lastRatings.get(arabic);
+    if (!current || timestamp > current.timestamp) lastRatings.set(arabic, { rating, timestamp });
+  }
+  return lastRatings;
+}
+
+/** @private */
+function inRange(value, { min, max }) {
+  if (min === null && max === null) return true;
+  if (!Number.isFinite(value)) return false;
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/** 本地日期 `YYYY-MM-DD` 当天开始的时间戳。 @private */
+function startOfLocalDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+/** @private */
+function hasTag(word, tag, { mistakeWords, currentTime }) {
+  const progress = word.progress;
+  if (tag === CUSTOM_STUDY_TAG.LEECH) return Boolean(progress?.leech);
+  if (tag === CUSTOM_STUDY_TAG.SUSPENDED) return Boolean(progress?.suspended);
+  if (tag === CUSTOM_STUDY_TAG.BURIED) return Boolean(progress?.buriedUntil && progress.buriedUntil > currentTime);
+  if (tag === CUSTOM_STUDY_TAG.MISTAKE) return mistakeWords.has(word.arabic);
+  return false;
+}
+
+/**
+ * 单词是否满足筛选条件。
+ * @param {import('./Word.js').Word} word - 带进度的单词。
+ * @param {object} filter - 规整后的筛选条件。
+ * @param {object} [context={}]
+ * @param {Map<string, {rating: number, timestamp: number}>} [context.lastRatings] - 见 getLastRatings。
+ * @param {Set<string>} [context.mistakeWords] - 错题本中的单词。
+ * @param {number} [context.currentTime=Date.now()]
+ * @returns {boolean}
+ */
+export function matchesCustomStudyFilter(word, filter, { lastRatings = new Map(), mistakeWords = new Set(), currentTime = Date.now() } = {}) {
+  const progress = word.progress;
+
+  if (filter.decks.length > 0) {
+    const inDeck = word.definitions?.some(def => filter.decks.some(deck => def.sourceDeck === deck || def.sourceDeck?.startsWith(`${deck}//`)));
+    if (!inDeck) return false;
+  }
+  if (filter.stages.length > 0 && !filter.stages.includes(progress?.stage || 0)) return false;
+  if (!inRange(progress?.difficulty, filter.difficulty)) return false;
+  if (!inRange(progress?.stability, filter.stability)) return false;
+  if (!inRange(progress?.lapses || 0, filter.lapses)) return false;
+
+  if (filter.firstLearnedFrom || filter.firstLearnedTo) {
+    const learnedAt = progress?.firstLearnedDate ? new Date(progress.firstLearnedDate).getTime() : NaN;
+    if (!Number.isFinite(learnedAt)) return false;
+    if (filter.firstLearnedFrom && learnedAt < startOfLocalDate(filter.firstLearnedFrom)) return false;
+    if (filter.firstLearnedTo && learnedAt >= startOfLocalDate(filter.firstLearnedTo) + 24 * 60 * 60 * 1000) return false;
+  }
+
+  if (filter.lastRatings.length > 0 || filter.lastRatedWithinDays !== null) {
+    const last = lastRatings.get(word.arabic);
+    if (!last) return false;
+    if (filter.lastRatings.length > 0 && !filter.lastRatings.includes(last.rating)) return false;
+    if (filter.lastRatedWithinDays !== null && last.timestamp < currentTime - filter.lastRatedWithinDays * 24 * 60 * 60 * 1000) return false;
+  }
+
+  if (filter.tags.length > 0 && !filter.tags.some(tag => hasTag(word, tag, { mistakeWords, currentTime }))) return false;
+  return true;
+}
+
+/**
+ * 筛选单词。
+ * @param {Array<import('./Word.js').Word>} words - 带进度的单词。
+ * @param {object} filter - 筛选条件（会先规整）。
+ * @param {object} [context={}] - 见 matchesCustomStudyFilter。
+ * @returns {{words: Array<import('./Word.js').Word>, total: number}} words 最多 limit 个，按原来的顺序；total 为满足条件的总数。
+ */
+export function filterWordsForCustomStudy(words, filter, context = {}) {
+  const normalized = normalizeCustomStudyFilter(filter);
+  const matched = words.filter(word => matchesCustomStudyFilter(word, normalized, context));
+  return { words: matched.slice(0, normalized.limit), total: matched.length };
+}
+
+const STAGE_LABELS = ['未学/学习中', '短期', '中期', '长期', '已掌握'];
+const RATING_LABELS = { [RATING.AGAIN]: '忘记', [RATING.HARD]: '模糊', [RATING.GOOD]: '记得', [RATING.EASY]: '简单' };
+const TAG_LABELS = {
+  [CUSTOM_STUDY_TAG.LEECH]: '难词',
+  [CUSTOM_STUDY_TAG.SUSPENDED]: '已暂停',
+  [CUSTOM_STUDY_TAG.BURIED]: '已搁置',
+  [CUSTOM_STUDY_TAG.MISTAKE]: '错题本',
+};
+
+/** @private */
+function describeRange(label, { min, max }, unit = '') {
+  if (min !== null && max !== null) return `${label} ${min}–${max}${unit}`;
+  if (min !== null) return `${label} ≥ ${min}${unit}`;
+  if (max !== null) return `${label} ≤ ${max}${unit}`;
+  return null;
+}
+
+/**
+ * 筛选条件的简短说明，显示在预设列表中。
+ * @param {object} filter
+ * @returns {string} 没有任何条件时为“全部单词”。
+ */
+export function describeCustomStudyFilter(filter) {
+  const f = normalizeCustomStudyFilter(filter);
+  const parts = [
+    f.decks.length > 0 ? f.decks.map(deck => deck.split('//').pop()).join('、') : null,
+    f.stages.length > 0 ? f.stages.map(stage => STAGE_LABELS[stage]).join('/') : null,
+    describeRange('难度', f.difficulty),
+    describeRange('稳定性', f.stability, ' 天'),
+    describeRange('遗忘', f.lapses, ' 次'),
+    f.firstLearnedFrom || f.firstLearnedTo ? `学会于 ${f.firstLearnedFrom || '…'} 至 ${f.firstLearnedTo || '…'}` : null,
+    f.lastRatings.length > 0 || f.lastRatedWithinDays !== null
+      ? `${f.lastRatedWithinDays !== null ? `近 ${f.lastRatedWithinDays} 天` : ''}最后评为${f.lastRatings.length > 0 ? f.lastRatings.map(r => RATING_LABELS[r]).join('/') : '任意'}`
+      : null,
+    f.tags.length > 0 ? f.tags.map(tag => TAG_LABELS[tag]).join('/') : null,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join('，') : '全部单词';
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview 随机测试：从选定范围中随机抽题、限时作答，结束后评分。测试不读写 FSRS 进度。
+ *
+ * 题型（EXAM_QUESTION_TYPE）：
+ * - MEANING：看阿语，选中文释义；
+ * - ARABIC：看中文，选阿语；
+ * - TYPED：看中文，写出阿语；
+ * - CLOZE：例句填空，只有能生成填空题的释义才会出这种题（见 Cloze.js）。
+ * 每个单词最多出一道题：随机选一个释义，再从允许的题型中随机选一个这个释义能出的题型。
+ * 选择题的选项与选择题模式相同（见 ChoiceQuiz.js），输入题按设置的严格程度检查（见 AnswerChecker.js）。
+ */
+
+import { DIRECTION } from './SenseProgress.js';
+import { buildChoiceOptions, DEFAULT_CHOICE_COUNT } from './ChoiceQuiz.js';
+import { buildCloze } from './Cloze.js';
+import { checkAnswer, DEFAULT_ANSWER_STRICTNESS } from './AnswerChecker.js';
+import { shuffleArray } from '../common/utils.js';
+
+/** 测试题型。 */
+export const EXAM_QUESTION_TYPE = {
+  MEANING: 'meaning',
+  ARABIC: 'arabic',
+  TYPED: 'typed',
+  CLOZE: 'cloze',
+};
+
+/** 测试设置的默认值：题数、题型和时间限制（分钟，0 为不限时）。 */
+export const DEFAULT_EXAM_SETTINGS = {
+  questionCount: 20,
+  types: [EXAM_QUESTION_TYPE.MEANING, EXAM_QUESTION_TYPE.ARABIC],
+  timeLimitMinutes: 10,
+};
+
+/** 最多保存的测试记录数。 */
+export const MAX_EXAM_HISTORY = 100;
+
+/**
+ * 把测试设置规整为合法值。
+ * @param {object} [settings={}] - 设置（可能来自存储或表单）。
+ * @returns {{questionCount: number, types: Array<string>, timeLimitMinutes: number}}
+ */
+export function normalizeExamSettings(settings = {}) {
+  const count = parseInt(settings.questionCount, 10);
+  const minutes = parseFloat(settings.timeLimitMinutes);
+  const validTypes = Object.values(EXAM_QUESTION_TYPE);
+  const types = (Array.isArray(settings.types) ? settings.types : []).filter(type => validTypes.includes(type));
+  return {
+    questionCount: Number.isFinite(count) && count > 0 ? count : DEFAULT_EXAM_SETTINGS.questionCount,
+    types: types.length > 0 ? [...new Set(types)] : [...DEFAULT_EXAM_SETTINGS.types],
+    timeLimitMinutes: Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_EXAM_SETTINGS.timeLimitMinutes,
+  };
+}
+
+/**
+ * 为一个释义生成指定题型的题目。
+ * @returns {object | null} 这个释义出不了这种题时为 null。
+ * @private
+ */
+function buildQuestion(word, definitionIndex, type, vocabulary, { optionCount, random }) {
+  const definition = word.definitions[definitionIndex];
+  const base = { type, arabic: word.arabic, definitionIndex };
+
+  if (type === EXAM_QUESTION_TYPE.MEANING || type === EXAM_QUESTION_TYPE.ARABIC) {
+    const showsArabic = type === EXAM_QUESTION_TYPE.MEANING;
+    const { options, correctIndex } = buildChoiceOptions(
+      word, definitionIndex, showsArabic ? DIRECTION.AR_ZH : DIRECTION.ZH_AR, vocabulary, { optionCount, random },
+    );
+    if (options.length < 2) return null;
+    return {
+      ...base,
+      prompt: showsArabic ? word.arabic : definition.chinese,
+      options: options.map(option => option.text),
+      correctIndex,
+      answer: options[correctIndex].text,
+    };
+  }
+  if (type === EXAM_QUESTION_TYPE.TYPED) {
+    return { ...base, prompt: definition.chinese, answer: word.arabic };
+  }
+  if (type === EXAM_QUESTION_TYPE.CLOZE) {
+    const cloze = buildCloze(word, definitionIndex);
+    if (!cloze) return null;
+    return { ...base, prompt: cloze.parts, hint: cloze.hint, answer: cloze.answer };
+  }
+  return null;
+}
+
+/**
+ * 生成一套测试题。
+ * @param {Array<import('./Word.js').Word>} words - 测试范围内的单词。
+ * @param {object} [options={}]
+ * @param {number} [options.questionCount] - 题数；范围内的单词不够时出的题更少。
+ * @param {Array<string>} [options.types] - 允许的题型（EXAM_QUESTION_TYPE 中的值）。
+ * @param {Array<import('./Word.js').Word>} [options.vocabulary=words] - 选择题干扰项的来源。
+ * @param {number} [options.optionCount=DEFAULT_CHOICE_COUNT] - 选择题的选项个数。
+ * @param {Function} [options.random=Math.random] - 返回 [0, 1) 的随机数函数。
+ * @returns {Array<object>} 题目，含 `type`、`arabic`（单词）、`definitionIndex`、`prompt`、`answer`，
+ *   选择题另有 `options` 和 `correctIndex`，填空题的 `prompt` 为句子片段并另有 `hint`。
+ */
+export function buildExamQuestions(words, {
+  questionCount = DEFAULT_EXAM_SETTINGS.questionCount,
+  types = DEFAULT_EXAM_SETTINGS.types,
+  vocabulary = words,
+  optionCount = DEFAULT_CHOICE_COUNT,
+  random = Math.random,
+} = {}) {
+  const pool = shuffleArray(words.filter(word => word?.definitions?.length > 0), random);
+  const questions = [];
+  for (const word of pool) {
+    if (questions.length >= questionCount) break;
+    const definitionIndex = Math.floor(random() * word.definitions.length);
+    for (const type of shuffleArray([...types], random)) {
+      const question = buildQuestion(word, definitionIndex, type, vocabulary, { optionCount, random });
+      if (question) {
+        questions.push(question);
+        break;
+      }
+    }
+  }
+  return questions;
+}
+
+/**
+ * 判断一道题的作答是否正确。
+ * @param {object} question - buildExamQuestions 生成的题目。
+ * @param {number | string | null | undefined} response - 选择题为选项下标，输入题为输入的文本；未作答为 null/undefined。
+ * @param {string} [strictness=DEFAULT_ANSWER_STRICTNESS] - 输入题的检查严格程度。
+ * @returns {boolean}
+ */
+export function isExamAnswerCorrect(question, response, strictness = DEFAULT_ANSWER_STRICTNESS) {
+  if (response === null || response === undefined) return false;
+  if (question.options) return response === question.correctIndex;
+  return checkAnswer(question.answer, String(response), strictness).correct;
+}
+
+/**
+ * 汇总测试结果。
+ * @param {Array<object>} questions - 题目。
+ * @param {Array<{response: *, correct: boolean, timeMs: number} | undefined>} results - 与题目一一对应的作答，
+ *   没有作答（例如时间到）的题目为 undefined。
+ * @returns {{total: number, correct: number, answered: number, score: number, totalTimeMs: number,
+ *   averageTimeMs: number, wrong: Array<{question: object, response: *}>}}
+ *   score 为 0–100 的整数；averageTimeMs 只按已作答的题目计算；wrong 包括未作答的题目。
+ */
+export function summarizeExam(questions, results) {
+  let correct = 0;
+  let answered = 0;
+  let totalTimeMs = 0;
+  const wrong = [];
+  questions.forEach((question, index) => {
+    const result = results[index];
+    if (result) {
+      answered++;
+      totalTimeMs += result.timeMs || 0;
+    }
+    if (result?.correct) {
+      correct++;
+    } else {
+      wrong.push({ question, response: result ? result.response : null });
+    }
+  });
+  return {
+    total: questions.length,
+    correct,
+    answered,
+    score: questions.length > 0 ? Math.round((correct / questions.length) * 100) : 0,
+    totalTimeMs,
+    averageTimeMs: answered > 0 ? Math.round(totalTimeMs / answered) : 0,
+    wrong,
+  };
+}
+
+/**
+ * 生成一条用于保存的测试记录。
+ * @param {object} summary - summarizeExam 的结果。
+ * @param {object} details
+ * @param {string} details.scopeName - 测试范围的名称。
+ * @param {Array<string>} details.types - 题型。
+ * @param {number} details.timeLimitMinutes - 时间限制（分钟，0 为不限时）。
+ * @param {number} details.startedAt - 开始时间戳。
+ * @param {number} details.finishedAt - 结束时间戳。
+ * @param {boolean} [details.timedOut=false] - 是否因时间到而结束。
+ * @returns {object}
+ */
+export function createExamRecord(summary, { scopeName, types, timeLimitMinutes, startedAt, finishedAt, timedOut = false }) {
+  return {
+    id: `exam_${startedAt}`,
+    scopeName,
+    types: [...types],
+    timeLimitMinutes,
+    startedAt,
+    durationMs: Math.max(0, finishedAt - startedAt),
+    timedOut,
+    total: summary.total,
+    correct: summary.correct,
+    score: summary.score,
+    averageTimeMs: summary.averageTimeMs,
+    wrongWords: [...new Set(summary.wrong.map(item => item.question.arabic))],
+  };
+}
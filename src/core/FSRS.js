@@ -4,69 +4,159 @@
  * 这个文件包含了用于计算下一次复习间隔、更新单词记忆状态（难度、稳定性）的纯数学逻辑。
  * 它被设计为无状态的，接收当前进度和用户评分，然后返回一个新的进度状态，
  * 完全遵循不可变性的原则。
+ *
+ * 公式遵循 FSRS-4.5：稳定性的更新取决于复习时的间隔天数和当时的可提取性 (R)。
+ *
+ * 新卡片和遗忘的卡片会先经过以分钟为单位的“学习/重学步骤”（如 1m、10m），
+ * 走完步骤后才“毕业”进入以天为单位的复习阶段。
+ *
+ * 以天为单位的间隔会加入少量随机模糊 (fuzz)，并可由 LoadBalancer 在模糊范围内
+ * 挑选复习量最少的一天，避免同一天学习的单词在将来同时到期。
  */
 
-import { Progress } from './Progress.js';
+import { Progress, CARD_STATE } from './Progress.js';
+
+// 重新导出 CARD_STATE 以便其他模块可以从这里一并导入。
+export { CARD_STATE };
 
 /**
- * 用户对卡片复习的评分。
+ * 用户对卡片复习的评分（FSRS 标准的四级评分）。
  */
 export const RATING = {
-  FORGOT: 1, // 用户不记得这个单词。
-  HARD: 2,   // 用户记得这个单词，但感觉很困难。
-  EASY: 3,   // 用户轻松地记住了这个单词。
+  AGAIN: 1, // 用户不记得这个单词。
+  HARD: 2,  // 用户记得这个单词，但感觉很困难。
+  GOOD: 3,  // 用户经过回忆后记住了这个单词。
+  EASY: 4,  // 用户不假思索地记住了这个单词。
 };
 
 /**
  * FSRS 算法的默认参数。
- * 这些权重是为语言学习而优化的。
+ * 这些权重是 FSRS-4.5 在大规模复习数据上训练得到的默认值。
  */
 export const FSRS_PARAMS = {
   w: [
-    0.5701, 1.4436, 4.1386, 10.9355, 5.1443, 1.2006, 0.8627, 0.0782, 
-    1.4202, 0.2116, 1.9889, 0.0029, 0.8719, 0.5249, 0.1278, 0.3561, 2.5016
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
   ],
+  requestRetention: 0.9, // 目标记忆保留率：到期时期望的回忆成功概率。
+  maximumInterval: 365,  // 最大复习间隔（天）。
+  learningSteps: [1, 10], // 新卡片的学习步骤（分钟）。为空时首次复习后直接毕业。
+  relearningSteps: [10],  // 遗忘后的重学步骤（分钟）。为空时遗忘的卡片 1 天后再复习。
+  enableFuzz: true,       // 是否为间隔加入随机模糊。
 };
 
+/** 目标保留率允许的取值范围。 */
+export const RETENTION_RANGE = { min: 0.8, max: 0.97 };
+
+/** 遗忘曲线的衰减指数。 */
+const DECAY = -0.5;
+/** 使得 R(S, S) = 0.9 的缩放因子。 */
+const FACTOR = Math.pow(0.9, 1 / DECAY) - 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 间隔模糊的分段比例（与 Anki 相同）：间隔越长，允许偏移的比例越小。
+ * 短于 2.5 天的间隔不做模糊。
+ */
+const FUZZ_RANGES = [
+  { start: 2.5, end: 7, factor: 0.15 },
+  { start: 7, end: 20, factor: 0.1 },
+  { start: 20, end: Infinity, factor: 0.05 },
+];
+
+/** 步骤文本中各单位对应的分钟数。 */
+const STEP_UNITS = { m: 1, h: 60, d: 1440 };
+
+/**
+ * 将用户输入的步骤文本（如 "1m 10m"、"30m, 1h"）解析为分钟数组。
+ * 没有单位的数字按分钟处理。
+ * @param {string} text - 以空格或逗号分隔的步骤。
+ * @returns {Array<number> | null} 分钟数组；格式不合法时返回 null。
+ */
+export function parseSteps(text) {
+  const tokens = String(text || '').trim().split(/[\s,，]+/).filter(Boolean);
+  const steps = [];
+  for (const token of tokens) {
+    const match = token.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i);
+    if (!match) return null;
+    const minutes = parseFloat(match[1]) * STEP_UNITS[(match[2] || 'm').toLowerCase()];
+    if (!(minutes > 0)) return null;
+    steps.push(minutes);
+  }
+  return steps;
+}
+
+/**
+ * 将分钟数组格式化为便于阅读的步骤文本，是 parseSteps 的逆操作。
+ * @param {Array<number>} steps - 分钟数组。
+ * @returns {string} 例如 "1m 10m 1d"。
+ */
+export function formatSteps(steps) {
+  return (steps || []).map(minutes => {
+    if (minutes % STEP_UNITS.d === 0) return `${minutes / STEP_UNITS.d}d`;
+    if (minutes % STEP_UNITS.h === 0) return `${minutes / STEP_UNITS.h}h`;
+    return `${minutes}m`;
+  }).join(' ');
+}
+
 /**
  * 实现 FSRS 算法的核心计算逻辑。
  */
 export class FSRS {
   /**
-   * @param {object} [params=FSRS_PARAMS] FSRS 算法的权重参数。
+   * @param {object} [params=FSRS_PARAMS] FSRS 算法的参数，缺省的字段使用默认值。
+   * @param {object} [options={}]
+   * @param {Function} [options.random=Math.random] - 返回 [0, 1) 的随机数函数，测试时可传入带种子的版本。
+   * @param {import('./LoadBalancer.js').LoadBalancer | null} [options.loadBalancer=null] - 提供后在模糊范围内挑选复习量最少的一天。
    */
-  constructor(params = FSRS_PARAMS) {
-    this.params = params;
+  constructor(params = FSRS_PARAMS, { random = Math.random, loadBalancer = null } = {}) {
+    this.params = { ...FSRS_PARAMS, ...params };
+    this.random = random;
+    this.loadBalancer = loadBalancer;
   }
 
   /**
    * 根据用户评分计算单词的下一个进度状态。
    * @param {Progress | null} currentProgress - 单词的当前进度。如果是新词，则为 null。
    * @param {number} rating - 用户评分，来自 RATING 常量。
+   * @param {number} [currentTime=Date.now()] - 复习发生的时间戳。
    * @returns {Progress} - 代表新状态的、全新的 Progress 对象。
    */
-  rate(currentProgress, rating) {
+  rate(currentProgress, rating, currentTime = Date.now()) {
     const progress = currentProgress || new Progress();
     const isFirstReview = !progress.lastReview;
-    const result = this._nextInterval(progress, rating);
-    const currentTime = Date.now();
+    const elapsedDays = isFirstReview ? 0 : Math.max(0, (currentTime - progress.lastReview) / DAY_MS);
+    const memory = this._nextMemoryState(progress, rating, elapsedDays);
+    const schedule = this._nextSchedule(progress, rating, memory.stability, currentTime, elapsedDays);
 
-    const newReviews = [...progress.reviews, { timestamp: currentTime, rating, interval: result.interval }];
+    const dueDate = schedule.minutes !== undefined
+      ? currentTime + schedule.minutes * MINUTE_MS
+      : currentTime + schedule.interval * DAY_MS;
 
     const newState = {
-      difficulty: result.difficulty,
-      stability: result.stability,
-      reviews: newReviews,
+      difficulty: memory.difficulty,
+      stability: memory.stability,
       lastReview: currentTime,
-      dueDate: currentTime + result.interval * 24 * 60 * 60 * 1000,
-      firstLearnedDate: progress.firstLearnedDate // Carry over existing date
+      dueDate,
+      firstLearnedDate: progress.firstLearnedDate, // Carry over existing date
+      reps: progress.reps + 1,
+      // 只有已经毕业的卡片被遗忘才算作一次“遗忘”(lapse)。
+      lapses: progress.lapses + (progress.state === CARD_STATE.REVIEW && rating === RATING.AGAIN ? 1 : 0),
+      state: schedule.state,
+      step: schedule.step,
+      // 暂停、搁置和难词标记不属于调度状态，原样保留。
+      suspended: progress.suspended,
+      buriedUntil: progress.buriedUntil,
+      leech: progress.leech,
     };
 
-    // If it's the first time and the user didn't fail, set the date.
-    if (isFirstReview && rating !== RATING.FORGOT) {
+    // 卡片第一次从学习步骤中毕业时，记录学会的日期。
+    if (!newState.firstLearnedDate && schedule.state === CARD_STATE.REVIEW && rating !== RATING.AGAIN) {
         newState.firstLearnedDate = new Date(currentTime).toISOString();
     }
-    
+
     newState.stage = this._calculateStage(newState);
 
     return new Progress(newState);
@@ -86,90 +176,229 @@ export class FSRS {
   }
 
   /**
-   * 计算下一次复习的间隔、新的难度和新的稳定性。
+   * 检查一个进度是否处于以分钟为单位的学习或重学步骤中。
+   * @param {Progress | object | null} progress - 单词的进度（也接受从数据库读出的普通对象）。
+   * @returns {boolean}
+   */
+  static isLearning(progress) {
+    return !!progress && (progress.state === CARD_STATE.LEARNING || progress.state === CARD_STATE.RELEARNING);
+  }
+
+  /**
+   * 遗忘曲线：经过 elapsedDays 天后，稳定性为 stability 的记忆被成功回忆的概率。
+   * @param {number} elapsedDays - 距上次复习经过的天数。
+   * @param {number} stability - 记忆稳定性 (S)。
+   * @returns {number} 可提取性 R，取值范围 (0, 1]。
+   */
+  static forgettingCurve(elapsedDays, stability) {
+    if (stability <= 0) return 0;
+    return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+  }
+
+  /**
+   * 相对于 90% 保留率，给定目标保留率下复习间隔的缩放倍数。
+   * 由遗忘曲线反解得到：I(r) = S / FACTOR * (r^(1/DECAY) - 1)，且 I(0.9) = S。
+   * @param {number} retention - 目标保留率。
+   * @returns {number} 间隔倍数；保留率越低，倍数越大。
+   */
+  static intervalModifier(retention) {
+    return (Math.pow(retention, 1 / DECAY) - 1) / FACTOR;
+  }
+
+  /**
+   * 估算把目标保留率从 baseline 调整到 retention 后，每日复习量的变化倍数。
+   * 每日复习量与平均间隔成反比。
+   * @param {number} retention - 新的目标保留率。
+   * @param {number} [baseline=FSRS_PARAMS.requestRetention] - 作为参照的保留率。
+   * @returns {number} 复习量倍数，大于 1 表示工作量增加。
+   */
+  static estimateWorkloadRatio(retention, baseline = FSRS_PARAMS.requestRetention) {
+    return FSRS.intervalModifier(baseline) / FSRS.intervalModifier(retention);
+  }
+
+  /**
+   * 计算一个进度在给定时刻的可提取性。
+   * @param {Progress | null} progress - 单词的进度。
+   * @param {number} [currentTime=Date.now()] - 当前时间戳。
+   * @returns {number} 可提取性 R；新卡片返回 0。
+   */
+  static getRetrievability(progress, currentTime = Date.now()) {
+    if (!progress || !progress.lastReview || !progress.stability) return 0;
+    const elapsedDays = Math.max(0, (currentTime - progress.lastReview) / DAY_MS);
+    return FSRS.forgettingCurve(elapsedDays, progress.stability);
+  }
+
+  /**
+   * 计算复习后新的难度和稳定性（长期记忆状态）。
+   * 学习步骤中同一天内的重复复习属于短期记忆，不改变长期记忆状态。
    * @private
    */
-  _nextInterval(progress, rating) {
+  _nextMemoryState(progress, rating, elapsedDays) {
     if (progress.stability === 0 || !progress.lastReview) {
-      return this._handleFirstReview(rating);
+      return {
+          difficulty: this.initDifficulty(rating),
+          stability: Math.max(0.1, this.initStability(rating)),
+      };
     }
 
-    const newDifficulty = this._calcNewDifficulty(progress.difficulty, rating);
-    const newStability = this._calcNewStability(progress.stability, progress.difficulty, rating);
-    
-    let interval;
-    switch (rating) {
-        case RATING.FORGOT:
-            interval = 1;
-            break;
-        case RATING.HARD:
-            interval = Math.max(1, Math.round(newStability * 0.8));
-            break;
-        case RATING.EASY:
-            interval = Math.max(1, Math.round(newStability * 1.2));
-            break;
-        default:
-            interval = 1;
-            break;
+    if (FSRS.isLearning(progress) && elapsedDays < 1) {
+      return { difficulty: progress.difficulty, stability: progress.stability };
     }
 
+    const retrievability = FSRS.forgettingCurve(elapsedDays, progress.stability);
     return {
-        interval: Math.min(interval, 365), // 将最大间隔限制在1年。
-        difficulty: Math.max(0.1, Math.min(newDifficulty, 10)),
-        stability: Math.max(0.1, newStability),
+        difficulty: this.nextDifficulty(progress.difficulty, rating),
+        stability: Math.max(0.1, this.nextStability(progress.stability, progress.difficulty, retrievability, rating)),
     };
   }
 
-  /** 
-   * 为单词的首次复习提供基于 FSRS 参数的初始间隔和难度。
+  /**
+   * 决定复习后的学习阶段和下一次到期时间。
+   * 返回 `{ state, step, minutes }`（仍在步骤中）或 `{ state, step, interval }`（以天为单位）。
    * @private
    */
-  _handleFirstReview(rating) {
-    const w = this.params.w;
-    let stability;
-
-    if (rating === RATING.FORGOT) {
-        stability = w[0];
-    } else if (rating === RATING.HARD) {
-        stability = w[1];
-    } else { // RATING.EASY
-        stability = w[2];
+  _nextSchedule(progress, rating, stability, currentTime, elapsedDays) {
+    const graduate = () => ({
+      state: CARD_STATE.REVIEW,
+      step: 0,
+      interval: this._fuzzInterval(this._calcInterval(stability), currentTime, elapsedDays),
+    });
+
+    if (progress.state === CARD_STATE.REVIEW) {
+      if (rating !== RATING.AGAIN) return graduate();
+      const steps = this.params.relearningSteps;
+      if (steps.length === 0) return { state: CARD_STATE.REVIEW, step: 0, interval: 1 };
+      return { state: CARD_STATE.RELEARNING, step: 0, minutes: steps[0] };
     }
 
-    const difficulty = w[4] - w[5] * (rating - 3);
-    const interval = Math.max(1, Math.round(stability));
+    // NEW、LEARNING 与 RELEARNING 都按各自的步骤推进。
+    const isRelearning = progress.state === CARD_STATE.RELEARNING;
+    const steps = isRelearning ? this.params.relearningSteps : this.params.learningSteps;
+    const state = isRelearning ? CARD_STATE.RELEARNING : CARD_STATE.LEARNING;
+    const step = Math.min(progress.step || 0, Math.max(0, steps.length - 1));
 
-    return { 
-        interval, 
-        difficulty: Math.max(1, Math.min(difficulty, 10)), 
-        stability: Math.max(0.1, stability)
-    };
+    if (steps.length === 0 || rating === RATING.EASY) {
+      return graduate();
+    }
+    if (rating === RATING.AGAIN) {
+      return { state, step: 0, minutes: steps[0] };
+    }
+    if (rating === RATING.HARD) {
+      // 停留在当前步骤；第一步时取前两步的平均值，只有一步时取 1.5 倍。
+      const minutes = step === 0
+        ? (steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[0] * 1.5)
+        : steps[step];
+      return { state, step, minutes };
+    }
+    // GOOD：进入下一步，走完全部步骤即毕业。
+    if (step + 1 >= steps.length) {
+      return graduate();
+    }
+    return { state, step: step + 1, minutes: steps[step + 1] };
   }
 
-  /** 
-   * 根据先前的难度和用户评分计算新的难度。
+  /**
+   * 由稳定性和目标保留率计算复习间隔（天），即回忆概率恰好降到目标保留率的时刻。
    * @private
    */
-  _calcNewDifficulty(d, rating) {
-    const w = this.params.w;
-    let new_d = d - w[6] * (rating - 3);
-    return new_d * Math.exp(w[7] * (1 - new_d));
+  _calcInterval(stability) {
+    const interval = Math.round(stability * FSRS.intervalModifier(this.params.requestRetention));
+    return Math.min(Math.max(1, interval), this.params.maximumInterval);
   }
 
-  /** 
-   * 根据先前的状态和用户评分计算新的稳定性。
+  /**
+   * 计算间隔的模糊范围 [min, max]（天）。
+   * @param {number} interval - 未模糊的间隔（天）。
+   * @param {number} [elapsedDays=0] - 距上次复习经过的天数；模糊后的间隔不会短于它。
+   * @returns {{min: number, max: number}}
+   */
+  fuzzRange(interval, elapsedDays = 0) {
+    const delta = FUZZ_RANGES.reduce(
+      (sum, range) => sum + range.factor * Math.max(Math.min(interval, range.end) - range.start, 0),
+      1
+    );
+    let min = Math.max(2, Math.round(interval - delta));
+    const max = Math.min(Math.round(interval + delta), this.params.maximumInterval);
+    if (interval > elapsedDays) {
+      min = Math.max(min, Math.floor(elapsedDays) + 1);
+    }
+    return { min: Math.min(min, max), max };
+  }
+
+  /**
+   * 为间隔加入模糊，并在有 LoadBalancer 时挑选模糊范围内复习量最少的一天。
    * @private
    */
-  _calcNewStability(s, d, rating) {
+  _fuzzInterval(interval, currentTime, elapsedDays) {
+    if (interval < 2.5 || (!this.params.enableFuzz && !this.loadBalancer)) {
+      return interval;
+    }
+    const { min, max } = this.fuzzRange(interval, elapsedDays);
+    if (this.loadBalancer) {
+      return this.loadBalancer.pickInterval(currentTime, min, max, this.random);
+    }
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * 首次复习的初始稳定性 S0(G) = w[G-1]。
+   * @param {number} rating - 首次复习的评分。
+   * @returns {number} 初始稳定性（天）。
+   */
+  initStability(rating) {
+    return this.params.w[rating - 1];
+  }
+
+  /**
+   * 首次复习的初始难度 D0(G) = w4 - (G - 3) * w5，限制在 [1, 10]。
+   * @param {number} rating - 首次复习的评分。
+   * @returns {number} 初始难度。
+   */
+  initDifficulty(rating) {
     const w = this.params.w;
-    if (rating === RATING.FORGOT) {
-        return w[8] * Math.pow(d, w[9]) * Math.pow(s, w[10]) * Math.exp((1 - s) * w[11]);
+    return this._clampDifficulty(w[4] - (rating - 3) * w[5]);
+  }
+
+  /**
+   * 根据先前的难度和用户评分计算新的难度，并向 D0(GOOD) 做均值回归。
+   * @param {number} d - 复习前的难度。
+   * @param {number} rating - 本次评分。
+   * @returns {number} 新的难度。
+   */
+  nextDifficulty(d, rating) {
+    const w = this.params.w;
+    const nextD = d - w[6] * (rating - 3);
+    return this._clampDifficulty(w[7] * this.initDifficulty(RATING.GOOD) + (1 - w[7]) * nextD);
+  }
+
+  /**
+   * 根据先前的状态、复习时的可提取性和用户评分计算新的稳定性。
+   * @param {number} s - 复习前的稳定性。
+   * @param {number} d - 复习前的难度。
+   * @param {number} r - 复习时的可提取性。
+   * @param {number} rating - 本次评分。
+   * @returns {number} 新的稳定性。
+   */
+  nextStability(s, d, r, rating) {
+    const w = this.params.w;
+    if (rating === RATING.AGAIN) {
+        const forgetStability = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+        return Math.min(forgetStability, s); // 遗忘后的稳定性不应超过遗忘前。
     }
-    const ratingFactor = rating === RATING.HARD ? 0.8 : 1.2;
-    return s * (1 + Math.exp(w[12]) * (11 - d) * Math.pow(s, w[13]) * (Math.exp((1 - s) * w[14]) - 1) * ratingFactor);
+    const hardPenalty = rating === RATING.HARD ? w[15] : 1;
+    const easyBonus = rating === RATING.EASY ? w[16] : 1;
+    return s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+  }
+
+  /**
+   * 将难度限制在 FSRS 规定的 [1, 10] 区间内。
+   * @private
+   */
+  _clampDifficulty(d) {
+    return Math.max(1, Math.min(d, 10));
   }
 
-  /** 
+  /**
    * 为了 UI 显示，将稳定性简化映射到一个 0-4 的阶段数字。
    * @private
    */
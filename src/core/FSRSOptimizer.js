@@ -0,0 +1,208 @@
+/**
+ * @fileoverview FSRS 参数优化器：用用户自己的复习历史拟合个人化的权重 `w`。
+ *
+ * 与 FSRS.js 一样，这里只包含纯计算逻辑，不涉及 DOM 或数据库，
+ * 因此既可以在 Web Worker 中运行，也可以在主线程中作为后备运行。
+ *
+ * 做法：按时间顺序重放每个单词的复习记录，在每次复习前用当前权重预测回忆概率 R，
+ * 以实际结果（是否为 AGAIN）计算对数损失 (log-loss)，再用 Adam 优化器最小化平均损失。
+ */
+
+import { FSRS, FSRS_PARAMS, RATING } from './FSRS.js';
+import { DEFAULT_DAY_START_HOUR, shiftToStudyDay } from './StudyDay.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 训练所需的最少有效复习次数，低于此值时结果不可靠。 */
+export const MIN_REVIEWS_FOR_OPTIMIZATION = 100;
+
+/**
+ * 每个权重允许的取值范围（与 FSRS 官方优化器的裁剪范围一致），防止拟合出不合理的参数。
+ */
+const WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.001, 4], [0.001, 4], [0.001, 0.75],
+  [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5],
+  [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1], [1, 6],
+];
+
+/**
+ * 从复习日志中构建训练数据。
+ * 同一学习日内的重复复习属于短期记忆，不参与拟合，只保留每个学习日的第一次复习。
+ * @param {Array<{arabic: string, defId?: string, direction?: string, timestamp: number, rating: number}>} reviewLogs - reviewLogs 仓库中的全部记录。
+ * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间，与调度器和统计使用同一学习日（见 StudyDay.js）。
+ * @returns {Array<Array<{elapsedDays: number, rating: number}>>} 每张卡片（旧日志为每个义项或单词）一条按时间排序的复习序列。
+ */
+export function buildTrainingSet(reviewLogs, dayStartHour = DEFAULT_DAY_START_HOUR) {
+  const logsByWord = new Map();
+  for (const log of reviewLogs) {
+    if (!log || !log.arabic) continue;
+    // 每张卡片（义项 × 方向）单独调度，因此各自构成一条复习序列；旧日志缺少 direction 或 defId 时按义项或单词归组。
+    let cardKey = log.defId ? `${log.arabic}#${log.defId}` : log.arabic;
+    if (log.defId && log.direction) cardKey += `@${log.direction}`;
+    if (!logsByWord.has(cardKey)) logsByWord.set(cardKey, []);
+    logsByWord.get(cardKey).push(log);
+  }
+
+  const sequences = [];
+
+  for (const reviews of logsByWord.values()) {
+    if (reviews.length < 2) continue;
+
+    const sorted = [...reviews]
+      .filter(review => review && review.timestamp && review.rating >= RATING.AGAIN && review.rating <= RATING.EASY)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const sequence = [];
+    let lastKept = null;
+    for (const review of sorted) {
+      if (lastKept && _dayNumber(review.timestamp, dayStartHour) === _dayNumber(lastKept.timestamp, dayStartHour)) continue;
+      sequence.push({
+        elapsedDays: lastKept ? (review.timestamp - lastKept.timestamp) / DAY_MS : 0,
+        rating: review.rating,
+      });
+      lastKept = review;
+    }
+
+    if (sequence.length >= 2) {
+      sequences.push(sequence);
+    }
+  }
+
+  return sequences;
+}
+
+/**
+ * 统计训练集中可用于计算损失的复习次数（每个序列的首次复习不计入）。
+ * @param {Array<Array<object>>} sequences - buildTrainingSet 的结果。
+ * @returns {number}
+ */
+export function countTrainableReviews(sequences) {
+  return sequences.reduce((total, sequence) => total + sequence.length - 1, 0);
+}
+
+/**
+ * 计算给定权重在训练集上的平均对数损失。
+ * @param {Array<number>} w - FSRS 权重。
+ * @param {Array<Array<{elapsedDays: number, rating: number}>>} sequences - 训练集。
+ * @returns {number} 平均 log-loss；训练集为空时返回 NaN。
+ */
+export function computeLogLoss(w, sequences) {
+  const fsrs = new FSRS({ w });
+  let totalLoss = 0;
+  let count = 0;
+
+  for (const sequence of sequences) {
+    const first = sequence[0];
+    let stability = Math.max(0.1, fsrs.initStability(first.rating));
+    let difficulty = fsrs.initDifficulty(first.rating);
+
+    for (let i = 1; i < sequence.length; i++) {
+      const { elapsedDays, rating } = sequence[i];
+      const retrievability = Math.min(Math.max(FSRS.forgettingCurve(elapsedDays, stability), 1e-6), 1 - 1e-6);
+      const recalled = rating !== RATING.AGAIN;
+
+      totalLoss -= recalled ? Math.log(retrievability) : Math.log(1 - retrievability);
+      count++;
+
+      const nextStability = fsrs.nextStability(stability, difficulty, retrievability, rating);
+      difficulty = fsrs.nextDifficulty(difficulty, rating);
+      stability = Math.max(0.1, nextStability);
+    }
+  }
+
+  return count > 0 ? totalLoss / count : NaN;
+}
+
+/**
+ * 用 Adam 优化器和数值梯度拟合 FSRS 权重。
+ * @param {Array<Array<object>>} sequences - buildTrainingSet 的结果。
+ * @param {object} [options={}]
+ * @param {Array<number>} [options.initialWeights=FSRS_PARAMS.w] - 优化的起点，通常是当前使用的权重。
+ * @param {number} [options.iterations=150] - 迭代次数。
+ * @param {number} [options.learningRate=0.04] - Adam 的学习率。
+ * @param {Function} [options.onProgress] - 每次迭代后调用，参数为 `{ iteration, total, loss }`。
+ * @returns {{w: Array<number>, lossBefore: number, lossAfter: number, reviewCount: number}}
+ */
+export function optimizeWeights(sequences, options = {}) {
+  const {
+    initialWeights = FSRS_PARAMS.w,
+    iterations = 150,
+    learningRate = 0.04,
+    onProgress = null,
+  } = options;
+
+  const reviewCount = countTrainableReviews(sequences);
+  let w = _clampWeights([...initialWeights]);
+  const lossBefore = computeLogLoss(w, sequences);
+
+  let best = { w: [...w], loss: lossBefore };
+  const m = new Array(w.length).fill(0);
+  const v = new Array(w.length).fill(0);
+  const beta1 = 0.9;
+  const beta2 = 0.999;
+  const epsilon = 1e-8;
+
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    const baseLoss = computeLogLoss(w, sequences);
+    const gradient = _numericalGradient(w, sequences, baseLoss);
+
+    for (let i = 0; i < w.length; i++) {
+      m[i] = beta1 * m[i] + (1 - beta1) * gradient[i];
+      v[i] = beta2 * v[i] + (1 - beta2) * gradient[i] * gradient[i];
+      const mHat = m[i] / (1 - Math.pow(beta1, iteration));
+      const vHat = v[i] / (1 - Math.pow(beta2, iteration));
+      w[i] -= learningRate * mHat / (Math.sqrt(vHat) + epsilon);
+    }
+    w = _clampWeights(w);
+
+    const loss = computeLogLoss(w, sequences);
+    if (loss < best.loss) {
+      best = { w: [...w], loss };
+    }
+    if (onProgress) {
+      onProgress({ iteration, total: iterations, loss });
+    }
+  }
+
+  return {
+    w: best.w.map(value => Number(value.toFixed(4))),
+    lossBefore,
+    lossAfter: best.loss,
+    reviewCount,
+  };
+}
+
+/**
+ * 用前向差分近似损失函数对每个权重的偏导数。
+ * @private
+ */
+function _numericalGradient(w, sequences, baseLoss) {
+  return w.map((value, i) => {
+    const step = 1e-4 * Math.max(1, Math.abs(value));
+    const shifted = [...w];
+    shifted[i] = value + step;
+    return (computeLogLoss(shifted, sequences) - baseLoss) / step;
+  });
+}
+
+/**
+ * 将权重裁剪到允许范围内。
+ * @private
+ */
+function _clampWeights(w) {
+  return w.map((value, i) => {
+    const [min, max] = WEIGHT_BOUNDS[i] || [-Infinity, Infinity];
+    return Math.min(Math.max(value, min), max);
+  });
+}
+
+/**
+ * 将时间戳转换为学习日编号，用于判断两次复习是否在同一学习日。
+ * @private
+ */
+function _dayNumber(timestamp, dayStartHour) {
+  const shifted = shiftToStudyDay(timestamp, dayStartHour);
+  const offset = new Date(shifted).getTimezoneOffset() * 60 * 1000;
+  return Math.floor((shifted - offset) / DAY_MS);
+}
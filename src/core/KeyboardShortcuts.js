@@ -0,0 +1,161 @@
+/**
+ * @fileoverview 键盘快捷键：学习时每个操作对应的按键，可在设置中重新绑定。
+ *
+ * 按键写成组合键字符串，修饰键按 Ctrl、Alt、Shift 的顺序在前，例如 `1`、`Space`、`Ctrl+Z`、`Shift+ArrowLeft`。
+ * 字母和数字按键位（KeyboardEvent.code）识别，切换到阿拉伯语键盘布局时快捷键照常可用；
+ * Mac 上的 Command 键视为 Ctrl。空字符串表示这个操作没有绑定按键。
+ */
+
+/** 可以绑定快捷键的操作。 */
+export const SHORTCUT_ACTION = {
+  REVEAL_ANSWER: 'revealAnswer',
+  REVEAL_EXPLANATION: 'revealExplanation',
+  RATE_AGAIN: 'rateAgain',
+  RATE_HARD: 'rateHard',
+  RATE_GOOD: 'rateGood',
+  RATE_EASY: 'rateEasy',
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+  PLAY_AUDIO: 'playAudio',
+  SWITCH_DEFINITION: 'switchDefinition',
+  AI_ASSIST: 'aiAssist',
+  UNDO: 'undo',
+  EXIT: 'exit',
+};
+
+/** 操作的名称，显示在设置中（按这里的顺序列出）。 */
+export const SHORTCUT_ACTION_LABELS = {
+  [SHORTCUT_ACTION.REVEAL_ANSWER]: '显示/隐藏答案',
+  [SHORTCUT_ACTION.REVEAL_EXPLANATION]: '显示/隐藏解释',
+  [SHORTCUT_ACTION.RATE_AGAIN]: '评分：忘记',
+  [SHORTCUT_ACTION.RATE_HARD]: '评分：模糊',
+  [SHORTCUT_ACTION.RATE_GOOD]: '评分：记得',
+  [SHORTCUT_ACTION.RATE_EASY]: '评分：简单',
+  [SHORTCUT_ACTION.PREVIOUS]: '上一个词',
+  [SHORTCUT_ACTION.NEXT]: '下一个词（回看时）',
+  [SHORTCUT_ACTION.PLAY_AUDIO]: '播放发音',
+  [SHORTCUT_ACTION.SWITCH_DEFINITION]: '切换义项',
+  [SHORTCUT_ACTION.AI_ASSIST]: 'AI 助手',
+  [SHORTCUT_ACTION.UNDO]: '撤销上一次评分',
+  [SHORTCUT_ACTION.EXIT]: '返回',
+};
+
+/** 默认的快捷键。 */
+export const DEFAULT_SHORTCUTS = {
+  [SHORTCUT_ACTION.REVEAL_ANSWER]: 'Space',
+  [SHORTCUT_ACTION.REVEAL_EXPLANATION]: 'E',
+  [SHORTCUT_ACTION.RATE_AGAIN]: '1',
+  [SHORTCUT_ACTION.RATE_HARD]: '2',
+  [SHORTCUT_ACTION.RATE_GOOD]: '3',
+  [SHORTCUT_ACTION.RATE_EASY]: '4',
+  [SHORTCUT_ACTION.PREVIOUS]: 'ArrowLeft',
+  [SHORTCUT_ACTION.NEXT]: 'ArrowRight',
+  [SHORTCUT_ACTION.PLAY_AUDIO]: 'R',
+  [SHORTCUT_ACTION.SWITCH_DEFINITION]: 'D',
+  [SHORTCUT_ACTION.AI_ASSIST]: 'A',
+  [SHORTCUT_ACTION.UNDO]: 'Ctrl+Z',
+  [SHORTCUT_ACTION.EXIT]: 'Escape',
+};
+
+/** 单独按下时不构成快捷键的按键。 @private */
+const MODIFIER_KEYS = new Set(['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'Dead', 'Process', 'Unidentified']);
+
+/** 组合键的格式：可选的修饰键加一个按键。 @private */
+const COMBO_PATTERN = /^(Ctrl\+)?(Alt\+)?(Shift\+)?[^+\s]+$/;
+
+/**
+ * 按键事件对应的组合键。
+ * @param {{key: string, code?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean}} event
+ * @returns {string | null} 只按了修饰键（或无法识别的按键）时为 null。
+ */
+export function comboFromKeyEvent(event) {
+  const { key, code = '' } = event;
+  if (!key || MODIFIER_KEYS.has(key)) return null;
+
+  let name;
+  const keyMatch = /^Key([A-Z])$/.exec(code);
+  const digitMatch = /^(?:Digit|Numpad)([0-9])$/.exec(code);
+  if (keyMatch) name = keyMatch[1];
+  else if (digitMatch) name = digitMatch[1];
+  else if (key === ' ') name = 'Space';
+  else if (key === '+') name = 'Plus';
+  else name = key.length === 1 ? key.toUpperCase() : key;
+
+  const modifiers = [];
+  if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  return [...modifiers, name].join('+');
+}
+
+/**
+ * 把保存的快捷键规整为每个操作都有值的完整绑定：没有保存或不合法的用默认值；
+ * 同一组合键绑定了多个操作时，只保留先列出的操作。
+ * @param {object} [saved={}] - 操作 -> 组合键。
+ * @returns {Object<string, string>}
+ */
+export function normalizeShortcuts(saved = {}) {
+  const bindings = {};
+  const used = new Set();
+  for (const action of Object.values(SHORTCUT_ACTION)) {
+    const value = saved?.[action];
+    let combo = typeof value === 'string' && (value === '' || COMBO_PATTERN.test(value)) ? value : DEFAULT_SHORTCUTS[action];
+    if (combo && used.has(combo)) combo = '';
+    if (combo) used.add(combo);
+    bindings[action] = combo;
+  }
+  return bindings;
+}
+
+/**
+ * 给一个操作绑定新的按键；这个按键原来绑定的操作改为没有按键。
+ * @param {Object<string, string>} bindings - 规整后的绑定。
+ * @param {string} action - SHORTCUT_ACTION 中的值。
+ * @param {string} combo - 新的组合键，空字符串表示解除绑定。
+ * @returns {{bindings: Object<string, string>, displaced: string | null}} 新的绑定（不修改传入的对象），
+ *   以及因此失去按键的操作。
+ */
+export function rebindShortcut(bindings, action, combo) {
+  const next = { ...bindings };
+  let displaced = null;
+  if (combo) {
+    for (const [other, otherCombo] of Object.entries(next)) {
+      if (other !== action && otherCombo === combo) {
+        next[other] = '';
+        displaced = other;
+      }
+    }
+  }
+  next[action] = combo;
+  return { bindings: next, displaced };
+}
+
+/**
+ * @param {Object<string, string>} bindings - 规整后的绑定。
+ * @param {string | null} combo - 按下的组合键。
+ * @returns {string | null} 绑定了这个组合键的操作。
+ */
+export function findShortcutAction(bindings, combo) {
+  if (!combo) return null;
+  return Object.keys(bindings).find(action => bindings[action] === combo) || null;
+}
+
+const KEY_LABELS = {
+  Space: '空格',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+  Plus: '+',
+};
+
+/**
+ * 组合键的显示文字，例如 `Ctrl+Z`、`空格`、`←`。
+ * @param {string} combo
+ * @returns {string} 没有绑定时为空字符串。
+ */
+export function formatShortcut(combo) {
+  if (!combo) return '';
+  return combo.split('+').map(part => KEY_LABELS[part] || part).join('+');
+}
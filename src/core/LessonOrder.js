@@ -0,0 +1,174 @@
+/**
+ * @fileoverview 按课文顺序引入新词：适用于按课组织的词库（例如《新编阿拉伯语》的“第二课：你好”）。
+ *
+ * 每个集合（导入的文件）中的词库就是一课，课的先后：
+ * - 导入时记录了原文件中的位置（释义的 `sourceIndex`）时，按文件顺序；
+ * - 否则（较早导入的数据）按课名中的“第 N 课”排序，没有课号的课排在最后，按名称排序。
+ * 课内的单词同样按 `sourceIndex` 排序，没有时保持词汇表中的顺序。
+ *
+ * 只有当前一课已学会的单词达到设定的比例，下一课才解锁；新词只从已解锁的课中按顺序取出。
+ * “已学会”指单词的阶段（见 FSRS._calculateStage）至少为 1，即稳定性达到一天以上。
+ * 一个单词出现在多课中时，只在最先排到的那一课引入（集合按名称排序），但在每一课的进度中都会计入。
+ */
+
+/** 新词的引入方式。 */
+export const NEW_WORD_ORDER = {
+  RANDOM: 'random',
+  SEQUENTIAL: 'sequential',
+};
+
+/** 默认的新词引入方式，与原来的行为一致。 */
+export const DEFAULT_NEW_WORD_ORDER = NEW_WORD_ORDER.RANDOM;
+
+/** 解锁下一课所需的已学会比例（百分比）的默认值。 */
+export const DEFAULT_LESSON_UNLOCK_PERCENT = 80;
+
+/**
+ * @param {*} order - 设置值。
+ * @returns {string} 合法的新词引入方式。
+ */
+export function normalizeNewWordOrder(order) {
+  return Object.values(NEW_WORD_ORDER).includes(order) ? order : DEFAULT_NEW_WORD_ORDER;
+}
+
+/**
+ * @param {*} percent - 设置值。
+ * @returns {number} 1–100 之间的整数。
+ */
+export function normalizeLessonUnlockPercent(percent) {
+  const value = parseInt(percent, 10);
+  return Number.isFinite(value) ? Math.min(100, Math.max(1, value)) : DEFAULT_LESSON_UNLOCK_PERCENT;
+}
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_UNITS = { 十: 10, 百: 100 };
+
+/**
+ * 从课名中解析课号，例如“第十一课：这两位是职员”为 11，“第 3 课”为 3。
+ * @param {string} name - 课名（词库名）。
+ * @returns {number | null} 没有课号时为 null。
+ */
+export function parseLessonNumber(name) {
+  const match = /第\s*([0-9]+|[零〇一二两三四五六七八九十百]+)\s*课/.exec(name || '');
+  if (!match) return null;
+  const text = match[1];
+  if (/^[0-9]+$/.test(text)) return parseInt(text, 10);
+
+  let total = 0;
+  let digit = null;
+  for (const char of text) {
+    if (char in CHINESE_UNITS) {
+      total += (digit ?? 1) * CHINESE_UNITS[char];
+      digit = null;
+    } else {
+      digit = CHINESE_DIGITS[char];
+    }
+  }
+  return total + (digit ?? 0);
+}
+
+/**
+ * @param {object} word
+ * @returns {boolean} 单词是否已学会。
+ */
+export function isLessonWordLearned(word) {
+  return (word.progress?.stage || 0) >= 1;
+}
+
+/**
+ * 把单词按集合分课并排好顺序。
+ * @param {Array<import('./Word.js').Word>} words - 单词（通常是学习范围内的全部单词）。
+ * @returns {Map<string, Array<{deck: string, name: string, words: Array<import('./Word.js').Word>}>>}
+ *   集合名 -> 按顺序排列的课；deck 为完整的词库名（`集合//课名`），name 为课名。
+ */
+export function buildLessons(words) {
+  const lessonsByDeck = new Map();
+  words.forEach((word, wordIndex) => {
+    for (const definition of word.definitions || []) {
+      const deck = definition.sourceDeck || '';
+      if (!lessonsByDeck.has(deck)) lessonsByDeck.set(deck, { deck, entries: new Map() });
+      const entries = lessonsByDeck.get(deck).entries;
+      const position = Number.isFinite(definition.sourceIndex) ? definition.sourceIndex : Infinity;
+      const entry = entries.get(word);
+      // 同一课中有多个释义时按最靠前的释义
+      if (!entry || position < entry.position) entries.set(word, { word, position, wordIndex });
+    }
+  });
+
+  const collections = new Map();
+  for (const { deck, entries } of lessonsByDeck.values()) {
+    const separator = deck.indexOf('//');
+    const collection = separator === -1 ? deck : deck.slice(0, separator);
+    const name = separator === -1 ? deck : deck.slice(separator + 2);
+    const sorted = [...entries.values()].sort((a, b) => a.position - b.position || a.wordIndex - b.wordIndex);
+    if (!collections.has(collection)) collections.set(collection, []);
+    collections.get(collection).push({
+      deck,
+      name,
+      words: sorted.map(entry => entry.word),
+      firstPosition: sorted[0]?.position ?? Infinity,
+      number: parseLessonNumber(name),
+    });
+  }
+
+  const byLessonOrder = (a, b) => {
+    if (a.firstPosition !== b.firstPosition) return a.firstPosition - b.firstPosition;
+    if (a.number !== b.number) return (a.number ?? Infinity) - (b.number ?? Infinity);
+    return a.name.localeCompare(b.name);
+  };
+  const result = new Map();
+  for (const collection of [...collections.keys()].sort((a, b) => a.localeCompare(b))) {
+    const lessons = collections.get(collection).sort(byLessonOrder);
+    result.set(collection, lessons.map(({ deck, name, words: lessonWords }) => ({ deck, name, words: lessonWords })));
+  }
+  return result;
+}
+
+/**
+ * 计算一个集合中每一课的进度和解锁状态。
+ * @param {Array<{deck: string, name: string, words: Array<object>}>} lessons - 一个集合中按顺序排列的课（见 buildLessons）。
+ * @param {number} [unlockPercent=DEFAULT_LESSON_UNLOCK_PERCENT] - 解锁下一课所需的已学会比例（百分比）。
+ * @returns {{lessons: Array<{deck: string, name: string, total: number, learned: number, unlocked: boolean}>,
+ *   current: object | null}} current 为当前课：已解锁但还未达到比例的第一课；全部达到时为最后一课。
+ */
+export function getLessonProgress(lessons, unlockPercent = DEFAULT_LESSON_UNLOCK_PERCENT) {
+  const share = normalizeLessonUnlockPercent(unlockPercent) / 100;
+  let unlocked = true;
+  let current = null;
+  const progress = lessons.map(lesson => {
+    const learned = lesson.words.filter(isLessonWordLearned).length;
+    const item = { deck: lesson.deck, name: lesson.name, total: lesson.words.length, learned, unlocked };
+    if (unlocked && learned < lesson.words.length * share) {
+      current = item;
+      unlocked = false; // 这一课之后的都还锁着
+    }
+    return item;
+  });
+  return { lessons: progress, current: current || progress[progress.length - 1] || null };
+}
+
+/**
+ * 按课文顺序排列新词，只保留已解锁的课中的单词。
+ * @param {Array<import('./Word.js').Word>} newWords - 可以学习的新词。
+ * @param {Array<import('./Word.js').Word>} scopeWords - 学习范围内的全部单词（带进度），用于计算每一课的进度。
+ * @param {number} [unlockPercent=DEFAULT_LESSON_UNLOCK_PERCENT] - 解锁下一课所需的已学会比例（百分比）。
+ * @returns {Array<import('./Word.js').Word>} 按集合名、课、课内顺序排列。
+ */
+export function orderNewWordsByLesson(newWords, scopeWords, unlockPercent = DEFAULT_LESSON_UNLOCK_PERCENT) {
+  const candidates = new Set(newWords.map(word => word.arabic));
+  const byArabic = new Map(newWords.map(word => [word.arabic, word]));
+  const queue = [];
+  const queued = new Set();
+  for (const lessons of buildLessons(scopeWords).values()) {
+    const { lessons: progress } = getLessonProgress(lessons, unlockPercent);
+    lessons.forEach((lesson, index) => {
+      if (!progress[index].unlocked) return;
+      for (const word of lesson.words) {
+        if (!candidates.has(word.arabic) || queued.has(word.arabic)) continue;
+        queued.add(word.arabic);
+        queue.push(byArabic.get(word.arabic));
+      }
+    });
+  }
+  return queue;
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview 复习量均衡器：在模糊范围内为卡片挑选复习量最少的一天作为到期日。
+ *
+ * 它只保存“每天有多少张卡片到期”的计数，不涉及数据库。计数由调用方
+ * 通过 wordProgress 仓库的 dueDate 索引读取后传入，之后随每次评分增量更新。
+ * 每天按学习日划分（见 StudyDay.js），与到期判断、复习预测一致。
+ */
+
+import { DEFAULT_DAY_START_HOUR, shiftToStudyDay } from './StudyDay.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class LoadBalancer {
+  /**
+   * @param {Map<number, number>} [dueCounts=new Map()] - 学习日编号 -> 当天到期的卡片数。
+   * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时），计数按它划分，之后不能更改。
+   */
+  constructor(dueCounts = new Map(), dayStartHour = DEFAULT_DAY_START_HOUR) {
+    this.dueCounts = dueCounts;
+    this.dayStartHour = dayStartHour;
+  }
+
+  /**
+   * 由一组到期时间戳（通常来自 dueDate 索引）构建均衡器。
+   * @param {Array<number>} dueDates - 到期时间戳列表。
+   * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时）。
+   * @returns {LoadBalancer}
+   */
+  static fromDueDates(dueDates, dayStartHour = DEFAULT_DAY_START_HOUR) {
+    const balancer = new LoadBalancer(new Map(), dayStartHour);
+    for (const dueDate of dueDates) {
+      balancer.add(dueDate);
+    }
+    return balancer;
+  }
+
+  /**
+   * 将时间戳转换为本地日期编号，同一天内的时间戳编号相同。
+   * @param {number} timestamp - 时间戳。
+   * @returns {number}
+   */
+  static dayNumber(timestamp) {
+    const offset = new Date(timestamp).getTimezoneOffset() * 60 * 1000;
+    return Math.floor((timestamp - offset) / DAY_MS);
+  }
+
+  /**
+   * 将时间戳转换为学习日编号，计数的键。
+   * @param {number} timestamp - 时间戳。
+   * @returns {number}
+   */
+  studyDayOf(timestamp) {
+    return LoadBalancer.dayNumber(shiftToStudyDay(timestamp, this.dayStartHour));
+  }
+
+  /**
+   * 某个时间戳所在的学习日已有多少张卡片到期。
+   * @param {number} timestamp - 时间戳。
+   * @returns {number}
+   */
+  countOn(timestamp) {
+    return this.dueCounts.get(this.studyDayOf(timestamp)) || 0;
+  }
+
+  /**
+   * 在 [minInterval, maxInterval] 天内挑选到期卡片最少的间隔；数量相同时随机挑选。
+   * @param {number} currentTime - 复习发生的时间戳。
+   * @param {number} minInterval - 允许的最短间隔（天）。
+   * @param {number} maxInterval - 允许的最长间隔（天）。
+   * @param {Function} [random=Math.random] - 返回 [0, 1) 的随机数函数，测试时可传入带种子的版本。
+   * @returns {number} 选中的间隔（天）。
+   */
+  pickInterval(currentTime, minInterval, maxInterval, random = Math.random) {
+    let candidates = [];
+    let lowestCount = Infinity;
+    for (let interval = minInterval; interval <= maxInterval; interval++) {
+      const count = this.countOn(currentTime + interval * DAY_MS);
+      if (count < lowestCount) {
+        lowestCount = count;
+        candidates = [interval];
+      } else if (count === lowestCount) {
+        candidates.push(interval);
+      }
+    }
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  /**
+   * 记录一张卡片在某天到期。
+   * @param {number | null} dueDate - 到期时间戳。
+   */
+  add(dueDate) {
+    if (!dueDate) return;
+    const day = this.studyDayOf(dueDate);
+    this.dueCounts.set(day, (this.dueCounts.get(day) || 0) + 1);
+  }
+
+  /**
+   * 卡片被重新安排后，把它从旧的到期日移到新的到期日。
+   * @param {number | null} oldDueDate - 之前的到期时间戳。
+   * @param {number | null} newDueDate - 新的到期时间戳。
+   */
+  move(oldDueDate, newDueDate) {
+    if (oldDueDate) {
+      const day = this.studyDayOf(oldDueDate);
+      const count = this.dueCounts.get(day) || 0;
+      if (count > 1) {
+        this.dueCounts.set(day, count - 1);
+      } else {
+        this.dueCounts.delete(day);
+      }
+    }
+    this.add(newDueDate);
+  }
+}
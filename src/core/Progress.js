@@ -4,7 +4,23 @@
  * 这个类作为一个不可变的数据结构。任何对单词进度的更新
  * 都不应修改现有实例，而应创建一个新实例。这种做法
  * 可以防止副作用，使状态变化更可预测。
+ *
+ * Progress 只保存调度所需的状态；每次复习的历史记录保存在独立的 reviewLogs 仓库中。
+ */
+
+/**
+ * 卡片所处的学习阶段。
+ * - NEW: 从未复习过。
+ * - LEARNING: 首次学习中，正在按“学习步骤”以分钟为单位重复。
+ * - REVIEW: 已毕业，按 FSRS 以天为单位安排复习。
+ * - RELEARNING: 复习时遗忘，正在按“重学步骤”重新学习。
  */
+export const CARD_STATE = {
+    NEW: 'new',
+    LEARNING: 'learning',
+    REVIEW: 'review',
+    RELEARNING: 'relearning',
+};
 
 /**
  * 代表一个单词的学习进度。
@@ -16,20 +32,36 @@ export class Progress {
      * @param {object} [initialState={}] - 用于覆盖默认进度状态的对象。
      * @param {number} [initialState.difficulty=0] - 记忆难度 (D)。
      * @param {number} [initialState.stability=0] - 记忆稳定性 (S)。
-     * @param {Array<object>} [initialState.reviews=[]] - 复习事件的历史记录。
      * @param {number|null} [initialState.lastReview=null] - 上次复习的时间戳。
      * @param {number|null} [initialState.dueDate=null] - 单词下次到期的时间戳。
      * @param {number} [initialState.stage=0] - 从稳定性派生的简化阶段 (0-4)。
+     * @param {number} [initialState.reps=0] - 累计复习次数。
+     * @param {number} [initialState.lapses=0] - 已学会后又被遗忘的次数。
+     * @param {string} [initialState.state] - 学习阶段，取值见 CARD_STATE。旧数据缺省时由 lastReview 推断。
+     * @param {number} [initialState.step=0] - 在学习/重学步骤中的位置（下标）。
+     * @param {boolean} [initialState.suspended=false] - 是否已暂停：暂停的单词不会出现在任何复习中，直到手动恢复。
+     * @param {number|null} [initialState.buriedUntil=null] - 搁置到这个时间戳为止，之前不会出现在复习中。
+     * @param {boolean} [initialState.leech=false] - 是否为“难词”（累计遗忘次数达到阈值）。
+     * @param {object|null} [initialState.senses=null] - 各张卡片的独立进度（`释义 id@方向` -> 进度字段），见 SenseProgress.js。
+     *   为 null 表示旧的单词级进度。
      */
     constructor(initialState = {}) {
         const defaults = {
             difficulty: 0,
             stability: 0,
-            reviews: [],
             lastReview: null,
             dueDate: null,
             stage: 0,
             firstLearnedDate: null,
+            reps: 0,
+            lapses: 0,
+            // 旧版本没有学习步骤：复习过的卡片都视为已毕业。
+            state: initialState.lastReview ? CARD_STATE.REVIEW : CARD_STATE.NEW,
+            step: 0,
+            suspended: false,
+            buriedUntil: null,
+            leech: false,
+            senses: null,
         };
         
         const state = { ...defaults, ...initialState };
@@ -38,8 +70,6 @@ export class Progress {
         this.difficulty = state.difficulty;
         /** @type {number} */
         this.stability = state.stability;
-        /** @type {Array<object>} */
-        this.reviews = [...state.reviews]; // 创建浅拷贝以确保不可变性
         /** @type {number|null} */
         this.lastReview = state.lastReview;
         /** @type {number|null} */
@@ -48,9 +78,24 @@ export class Progress {
         this.stage = state.stage;
         /** @type {string|null} */
         this.firstLearnedDate = state.firstLearnedDate;
+        /** @type {number} */
+        this.reps = state.reps;
+        /** @type {number} */
+        this.lapses = state.lapses;
+        /** @type {string} */
+        this.state = state.state;
+        /** @type {number} */
+        this.step = state.step;
+        /** @type {boolean} */
+        this.suspended = state.suspended;
+        /** @type {number|null} */
+        this.buriedUntil = state.buriedUntil;
+        /** @type {boolean} */
+        this.leech = state.leech;
+        /** @type {object|null} */
+        this.senses = state.senses;
 
         // 通过冻结对象来强制实现不可变性。
         Object.freeze(this);
-        Object.freeze(this.reviews);
     }
 }
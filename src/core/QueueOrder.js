@@ -0,0 +1,129 @@
+/**
+ * @fileoverview 学习队列的排序方式：决定一次会话中复习卡片和新词出现的先后。
+ *
+ * 排序方式（QUEUE_ORDER）：
+ * - DUE_DATE：复习按到期时间从早到晚，之后是新词（默认，保持新词原来的顺序）；
+ * - RETRIEVABILITY：复习按当前可提取性从低到高（最可能已经忘记的先复习），之后是新词；
+ * - DIFFICULTY：复习按难度从高到低，之后是新词；
+ * - DECK：按词库分组，每个词库内先复习（按到期时间）再学新词；
+ * - INTERLEAVED：每复习 N 张穿插一个新词，复习按到期时间；
+ * - RANDOM：复习和新词混在一起随机打乱（带种子的 Fisher–Yates，同一种子得到同一顺序）。
+ * 单词级进度取自应当测验的卡片（见 SenseProgress.js），排序按这张卡片的到期时间、可提取性和难度。
+ * 学习/重学步骤中的卡片不参与排序，由调用方放在最前面。
+ * 新词已有固定顺序（例如按课文顺序，见 LessonOrder.js）时用 keepNewOrder：只排复习，新词保持原顺序，
+ * DECK 和 RANDOM 时接在复习之后，INTERLEAVED 时照常穿插。
+ */
+
+import { FSRS } from './FSRS.js';
+import { shuffleArray, createSeededRandom } from '../common/utils.js';
+
+/** 队列排序方式。 */
+export const QUEUE_ORDER = {
+  DUE_DATE: 'due',
+  RETRIEVABILITY: 'retrievability',
+  DIFFICULTY: 'difficulty',
+  DECK: 'deck',
+  INTERLEAVED: 'interleaved',
+  RANDOM: 'random',
+};
+
+/** 默认的排序方式，与原来的行为一致。 */
+export const DEFAULT_QUEUE_ORDER = QUEUE_ORDER.DUE_DATE;
+
+/** 穿插排序的默认比例：每复习几张穿插一个新词。 */
+export const DEFAULT_INTERLEAVE_RATIO = 4;
+
+/**
+ * @param {*} order - 设置值。
+ * @returns {string} 合法的排序方式。
+ */
+export function normalizeQueueOrder(order) {
+  return Object.values(QUEUE_ORDER).includes(order) ? order : DEFAULT_QUEUE_ORDER;
+}
+
+/**
+ * @param {*} ratio - 设置值。
+ * @returns {number} 合法的穿插比例（正整数）。
+ */
+export function normalizeInterleaveRatio(ratio) {
+  const value = parseInt(ratio, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_INTERLEAVE_RATIO;
+}
+
+/** @private */
+const dueDateOf = word => word.progress?.dueDate || 0;
+
+/** 按到期时间从早到晚排序（返回新数组）。 @private */
+function byDueDate(words) {
+  return [...words].sort((a, b) => dueDateOf(a) - dueDateOf(b));
+}
+
+/** 单词的词库：第一个释义所属的词库。 @private */
+function deckOf(word) {
+  return word.definitions?.[0]?.sourceDeck || '';
+}
+
+/**
+ * 每 ratio 张复习后穿插一个新词，多出来的复习或新词接在后面。
+ * @private
+ */
+function interleave(reviewWords, newWords, ratio) {
+  const queue = [];
+  let newIndex = 0;
+  reviewWords.forEach((word, index) => {
+    queue.push(word);
+    if ((index + 1) % ratio === 0 && newIndex < newWords.length) {
+      queue.push(newWords[newIndex++]);
+    }
+  });
+  return queue.concat(newWords.slice(newIndex));
+}
+
+/**
+ * 按排序方式生成学习队列。
+ * @param {object} words
+ * @param {Array<import('./Word.js').Word>} words.reviewWords - 到期的复习单词。
+ * @param {Array<import('./Word.js').Word>} words.newWords - 新词，按调用方给出的顺序。
+ * @param {string} [order=DEFAULT_QUEUE_ORDER] - QUEUE_ORDER 中的值。
+ * @param {object} [options={}]
+ * @param {number} [options.currentTime=Date.now()] - 计算可提取性的时刻。
+ * @param {number} [options.interleaveRatio=DEFAULT_INTERLEAVE_RATIO] - INTERLEAVED 时每复习几张穿插一个新词。
+ * @param {number} [options.seed=Date.now()] - RANDOM 时打乱用的种子。
+ * @param {boolean} [options.keepNewOrder=false] - 新词保持传入的顺序，只对复习排序。
+ * @returns {Array<import('./Word.js').Word>} 新数组，不修改传入的数组。
+ */
+export function orderStudyQueue({ reviewWords, newWords }, order = DEFAULT_QUEUE_ORDER, {
+  currentTime = Date.now(),
+  interleaveRatio = DEFAULT_INTERLEAVE_RATIO,
+  seed = Date.now(),
+  keepNewOrder = false,
+} = {}) {
+  switch (normalizeQueueOrder(order)) {
+    case QUEUE_ORDER.RETRIEVABILITY: {
+      const retrievability = new Map(reviewWords.map(word => [word, FSRS.getRetrievability(word.progress, currentTime)]));
+      const reviews = byDueDate(reviewWords).sort((a, b) => retrievability.get(a) - retrievability.get(b));
+      return [...reviews, ...newWords];
+    }
+    case QUEUE_ORDER.DIFFICULTY: {
+      const reviews = byDueDate(reviewWords).sort((a, b) => (b.progress?.difficulty || 0) - (a.progress?.difficulty || 0));
+      return [...reviews, ...newWords];
+    }
+    case QUEUE_ORDER.DECK: {
+      const decks = new Map();
+      for (const word of [...byDueDate(reviewWords), ...(keepNewOrder ? [] : newWords)]) {
+        const deck = deckOf(word);
+        if (!decks.has(deck)) decks.set(deck, []);
+        decks.get(deck).push(word);
+      }
+      const grouped = [...decks.keys()].sort((a, b) => a.localeCompare(b)).flatMap(deck => decks.get(deck));
+      return keepNewOrder ? [...grouped, ...newWords] : grouped;
+    }
+    case QUEUE_ORDER.INTERLEAVED:
+      return interleave(byDueDate(reviewWords), newWords, normalizeInterleaveRatio(interleaveRatio));
+    case QUEUE_ORDER.RANDOM:
+      if (keepNewOrder) return [...shuffleArray([...reviewWords], createSeededRandom(seed)), ...newWords];
+      return shuffleArray([...reviewWords, ...newWords], createSeededRandom(seed));
+    default:
+      return [...byDueDate(reviewWords), ...newWords];
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview 复习量预测：根据各单词进度中的 dueDate，统计未来 N 天每天到期的卡片数。
+ *
+ * 只统计已经开始学习的卡片（每个释义的每个学习方向单独计数），新卡片和已暂停的单词不计入。已过期的卡片计入今天（第 0 天）。
+ *
+ * 可选地用 FSRS 模拟预测期内的后续复习：卡片到期当天被复习一次，回忆成功的概率
+ * 等于复习时的可提取性，成功评为 GOOD、失败评为 AGAIN，然后按新的到期日继续统计。
+ * 这样可以看到“今天复习的卡片过几天又会回来”造成的额外负担。模拟不使用学习步骤
+ * 和间隔模糊，结果只是估算。
+ */
+
+import { FSRS, FSRS_PARAMS, RATING } from './FSRS.js';
+import { LoadBalancer } from './LoadBalancer.js';
+import { getCardProgresses, directionsForMode } from './SenseProgress.js';
+import { DEFAULT_DAY_START_HOUR, shiftToStudyDay } from './StudyDay.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 统计弹窗中可选的预测天数。 */
+export const FORECAST_RANGES = [30, 90];
+
+/**
+ * 预测未来每天到期的卡片数。
+ * @param {Array<{progress: object | null, definitions?: Array<object>}>} words - 单词（或任何带 progress 的对象）。
+ * @param {object} [options={}]
+ * @param {number} [options.days=30] - 预测的天数，包括今天。
+ * @param {number} [options.currentTime=Date.now()] - 当前时间戳。
+ * @param {boolean} [options.simulate=false] - 是否用 FSRS 模拟预测期内的后续复习。
+ * @param {object} [options.params=FSRS_PARAMS] - 模拟使用的 FSRS 参数（权重、目标保留率、最大间隔）。
+ * @param {Function | null} [options.paramsFor=null] - `(word) => 参数覆盖 | null`，例如按单词的复习预设返回目标保留率。
+ * @param {Array<string>} [options.directions=directionsForMode()] - 参与调度的学习方向。
+ * @param {number} [options.dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间，按学习日统计（见 StudyDay.js）。
+ * @param {Function} [options.random=Math.random] - 返回 [0, 1) 的随机数函数，测试时可传入带种子的版本。
+ * @returns {{scheduled: Array<number>, simulated: Array<number>, overdue: number}}
+ *   `scheduled[i]` 为第 i 天按现有 dueDate 到期的卡片数，`simulated[i]` 为模拟产生的额外复习数，
+ *   `overdue` 为已过期（已计入第 0 天）的卡片数。
+ */
+export function forecastReviews(words, {
+  days = FORECAST_RANGES[0],
+  currentTime = Date.now(),
+  simulate = false,
+  params = FSRS_PARAMS,
+  paramsFor = null,
+  directions = directionsForMode(),
+  dayStartHour = DEFAULT_DAY_START_HOUR,
+  random = Math.random,
+} = {}) {
+  const scheduled = new Array(days).fill(0);
+  const simulated = new Array(days).fill(0);
+  const dayOf = timestamp => LoadBalancer.dayNumber(shiftToStudyDay(timestamp, dayStartHour));
+  const today = dayOf(currentTime);
+  const schedulers = new Map();
+  let overdue = 0;
+
+  // 相同参数的单词共用一个 FSRS 实例。
+  const schedulerFor = (word) => {
+    const overrides = paramsFor ? paramsFor(word) || {} : {};
+    const key = JSON.stringify(overrides);
+    if (!schedulers.has(key)) {
+      schedulers.set(key, new FSRS(
+        { ...params, ...overrides, learningSteps: [], relearningSteps: [], enableFuzz: false },
+        { random },
+      ));
+    }
+    return schedulers.get(key);
+  };
+
+  for (const word of words) {
+    if (!word?.progress || word.progress.suspended) continue;
+    // 每张卡片单独到期；旧的单词级进度按一张卡片计算。
+    const cards = word.progress.senses && word.definitions
+      ? [...getCardProgresses(word, directions).values()]
+      : [word.progress];
+
+    for (let progress of cards) {
+      if (!progress.dueDate || !progress.lastReview) continue;
+
+      if (progress.dueDate < currentTime) overdue++;
+      let offset = Math.max(0, dayOf(progress.dueDate) - today);
+      if (offset >= days) continue;
+      scheduled[offset]++;
+      if (!simulate) continue;
+
+      const fsrs = schedulerFor(word);
+      while (true) {
+        // 在到期日（过期的卡片在现在）复习一次。
+        const reviewTime = Math.max(progress.dueDate, currentTime);
+        const recalled = random() < FSRS.getRetrievability(progress, reviewTime);
+        progress = fsrs.rate(progress, recalled ? RATING.GOOD : RATING.AGAIN, reviewTime);
+
+        // 间隔至少一天，保证循环结束。
+        offset = Math.max(offset + 1, dayOf(progress.dueDate) - today);
+        if (offset >= days) break;
+        simulated[offset]++;
+      }
+    }
+  }
+
+  return { scheduled, simulated, overdue };
+}
@@ -10,18 +10,138 @@
  */
 
 import { FSRS, RATING, FSRS_PARAMS } from './FSRS.js';
-import { Progress } from './Progress.js';
+import { Progress, CARD_STATE } from './Progress.js';
+import { toSchedulerParams } from './SchedulerPresets.js';
+import {
+  getCardProgresses, pickDueCardKey, buildWordProgress, senseKeyOf, parseCardKey, directionsForMode,
+} from './SenseProgress.js';
+import { startOfNextDay, DEFAULT_DAY_START_HOUR } from './StudyDay.js';
+import { LoadBalancer } from './LoadBalancer.js';
 
-// 重新导出 RATING 以便其他模块可以继续从这里导入。
-export { RATING };
+// 重新导出 RATING 和 startOfNextDay 以便其他模块可以继续从这里导入。
+export { RATING, startOfNextDay };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 默认的难词阈值：累计遗忘（lapse）达到这个次数时标记为难词。 */
+export const DEFAULT_LEECH_THRESHOLD = 8;
+
+/**
+ * 单词被标记为难词时的处理方式。
+ * - TAG: 只做标记并加入错题本。
+ * - SUSPEND: 标记、加入错题本并暂停，等待手动处理。
+ */
+export const LEECH_ACTION = {
+  TAG: 'tag',
+  SUSPEND: 'suspend',
+};
+
+/**
+ * 判断一次遗忘后的累计遗忘次数是否触发难词提醒：达到阈值时触发，
+ * 之后每再遗忘阈值的一半次（向上取整）再触发一次（与 Anki 相同）。
+ * @param {number} lapses - 本次遗忘后的累计遗忘次数。
+ * @param {number} threshold - 难词阈值。
+ * @returns {boolean}
+ */
+export function isLeechLapse(lapses, threshold) {
+  if (threshold <= 0 || lapses < threshold) return false;
+  return (lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+}
 
 /**
  * 一个使用 FSRS 来管理复习的高级调度器。
  * 这个类是应用其余部分与 FSRS 核心算法交互的主要接口。
  */
 export class ReviewScheduler {
-  constructor(params = FSRS_PARAMS) {
-    this.fsrs = new FSRS(params);
+  /**
+   * @param {object} [params=FSRS_PARAMS] - FSRS 参数。
+   * @param {object} [options={}] - 传给 FSRS 的选项，例如 `{ random, loadBalancer }`。
+   */
+  constructor(params = FSRS_PARAMS, options = {}) {
+    this.options = { ...options };
+    this.fsrs = new FSRS(params, this.options);
+    this.presetResolver = null;
+    this.leechThreshold = DEFAULT_LEECH_THRESHOLD;
+    this.leechAction = LEECH_ACTION.TAG;
+    this.directions = directionsForMode();
+    this.burySiblings = true;
+    this.dayStartHour = DEFAULT_DAY_START_HOUR;
+  }
+
+  /**
+   * 设置次日开始时间（小时），搁置到“明天”和复习量均衡的每日计数以此为准（见 StudyDay.js）。
+   * 均衡器的计数按建立时的开始时间划分，开始时间改变后需要用 createLoadBalancer 重新建立。
+   * @param {number} hour - 0–23。
+   */
+  setDayStartHour(hour) {
+    this.dayStartHour = hour;
+  }
+
+  /**
+   * 设置参与调度的学习方向，以及是否搁置兄弟卡片。
+   * @param {{studyMode?: string, burySiblings?: boolean}} options - studyMode 为 'zh-ar'、'ar-zh' 或 'mixed'；
+   *   burySiblings 为 true 时，一张卡片复习（并走完学习步骤）后，同一释义另一方向今天到期的卡片搁置到明天。
+   */
+  setCardOptions({ studyMode, burySiblings = this.burySiblings } = {}) {
+    if (studyMode) this.directions = directionsForMode(studyMode);
+    this.burySiblings = burySiblings;
+  }
+
+  /**
+   * 设置难词阈值和处理方式。
+   * @param {{threshold?: number, action?: string}} options - 阈值为 0 时不检测难词；action 取值见 LEECH_ACTION。
+   */
+  setLeechOptions({ threshold = this.leechThreshold, action = this.leechAction } = {}) {
+    this.leechThreshold = threshold;
+    this.leechAction = action;
+  }
+
+  /**
+   * 检查一个进度是否可以出现在复习中：未被暂停，且不在搁置期内。
+   * @param {Progress | object | null} progress - 单词的进度（也接受从数据库读出的普通对象）。
+   * @param {number} [currentTime=Date.now()] - 当前时间戳。
+   * @returns {boolean}
+   */
+  static isAvailable(progress, currentTime = Date.now()) {
+    if (!progress) return true;
+    if (progress.suspended) return false;
+    return !progress.buriedUntil || progress.buriedUntil <= currentTime;
+  }
+
+  /**
+   * 设置一个按单词返回复习预设的函数。设置后，每个单词按其所属词库的预设
+   * （目标保留率、最大间隔）调度；返回 null 时使用调度器自身的参数。
+   * @param {Function | null} resolver - `(word) => preset | null`。
+   */
+  setPresetResolver(resolver) {
+    this.presetResolver = resolver;
+  }
+
+  /**
+   * 用新的参数（如目标保留率）替换内部的 FSRS 实例，未给出的字段保持不变。
+   * @param {object} params - 要覆盖的 FSRS 参数，例如 `{ requestRetention: 0.85 }`。
+   */
+  updateParams(params) {
+    this.fsrs = new FSRS({ ...this.fsrs.params, ...params }, this.options);
+  }
+
+  /**
+   * 设置（或以 null 取消）复习量均衡器。之后的评分会在模糊范围内挑选复习量最少的一天，
+   * 并同步更新均衡器中的每日计数。
+   * @param {import('./LoadBalancer.js').LoadBalancer | null} loadBalancer
+   */
+  setLoadBalancer(loadBalancer) {
+    this.options.loadBalancer = loadBalancer;
+    this.fsrs.loadBalancer = loadBalancer;
+  }
+
+  /**
+   * 由一组到期时间戳建立按当前学习日划分的复习量均衡器。
+   * @param {Array<number>} dueDates - 到期时间戳列表。
+   * @returns {LoadBalancer}
+   */
+  createLoadBalancer(dueDates) {
+    return LoadBalancer.fromDueDates(dueDates, this.dayStartHour);
   }
 
   /**
@@ -40,30 +160,124 @@ export class ReviewScheduler {
 
   /**
    * 处理用户对一个单词复习的主要入口点。
+   * 每个释义在每个学习方向上都是一张卡片：评分只作用于被测验的卡片，单词进度随后由各卡片进度重新组装（见 SenseProgress.js）。
    * @param {import('./Word.js').Word} word - 被复习的单词。
    * @param {number} rating - 用户的评分。
-   * @returns {{card: import('./Word.js').Word, isNewCard: boolean}} 更新后的单词和一个指示它是否为新单词的标志。
+   * @param {number} [currentTime=Date.now()] - 复习发生的时间戳。
+   * @param {string | null} [cardKey=null] - 被测验卡片的键（`释义 id@方向`）；省略时使用当前应当测验的卡片。
+   * @returns {{card: import('./Word.js').Word, cardKey: string, cardDueDates: {before: number | null, after: number | null}, isNewCard: boolean, isLearning: boolean, isLeech: boolean, reviewLog: object}}
+   *   更新后的单词；cardKey 为被评分的卡片；cardDueDates 为该卡片复习前后的到期时间（复习量均衡器按它们移动计数）；
+   *   isNewCard 表示复习前该卡片还是未毕业的新卡片；
+   *   isLearning 表示复习后该卡片仍处于学习/重学步骤中；isLeech 表示这次遗忘使单词成为（或再次提醒为）难词；
+   *   reviewLog 是应写入 reviewLogs 仓库的本次复习记录。
    */
-  processReview(word, rating) {
+  processReview(word, rating, currentTime = Date.now(), cardKey = null) {
     if (!word || !word.arabic || !word.definitions || word.definitions.length === 0) {
         throw new Error('为复习提供了无效的单词对象。');
     }
-    
-    // 确保我们正在处理一个 Progress 实例
-    const currentProgress = (word.progress instanceof Progress) 
-        ? word.progress 
-        : new Progress(word.progress || {});
 
-    const isNewCard = !currentProgress.lastReview;
-    
-    // FSRS.rate 返回一个全新的、不可变的 Progress 对象
-    word.progress = this.fsrs.rate(currentProgress, rating);
-    
-    return { card: word, isNewCard };
+    const cards = getCardProgresses(word, this.directions);
+    const key = cards.has(cardKey) ? cardKey : pickDueCardKey(cards, currentTime);
+    const { senseKey, direction } = parseCardKey(key);
+    const cardBefore = cards.get(key);
+    const definition = word.definitions.find((def, index) => senseKeyOf(def, index) === senseKey);
+
+    const isNewCard = cardBefore.state === CARD_STATE.NEW || cardBefore.state === CARD_STATE.LEARNING;
+
+    // FSRS.rate 返回一个全新的、不可变的 Progress 对象；卡片按其释义所属词库的预设调度。
+    const rated = this._fsrsForWord({ ...word, definitions: [definition] }).rate(cardBefore, rating, currentTime);
+    const cardAfter = new Progress({ ...rated, buriedUntil: null });
+    cards.set(key, cardAfter);
+    if (this.fsrs.loadBalancer) {
+      this.fsrs.loadBalancer.move(cardBefore.dueDate, cardAfter.dueDate);
+    }
+    const isLearning = FSRS.isLearning(cardAfter);
+    if (this.burySiblings && !isLearning) {
+      this._burySiblings(cards, key, currentTime);
+    }
+    word.progress = buildWordProgress(word.progress, cards, currentTime);
+
+    // 只有已毕业卡片的遗忘会增加 lapses，此时检查是否达到难词阈值。
+    const isLeech = cardAfter.lapses > cardBefore.lapses
+      && isLeechLapse(cardAfter.lapses, this.leechThreshold);
+    if (isLeech) {
+      word.progress = new Progress({
+        ...word.progress,
+        leech: true,
+        suspended: word.progress.suspended || this.leechAction === LEECH_ACTION.SUSPEND,
+      });
+    }
+
+    const reviewLog = {
+      arabic: word.arabic,
+      defId: senseKey,
+      direction,
+      timestamp: currentTime,
+      rating,
+      state: cardBefore.state, // 复习前所处的阶段
+      elapsedDays: cardBefore.lastReview ? (currentTime - cardBefore.lastReview) / DAY_MS : 0,
+      scheduledDays: (cardAfter.dueDate - currentTime) / DAY_MS,
+    };
+
+    const cardDueDates = { before: cardBefore.dueDate, after: cardAfter.dueDate };
+    return { card: word, cardKey: key, cardDueDates, isNewCard, isLearning, isLeech, reviewLog };
   }
 
   /**
-   * 筛选一个单词列表，找出所有当前到期需要复习的单词。
+   * 把同一释义其他方向上今天会出现的卡片（新卡片或明天之前到期的卡片）搁置到明天，
+   * 避免同一天先后看到一个词的两面。
+   * @private
+   */
+  _burySiblings(cards, ratedKey, currentTime) {
+    const { senseKey } = parseCardKey(ratedKey);
+    const tomorrow = startOfNextDay(currentTime, this.dayStartHour);
+    for (const [key, progress] of cards) {
+      if (key === ratedKey || parseCardKey(key).senseKey !== senseKey) continue;
+      const showsToday = progress.state === CARD_STATE.NEW || !progress.dueDate || progress.dueDate < tomorrow;
+      if (showsToday && !(progress.buriedUntil >= tomorrow)) {
+        cards.set(key, new Progress({ ...progress, buriedUntil: tomorrow }));
+      }
+    }
+  }
+
+  /**
+   * 用当前的学习方向重新组装单词进度。保存的单词级字段是上次复习时的快照，
+   * 切换学习模式或时间推移后可能不再对应应当测验的卡片；从未学过的单词保持不变。
+   * @param {import('./Word.js').Word | {progress: object | null}} word - 单词（也接受带 progress 的普通对象）。
+   * @param {number} [currentTime=Date.now()] - 当前时间戳。
+   * @returns {object} 同一个单词，`progress` 已更新。
+   */
+  refreshProgress(word, currentTime = Date.now()) {
+    if (word.progress?.senses || word.progress?.lastReview) {
+      word.progress = buildWordProgress(word.progress, getCardProgresses(word, this.directions), currentTime);
+    }
+    return word;
+  }
+
+  /**
+   * 返回调度这个单词所用的 FSRS 实例：有预设时用预设覆盖目标保留率和最大间隔。
+   * @private
+   */
+  _fsrsForWord(word) {
+    const preset = this.presetResolver ? this.presetResolver(word) : null;
+    if (!preset) return this.fsrs;
+    return new FSRS({ ...this.fsrs.params, ...toSchedulerParams(preset) }, this.options);
+  }
+
+  /**
+   * 按学习日判断是否到期：下一个学习日开始前到期的复习现在都可以进行，当天的复习不会一张张陆续出现。
+   * 学习/重学步骤中的卡片仍按精确的到期时间。
+   * @param {Progress | object | null} progress - 单词的进度。
+   * @param {number} [currentTime=Date.now()] - 当前时间戳。
+   * @returns {boolean}
+   */
+  isDueToday(progress, currentTime = Date.now()) {
+    if (FSRS.isLearning(progress)) return FSRS.isDue(progress, currentTime);
+    return FSRS.isDue(progress, startOfNextDay(currentTime, this.dayStartHour) - 1);
+  }
+
+  /**
+   * 筛选一个单词列表，找出所有今天（按学习日）到期需要复习的单词。
    * @param {Array<import('./Word.js').Word>} words - 一个单词对象列表。
    * @param {number} [currentTime=Date.now()] - 当前时间戳。
    * @returns {Array<import('./Word.js').Word>} 一个到期单词的列表。
@@ -72,7 +286,45 @@ export class ReviewScheduler {
     return words.filter(word => {
         // 确保在检查到期状态前，单词已被初始化
         const progress = (word.progress instanceof Progress) ? word.progress : new Progress(word.progress || {});
-        return FSRS.isDue(progress, currentTime);
+        return ReviewScheduler.isAvailable(progress, currentTime) && this.isDueToday(progress, currentTime);
     });
   }
+
+  /**
+   * 暂停或恢复一个单词。暂停的单词保留全部进度，只是不再出现在复习中。
+   * @param {import('./Word.js').Word} word - 单词。
+   * @param {boolean} suspended - true 为暂停，false 为恢复。
+   * @returns {import('./Word.js').Word} 更新后的单词。
+   */
+  setSuspended(word, suspended) {
+    return this._updateStatus(word, { suspended, buriedUntil: null });
+  }
+
+  /**
+   * 将一个单词搁置到明天（下一个学习日开始时），今天不再出现。
+   * @param {import('./Word.js').Word} word - 单词。
+   * @param {number} [currentTime=Date.now()] - 当前时间戳。
+   * @returns {import('./Word.js').Word} 更新后的单词。
+   */
+  bury(word, currentTime = Date.now()) {
+    return this._updateStatus(word, { buriedUntil: startOfNextDay(currentTime, this.dayStartHour) });
+  }
+
+  /**
+   * 取消一个单词的搁置。
+   * @param {import('./Word.js').Word} word - 单词。
+   * @returns {import('./Word.js').Word} 更新后的单词。
+   */
+  unbury(word) {
+    return this._updateStatus(word, { buriedUntil: null });
+  }
+
+  /**
+   * 用新的状态字段替换单词的进度（Progress 不可变）。
+   * @private
+   */
+  _updateStatus(word, changes) {
+    word.progress = new Progress({ ...(word.progress || {}), ...changes });
+    return word;
+  }
 }
\ No newline at end of file
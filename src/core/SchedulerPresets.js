@@ -0,0 +1,140 @@
+/**
+ * @fileoverview 复习预设：一组可以分配给集合或词库的调度参数（目标保留率、最大间隔、
+ * 每日上限、主动回忆计时）。
+ *
+ * 这里只包含纯数据和解析规则，不涉及存储；读写由 PresetService 负责。
+ *
+ * 解析规则：
+ * 1. 单个 sourceDeck（"集合//词库"）：词库上的分配优先于所属集合上的分配，都没有时使用默认预设。
+ * 2. 一个单词属于多个词库时：采用目标保留率最高的预设（即复习最频繁、最保守的那个），
+ *    保留率相同时采用最大间隔更短的预设，仍相同时按预设 id 排序取第一个，保证结果稳定。
+ */
+
+import { FSRS_PARAMS, RETENTION_RANGE } from './FSRS.js';
+
+/** 默认预设的 id。默认预设不保存在预设列表中，而是由全局设置生成。 */
+export const DEFAULT_PRESET_ID = 'default';
+
+/** 默认的主动回忆遮罩时长（秒）。 */
+export const DEFAULT_RECALL_SECONDS = 5;
+
+/**
+ * 首次使用时提供的示例预设，用户可以修改或删除。
+ */
+export const BUILTIN_PRESETS = [
+  {
+    id: 'exam-cram',
+    name: '考试冲刺',
+    requestRetention: 0.95,
+    maximumInterval: 30,
+    dailyNewWords: 20,
+    maxReviewWords: 100,
+    recallSeconds: 3,
+  },
+  {
+    id: 'long-term',
+    name: '长期记忆',
+    requestRetention: 0.85,
+    maximumInterval: 3650,
+    dailyNewWords: 10,
+    maxReviewWords: 30,
+    recallSeconds: 5,
+  },
+];
+
+/**
+ * 由全局设置生成默认预设。
+ * @param {object} [settings={}] - 全局设置中的对应值，缺省时使用内置默认值。
+ * @returns {object} 默认预设。
+ */
+export function createDefaultPreset(settings = {}) {
+  return normalizePreset({
+    id: DEFAULT_PRESET_ID,
+    name: '默认（全局设置）',
+    requestRetention: FSRS_PARAMS.requestRetention,
+    maximumInterval: FSRS_PARAMS.maximumInterval,
+    dailyNewWords: 10,
+    maxReviewWords: 30,
+    recallSeconds: DEFAULT_RECALL_SECONDS,
+    ...settings,
+  });
+}
+
+/**
+ * 将预设中的各项取值限制在合理范围内，缺失的字段使用默认值。
+ * @param {object} preset - 原始预设。
+ * @returns {object} 规范化后的新预设对象。
+ */
+export function normalizePreset(preset) {
+  const toInt = (value, fallback, min) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? Math.max(min, number) : fallback;
+  };
+  const retention = parseFloat(preset.requestRetention);
+
+  return {
+    id: preset.id,
+    name: String(preset.name || '').trim() || '未命名预设',
+    requestRetention: Number.isFinite(retention)
+      ? Math.min(RETENTION_RANGE.max, Math.max(RETENTION_RANGE.min, retention))
+      : FSRS_PARAMS.requestRetention,
+    maximumInterval: toInt(preset.maximumInterval, FSRS_PARAMS.maximumInterval, 1),
+    dailyNewWords: toInt(preset.dailyNewWords, 10, 0),
+    maxReviewWords: toInt(preset.maxReviewWords, 30, 0),
+    recallSeconds: toInt(preset.recallSeconds, DEFAULT_RECALL_SECONDS, 1),
+  };
+}
+
+/**
+ * 找出某个 sourceDeck 分配到的预设 id：词库优先于集合。
+ * @param {string} sourceDeck - 形如 "集合//词库" 的来源。
+ * @param {object} assignments - 分配表，键为集合名或 "集合//词库"，值为预设 id。
+ * @returns {string} 预设 id；未分配时为 DEFAULT_PRESET_ID。
+ */
+export function resolvePresetId(sourceDeck, assignments) {
+  if (!sourceDeck) return DEFAULT_PRESET_ID;
+  const [collectionName] = sourceDeck.split('//');
+  return assignments[sourceDeck] || assignments[collectionName] || DEFAULT_PRESET_ID;
+}
+
+/**
+ * 从多个候选预设中选出生效的那个（见文件头部的规则 2）。
+ * @param {Array<object>} candidates - 候选预设，至少一个。
+ * @returns {object} 生效的预设。
+ */
+export function pickPreset(candidates) {
+  return [...candidates].sort((a, b) =>
+    (b.requestRetention - a.requestRetention) ||
+    (a.maximumInterval - b.maximumInterval) ||
+    String(a.id).localeCompare(String(b.id))
+  )[0];
+}
+
+/**
+ * 解析一个单词生效的预设。
+ * @param {import('./Word.js').Word} word - 单词，使用其全部释义的 sourceDeck。
+ * @param {Map<string, object>} presetsById - 预设 id -> 预设，必须包含默认预设。
+ * @param {object} assignments - 分配表。
+ * @returns {object} 生效的预设。
+ */
+export function resolvePresetForWord(word, presetsById, assignments) {
+  const fallback = presetsById.get(DEFAULT_PRESET_ID);
+  const candidates = new Map();
+  for (const def of word?.definitions || []) {
+    const preset = presetsById.get(resolvePresetId(def.sourceDeck, assignments)) || fallback;
+    candidates.set(preset.id, preset);
+  }
+  return candidates.size > 0 ? pickPreset([...candidates.values()]) : fallback;
+}
+
+/**
+ * 取出预设中属于 FSRS 调度参数的部分。
+ * @param {object} preset - 预设。
+ * @returns {{requestRetention: number, maximumInterval: number}}
+ */
+export function toSchedulerParams(preset) {
+  return {
+    requestRetention: preset.requestRetention,
+    maximumInterval: preset.maximumInterval,
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview 卡片级调度：一个单词的每个释义（按 `def.id`）在每个学习方向上都是一张独立的卡片。
+ * 中文→阿语（回想并写出阿语）比阿语→中文（认出词义）难得多，因此两个方向各自调度。
+ *
+ * 存储方式：卡片进度保存在单词进度的 `senses` 字段中（卡片键 `释义 id@方向` -> 进度字段）。
+ * 旧数据中只有释义 id 的键由两个方向共享，直到该方向第一次被复习；更早的单词级进度由所有卡片共享。
+ * 单词进度的其余字段是“当前应当测验的卡片”的副本，这样按单词工作的代码
+ * （dueDate 索引、到期筛选、统计、新词判断）无需改动即可继续使用。
+ * 暂停、搁置和难词标记仍然属于整个单词；卡片自身的 `buriedUntil` 只用于兄弟卡片搁置。
+ *
+ * 只有当前学习模式包含的方向参与调度。应当测验的卡片按以下顺序选出（被搁置的卡片除外）：
+ * 1. 已到期的已学卡片，最早到期的优先；
+ * 2. 仍在学习/重学步骤中的卡片（短期记忆，需要先走完步骤）；
+ * 3. 尚未学习的新卡片，按释义和方向的顺序；
+ * 4. 以上都没有时，下一个到期（或搁置结束）的卡片。
+ */
+
+import { Progress, CARD_STATE } from './Progress.js';
+
+/** 学习方向，取值与设置中的学习模式相同。 */
+export const DIRECTION = {
+  ZH_AR: 'zh-ar',
+  AR_ZH: 'ar-zh',
+};
+
+/** 每张卡片各自保存的进度字段（兄弟卡片搁置的 `buriedUntil` 另行保存）。 */
+const SENSE_FIELDS = [
+  'difficulty', 'stability', 'lastReview', 'dueDate', 'stage',
+  'firstLearnedDate', 'reps', 'lapses', 'state', 'step',
+];
+
+/**
+ * 返回一个学习模式所包含的方向。
+ * @param {string} [mode='zh-ar'] - 学习模式：'zh-ar'、'ar-zh' 或 'mixed'。
+ * @returns {Array<string>} DIRECTION 中的值。
+ */
+export function directionsForMode(mode = DIRECTION.ZH_AR) {
+  if (mode === 'mixed') return [DIRECTION.ZH_AR, DIRECTION.AR_ZH];
+  return [mode === DIRECTION.AR_ZH ? DIRECTION.AR_ZH : DIRECTION.ZH_AR];
+}
+
+/**
+ * 返回一个释义的义项键。
+ * @param {object} definition - 释义。
+ * @param {number} index - 释义在单词中的下标，旧数据没有 id 时使用。
+ * @returns {string}
+ */
+export function senseKeyOf(definition, index) {
+  return definition?.id || `def_${index}`;
+}
+
+/**
+ * 返回一张卡片在 `senses` 中使用的键。
+ * @param {string} senseKey - 义项键（见 senseKeyOf）。
+ * @param {string} direction - DIRECTION 中的值。
+ * @returns {string}
+ */
+export function cardKeyOf(senseKey, direction) {
+  return `${senseKey}@${direction}`;
+}
+
+/**
+ * 拆分卡片键。
+ * @param {string} cardKey - 卡片键。
+ * @returns {{senseKey: string, direction: string | null}} 旧数据的义项键没有方向，direction 为 null。
+ */
+export function parseCardKey(cardKey) {
+  const at = cardKey.lastIndexOf('@');
+  if (at === -1) return { senseKey: cardKey, direction: null };
+  return { senseKey: cardKey.slice(0, at), direction: cardKey.slice(at + 1) };
+}
+
+/**
+ * 取出进度中属于单张卡片的字段。
+ * @param {Progress | object} progress - 进度。
+ * @returns {object} 普通对象，可直接保存。
+ */
+export function toSenseState(progress) {
+  const state = {};
+  for (const field of SENSE_FIELDS) {
+    if (progress[field] !== undefined) state[field] = progress[field];
+  }
+  return state;
+}
+
+/**
+ * 读取一个单词在给定方向上的所有卡片进度。
+ * 旧数据中没有方向的义项进度由两个方向共享；没有 `senses` 的单词级进度由所有卡片共享。
+ * @param {import('./Word.js').Word} word - 单词。
+ * @param {Array<string>} [directions=directionsForMode()] - 参与调度的方向。
+ * @returns {Map<string, Progress>} 卡片键 -> 进度，按释义、再按方向排序。
+ */
+export function getCardProgresses(word, directions = directionsForMode()) {
+  const progress = word.progress;
+  const cards = new Map();
+  word.definitions.forEach((definition, index) => {
+    const senseKey = senseKeyOf(definition, index);
+    for (const direction of directions) {
+      const key = cardKeyOf(senseKey, direction);
+      if (progress?.senses) {
+        cards.set(key, new Progress(progress.senses[key] || progress.senses[senseKey] || {}));
+      } else if (progress?.lastReview) {
+        cards.set(key, new Progress(toSenseState(progress)));
+      } else {
+        cards.set(key, new Progress());
+      }
+    }
+  });
+  return cards;
+}
+
+/**
+ * 卡片此刻是否未被兄弟卡片搁置。
+ * @private
+ */
+function isUnburied(progress, currentTime) {
+  return !progress.buriedUntil || progress.buriedUntil <= currentTime;
+}
+
+/**
+ * 卡片最早可以再次出现的时间：到期日与搁置结束时间中较晚的一个。
+ * @private
+ */
+function effectiveDueDate(progress) {
+  return Math.max(progress.dueDate || 0, progress.buriedUntil || 0) || null;
+}
+
+/**
+ * 选出应当测验的卡片（规则见文件头部）。
+ * @param {Map<string, Progress>} cards - getCardProgresses 的结果。
+ * @param {number} [currentTime=Date.now()] - 当前时间戳。
+ * @returns {string | null} 卡片键；没有卡片时为 null。
+ */
+export function pickDueCardKey(cards, currentTime = Date.now()) {
+  const entries = [...cards.entries()];
+  const available = entries.filter(([, p]) => isUnburied(p, currentTime));
+  const byDueDate = (a, b) => effectiveDueDate(a[1]) - effectiveDueDate(b[1]);
+  const isStarted = ([, p]) => p.state !== CARD_STATE.NEW && p.dueDate;
+  const isInSteps = ([, p]) => p.state === CARD_STATE.LEARNING || p.state === CARD_STATE.RELEARNING;
+
+  const due = available.filter(entry => isStarted(entry) && entry[1].dueDate <= currentTime).sort(byDueDate);
+  if (due.length > 0) return due[0][0];
+
+  const inSteps = available.filter(entry => isStarted(entry) && isInSteps(entry)).sort(byDueDate);
+  if (inSteps.length > 0) return inSteps[0][0];
+
+  const fresh = available.find(entry => !isStarted(entry));
+  if (fresh) return fresh[0];
+
+  const upcoming = entries.sort(byDueDate);
+  return upcoming.length > 0 ? upcoming[0][0] : null;
+}
+
+/**
+ * 选出一个单词当前应当测验的卡片。应当测验的是新卡片时，在同一释义尚未学习的各方向中随机选一个，
+ * 这样混合模式下新词不会总是先以同一个方向出现。
+ * @param {import('./Word.js').Word} word - 单词。
+ * @param {Array<string>} [directions=directionsForMode()] - 参与调度的方向。
+ * @param {number} [currentTime=Date.now()] - 当前时间戳。
+ * @param {Function} [random=Math.random] - 返回 [0, 1) 的随机数函数。
+ * @returns {{key: string, index: number, direction: string}} 卡片键、释义下标和方向；
+ *   没有卡片进度时为第一个释义的第一个方向。
+ */
+export function pickDueCard(word, directions = directionsForMode(), currentTime = Date.now(), random = Math.random) {
+  const cards = getCardProgresses(word, directions);
+  let key = pickDueCardKey(cards, currentTime) || cardKeyOf(senseKeyOf(word.definitions[0], 0), directions[0]);
+  if (cards.get(key)?.state === CARD_STATE.NEW) {
+    const fresh = [...cards.entries()]
+      .filter(([k, p]) => p.state === CARD_STATE.NEW && isUnburied(p, currentTime)
+        && parseCardKey(k).senseKey === parseCardKey(key).senseKey)
+      .map(([k]) => k);
+    if (fresh.length > 1) key = fresh[Math.floor(random() * fresh.length)];
+  }
+  const { senseKey, direction } = parseCardKey(key);
+  const index = word.definitions.findIndex((definition, i) => senseKeyOf(definition, i) === senseKey);
+  return { key, index: Math.max(0, index), direction };
+}
+
+/**
+ * 由卡片进度组装单词进度：单词级字段取自应当测验的卡片（到期日计入兄弟卡片搁置），
+ * 并保留单词自身的暂停、搁置和难词标记。不在 `cards` 中的已保存卡片（其他方向）原样保留。
+ * @param {Progress | object | null} wordProgress - 单词原来的进度。
+ * @param {Map<string, Progress>} cards - 卡片键 -> 进度。
+ * @param {number} [currentTime=Date.now()] - 当前时间戳。
+ * @returns {Progress}
+ */
+export function buildWordProgress(wordProgress, cards, currentTime = Date.now()) {
+  const dueKey = pickDueCardKey(cards, currentTime);
+  const stored = { ...(wordProgress?.senses || {}) };
+  for (const [key, progress] of cards) {
+    stored[key] = toSenseState(progress);
+    if (progress.buriedUntil) stored[key].buriedUntil = progress.buriedUntil;
+  }
+  const dueCard = dueKey ? cards.get(dueKey) : null;
+  return new Progress({
+    ...(dueCard ? toSenseState(dueCard) : {}),
+    dueDate: dueCard ? effectiveDueDate(dueCard) : null,
+    suspended: wordProgress?.suspended || false,
+    buriedUntil: wordProgress?.buriedUntil || null,
+    leech: wordProgress?.leech || false,
+    senses: stored,
+  });
+}
+
+/**
+ * 把旧的单词级进度迁移为义项级：原有进度复制给单词现有的每个释义，由两个方向共享。
+ * @param {Array<object>} definitions - 单词的释义。
+ * @param {object | null} progress - 旧的进度记录。
+ * @returns {object | null} 带 `senses` 的新进度（普通对象）；无需迁移时返回 null。
+ */
+export function migrateToSenseProgress(definitions, progress) {
+  if (!progress || progress.senses || !Array.isArray(definitions) || definitions.length === 0) {
+    return null;
+  }
+  const senses = {};
+  if (progress.lastReview) {
+    definitions.forEach((definition, index) => {
+      senses[senseKeyOf(definition, index)] = toSenseState(progress);
+    });
+  }
+  const migrated = { ...progress, senses };
+  // 复习历史已迁移到 reviewLogs 仓库，不能随进度一起写回。
+  delete migrated.reviews;
+  return migrated;
+}
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview 学习目标与会话计时：一次学习可以设定“学习 N 分钟”或“学习 N 张卡片”后结束。
+ *
+ * 计时只算实际学习的时间：暂停和应用在后台的时间不计入（见 SessionClock）。
+ * 目标只在两张卡片之间检查，不会打断正在作答的卡片；卡片数按评分次数计算（同一张卡片忘记后再次出现也算一次）。
+ * 达到目标时剩余的队列照常保存在会话状态中，下次可以继续。
+ */
+
+/** 学习目标的类型。 */
+export const SESSION_GOAL_TYPE = {
+  NONE: 'none',
+  MINUTES: 'minutes',
+  CARDS: 'cards',
+};
+
+/** 默认不设目标；选择目标类型时的默认数值为 10（分钟或张）。 */
+export const DEFAULT_SESSION_GOAL = { type: SESSION_GOAL_TYPE.NONE, value: 10 };
+
+/**
+ * 把学习目标规整为合法值。
+ * @param {object} [goal={}] - `{ type, value }`，可能来自存储或表单。
+ * @returns {{type: string, value: number}}
+ */
+export function normalizeSessionGoal(goal = {}) {
+  const type = Object.values(SESSION_GOAL_TYPE).includes(goal?.type) ? goal.type : DEFAULT_SESSION_GOAL.type;
+  const value = parseInt(goal?.value, 10);
+  return { type, value: Number.isFinite(value) && value > 0 ? value : DEFAULT_SESSION_GOAL.value };
+}
+
+/**
+ * 是否已达到学习目标。
+ * @param {{type: string, value: number}} goal - 规整后的学习目标。
+ * @param {{elapsedMs: number, cardsDone: number}} progress - 已学习的时间（不含暂停）和已评分的卡片数。
+ * @returns {boolean}
+ */
+export function isSessionGoalReached(goal, { elapsedMs, cardsDone }) {
+  if (goal.type === SESSION_GOAL_TYPE.MINUTES) return elapsedMs >= goal.value * 60 * 1000;
+  if (goal.type === SESSION_GOAL_TYPE.CARDS) return cardsDone >= goal.value;
+  return false;
+}
+
+/**
+ * 学习目标的进度说明，显示在进度条旁。
+ * @param {{type: string, value: number}} goal - 规整后的学习目标。
+ * @param {{elapsedMs: number, cardsDone: number}} progress
+ * @returns {string} 没有目标时为空字符串。
+ */
+export function describeSessionGoalProgress(goal, { elapsedMs, cardsDone }) {
+  if (goal.type === SESSION_GOAL_TYPE.MINUTES) {
+    const remainingMinutes = Math.max(0, Math.ceil(goal.value - elapsedMs / 60000));
+    return `目标 ${goal.value} 分钟，还剩约 ${remainingMinutes} 分钟`;
+  }
+  if (goal.type === SESSION_GOAL_TYPE.CARDS) {
+    return `目标 ${goal.value} 张，已完成 ${Math.min(cardsDone, goal.value)} 张`;
+  }
+  return '';
+}
+
+/** 会话计时暂停的原因：用户点了暂停，或应用切到了后台。两者可以同时存在。 */
+export const CLOCK_PAUSE_REASON = {
+  USER: 'user',
+  HIDDEN: 'hidden',
+};
+
+/**
+ * 可暂停的会话计时器：elapsed 只累计没有任何暂停原因时的时间。
+ */
+export class SessionClock {
+  /**
+   * @param {number} [now=Date.now()] - 开始时间戳。
+   */
+  constructor(now = Date.now()) {
+    this.startedAt = now;
+    this.pausedAt = null; // 暂停中时为暂停开始的时间戳
+    this.pausedMs = 0; // 已结束的暂停累计时长
+    this.pauseReasons = new Set();
+  }
+
+  /** @returns {boolean} 是否处于暂停中（任何原因）。 */
+  get isPaused() {
+    return this.pausedAt !== null;
+  }
+
+  /**
+   * @param {string} reason - CLOCK_PAUSE_REASON 中的值。
+   * @returns {boolean} 是否因这个原因暂停中。
+   */
+  isPausedFor(reason) {
+    return this.pauseReasons.has(reason);
+  }
+
+  /**
+   * 因某个原因暂停计时。
+   * @param {number} [now=Date.now()]
+   * @param {string} [reason=CLOCK_PAUSE_REASON.USER]
+   */
+  pause(now = Date.now(), reason = CLOCK_PAUSE_REASON.USER) {
+    this.pauseReasons.add(reason);
+    if (!this.isPaused) this.pausedAt = now;
+  }
+
+  /**
+   * 解除某个暂停原因；所有原因都解除后继续计时。
+   * @param {number} [now=Date.now()]
+   * @param {string} [reason=CLOCK_PAUSE_REASON.USER]
+   */
+  resume(now = Date.now(), reason = CLOCK_PAUSE_REASON.USER) {
+    this.pauseReasons.delete(reason);
+    if (!this.isPaused || this.pauseReasons.size > 0) return;
+    this.pausedMs += Math.max(0, now - this.pausedAt);
+    this.pausedAt = null;
+  }
+
+  /**
+   * 不含暂停的已用时间。
+   * @param {number} [now=Date.now()]
+   * @returns {number} 毫秒。
+   */
+  elapsed(now = Date.now()) {
+    const end = this.isPaused ? this.pausedAt : now;
+    return Math.max(0, end - this.startedAt - this.pausedMs);
+  }
+}
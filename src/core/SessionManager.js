@@ -2,9 +2,25 @@
  * @fileoverview Manages the state and logic of an active study session.
  */
 
-import { ReviewScheduler, RATING } from './ReviewScheduler.js';
+import { ReviewScheduler, RATING, DEFAULT_LEECH_THRESHOLD, LEECH_ACTION } from './ReviewScheduler.js';
+import { FSRS_PARAMS } from './FSRS.js';
+import { DEFAULT_RECALL_SECONDS } from './SchedulerPresets.js';
+import { DEFAULT_DAY_START_HOUR } from './StudyDay.js';
+import { DEFAULT_ANSWER_STRICTNESS } from './AnswerChecker.js';
+import { DEFAULT_CHOICE_COUNT } from './ChoiceQuiz.js';
+import { buildCloze } from './Cloze.js';
+import { pickDueCard, directionsForMode } from './SenseProgress.js';
+import { createSessionTally, recordRating, buildSessionSummary } from './SessionSummary.js';
+import { forecastReviews } from './ReviewForecast.js';
+import { SessionClock, CLOCK_PAUSE_REASON, normalizeSessionGoal, isSessionGoalReached, describeSessionGoalProgress } from './SessionGoal.js';
+import { normalizeSlowRecallSeconds, suggestRatingForLatency, isCorrectButSlow } from './AnswerLatency.js';
 import { STORAGE_KEYS } from '../common/constants.js';
-import { showRecallOverlay } from '../ui/card-controller.js';
+import { showRecallOverlay, pauseRecallOverlay, resumeRecallOverlay } from '../ui/card-controller.js';
+import { ANSWER_MODE, LISTENING_RESPONSE } from '../components/StudyCard.js';
+import { SLOW_RATE_SCALE } from '../infrastructure/TTSManager.js';
+
+/** How many ratings can be undone in a row. */
+const MAX_UNDO_DEPTH = 20;
 
 export class SessionManager {
     /**
@@ -16,8 +32,10 @@ export class SessionManager {
      * @param {import('../components/ProgressBar.js').ProgressBar} dependencies.progressBarComponent
      * @param {import('../infrastructure/EventBus.js').EventBus} dependencies.eventBus
      * @param {import('../infrastructure/ErrorHandler.js').ErrorHandler} dependencies.errorHandler
+     * @param {import('../services/PresetService.js').PresetService} dependencies.presetService
+     * @param {Array<import('./Word.js').Word>} dependencies.vocabularyWords - All loaded words, the pool for multiple-choice distractors.
      */
-    constructor({ storageService, statsService, ttsManager, studyCardComponent, progressBarComponent, eventBus, errorHandler, mistakeRepository }) {
+    constructor({ storageService, statsService, ttsManager, studyCardComponent, progressBarComponent, eventBus, errorHandler, mistakeRepository, presetService, vocabularyWords = [] }) {
         // --- Services & Infrastructure ---
         this.storageService = storageService;
         this.statsService = statsService;
@@ -25,6 +43,8 @@ export class SessionManager {
         this.eventBus = eventBus;
         this.errorHandler = errorHandler;
         this.mistakeRepository = mistakeRepository;
+        this.presetService = presetService;
+        this.vocabularyWords = vocabularyWords;
 
         // --- UI Components (as dependencies) ---
         this.studyCardComponent = studyCardComponent;
@@ -40,8 +60,13 @@ export class SessionManager {
     }
 
     _bindEvents() {
-        this.eventBus.on('wordRated', ({ rating }) => this.handleRating(rating));
-        this.eventBus.on('playWordTTS', ({ word }) => this.ttsManager.playWord(word));
+        this.eventBus.on('wordRated', ({ rating, cardKey }) => this.handleRating(rating, cardKey));
+        this.eventBus.on('answerRevealed', ({ word, suggestedRating }) => this._handleAnswerRevealed(word, suggestedRating));
+        // Listening cards play regardless of the TTS switch, since the audio is the question.
+        this.eventBus.on('playWordTTS', ({ word, listening = false, slow = false }) => this.ttsManager.playWord(word, {
+            force: listening,
+            rateScale: slow ? SLOW_RATE_SCALE : 1,
+        }));
         this.eventBus.on('playExplanationTTS', ({ text }) => {
             if (text) {
                 const arabicParts = text.match(/[؀-ۿݐ-ݿ 0-9,.؟!?]+/g);
@@ -58,13 +83,29 @@ export class SessionManager {
         this.currentWord = null;
         this.historyStack = [];
         this.sessionQueue = [];
+        this.learningQueue = []; // Cards in learning/relearning steps, ordered by due time
         this.sessionState = {};
         this.isFsrsSession = false;
         this.isReviewingHistory = false;
         this.isSessionActive = false;
+        this.listeningUnavailableNotified = false;
         this.currentDeckName = '';
         this.currentMode = 'zh-ar';
         this.sessionMistakeCounts = new Map(); // Track 'Again' counts per word
+        this.undoStack = []; // Snapshots taken before each rating, newest last
+        this.loadBalancer = null; // Per-day due counts, loaded lazily on the first rating
+        this.schedulerSettingsStale = true; // Scheduler settings are loaded on the first rating and again after they change
+        this.sessionGoal = null; // Minutes or cards after which the session ends, loaded with the first card
+        this.sessionClock = null; // Active study time of this sitting, without pauses or time in the background
+        this.cardTiming = null; // When the current card was shown and its answer revealed, on the session clock
+        this.slowRecallMs = 0; // Recall slower than this suggests 'Hard', loaded with each card
+        this.cardsDone = 0; // Ratings given in this sitting, for the card-count goal
+        this.sessionTally = createSessionTally(); // Ratings and cards seen, for the end-of-session summary
+    }
+
+    /** @returns {boolean} Whether the user paused the session. */
+    get isPaused() {
+        return this.sessionClock?.isPausedFor(CLOCK_PAUSE_REASON.USER) || false;
     }
 
     /**
@@ -80,7 +121,9 @@ export class SessionManager {
         this.activeWords = sessionData.fullWordList;
 
         this.isSessionActive = true;
+        this.sessionClock = new SessionClock();
         this.eventBus.emit('sessionStarted');
+        this.eventBus.emit('undoStateChanged', { canUndo: false });
         this.statsService.onSessionStart();
 
         if (sessionData.savedSession) {
@@ -111,10 +154,48 @@ export class SessionManager {
         }
     }
 
+    /**
+     * Pauses the session: the session clock (used for the time goal) and the recall countdown stop
+     * until resume() is called, and the card is covered so it cannot be answered meanwhile.
+     */
+    pause() {
+        if (!this.isSessionActive || this.isPaused) return;
+        this.sessionClock.pause(Date.now(), CLOCK_PAUSE_REASON.USER);
+        this.ttsManager.stop();
+        pauseRecallOverlay();
+        this.eventBus.emit('sessionPauseChanged', { paused: true });
+    }
+
+    /**
+     * Resumes a paused session.
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.sessionClock.resume(Date.now(), CLOCK_PAUSE_REASON.USER);
+        resumeRecallOverlay();
+        this.eventBus.emit('sessionPauseChanged', { paused: false });
+    }
+
+    /**
+     * Stops the session clock while the app is hidden (another tab or window in front),
+     * so that time in the background counts neither for the time goal nor for answer times.
+     * @param {boolean} hidden
+     */
+    setHidden(hidden) {
+        if (!this.isSessionActive || !this.sessionClock) return;
+        if (hidden) {
+            this.sessionClock.pause(Date.now(), CLOCK_PAUSE_REASON.HIDDEN);
+        } else {
+            this.sessionClock.resume(Date.now(), CLOCK_PAUSE_REASON.HIDDEN);
+        }
+    }
+
     initializeNewSession(queue) {
         this.sessionQueue = [...queue];
+        this.learningQueue = [];
         this.sessionState = {
             sessionQueue: this.sessionQueue.map(w => ({ arabic: w.arabic })),
+            learningQueue: [],
             completedCount: 0,
             currentSessionTotal: this.sessionQueue.length,
         };
@@ -126,6 +207,10 @@ export class SessionManager {
             this.sessionQueue = savedState.sessionQueue
                 .map(key => this.activeWords.find(w => w.arabic === key.arabic))
                 .filter(Boolean);
+            this.learningQueue = (savedState.learningQueue || [])
+                .map(key => this.activeWords.find(w => w.arabic === key.arabic))
+                .filter(Boolean)
+                .sort((a, b) => (a.progress?.dueDate || 0) - (b.progress?.dueDate || 0));
         } catch (error) {
             this.errorHandler.devError(error, 'Failed to restore session state');
             this.errorHandler.userError('恢复会话失败，将开始一个新会话。');
@@ -141,34 +226,177 @@ export class SessionManager {
         this.eventBus.emit('historyStateChanged', { canGoBack: this.historyStack.length > 0 });
         this.eventBus.emit('reviewModeChanged', { isReviewing: false });
 
-        if (this.sessionQueue.length === 0) {
+        if (await this._isSessionGoalReached()) {
+            await this._endAtSessionGoal();
+            return;
+        }
+
+        const cardOptions = await this._getCardOptions();
+        let nextWord = this._takeNextWord();
+        // Cloze cards need an example sentence; words without one are left out of the session.
+        while (nextWord && cardOptions.answerMode === ANSWER_MODE.CLOZE && !this._hasCloze(nextWord)) {
+            this.sessionState.currentSessionTotal = Math.max(0, (this.sessionState.currentSessionTotal || 0) - 1);
+            nextWord = this._takeNextWord();
+        }
+        if (!nextWord) {
             await this.complete();
             return;
         }
 
-        this.currentWord = this.sessionQueue.shift();
-        this.studyCardComponent.render(this.currentWord, this.currentMode);
+        this.currentWord = nextWord;
+        this.slowRecallMs = normalizeSlowRecallSeconds(await this.storageService.getSetting(STORAGE_KEYS.SLOW_RECALL_SECONDS)) * 1000;
+        this._startCardTiming();
+        this.studyCardComponent.render(this.currentWord, this.currentMode, cardOptions);
         
         const autoPlay = await this.storageService.getSetting(STORAGE_KEYS.ARABIC_TTS_AUTO_PLAY, true);
-        if (autoPlay) {
+        if (cardOptions.answerMode === ANSWER_MODE.LISTENING) {
+            this.ttsManager.playWord(this.currentWord, { force: true });
+        } else if (autoPlay) {
             this.ttsManager.playWord(this.currentWord);
         }
         
         // Restore Recall Mode functionality
         const recallMode = await this.storageService.getSetting(STORAGE_KEYS.RECALL_MODE, false);
         if (recallMode) {
-            showRecallOverlay(5);
+            const preset = this.presetService?.resolveForWord(this.currentWord);
+            showRecallOverlay(preset?.recallSeconds || DEFAULT_RECALL_SECONDS);
         }
         
         this.updateAndSaveState();
     }
 
+    /** Starts timing the card that is about to be shown. @private */
+    _startCardTiming() {
+        this.cardTiming = { shownAt: this.sessionClock?.elapsed() || 0, revealMs: null };
+    }
+
+    /**
+     * The answer of the current card was revealed (by the user, a typed answer check or a choice):
+     * records the recall time and, when it was slow, suggests 'Hard' instead of 'Good'/'Easy'.
+     * @param {object} word - The word on the card.
+     * @param {number|null} suggestedRating - The card's own suggestion, null when self-graded.
+     * @private
+     */
+    _handleAnswerRevealed(word, suggestedRating) {
+        if (!this.cardTiming || word !== this.currentWord || this.isReviewingHistory) return;
+        if (this.cardTiming.revealMs === null) {
+            this.cardTiming.revealMs = this.sessionClock.elapsed() - this.cardTiming.shownAt;
+        }
+        const suggestion = suggestRatingForLatency(suggestedRating, this.cardTiming.revealMs, this.slowRecallMs);
+        if (suggestion !== suggestedRating) {
+            this.studyCardComponent.suggestRating(suggestion);
+        }
+    }
+
+    /**
+     * @returns {{revealMs: number, answerMs: number}|null} How long the current card took to recall and to
+     *   rate, without pauses. A card rated without revealing its answer counts its rating time as recall time.
+     * @private
+     */
+    _finishCardTiming() {
+        if (!this.cardTiming || !this.sessionClock) return null;
+        const answerMs = this.sessionClock.elapsed() - this.cardTiming.shownAt;
+        const timing = { revealMs: this.cardTiming.revealMs ?? answerMs, answerMs };
+        this.cardTiming = null;
+        return timing;
+    }
+
+    /**
+     * The goal is only checked between cards, and only while cards are left: a session that
+     * runs out of cards completes normally.
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isSessionGoalReached() {
+        if (!this.sessionGoal) {
+            this.sessionGoal = normalizeSessionGoal({
+                type: await this.storageService.getSetting(STORAGE_KEYS.SESSION_GOAL_TYPE),
+                value: await this.storageService.getSetting(STORAGE_KEYS.SESSION_GOAL_VALUE),
+            });
+        }
+        const cardsLeft = this.sessionQueue.length + this.learningQueue.length;
+        return cardsLeft > 0 && isSessionGoalReached(this.sessionGoal, this._getGoalProgress());
+    }
+
+    /** @private */
+    _getGoalProgress() {
+        return { elapsedMs: this.sessionClock?.elapsed() || 0, cardsDone: this.cardsDone };
+    }
+
+    /**
+     * Ends the session at its goal and shows the summary. The leftover queue is saved like when
+     * the user leaves (FSRS sessions only), so the next visit to the deck offers to continue it.
+     * @private
+     */
+    async _endAtSessionGoal() {
+        this.currentWord = null;
+        await this.complete({ atGoal: true });
+    }
+
+    /**
+     * Listening mode needs an Arabic voice; without one the cards fall back to revealing the answer.
+     * @returns {Promise<object>} How the study card asks for the answer, see StudyCard.render.
+     * @private
+     */
+    async _getCardOptions() {
+        let answerMode = await this.storageService.getSetting(STORAGE_KEYS.ANSWER_MODE, ANSWER_MODE.REVEAL);
+        if (answerMode === ANSWER_MODE.LISTENING && !this.ttsManager.hasArabicVoice()) {
+            if (!this.listeningUnavailableNotified) {
+                this.errorHandler.userError('未找到阿拉伯语语音，听力模式不可用，本次改为翻看答案。请在系统中安装阿拉伯语语音。');
+                this.listeningUnavailableNotified = true;
+            }
+            answerMode = ANSWER_MODE.REVEAL;
+        }
+        const strictness = await this.storageService.getSetting(STORAGE_KEYS.ANSWER_STRICTNESS, DEFAULT_ANSWER_STRICTNESS);
+        const choiceCount = await this.storageService.getSetting(STORAGE_KEYS.CHOICE_COUNT, DEFAULT_CHOICE_COUNT);
+        const listeningResponse = await this.storageService.getSetting(STORAGE_KEYS.LISTENING_RESPONSE, LISTENING_RESPONSE.TYPED);
+        return { answerMode, strictness, choiceCount, choicePool: this.vocabularyWords, listeningResponse };
+    }
+
+    /**
+     * @param {object} word
+     * @returns {boolean} Whether the card of the word that is due has an example sentence to blank out.
+     * @private
+     */
+    _hasCloze(word) {
+        const { index } = pickDueCard(word, directionsForMode(this.currentMode));
+        return buildCloze(word, index) !== null;
+    }
+
+    /**
+     * Picks the next card: a learning card whose step has elapsed comes first, then the
+     * regular queue. When only learning cards remain, the earliest one is shown ahead of time.
+     * @returns {object|null} The next word, or null when the session is finished.
+     * @private
+     */
+    _takeNextWord() {
+        const firstLearning = this.learningQueue[0];
+        if (firstLearning && (firstLearning.progress?.dueDate || 0) <= Date.now()) {
+            return this.learningQueue.shift();
+        }
+        if (this.sessionQueue.length > 0) {
+            return this.sessionQueue.shift();
+        }
+        return this.learningQueue.shift() || null;
+    }
+
+    /**
+     * Puts a card that is still in its learning steps back into the session, ordered by due time.
+     * @private
+     */
+    _requeueLearningWord(word) {
+        const dueDate = word.progress?.dueDate || 0;
+        const index = this.learningQueue.findIndex(w => (w.progress?.dueDate || 0) > dueDate);
+        this.learningQueue.splice(index === -1 ? this.learningQueue.length : index, 0, word);
+    }
+
     showPreviousWord() {
         if (this.historyStack.length > 0) {
             if (this.currentWord) {
                 this.sessionQueue.unshift(this.currentWord);
             }
             this.currentWord = this.historyStack.pop();
+            this.cardTiming = null;
             this.studyCardComponent.render(this.currentWord, this.currentMode);
             this.eventBus.emit('historyStateChanged', { canGoBack: this.historyStack.length > 0 });
             this.isReviewingHistory = true;
@@ -176,43 +404,70 @@ export class SessionManager {
         }
     }
 
-    async handleRating(rating) {
-        if (!this.currentWord || this.isReviewingHistory) return;
+    /**
+     * Applies a rating to the current word and moves on.
+     * @param {number} rating - One of RATING.
+     * @param {string|null} [cardKey=null] - The card (definition and direction) that was quizzed; defaults to the word's due card.
+     */
+    async handleRating(rating, cardKey = null) {
+        if (!this.currentWord || this.isReviewingHistory || this.isPaused) return;
+
+        const timing = this._finishCardTiming();
+        const slowWord = timing && isCorrectButSlow(rating, timing.revealMs, this.slowRecallMs) ? this.currentWord.arabic : null;
+        const undoEntry = this._pushUndoEntry();
+        this.cardsDone++;
 
         // Track mistakes for "Mistake Notebook" auto-addition
-        if (rating === RATING.FORGOT) { // FORGOT corresponds to "Again"
+        if (rating === RATING.AGAIN) {
             const currentCount = (this.sessionMistakeCounts.get(this.currentWord.arabic) || 0) + 1;
             this.sessionMistakeCounts.set(this.currentWord.arabic, currentCount);
 
             if (currentCount === 4 && this.mistakeRepository) {
                 console.log(`[SessionManager] Word ${this.currentWord.arabic} hit 4 mistakes. Adding to Mistake Notebook.`);
-                await this.mistakeRepository.addWord(this.currentWord.arabic);
+                undoEntry.addedToMistakes = await this.mistakeRepository.addWord(this.currentWord.arabic);
                 // Optional: Notify user via EventBus if we had a notification system capable of subtle toasts
             }
         }
 
         if (this.isFsrsSession) {
-            const { card: updatedWord, isNewCard } = this.scheduler.processReview(this.currentWord, rating);
+            if (this.schedulerSettingsStale) await this._syncSchedulerSettings();
+            const { card: updatedWord, cardKey: ratedKey, cardDueDates, isNewCard, isLearning, isLeech, reviewLog } = this.scheduler.processReview(this.currentWord, rating, Date.now(), cardKey);
             this.currentWord = updatedWord;
+            undoEntry.cardDueDates = cardDueDates;
+            this.sessionTally = recordRating(this.sessionTally, { rating, cardKey: ratedKey, isNew: isNewCard, slowWord });
+            undoEntry.reviewLogId = await this._saveReviewLog(timing ? { ...reviewLog, ...timing } : reviewLog);
+            if (isLeech) {
+                undoEntry.addedToMistakes = await this._handleLeech(this.currentWord) || undoEntry.addedToMistakes;
+            }
 
-            if (rating === RATING.EASY) {
+            if (this.currentWord.progress.suspended) {
+                // Suspended as a leech: it leaves the session right away.
+                await this.showNextWord();
+            } else if (isLearning) {
+                // The step's due time lives in Progress, so it survives the end of the session.
+                this._requeueLearningWord(this.currentWord);
+                await this.showNextWord();
+            } else if (rating !== RATING.AGAIN) {
                 if (isNewCard) {
                     const learned = this.statsService.trackWordLearned(this.currentWord);
                     if (learned) {
-                        // This is a per-deck count for regular study feature
-                        this.statsService.incrementTodayLearnedWords(this.currentDeckName);
+                        // Per-deck and per-preset counts for the regular study daily caps
+                        const preset = this.presetService?.resolveForWord(this.currentWord);
+                        this.statsService.incrementTodayLearnedWords(this.currentDeckName, preset?.id);
                         await this.storageService.saveProgress(this.currentDeckName, [this.currentWord]);
                     }
                 }
                 this.sessionState.completedCount = (this.sessionState.completedCount || 0) + 1;
                 await this.showNextWord();
             } else {
+                // Learning steps are disabled: fall back to showing the card again a few cards later.
                 const reinsertPosition = Math.min(this.sessionQueue.length, Math.floor(Math.random() * 3) + 3);
                 this.sessionQueue.splice(reinsertPosition, 0, this.currentWord);
                 await this.showNextWord();
             }
         } else { // Non-FSRS session
-            if (rating === RATING.EASY) {
+            this.sessionTally = recordRating(this.sessionTally, { rating, cardKey: cardKey || this.currentWord.arabic, isNew: false, slowWord });
+            if (rating >= RATING.GOOD) {
                 this.sessionState.completedCount = (this.sessionState.completedCount || 0) + 1;
             } else {
                 const reinsertPosition = Math.min(this.sessionQueue.length, Math.floor(Math.random() * 3) + 3);
@@ -222,30 +477,304 @@ export class SessionManager {
         }
     }
 
-    async complete() {
+    /**
+     * A word just reached the leech threshold: it goes into the mistake notebook and the UI is told,
+     * so that the user can decide what to do with it (the scheduler may already have suspended it).
+     * @returns {Promise<boolean>} Whether the word was newly added to the mistake notebook.
+     * @private
+     */
+    async _handleLeech(word) {
+        const added = this.mistakeRepository ? await this.mistakeRepository.addWord(word.arabic) : false;
+        this.eventBus.emit('wordLeeched', {
+            word,
+            lapses: word.progress.lapses,
+            suspended: word.progress.suspended,
+        });
+        return added;
+    }
+
+    /**
+     * Suspends the current word: it keeps its progress but no longer shows up in any review until unsuspended.
+     */
+    async suspendCurrentWord() {
+        await this._setCurrentWordAside(word => this.scheduler.setSuspended(word, true));
+    }
+
+    /**
+     * Buries the current word until tomorrow.
+     */
+    async buryCurrentWord() {
+        this.scheduler.setDayStartHour(await this._getDayStartHour());
+        await this._setCurrentWordAside(word => this.scheduler.bury(word));
+    }
+
+    /**
+     * @returns {Promise<number>} The hour at which the next study day starts ("tomorrow" for burying).
+     * @private
+     */
+    async _getDayStartHour() {
+        return await this.storageService.getSetting(STORAGE_KEYS.DAY_START_HOUR, DEFAULT_DAY_START_HOUR);
+    }
+
+    /**
+     * Applies a suspend/bury update to the current word, saves it and moves on without rating it.
+     * @private
+     */
+    async _setCurrentWordAside(update) {
+        if (!this.currentWord || this.isReviewingHistory || this.isPaused) return;
+
+        this._pushUndoEntry();
+        const word = update(this.currentWord);
+        this.sessionQueue = this.sessionQueue.filter(w => w.arabic !== word.arabic);
+        this.learningQueue = this.learningQueue.filter(w => w.arabic !== word.arabic);
+        this.sessionState.currentSessionTotal = Math.max(0, (this.sessionState.currentSessionTotal || 0) - 1);
+        await this.storageService.saveProgress(this.currentDeckName, [word]);
+        this.eventBus.emit('wordStatusChanged', { word });
+        await this.showNextWord();
+    }
+
+    /**
+     * Appends a review event to the review-log store. A failed write is logged but does
+     * not interrupt the session, since the schedule itself lives in Progress.
+     * @private
+     */
+    async _saveReviewLog(reviewLog) {
+        try {
+            return await this.storageService.addReviewLog(reviewLog);
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to save review log');
+            return null;
+        }
+    }
+
+    /**
+     * Records everything a rating (or suspend/bury) may change, before it happens.
+     * The caller fills in what it did on top of that: the review log id and whether
+     * the word was added to the mistake notebook.
+     * @returns {object} The new undo entry.
+     * @private
+     */
+    _pushUndoEntry() {
+        const word = this.currentWord;
+        const entry = {
+            word,
+            progress: word.progress,
+            sessionQueue: [...this.sessionQueue],
+            learningQueue: [...this.learningQueue],
+            sessionState: { ...this.sessionState },
+            historyLength: this.historyStack.length,
+            cardsDone: this.cardsDone,
+            sessionTally: this.sessionTally,
+            mistakeCount: this.sessionMistakeCounts.get(word.arabic),
+            stats: this.statsService.createSnapshot(),
+            reviewLogId: null,
+            cardDueDates: null, // The rated card's due dates, to move its load balancer count back
+            addedToMistakes: false,
+        };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_UNDO_DEPTH) {
+            this.undoStack.shift();
+        }
+        this.eventBus.emit('undoStateChanged', { canUndo: true });
+        return entry;
+    }
+
+    /**
+     * Undoes the last rating (or suspend/bury): restores the word's Progress, the queues,
+     * the progress counter, the stats counters and the mistake notebook, then shows the word again.
+     * @returns {Promise<boolean>} False if there was nothing to undo.
+     */
+    async undo() {
+        if (!this.isSessionActive || this.isPaused) return false;
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+
+        const { word } = entry;
+        if (this.loadBalancer && entry.cardDueDates) {
+            this.loadBalancer.move(entry.cardDueDates.after, entry.cardDueDates.before);
+        }
+        word.progress = entry.progress;
+        this.sessionQueue = entry.sessionQueue;
+        this.learningQueue = entry.learningQueue;
+        this.sessionState = entry.sessionState;
+        this.historyStack.length = Math.min(this.historyStack.length, entry.historyLength);
+        this.cardsDone = entry.cardsDone;
+        this.sessionTally = entry.sessionTally;
+        if (entry.mistakeCount === undefined) {
+            this.sessionMistakeCounts.delete(word.arabic);
+        } else {
+            this.sessionMistakeCounts.set(word.arabic, entry.mistakeCount);
+        }
+        this.statsService.restoreSnapshot(entry.stats);
+
+        try {
+            await this.storageService.saveProgress(this.currentDeckName, [word]);
+            if (entry.reviewLogId !== null) {
+                await this.storageService.deleteReviewLog(entry.reviewLogId);
+            }
+            if (entry.addedToMistakes) {
+                await this.mistakeRepository.removeWord(word.arabic);
+            }
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to persist undo');
+        }
+
+        this.currentWord = word;
+        this.isReviewingHistory = false;
+        const cardOptions = await this._getCardOptions();
+        this._startCardTiming();
+        this.studyCardComponent.render(word, this.currentMode, cardOptions);
+        if (cardOptions.answerMode === ANSWER_MODE.LISTENING) this.ttsManager.playWord(word, { force: true });
+        this.eventBus.emit('historyStateChanged', { canGoBack: this.historyStack.length > 0 });
+        this.eventBus.emit('reviewModeChanged', { isReviewing: false });
+        this.eventBus.emit('undoStateChanged', { canUndo: this.undoStack.length > 0 });
+        await this.updateAndSaveState();
+        return true;
+    }
+
+    /**
+     * Applies the user's scheduling settings (desired retention, learning steps, personal
+     * weights from the optimizer, leech handling, study directions, sibling burying and
+     * the day rollover) to the scheduler. Retention and maximum interval are then
+     * overridden per word by its deck's preset.
+     * @private
+     */
+    async _syncSchedulerSettings() {
+        this.schedulerSettingsStale = false;
+        const requestRetention = await this.storageService.getSetting(STORAGE_KEYS.DESIRED_RETENTION, FSRS_PARAMS.requestRetention);
+        const learningSteps = await this.storageService.getSetting(STORAGE_KEYS.LEARNING_STEPS, FSRS_PARAMS.learningSteps);
+        const relearningSteps = await this.storageService.getSetting(STORAGE_KEYS.RELEARNING_STEPS, FSRS_PARAMS.relearningSteps);
+        const enableFuzz = await this.storageService.getSetting(STORAGE_KEYS.ENABLE_FUZZ, FSRS_PARAMS.enableFuzz);
+        const enableLoadBalance = await this.storageService.getSetting(STORAGE_KEYS.ENABLE_LOAD_BALANCE, true);
+        const personalWeights = await this.storageService.getSetting(STORAGE_KEYS.FSRS_WEIGHTS, null);
+        const leechThreshold = await this.storageService.getSetting(STORAGE_KEYS.LEECH_THRESHOLD, DEFAULT_LEECH_THRESHOLD);
+        const leechAction = await this.storageService.getSetting(STORAGE_KEYS.LEECH_ACTION, LEECH_ACTION.TAG);
+        const burySiblings = await this.storageService.getSetting(STORAGE_KEYS.BURY_SIBLINGS, true);
+        this.scheduler.setLeechOptions({ threshold: leechThreshold, action: leechAction });
+        this.scheduler.setCardOptions({ studyMode: this.currentMode, burySiblings });
+        this.scheduler.setDayStartHour(await this._getDayStartHour());
+        this.scheduler.updateParams({
+            requestRetention,
+            learningSteps,
+            relearningSteps,
+            enableFuzz,
+            w: personalWeights?.w || FSRS_PARAMS.w,
+        });
+
+        if (this.presetService) {
+            await this.presetService.load();
+            this.scheduler.setPresetResolver(word => this.presetService.resolveForWord(word));
+        }
+
+        // The daily counts are split by study day, so they are rebuilt when the day start hour changes.
+        if (enableLoadBalance && this.loadBalancer?.dayStartHour !== this.scheduler.dayStartHour) {
+            this.loadBalancer = await this._loadDueLoad();
+        } else if (!enableLoadBalance) {
+            this.loadBalancer = null;
+        }
+        this.scheduler.setLoadBalancer(this.loadBalancer);
+    }
+
+    /**
+     * Marks the scheduling settings as changed, so they are reloaded before the next rating.
+     */
+    invalidateSchedulerSettings() {
+        this.schedulerSettingsStale = true;
+    }
+
+    /**
+     * Builds the per-day due counts for the scheduling horizon from the dueDate index.
+     * @returns {Promise<import('./LoadBalancer.js').LoadBalancer|null>} Null if the counts could not be read; scheduling then falls back to plain fuzz.
+     * @private
+     */
+    async _loadDueLoad() {
+        try {
+            const now = Date.now();
+            const maximumInterval = this.presetService?.getLongestMaximumInterval() || FSRS_PARAMS.maximumInterval;
+            const horizon = now + (maximumInterval + 1) * 24 * 60 * 60 * 1000;
+            const dueDates = await this.storageService.getDueDatesInRange(now, horizon);
+            return this.scheduler.createLoadBalancer(dueDates);
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to load due counts for load balancing');
+            return null;
+        }
+    }
+
+    /**
+     * Ends the session and shows its summary.
+     * @param {object} [options={}]
+     * @param {boolean} [options.atGoal=false] - The session ended at its goal: the remaining queue of an
+     *   FSRS session is kept for next time instead of clearing the saved session.
+     */
+    async complete({ atGoal = false } = {}) {
+        const saveLeftover = atGoal && this.isFsrsSession;
         await this.statsService.onSessionComplete();
+        if (saveLeftover) {
+            await this.updateAndSaveState();
+        }
         const wasActive = this.isSessionActive;
         this.isSessionActive = false;
-        await this.storageService.clearSessionState(this.currentDeckName);
+        if (!saveLeftover) {
+            await this.storageService.clearSessionState(this.currentDeckName);
+        }
         
-        const allMastered = this.activeWords.every(w => (w.progress?.stage || 0) >= 4);
+        const allMastered = !atGoal && this.activeWords.every(w => (w.progress?.stage || 0) >= 4);
         
         if (wasActive) {
-            this.eventBus.emit('sessionCompleted', { allMastered });
+            const summary = await this._buildSummary({ cardsLeft: saveLeftover ? this.sessionQueue.length + this.learningQueue.length : 0 });
+            this.eventBus.emit('sessionCompleted', { allMastered, goalReached: atGoal, summary });
         }
         
         this.resetState();
     }
 
+    /**
+     * @param {object} options
+     * @param {number} options.cardsLeft - Cards saved for next time.
+     * @returns {Promise<object>} The end-of-session summary, see buildSessionSummary.
+     * @private
+     */
+    async _buildSummary({ cardsLeft }) {
+        // Rated words may be copies of the ones in activeWords; the latest copy has the new progress.
+        const latest = new Map(this.activeWords.map(word => [word.arabic, word]));
+        for (const word of this.historyStack) {
+            latest.set(word.arabic, word);
+        }
+        const words = [...latest.values()];
+        let tomorrowDue = 0;
+        try {
+            const { scheduled } = forecastReviews(words, {
+                days: 2,
+                directions: directionsForMode(this.currentMode),
+                dayStartHour: await this._getDayStartHour(),
+            });
+            tomorrowDue = scheduled[1];
+        } catch (error) {
+            this.errorHandler.devError(error, 'Failed to count tomorrow\'s due cards');
+        }
+        return buildSessionSummary({
+            tally: this.sessionTally,
+            mistakeCounts: this.sessionMistakeCounts,
+            words,
+            elapsedMs: this.sessionClock?.elapsed() || 0,
+            tomorrowDue,
+            cardsLeft,
+        });
+    }
+
     async updateAndSaveState() {
         if (!this.isSessionActive) return;
 
         if (this.isFsrsSession) {
             this.sessionState.sessionQueue = this.sessionQueue.map(w => ({ arabic: w.arabic }));
+            this.sessionState.learningQueue = this.learningQueue.map(w => ({ arabic: w.arabic }));
             await this.storageService.saveProgress(this.currentDeckName, this.activeWords, this.sessionState);
         }
         
         console.log(`[DEBUG] Rendering ProgressBar: completed=${this.sessionState.completedCount || 0}, total=${this.sessionState.currentSessionTotal || 0}`);
         this.progressBarComponent.render(this.sessionState.completedCount || 0, this.sessionState.currentSessionTotal || 0);
+        if (this.sessionGoal) {
+            this.eventBus.emit('sessionGoalProgress', { text: describeSessionGoalProgress(this.sessionGoal, this._getGoalProgress()) });
+        }
     }
 }
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview 学习会话总结：在会话中累计评分，结束时汇总为总结屏幕显示的数据。
+ *
+ * 卡片按卡片键（`释义 id@方向`，非 FSRS 会话为单词本身）计数：同一张卡片在学习步骤中多次出现只算一张，
+ * 是新卡片还是复习卡片按第一次出现时判断；评分分布则按每次评分计数。
+ * 回想偏慢但评为“记得/简单”的单词另外列出（见 AnswerLatency.js）。
+ * 累计值（tally）不可变，每次评分返回新对象，撤销时直接恢复旧对象即可。
+ */
+
+import { RATING } from './FSRS.js';
+
+/** 忘记次数达到这个值的单词在总结中标为“反复忘记”。 */
+export const REPEATED_MISS_COUNT = 2;
+
+/**
+ * 新会话的累计值。
+ * @returns {{ratings: object, newCards: Array<string>, reviewCards: Array<string>, slowWords: Array<string>}}
+ */
+export function createSessionTally() {
+  return {
+    ratings: { [RATING.AGAIN]: 0, [RATING.HARD]: 0, [RATING.GOOD]: 0, [RATING.EASY]: 0 },
+    newCards: [],
+    reviewCards: [],
+    slowWords: [],
+  };
+}
+
+/**
+ * 记录一次评分。
+ * @param {object} tally - 当前累计值。
+ * @param {object} rating
+ * @param {number} rating.rating - RATING 中的值。
+ * @param {string} rating.cardKey - 被评分的卡片。
+ * @param {boolean} rating.isNew - 评分前是否为新卡片。
+ * @param {string | null} [rating.slowWord=null] - 答对但偏慢时为这个单词（阿语）。
+ * @returns {object} 新的累计值。
+ */
+export function recordRating(tally, { rating, cardKey, isNew, slowWord = null }) {
+  const seen = tally.newCards.includes(cardKey) || tally.reviewCards.includes(cardKey);
+  return {
+    ratings: { ...tally.ratings, [rating]: (tally.ratings[rating] || 0) + 1 },
+    newCards: !seen && isNew ? [...tally.newCards, cardKey] : tally.newCards,
+    reviewCards: !seen && !isNew ? [...tally.reviewCards, cardKey] : tally.reviewCards,
+    slowWords: slowWord && !tally.slowWords.includes(slowWord) ? [...tally.slowWords, slowWord] : tally.slowWords,
+  };
+}
+
+/**
+ * 汇总会话。
+ * @param {object} data
+ * @param {object} data.tally - 会话的累计值。
+ * @param {Map<string, number>} data.mistakeCounts - 单词在本次会话中被评为“忘记”的次数。
+ * @param {Array<import('./Word.js').Word>} data.words - 会话中的单词，用于查找忘记单词的释义。
+ * @param {number} data.elapsedMs - 学习时间（不含暂停）。
+ * @param {number} data.tomorrowDue - 明天到期的卡片数。
+ * @param {number} [data.cardsLeft=0] - 因达到学习目标而留待下次的卡片数。
+ * @returns {{cardsSeen: number, newCards: number, reviewCards: number, ratings: object, totalRatings: number,
+ *   missedWords: Array<{arabic: string, chinese: string, count: number}>, repeatedMisses: number,
+ *   slowWords: Array<{arabic: string, chinese: string}>, elapsedMs: number, tomorrowDue: number, cardsLeft: number}}
+ *   missedWords 按忘记次数从多到少排列；repeatedMisses 为其中反复忘记的单词数；slowWords 为答对但偏慢的单词。
+ */
+export function buildSessionSummary({ tally, mistakeCounts, words, elapsedMs, tomorrowDue, cardsLeft = 0 }) {
+  const wordsByArabic = new Map(words.map(word => [word.arabic, word]));
+  const chineseOf = arabic => (wordsByArabic.get(arabic)?.definitions || []).map(def => def.chinese).filter(Boolean).join('；');
+  const missedWords = [...mistakeCounts.entries()]
+    .filter(([, count]) => count > 0)
+    .map(([arabic, count]) => ({ arabic, chinese: chineseOf(arabic), count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    cardsSeen: tally.newCards.length + tally.reviewCards.length,
+    newCards: tally.newCards.length,
+    reviewCards: tally.reviewCards.length,
+    ratings: { ...tally.ratings },
+    totalRatings: Object.values(tally.ratings).reduce((sum, count) => sum + count, 0),
+    missedWords,
+    repeatedMisses: missedWords.filter(word => word.count >= REPEATED_MISS_COUNT).length,
+    slowWords: (tally.slowWords || []).map(arabic => ({ arabic, chinese: chineseOf(arabic) })),
+    elapsedMs,
+    tomorrowDue,
+    cardsLeft,
+  };
+}
+
+/**
+ * 把忘记的单词导出为 CSV（阿语、中文释义、忘记次数）。
+ * @param {Array<{arabic: string, chinese: string, count: number}>} missedWords
+ * @returns {string}
+ */
+export function missedWordsToCsv(missedWords) {
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [['阿语', '中文释义', '忘记次数'], ...missedWords.map(word => [word.arabic, word.chinese, word.count])];
+  return rows.map(row => row.map(escape).join(',')).join('\n');
+}
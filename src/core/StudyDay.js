@@ -0,0 +1,73 @@
+/**
+ * @fileoverview 学习日：一天从设置的“次日开始时间”（例如凌晨 4 点）开始，而不是本地午夜。
+ *
+ * 午夜之后、开始时间之前的学习仍算作前一天（连续天数、每日新词配额），
+ * 到期判断也按学习日进行：当天到期的卡片在学习日开始时一次性全部可用，
+ * 而不是整夜陆续到期。
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** 默认的次日开始时间（小时）。 */
+export const DEFAULT_DAY_START_HOUR = 4;
+
+/**
+ * 把设置中的小时数规整到 0–23 之间的整数。
+ * @param {*} hour - 设置值。
+ * @returns {number}
+ */
+export function normalizeDayStartHour(hour) {
+  const value = parseInt(hour, 10);
+  return Number.isFinite(value) ? Math.min(23, Math.max(0, value)) : DEFAULT_DAY_START_HOUR;
+}
+
+/**
+ * 返回时间戳所在学习日的开始时间。
+ * @param {number} [timestamp=Date.now()] - 时间戳。
+ * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时）。
+ * @returns {number}
+ */
+export function startOfStudyDay(timestamp = Date.now(), dayStartHour = DEFAULT_DAY_START_HOUR) {
+  const date = new Date(timestamp);
+  if (date.getHours() < dayStartHour) date.setDate(date.getDate() - 1);
+  date.setHours(dayStartHour, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * 返回下一个学习日的开始时间，例如“搁置到明天”的结束时间。
+ * @param {number} [timestamp=Date.now()] - 时间戳。
+ * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时）。
+ * @returns {number}
+ */
+export function startOfNextDay(timestamp = Date.now(), dayStartHour = DEFAULT_DAY_START_HOUR) {
+  const date = new Date(startOfStudyDay(timestamp, dayStartHour));
+  // 先加一天再设置小时，夏令时切换的日子也落在正确的时刻。
+  date.setDate(date.getDate() + 1);
+  date.setHours(dayStartHour, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * 返回时间戳所在学习日的日期字符串（YYYY-MM-DD，本地时间）。
+ * @param {number} [timestamp=Date.now()] - 时间戳。
+ * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时）。
+ * @returns {string}
+ */
+export function studyDateString(timestamp = Date.now(), dayStartHour = DEFAULT_DAY_START_HOUR) {
+  const date = new Date(startOfStudyDay(timestamp, dayStartHour));
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * 把时间戳平移到“按午夜划分”的对应时刻，便于复用按本地日期编号的代码（如 LoadBalancer.dayNumber）。
+ * @param {number} timestamp - 时间戳。
+ * @param {number} [dayStartHour=DEFAULT_DAY_START_HOUR] - 次日开始时间（小时）。
+ * @returns {number}
+ */
+export function shiftToStudyDay(timestamp, dayStartHour = DEFAULT_DAY_START_HOUR) {
+  return timestamp - dayStartHour * HOUR_MS;
+}
@@ -6,6 +6,8 @@
  * 这种分离使得核心业务规则（如“什么是新词？”或“如何添加新释义？”）能够被独立测试和复用。
  */
 
+import { buildWordProgress, getCardProgresses, migrateToSenseProgress } from './SenseProgress.js';
+
 /**
  * 代表一个词汇单词，包含其所有定义和学习进度。
  */
@@ -27,6 +29,7 @@ export class Word {
     /**
      * 向单词中添加一个新定义，同时避免重复。
      * 重复的定义是指具有相同中文含义和来源词库的定义。
+     * 新释义拥有独立的义项进度，从新词开始学习。
      * @param {object} newDefinition 要添加的定义对象。
      * @returns {boolean} 如果定义被成功添加则返回 true，如果是重复的则返回 false。
      */
@@ -36,7 +39,14 @@ export class Word {
         );
 
         if (!defExists) {
+            // 已学过的单词加入新释义时：旧的单词级进度只属于原有释义，新释义作为新义项单独学习。
+            if (this.progress && !this.progress.senses) {
+                this.progress = migrateToSenseProgress(this.definitions, this.progress) || this.progress;
+            }
             this.definitions.push(newDefinition);
+            if (this.progress) {
+                this.progress = buildWordProgress(this.progress, getCardProgresses(this));
+            }
             return true;
         }
         return false;
@@ -57,15 +67,17 @@ export class Word {
      * @param {object} importedWord 从已解析文件得到的原始单词对象。
      * @param {string} fileName 导入来源的文件名。
      * @param {string} deckName 文件内的词库名。
+     * @param {number} [sourceIndex] 单词在文件中的位置，用于按课文顺序学习（见 LessonOrder.js）。
      * @returns {Word} 一个新的 Word 实例。
      */
-    static fromImport(importedWord, fileName, deckName) {
+    static fromImport(importedWord, fileName, deckName, sourceIndex) {
         const newDefinition = {
             id: `def_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             chinese: importedWord.chinese,
             explanation: importedWord.explanation || '暂无解释',
             sourceDeck: `${fileName}//${deckName}`
         };
+        if (Number.isFinite(sourceIndex)) newDefinition.sourceIndex = sourceIndex;
         
         return new Word(importedWord.arabic, [newDefinition], null);
     }
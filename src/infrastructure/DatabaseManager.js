@@ -4,10 +4,12 @@
  * 基于 Promise 的 API。
  */
 
+import { migrateToSenseProgress } from '../core/SenseProgress.js';
+
 export class DatabaseManager {
     constructor() {
         this.dbName = 'ArabicLearningDB';
-        this.version = 5; // 仅在需要更改数据库结构时才增加此版本号。
+        this.version = 7; // 仅在需要更改数据库结构时才增加此版本号。
         this.db = null;
     }
 
@@ -56,10 +58,110 @@ export class DatabaseManager {
                 if (!db.objectStoreNames.contains('sessionState')) {
                     db.createObjectStore('sessionState', { keyPath: 'deckName' });
                 }
+                // 复习日志：每次评分一条记录，取代 Progress 中不断增长的 reviews 数组。
+                if (!db.objectStoreNames.contains('reviewLogs')) {
+                    const reviewLogStore = db.createObjectStore('reviewLogs', { keyPath: 'id', autoIncrement: true });
+                    reviewLogStore.createIndex('arabic', 'arabic');
+                    reviewLogStore.createIndex('timestamp', 'timestamp');
+                    reviewLogStore.createIndex('rating', 'rating');
+                }
+                // 两个迁移都会改写 wordProgress 中的记录，必须依次执行，否则读写会相互交错。
+                // 版本 7 起每个释义单独调度，将单词级进度复制给单词的每个释义。
+                const migrateSenseProgress = () => {
+                    if (event.oldVersion > 0 && event.oldVersion < 7) {
+                        this._migrateSenseProgress(event.target.transaction);
+                    }
+                };
+                // 版本 6 之前的复习历史保存在 progress.reviews 中，将其迁移到 reviewLogs 仓库。
+                if (event.oldVersion > 0 && event.oldVersion < 6) {
+                    this._migrateReviewHistory(event.target.transaction, migrateSenseProgress);
+                } else {
+                    migrateSenseProgress();
+                }
             };
         });
     }
 
+    /**
+     * 在版本升级事务中，把每条进度记录里的 reviews 数组拆分为独立的复习日志，
+     * 并从进度记录中删除 reviews。
+     * @param {IDBTransaction} transaction 版本升级事务。
+     * @param {Function} [onComplete] 遍历完所有记录后调用，用于接着执行下一个迁移。
+     * @private
+     */
+    _migrateReviewHistory(transaction, onComplete) {
+        const progressStore = transaction.objectStore('wordProgress');
+        const reviewLogStore = transaction.objectStore('reviewLogs');
+        progressStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                if (onComplete) onComplete();
+                return;
+            }
+            const { record, logs } = DatabaseManager.splitReviewHistory(cursor.value);
+            if (logs) {
+                logs.forEach(log => reviewLogStore.add(log));
+                cursor.update(record);
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * 在版本升级事务中，为每个单词的进度记录加上义项级进度（见 SenseProgress.js）。
+     * 需要单词的释义，因此遍历 decks_v2 并读取对应的进度记录。
+     * @param {IDBTransaction} transaction 版本升级事务。
+     * @private
+     */
+    _migrateSenseProgress(transaction) {
+        const decksStore = transaction.objectStore('decks_v2');
+        const progressStore = transaction.objectStore('wordProgress');
+        decksStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const word = cursor.value;
+            progressStore.get(word.arabic).onsuccess = (getEvent) => {
+                const record = DatabaseManager.splitSenseProgress(getEvent.target.result, word.definitions);
+                if (record) progressStore.put(record);
+            };
+            cursor.continue();
+        };
+    }
+
+    /**
+     * 将一条单词级的进度记录迁移为义项级。
+     * @param {{arabic: string, progress: object} | undefined} record 进度记录。
+     * @param {Array<object>} definitions 该单词的释义。
+     * @returns {object | null} 迁移后的记录；无需迁移时为 null。
+     */
+    static splitSenseProgress(record, definitions) {
+        const progress = migrateToSenseProgress(definitions, record?.progress);
+        return progress ? { ...record, progress } : null;
+    }
+
+    /**
+     * 将一条旧格式的进度记录拆分为不含 reviews 的记录和对应的复习日志。
+     * @param {{arabic: string, progress: object}} record 进度记录。
+     * @returns {{record: object, logs: Array<object>|null}} 没有 reviews 时 logs 为 null。
+     */
+    static splitReviewHistory(record) {
+        const reviews = record?.progress?.reviews;
+        if (!Array.isArray(reviews)) {
+            return { record, logs: null };
+        }
+        const progress = { ...record.progress };
+        delete progress.reviews;
+        const logs = reviews
+            .filter(review => review && review.timestamp)
+            .map(review => ({
+                arabic: record.arabic,
+                timestamp: review.timestamp,
+                rating: review.rating,
+                scheduledDays: review.interval,
+            }));
+        return { record: { ...record, progress }, logs };
+    }
+
     /**
      * 一个辅助函数，确保在执行任何操作前数据库连接已建立。
      */
@@ -223,6 +325,75 @@ export class DatabaseManager {
         return this.getAll('wordProgress');
     }
 
+    /**
+     * 通过 dueDate 索引读取某个时间段内所有单词的到期时间，只读索引键，不加载进度记录本身。
+     * @param {number} fromTime 起始时间戳（含）。
+     * @param {number} toTime 结束时间戳（含）。
+     * @returns {Promise<Array<number>>} 到期时间戳列表。
+     */
+    async getDueDatesInRange(fromTime, toTime) {
+        await this.ensureDB();
+        const tx = this.db.transaction('wordProgress', 'readonly');
+        const index = tx.objectStore('wordProgress').index('dueDate');
+        const request = index.openKeyCursor(IDBKeyRange.bound(fromTime, toTime));
+        return new Promise((resolve, reject) => {
+            const dueDates = [];
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    dueDates.push(cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(dueDates);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // --- 复习日志 ---
+
+    async addReviewLog(log) {
+        return this.add('reviewLogs', log);
+    }
+
+    /**
+     * 删除一条复习日志，用于撤销评分。
+     * @param {number} id addReviewLog 返回的自增主键。
+     */
+    async deleteReviewLog(id) {
+        return this.delete('reviewLogs', id);
+    }
+
+    async getAllReviewLogs() {
+        return this.getAll('reviewLogs');
+    }
+
+    /**
+     * 读取某个单词的全部复习日志（按 arabic 索引）。
+     * @param {string} arabicWord 单词。
+     * @returns {Promise<Array<object>>}
+     */
+    async getReviewLogsForWord(arabicWord) {
+        await this.ensureDB();
+        const tx = this.db.transaction('reviewLogs', 'readonly');
+        const request = tx.objectStore('reviewLogs').index('arabic').getAll(arabicWord);
+        return this._promisifyRequest(request);
+    }
+
+    /**
+     * 读取某个时间段内的全部复习日志（按 timestamp 索引）。
+     * @param {number} fromTime 起始时间戳（含）。
+     * @param {number} toTime 结束时间戳（含）。
+     * @returns {Promise<Array<object>>}
+     */
+    async getReviewLogsInRange(fromTime, toTime) {
+        await this.ensureDB();
+        const tx = this.db.transaction('reviewLogs', 'readonly');
+        const request = tx.objectStore('reviewLogs').index('timestamp').getAll(IDBKeyRange.bound(fromTime, toTime));
+        return this._promisifyRequest(request);
+    }
+
     async saveStats(stats) {
         return this.put('stats', { id: 'learningStats', ...stats, lastUpdate: Date.now() });
     }
@@ -266,12 +437,12 @@ export class DatabaseManager {
 
     async exportAllData() {
         const data = {};
-        const storesToExport = ['decks_v2', 'wordProgress', 'stats', 'settings', 'sessionState'];
+        const storesToExport = ['decks_v2', 'wordProgress', 'reviewLogs', 'stats', 'settings', 'sessionState'];
         for (const storeName of storesToExport) {
             data[storeName] = await this.getAll(storeName);
         }
         data.exportDate = new Date().toISOString();
-        data.version = '4.0';
+        data.version = '6.0';
         data.storageType = 'IndexedDB';
         return data;
     }
@@ -279,7 +450,31 @@ export class DatabaseManager {
     async importBackupData(backupData) {
         if (!backupData.exportDate) throw new Error('无效的备份文件。');
 
-        const storesToImport = ['decks_v2', 'wordProgress', 'stats', 'settings', 'sessionState'];
+        // 旧备份（4.0）没有 reviewLogs，复习历史仍在 progress.reviews 中，导入前先拆分。
+        if (!backupData.reviewLogs && Array.isArray(backupData.wordProgress)) {
+            const reviewLogs = [];
+            backupData = {
+                ...backupData,
+                wordProgress: backupData.wordProgress.map(item => {
+                    const { record, logs } = DatabaseManager.splitReviewHistory(item);
+                    if (logs) reviewLogs.push(...logs);
+                    return record;
+                }),
+                reviewLogs,
+            };
+        }
+
+        // 6.0 之前的备份只有单词级进度，按备份中的释义迁移为义项级。
+        if (Array.isArray(backupData.decks_v2) && Array.isArray(backupData.wordProgress)) {
+            const definitionsByWord = new Map(backupData.decks_v2.map(word => [word.arabic, word.definitions]));
+            backupData = {
+                ...backupData,
+                wordProgress: backupData.wordProgress.map(item =>
+                    DatabaseManager.splitSenseProgress(item, definitionsByWord.get(item.arabic)) || item),
+            };
+        }
+
+        const storesToImport = ['decks_v2', 'wordProgress', 'reviewLogs', 'stats', 'settings', 'sessionState'];
         for (const storeName of storesToImport) {
             if (this.db.objectStoreNames.contains(storeName)) {
                 await this.clear(storeName);
@@ -20,6 +20,7 @@ export class StorageService {
     async initialize() {
         await this.dbManager.openDatabase();
         await this._migrateToMultiDefinitionStructure();
+        await this._migrateProgressToFourGradeRating();
         return true;
     }
 
@@ -92,6 +93,84 @@ export class StorageService {
         }
     }
 
+    /**
+     * One-time migration for the switch from the three-button rating scale
+     * (FORGOT/HARD/EASY) to the four-grade FSRS scale (AGAIN/HARD/GOOD/EASY).
+     * The old values 1/2/3 already line up with AGAIN/HARD/GOOD, so review history
+     * is kept as-is; this only back-fills `reps`/`lapses` (from the review-log store,
+     * where the DB upgrade has moved the old `reviews` arrays) and clamps difficulty
+     * into FSRS's [1, 10] range. Stability and due dates are left untouched so
+     * nobody's schedule is reset.
+     */
+    async _migrateProgressToFourGradeRating() {
+        const MIGRATION_FLAG = 'fourGradeRatingMigration_Completed_v1';
+        try {
+            const migrated = await this.dbManager.getSetting(MIGRATION_FLAG, false);
+            if (migrated) {
+                return;
+            }
+
+            const [records, reviewLogs] = await Promise.all([
+                this.dbManager.getAllWordProgress(),
+                this.dbManager.getAllReviewLogs(),
+            ]);
+            const logsByWord = new Map();
+            for (const log of reviewLogs) {
+                if (!logsByWord.has(log.arabic)) logsByWord.set(log.arabic, []);
+                logsByWord.get(log.arabic).push(log);
+            }
+            const updatedRecords = [];
+
+            for (const record of records) {
+                const progress = record.progress;
+                if (!progress) continue;
+
+                const reviews = (logsByWord.get(record.arabic) || []).sort((a, b) => a.timestamp - b.timestamp);
+                updatedRecords.push({ ...record, progress: StorageService.toFourGradeProgress(progress, reviews) });
+            }
+
+            if (updatedRecords.length > 0) {
+                await this.dbManager.saveWordProgressBatch(updatedRecords);
+                console.log(`Migrated ${updatedRecords.length} progress records to the four-grade rating scale.`);
+            }
+
+            await this.dbManager.saveSetting(MIGRATION_FLAG, true);
+        } catch (error) {
+            console.error('Four-grade rating migration failed:', error);
+            throw new Error('数据迁移失败。');
+        }
+    }
+
+    /**
+     * Back-fills `reps`/`lapses` and clamps difficulty for one progress record.
+     * The DB upgrade has already copied word-level progress into every card of
+     * `senses`, and word progress is rebuilt from those cards, so they are migrated too.
+     * @param {object} progress - The stored progress.
+     * @param {Array<object>} reviews - The word's review logs, oldest first.
+     * @returns {object} The migrated progress.
+     */
+    static toFourGradeProgress(progress, reviews) {
+        const migrateCard = (card) => {
+            const migrated = {
+                ...card,
+                reps: card.reps ?? reviews.length,
+                // The first review of a card is learning, not a lapse.
+                lapses: card.lapses ?? reviews.filter((review, index) => index > 0 && review.rating === 1).length,
+            };
+            if (card.lastReview && typeof card.difficulty === 'number') {
+                migrated.difficulty = Math.max(1, Math.min(card.difficulty, 10));
+            }
+            return migrated;
+        };
+
+        const migratedProgress = migrateCard(progress);
+        if (progress.senses) {
+            migratedProgress.senses = Object.fromEntries(
+                Object.entries(progress.senses).map(([cardKey, card]) => [cardKey, migrateCard(card)]));
+        }
+        return migratedProgress;
+    }
+
     /**
      * Saves the learning progress for a batch of words and the current session state.
      * @param {string} deckName - The name of the current deck.
@@ -111,6 +190,61 @@ export class StorageService {
         await this.dbManager.saveProgressTransaction(deckName, progressBatch, sessionState);
     }
 
+    /**
+     * Returns the due dates of all words due between two timestamps, read from the dueDate index.
+     * @param {number} fromTime - Start timestamp (inclusive).
+     * @param {number} toTime - End timestamp (inclusive).
+     * @returns {Promise<Array<number>>}
+     */
+    async getDueDatesInRange(fromTime, toTime) {
+        return await this.dbManager.getDueDatesInRange(fromTime, toTime);
+    }
+
+    /**
+     * Appends one review event to the review-log store.
+     * @param {{arabic: string, timestamp: number, rating: number}} reviewLog
+     * @returns {Promise<number>} The id of the stored entry.
+     */
+    async addReviewLog(reviewLog) {
+        return await this.dbManager.addReviewLog(reviewLog);
+    }
+
+    /**
+     * Removes one review event, e.g. when a rating is undone.
+     * @param {number} id - The id returned by addReviewLog.
+     */
+    async deleteReviewLog(id) {
+        await this.dbManager.deleteReviewLog(id);
+    }
+
+    /**
+     * Loads the whole review history, e.g. for parameter optimization.
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllReviewLogs() {
+        return await this.dbManager.getAllReviewLogs();
+    }
+
+    /**
+     * Loads the review history of a single word, oldest first.
+     * @param {string} arabicWord
+     * @returns {Promise<Array<object>>}
+     */
+    async getReviewLogsForWord(arabicWord) {
+        const logs = await this.dbManager.getReviewLogsForWord(arabicWord);
+        return logs.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Loads all review events between two timestamps.
+     * @param {number} fromTime - Start timestamp (inclusive).
+     * @param {number} toTime - End timestamp (inclusive).
+     * @returns {Promise<Array<object>>}
+     */
+    async getReviewLogsInRange(fromTime, toTime) {
+        return await this.dbManager.getReviewLogsInRange(fromTime, toTime);
+    }
+
     /** Saves application-wide statistics. */
     async saveStats(stats) {
         await this.dbManager.saveStats(stats);
@@ -148,7 +282,7 @@ export class StorageService {
     async clearDataGranularly(options) {
         const storesToClear = [];
         if (options.decks) storesToClear.push('decks_v2');
-        if (options.progress) storesToClear.push('wordProgress');
+        if (options.progress) storesToClear.push('wordProgress', 'reviewLogs');
         if (options.stats) storesToClear.push('stats');
         if (options.settings) storesToClear.push('settings');
         if (options.sessions) storesToClear.push('sessionState');
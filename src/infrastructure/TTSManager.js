@@ -6,6 +6,9 @@
 
 import { STORAGE_KEYS } from '../common/constants.js';
 
+/** Rate multiplier for slow replay, applied on top of the rate setting. */
+export const SLOW_RATE_SCALE = 0.6;
+
 export class TTSManager {
   /**
    * @param {import('./StorageService.js').StorageService} storageService 
@@ -85,16 +88,19 @@ export class TTSManager {
   /**
    * Plays Arabic text.
    * @param {string} text - The Arabic text to play.
+   * @param {object} [options={}]
+   * @param {number} [options.rateScale=1] - Multiplier for the rate setting, e.g. SLOW_RATE_SCALE.
+   * @param {boolean} [options.force=false] - Play even if TTS is turned off in the settings (listening mode needs the audio).
    * @returns {Promise<boolean>} Whether playback was started.
    */
-  async play(text) {
+  async play(text, { rateScale = 1, force = false } = {}) {
     if (!this.isSupported) return false;
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     // Check if TTS is enabled
-    const enabled = await this.storageService.getSetting(STORAGE_KEYS.ARABIC_TTS_ENABLED, false);
+    const enabled = force || await this.storageService.getSetting(STORAGE_KEYS.ARABIC_TTS_ENABLED, false);
     if (!enabled) {
       console.log('[TTS] TTS is disabled, skipping playback.');
       return false;
@@ -111,7 +117,7 @@ export class TTSManager {
     const settings = await this._getSettings();
     
     // Apply settings
-    utterance.rate = settings.rate;
+    utterance.rate = Math.max(0.1, settings.rate * rateScale);
     utterance.pitch = settings.pitch;
     utterance.volume = settings.volume;
 
@@ -150,14 +156,15 @@ export class TTSManager {
   /**
    * Plays a word object.
    * @param {import('../core/Word.js').Word} word - The word object.
+   * @param {object} [options={}] - See play().
    * @returns {Promise<boolean>}
    */
-  async playWord(word) {
+  async playWord(word, options = {}) {
     if (!word?.arabic) {
       console.error('[TTS] Invalid word object:', word);
       return false;
     }
-    return this.play(word.arabic);
+    return this.play(word.arabic, options);
   }
 
   /**
@@ -213,6 +220,14 @@ export class TTSManager {
       return this.arabicVoices;
   }
 
+  /**
+   * Checks if an Arabic voice is available, which listening mode requires.
+   * @returns {boolean}
+   */
+  hasArabicVoice() {
+    return this.isSupported && this.arabicVoices.length > 0;
+  }
+
   /**
    * Gets a grouped list of voices, separating recommended Arabic voices from others.
    * @returns {{recommended: Array<object>, other: Array<object>}}
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Repository for saved custom study presets (a named filter plus whether to update FSRS).
+ * Presets are kept in a setting, in the order they were first saved.
+ */
+
+import { STORAGE_KEYS } from '../common/constants.js';
+import { normalizeCustomStudyFilter } from '../core/CustomStudy.js';
+
+export class CustomStudyPresetRepository {
+    /**
+     * @param {import('../infrastructure/StorageService.js').StorageService} storageService
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+    }
+
+    /**
+     * Gets all saved presets.
+     * @returns {Promise<Array<{id: string, name: string, filter: object, updateFsrs: boolean}>>}
+     */
+    async getAll() {
+        const presets = await this.storageService.getSetting(STORAGE_KEYS.CUSTOM_STUDY_PRESETS, []);
+        return Array.isArray(presets) ? presets : [];
+    }
+
+    /**
+     * Gets a single preset.
+     * @param {string} id
+     * @returns {Promise<object | null>}
+     */
+    async get(id) {
+        return (await this.getAll()).find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Creates or replaces a preset. A preset without an id gets a new one.
+     * @param {{id?: string, name: string, filter: object, updateFsrs: boolean}} preset
+     * @returns {Promise<object>} The saved preset.
+     */
+    async save({ id, name, filter, updateFsrs }) {
+        const saved = {
+            id: id || `preset-${Date.now().toString(36)}`,
+            name: String(name || '').trim() || '未命名',
+            filter: normalizeCustomStudyFilter(filter),
+            updateFsrs: Boolean(updateFsrs),
+        };
+        const presets = await this.getAll();
+        const index = presets.findIndex(preset => preset.id === saved.id);
+        if (index === -1) presets.push(saved);
+        else presets[index] = saved;
+        await this.storageService.saveSetting(STORAGE_KEYS.CUSTOM_STUDY_PRESETS, presets);
+        return saved;
+    }
+
+    /**
+     * Deletes a preset.
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const presets = (await this.getAll()).filter(preset => preset.id !== id);
+        await this.storageService.saveSetting(STORAGE_KEYS.CUSTOM_STUDY_PRESETS, presets);
+    }
+}
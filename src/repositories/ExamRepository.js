@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Repository for the history of random tests (exams).
+ * Records are kept newest first and capped, so the list stays small enough for a setting.
+ */
+
+import { STORAGE_KEYS } from '../common/constants.js';
+import { MAX_EXAM_HISTORY } from '../core/Exam.js';
+
+export class ExamRepository {
+    /**
+     * @param {import('../infrastructure/StorageService.js').StorageService} storageService
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+    }
+
+    /**
+     * Gets all saved exam records.
+     * @returns {Promise<Array<object>>} Records from createExamRecord, newest first.
+     */
+    async getHistory() {
+        const history = await this.storageService.getSetting(STORAGE_KEYS.EXAM_HISTORY, []);
+        return Array.isArray(history) ? history : [];
+    }
+
+    /**
+     * Saves a finished exam. The oldest records are dropped beyond MAX_EXAM_HISTORY.
+     * @param {object} record - A record from createExamRecord.
+     * @returns {Promise<Array<object>>} The updated history, newest first.
+     */
+    async addRecord(record) {
+        const history = [record, ...(await this.getHistory())].slice(0, MAX_EXAM_HISTORY);
+        await this.storageService.saveSetting(STORAGE_KEYS.EXAM_HISTORY, history);
+        return history;
+    }
+}
@@ -118,6 +118,32 @@ export class VocabularyRepository {
         return this.save(allWords);
     }
 
+    /**
+     * 从数据库读取一组单词的最新进度，并写回到这些 Word 对象上。
+     * 学习会话会直接更新数据库中的进度，内存中的单词可能已经过时。
+     * @param {Array<Word>} words - 要刷新的单词。
+     * @returns {Promise<Array<Word>>} 同一组单词。
+     */
+    async refreshProgress(words) {
+        const progressMap = await this.db.getWordProgressBatch(words.map(w => w.arabic));
+        words.forEach(word => {
+            const savedProgress = progressMap.get(word.arabic);
+            if (savedProgress) word.progress = savedProgress;
+        });
+        return words;
+    }
+
+    /**
+     * 只保存一组单词的进度（例如暂停或搁置之后），不改动单词本身。
+     * @param {Array<Word>} words - 要保存进度的单词。
+     */
+    async saveProgress(words) {
+        const progressToSave = words
+            .filter(word => word.progress)
+            .map(word => ({ arabic: word.arabic, progress: word.progress }));
+        await this.db.saveWordProgressBatch(progressToSave);
+    }
+
     /**
      * 使内部缓存失效。
      */
@@ -99,6 +99,8 @@ export class ImportService {
 
         // Create a Map of existing Arabic words for efficient lookup.
         const wordsMap = new Map(vocabularyWords.map(w => [w.arabic, w]));
+        // Position of each entry in the file, so that lessons can be studied in textbook order.
+        let sourceIndex = 0;
 
         for (const deckName in parsedDecks) {
             const wordsToImport = parsedDecks[deckName];
@@ -106,6 +108,7 @@ export class ImportService {
 
             for (const importedWord of wordsToImport) {
                 if (!importedWord.arabic || !importedWord.chinese) continue;
+                const position = sourceIndex++;
 
                 // --- Smart Merging Logic ---
                 if (wordsMap.has(importedWord.arabic)) {
@@ -115,7 +118,8 @@ export class ImportService {
                         id: `def_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                         chinese: importedWord.chinese,
                         explanation: importedWord.explanation || '暂无解释',
-                        sourceDeck: `${fileName}//${deckName}`
+                        sourceDeck: `${fileName}//${deckName}`,
+                        sourceIndex: position,
                     };
 
                     if (existingWord.addDefinition(newDefinition)) {
@@ -123,7 +127,7 @@ export class ImportService {
                     }
                 } else {
                     // If it's a completely new Arabic word, create a new Word instance.
-                    const newWord = Word.fromImport(importedWord, fileName, deckName);
+                    const newWord = Word.fromImport(importedWord, fileName, deckName, position);
                     vocabularyWords.push(newWord);
                     wordsMap.set(newWord.arabic, newWord); // Update map for the current session.
                     newWordsCount++;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Service that fits personal FSRS weights from the user's own review history.
+ * The heavy lifting runs in a Web Worker (see workers/fsrs-optimizer.worker.js);
+ * this service gathers the data, talks to the worker and persists the result
+ * as a setting that the scheduler picks up on the next rating.
+ */
+
+import { STORAGE_KEYS } from '../common/constants.js';
+import { FSRS_PARAMS } from '../core/FSRS.js';
+import { DEFAULT_DAY_START_HOUR, normalizeDayStartHour } from '../core/StudyDay.js';
+import {
+    buildTrainingSet,
+    countTrainableReviews,
+    optimizeWeights,
+    MIN_REVIEWS_FOR_OPTIMIZATION,
+} from '../core/FSRSOptimizer.js';
+
+export class OptimizerService {
+    /**
+     * @param {import('../infrastructure/StorageService.js').StorageService} storageService
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+        this.isRunning = false;
+    }
+
+    /**
+     * Returns the saved personal weights, or null when the defaults are in use.
+     * @returns {Promise<{w: Array<number>, lossBefore: number, lossAfter: number, reviewCount: number, optimizedAt: number}|null>}
+     */
+    async getSavedWeights() {
+        return await this.storageService.getSetting(STORAGE_KEYS.FSRS_WEIGHTS, null);
+    }
+
+    /**
+     * Fits new weights from the whole review-log store and saves them if they
+     * predict the history better than the weights currently in use.
+     * @param {Function} [onProgress] - Called with `{ iteration, total, loss }` while the worker runs.
+     * @returns {Promise<{w: Array<number>, lossBefore: number, lossAfter: number, reviewCount: number, improved: boolean}>}
+     */
+    async optimize(onProgress) {
+        if (this.isRunning) {
+            throw new Error('参数优化正在进行中。');
+        }
+        this.isRunning = true;
+
+        try {
+            const reviewLogs = await this.storageService.getAllReviewLogs();
+            const saved = await this.getSavedWeights();
+            const initialWeights = saved?.w || FSRS_PARAMS.w;
+            // Same-day reviews are grouped by the study day, as the scheduler and stats do.
+            const dayStartHour = normalizeDayStartHour(
+                await this.storageService.getSetting(STORAGE_KEYS.DAY_START_HOUR, DEFAULT_DAY_START_HOUR));
+
+            const result = await this._run(reviewLogs, initialWeights, dayStartHour, onProgress);
+            const improved = result.lossAfter < result.lossBefore;
+
+            if (improved) {
+                await this.storageService.saveSetting(STORAGE_KEYS.FSRS_WEIGHTS, {
+                    w: result.w,
+                    lossBefore: result.lossBefore,
+                    lossAfter: result.lossAfter,
+                    reviewCount: result.reviewCount,
+                    optimizedAt: Date.now(),
+                });
+            }
+            return { ...result, improved };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Discards the personal weights so the scheduler falls back to the FSRS defaults.
+     */
+    async resetWeights() {
+        await this.storageService.saveSetting(STORAGE_KEYS.FSRS_WEIGHTS, null);
+    }
+
+    /**
+     * Runs the optimizer in a Web Worker, or on the main thread if workers are unavailable.
+     * @private
+     */
+    _run(reviewLogs, initialWeights, dayStartHour, onProgress) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve().then(() => this._runInline(reviewLogs, initialWeights, dayStartHour, onProgress));
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('../workers/fsrs-optimizer.worker.js', import.meta.url), { type: 'module' });
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message);
+                    return;
+                }
+                worker.terminate();
+                if (message.type === 'done') {
+                    resolve(message.result);
+                } else if (message.type === 'insufficient') {
+                    reject(this._insufficientDataError(message.reviewCount));
+                } else {
+                    reject(new Error(message.message || '参数优化失败。'));
+                }
+            };
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || '参数优化失败。'));
+            };
+
+            worker.postMessage({ reviewLogs, initialWeights, dayStartHour });
+        });
+    }
+
+    /** @private */
+    _runInline(reviewLogs, initialWeights, dayStartHour, onProgress) {
+        const sequences = buildTrainingSet(reviewLogs, dayStartHour);
+        const reviewCount = countTrainableReviews(sequences);
+        if (reviewCount < MIN_REVIEWS_FOR_OPTIMIZATION) {
+            throw this._insufficientDataError(reviewCount);
+        }
+        return optimizeWeights(sequences, { initialWeights, onProgress });
+    }
+
+    /** @private */
+    _insufficientDataError(reviewCount) {
+        return new Error(`复习记录不足：需要至少 ${MIN_REVIEWS_FOR_OPTIMIZATION} 次跨天复习，目前只有 ${reviewCount} 次。`);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Service that stores scheduler presets and their assignment to
+ * collections/decks, and resolves which preset applies to a word.
+ * The default preset is not stored: it is built from the global study settings
+ * so that decks without an assignment behave exactly as before.
+ */
+
+import { STORAGE_KEYS } from '../common/constants.js';
+import { FSRS_PARAMS } from '../core/FSRS.js';
+import {
+    BUILTIN_PRESETS,
+    DEFAULT_PRESET_ID,
+    createDefaultPreset,
+    normalizePreset,
+    resolvePresetId,
+    resolvePresetForWord,
+} from '../core/SchedulerPresets.js';
+
+export class PresetService {
+    /**
+     * @param {import('../infrastructure/StorageService.js').StorageService} storageService
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+        this.defaultPreset = createDefaultPreset();
+        this.customPresets = BUILTIN_PRESETS.map(normalizePreset);
+        this.assignments = {};
+    }
+
+    /**
+     * Reloads presets, assignments and the global settings behind the default preset.
+     * Cheap enough to call before every use so that settings changes are picked up.
+     */
+    async load() {
+        const [retention, dailyNewWords, maxReviewWords, presets, assignments] = await Promise.all([
+            this.storageService.getSetting(STORAGE_KEYS.DESIRED_RETENTION, FSRS_PARAMS.requestRetention),
+            this.storageService.getSetting(STORAGE_KEYS.DAILY_NEW_WORDS, 10),
+            this.storageService.getSetting(STORAGE_KEYS.DAILY_REVIEW_WORDS, 30),
+            this.storageService.getSetting(STORAGE_KEYS.SCHEDULER_PRESETS, BUILTIN_PRESETS),
+            this.storageService.getSetting(STORAGE_KEYS.PRESET_ASSIGNMENTS, {}),
+        ]);
+
+        this.defaultPreset = createDefaultPreset({ requestRetention: retention, dailyNewWords, maxReviewWords });
+        this.customPresets = (presets || []).map(normalizePreset);
+        this.assignments = { ...(assignments || {}) };
+    }
+
+    /**
+     * @returns {Array<object>} All presets, the default one first.
+     */
+    getPresets() {
+        return [this.defaultPreset, ...this.customPresets];
+    }
+
+    /**
+     * @param {string} presetId
+     * @returns {object} The preset, or the default preset if the id is unknown.
+     */
+    getPreset(presetId) {
+        return this.getPresets().find(p => p.id === presetId) || this.defaultPreset;
+    }
+
+    /**
+     * Creates or updates a custom preset. The default preset is edited through the global settings instead.
+     * @param {object} preset - The preset; a missing id creates a new preset.
+     * @returns {Promise<object>} The saved, normalized preset.
+     */
+    async savePreset(preset) {
+        if (preset.id === DEFAULT_PRESET_ID) {
+            throw new Error('默认预设请在上方的规律学习设置中修改。');
+        }
+        const saved = normalizePreset({ ...preset, id: preset.id || `preset_${Date.now()}` });
+        const index = this.customPresets.findIndex(p => p.id === saved.id);
+        if (index === -1) {
+            this.customPresets.push(saved);
+        } else {
+            this.customPresets[index] = saved;
+        }
+        await this.storageService.saveSetting(STORAGE_KEYS.SCHEDULER_PRESETS, this.customPresets);
+        return saved;
+    }
+
+    /**
+     * Deletes a custom preset; collections/decks that used it fall back to their parent or the default.
+     * @param {string} presetId
+     */
+    async deletePreset(presetId) {
+        if (presetId === DEFAULT_PRESET_ID) return;
+        this.customPresets = this.customPresets.filter(p => p.id !== presetId);
+        for (const scopeName of Object.keys(this.assignments)) {
+            if (this.assignments[scopeName] === presetId) {
+                delete this.assignments[scopeName];
+            }
+        }
+        await Promise.all([
+            this.storageService.saveSetting(STORAGE_KEYS.SCHEDULER_PRESETS, this.customPresets),
+            this.storageService.saveSetting(STORAGE_KEYS.PRESET_ASSIGNMENTS, this.assignments),
+        ]);
+    }
+
+    /**
+     * @returns {object} Map of collection name or "collection//deck" to preset id.
+     */
+    getAssignments() {
+        return { ...this.assignments };
+    }
+
+    /**
+     * Assigns a preset to a collection or deck. Assigning the default preset removes the assignment.
+     * @param {string} scopeName - A collection name or a "collection//deck" sourceDeck.
+     * @param {string|null} presetId
+     */
+    async assign(scopeName, presetId) {
+        if (!presetId || presetId === DEFAULT_PRESET_ID) {
+            delete this.assignments[scopeName];
+        } else {
+            this.assignments[scopeName] = presetId;
+        }
+        await this.storageService.saveSetting(STORAGE_KEYS.PRESET_ASSIGNMENTS, this.assignments);
+    }
+
+    /**
+     * @param {string} sourceDeck - A "collection//deck" string.
+     * @returns {object} The preset that applies to the deck.
+     */
+    resolveForSourceDeck(sourceDeck) {
+        return this.getPreset(resolvePresetId(sourceDeck, this.assignments));
+    }
+
+    /**
+     * @param {import('../core/Word.js').Word} word
+     * @returns {object} The preset that applies to the word (see SchedulerPresets for the multi-deck rule).
+     */
+    resolveForWord(word) {
+        const presetsById = new Map(this.getPresets().map(p => [p.id, p]));
+        return resolvePresetForWord(word, presetsById, this.assignments);
+    }
+
+    /**
+     * @returns {number} The longest maximum interval of all presets, i.e. the scheduling horizon in days.
+     */
+    getLongestMaximumInterval() {
+        return Math.max(...this.getPresets().map(p => p.maximumInterval));
+    }
+}
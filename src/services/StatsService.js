@@ -6,6 +6,12 @@
 
 import { debounce } from '../common/utils.js';
 import { STORAGE_KEYS } from '../common/constants.js';
+import { FSRS_PARAMS } from '../core/FSRS.js';
+import { forecastReviews, FORECAST_RANGES } from '../core/ReviewForecast.js';
+import { toSchedulerParams } from '../core/SchedulerPresets.js';
+import { directionsForMode } from '../core/SenseProgress.js';
+import { averageLatencyByDeck, findCorrectButSlowWords, normalizeSlowRecallSeconds } from '../core/AnswerLatency.js';
+import { DEFAULT_DAY_START_HOUR, normalizeDayStartHour, studyDateString } from '../core/StudyDay.js';
 
 export class StatsService {
     /**
@@ -22,6 +28,8 @@ export class StatsService {
             todayDate: null,
         };
         this.learnedToday = new Map(); // Tracks learned words per deck for today.
+        this.learnedTodayByPreset = new Map(); // Tracks learned words per scheduler preset for today.
+        this.dayStartHour = DEFAULT_DAY_START_HOUR; // "Today" starts at this hour, not at midnight.
         this._isDirty = false;
         this._saveDebounced = debounce(this._saveToStorage.bind(this), 1500);
     }
@@ -30,10 +38,12 @@ export class StatsService {
      * Loads stats from storage and resets daily stats if it's a new day.
      */
     async load() {
-        const [savedStats, storedLearnedToday] = await Promise.all([
+        const [savedStats, storedLearnedToday, dayStartHour] = await Promise.all([
             this.storageService.loadStats(),
-            this.storageService.getSetting(STORAGE_KEYS.REGULAR_STUDY_STATS)
+            this.storageService.getSetting(STORAGE_KEYS.REGULAR_STUDY_STATS),
+            this.storageService.getSetting(STORAGE_KEYS.DAY_START_HOUR, DEFAULT_DAY_START_HOUR),
         ]);
+        this.dayStartHour = normalizeDayStartHour(dayStartHour);
 
         if (savedStats) {
             this.stats = { ...this.stats, ...savedStats };
@@ -42,6 +52,7 @@ export class StatsService {
         const today = this._getLocalDateString();
         if (storedLearnedToday && storedLearnedToday.date === today && Array.isArray(storedLearnedToday.learnedToday)) {
             this.learnedToday = new Map(storedLearnedToday.learnedToday);
+            this.learnedTodayByPreset = new Map(storedLearnedToday.learnedTodayByPreset || []);
         }
 
         this._checkAndResetDaily();
@@ -58,7 +69,8 @@ export class StatsService {
                 this.storageService.saveStats(this.stats),
                 this.storageService.saveSetting(STORAGE_KEYS.REGULAR_STUDY_STATS, {
                     date: today,
-                    learnedToday: Array.from(this.learnedToday.entries())
+                    learnedToday: Array.from(this.learnedToday.entries()),
+                    learnedTodayByPreset: Array.from(this.learnedTodayByPreset.entries())
                 })
             ]);
             this._isDirty = false;
@@ -66,12 +78,21 @@ export class StatsService {
         }
     }
 
+    /**
+     * Changes the hour at which a new day starts, e.g. after the setting was edited.
+     * @param {number} hour - 0-23.
+     */
+    setDayStartHour(hour) {
+        this.dayStartHour = normalizeDayStartHour(hour);
+        this._checkAndResetDaily();
+    }
+
+    /**
+     * @returns {string} Today's date (YYYY-MM-DD); before the day start hour it is still yesterday.
+     * @private
+     */
     _getLocalDateString() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
-        const day = now.getDate().toString().padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        return studyDateString(Date.now(), this.dayStartHour);
     }
 
     _updateDailyStatus() {
@@ -101,6 +122,7 @@ export class StatsService {
             this.stats.todayDate = today;
             // Also clear per-deck stats for the new day
             this.learnedToday.clear();
+            this.learnedTodayByPreset.clear();
             this._isDirty = true;
         }
     }
@@ -154,24 +176,71 @@ export class StatsService {
             .reduce((total, record) => total + record.count, 0);
     }
 
-    incrementTodayLearnedWords(deckName) {
+    /**
+     * @param {string} presetId - A scheduler preset id.
+     * @returns {number} New words learned today that belong to this preset.
+     */
+    getTodayLearnedWordsForPreset(presetId) {
+        const today = this._getLocalDateString();
+        const record = this.learnedTodayByPreset.get(presetId);
+        return (record && record.date === today) ? record.count : 0;
+    }
+
+    /**
+     * @param {string} deckName - The session's deck name.
+     * @param {string} [presetId] - The scheduler preset of the learned word, counted towards that preset's daily cap.
+     */
+    incrementTodayLearnedWords(deckName, presetId) {
         const today = this._getLocalDateString();
         
         // Clean up old entries from other days
-        for (const [key, value] of this.learnedToday.entries()) {
-            if (value.date !== today) {
-                this.learnedToday.delete(key);
+        for (const counts of [this.learnedToday, this.learnedTodayByPreset]) {
+            for (const [key, value] of counts.entries()) {
+                if (value.date !== today) {
+                    counts.delete(key);
+                }
             }
         }
         
         const record = this.learnedToday.get(deckName) || { date: today, count: 0 };
         record.count++;
         this.learnedToday.set(deckName, record);
+
+        if (presetId) {
+            const presetRecord = this.learnedTodayByPreset.get(presetId) || { date: today, count: 0 };
+            presetRecord.count++;
+            this.learnedTodayByPreset.set(presetId, presetRecord);
+        }
         
         this._isDirty = true;
         this._saveDebounced();
     }
 
+    /**
+     * Captures all counters so that an undone rating can put them back exactly.
+     * @returns {object} An opaque snapshot for restoreSnapshot.
+     */
+    createSnapshot() {
+        const copyCounts = counts => new Map(Array.from(counts, ([key, record]) => [key, { ...record }]));
+        return {
+            stats: { ...this.stats },
+            learnedToday: copyCounts(this.learnedToday),
+            learnedTodayByPreset: copyCounts(this.learnedTodayByPreset),
+        };
+    }
+
+    /**
+     * Restores the counters captured by createSnapshot.
+     * @param {object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.stats = { ...snapshot.stats };
+        this.learnedToday = new Map(snapshot.learnedToday);
+        this.learnedTodayByPreset = new Map(snapshot.learnedTodayByPreset);
+        this._isDirty = true;
+        this._saveDebounced();
+    }
+
     getSummary(vocabularyWords) {
         const decks = new Set(vocabularyWords.flatMap(w => w.definitions.map(d => d.sourceDeck)));
         
@@ -216,6 +285,75 @@ export class StatsService {
         ];
     }
 
+    /**
+     * Summarizes the recorded answer times of recent reviews: the average recall time per deck and the
+     * words whose latest review was rated 'Good'/'Easy' but recalled slowly. Reviews from before answer
+     * times were recorded are left out.
+     * @param {Array<import('../core/Word.js').Word>} vocabularyWords
+     * @param {object} [options]
+     * @param {number} [options.days=30] - How many days of reviews to look at.
+     * @param {number} [options.maxSlowWords=20] - How many of the slowest words to list.
+     * @returns {Promise<Array<{category: string, stats: Array<{label: string, value: string}>}>>} In the format of getSummary.
+     */
+    async getResponseTimeSummary(vocabularyWords, { days = 30, maxSlowWords = 20 } = {}) {
+        const now = Date.now();
+        const [reviewLogs, slowRecallSeconds] = await Promise.all([
+            this.storageService.getReviewLogsInRange(now - days * 24 * 60 * 60 * 1000, now),
+            this.storageService.getSetting(STORAGE_KEYS.SLOW_RECALL_SECONDS),
+        ]);
+        const seconds = ms => (ms / 1000).toFixed(1);
+
+        const byDeck = averageLatencyByDeck(reviewLogs, vocabularyWords);
+        const categories = [{
+            category: `答题用时（近 ${days} 天）`,
+            stats: byDeck.length > 0
+                ? byDeck.map(({ deck, averageMs, count }) => ({ label: deck, value: `平均 ${seconds(averageMs)} 秒（${count} 次）` }))
+                : [{ label: '暂无记录', value: '开始学习后会记录每张卡片的回想用时' }],
+        }];
+
+        const slowWords = findCorrectButSlowWords(reviewLogs, normalizeSlowRecallSeconds(slowRecallSeconds) * 1000);
+        if (slowWords.length > 0) {
+            categories.push({
+                category: `答对但偏慢（${slowWords.length} 个）`,
+                stats: slowWords.slice(0, maxSlowWords).map(({ arabic, revealMs }) => ({ label: arabic, value: `${seconds(revealMs)} 秒` })),
+            });
+        }
+        return categories;
+    }
+
+    /**
+     * Projects how many cards fall due on each of the next days, counting only the directions being studied.
+     * @param {Array<import('../core/Word.js').Word>} vocabularyWords
+     * @param {object} [options]
+     * @param {number} [options.days=30] - Number of days to project, today included.
+     * @param {boolean} [options.simulate=false] - Also simulate the reviews that come due within the period.
+     * @param {import('./PresetService.js').PresetService|null} [options.presetService=null] - Supplies each word's
+     *   target retention for the simulation; without it the global retention is used.
+     * @returns {Promise<{days: number, simulate: boolean, scheduled: Array<number>, simulated: Array<number>, overdue: number}>}
+     */
+    async getForecast(vocabularyWords, { days = FORECAST_RANGES[0], simulate = false, presetService = null } = {}) {
+        let params = FSRS_PARAMS;
+        let paramsFor = null;
+        if (simulate) {
+            const [requestRetention, personalWeights] = await Promise.all([
+                this.storageService.getSetting(STORAGE_KEYS.DESIRED_RETENTION, FSRS_PARAMS.requestRetention),
+                this.storageService.getSetting(STORAGE_KEYS.FSRS_WEIGHTS, null),
+            ]);
+            params = { ...FSRS_PARAMS, requestRetention, w: personalWeights?.w || FSRS_PARAMS.w };
+            if (presetService) {
+                await presetService.load();
+                paramsFor = word => toSchedulerParams(presetService.resolveForWord(word));
+            }
+        }
+
+        const studyMode = await this.storageService.getSetting(STORAGE_KEYS.STUDY_MODE, 'zh-ar');
+        const directions = directionsForMode(studyMode);
+        const forecast = forecastReviews(vocabularyWords, {
+            days, simulate, params, paramsFor, directions, dayStartHour: this.dayStartHour,
+        });
+        return { days, simulate, ...forecast };
+    }
+
     async reset(vocabularyWords) {
         this.stats = {
             totalWordsLearned: 0,
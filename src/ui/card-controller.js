@@ -8,9 +8,13 @@ import { showScreen } from './screen-manager.js';
 import { AIService } from '../services/AIService.js';
 import { STORAGE_KEYS, DEFAULT_AI_PROMPT } from '../common/constants.js';
 import { showNotification } from './notifications.js';
+import { RATING } from '../core/FSRS.js';
+import { REPEATED_MISS_COUNT } from '../core/SessionSummary.js';
 
 let recallTimer = null;
 let countdownInterval = null;
+let recallEndsAt = 0; // 倒计时结束的时间戳
+let recallPausedMs = null; // 暂停时剩余的毫秒数，未暂停时为 null
 let storageSvc = null;
 let currentWord = null;
 
@@ -181,34 +185,57 @@ export function showRecallOverlay(duration = 5) {
     // 清理可能存在的旧定时器
     hideRecallOverlay();
 
-    let timeLeft = duration;
-    dom.timerCountdown.textContent = timeLeft;
     dom.recallOverlay.style.display = 'flex';
 
     // 立即隐藏答案，并显示遮罩层
     dom.answerDisplay.classList.replace('revealed', 'spoiler');
     dom.explanationDisplay.classList.replace('revealed', 'spoiler');
 
-    // 计时结束后自动显示答案
+    startRecallCountdown(duration * 1000);
+}
+
+/**
+ * 开始（或继续）主动回忆倒计时，计时结束后自动显示答案。
+ * @param {number} remainingMs - 剩余的毫秒数。
+ */
+function startRecallCountdown(remainingMs) {
+    recallEndsAt = Date.now() + remainingMs;
+    const updateCountdown = () => {
+        dom.timerCountdown.textContent = Math.max(0, Math.ceil((recallEndsAt - Date.now()) / 1000));
+    };
+    updateCountdown();
+
     recallTimer = setTimeout(() => {
         dom.recallOverlay.style.display = 'none';
         dom.answerDisplay.classList.toggle('spoiler');
         dom.answerDisplay.classList.toggle('revealed');
+        recallTimer = null;
         if (countdownInterval) {
             clearInterval(countdownInterval);
             countdownInterval = null;
         }
-    }, duration * 1000);
+    }, remainingMs);
     
-    // 每秒更新倒计时显示
-    countdownInterval = setInterval(() => {
-        timeLeft--;
-        dom.timerCountdown.textContent = timeLeft;
-        if (timeLeft <= 0) {
-            clearInterval(countdownInterval);
-            countdownInterval = null;
-        }
-    }, 1000);
+    // 更新倒计时显示（比一秒更频繁，暂停后继续时数字也能准时变化）
+    countdownInterval = setInterval(updateCountdown, 250);
+}
+
+/** 暂停主动回忆倒计时（学习会话暂停时），遮罩保持显示。 */
+export function pauseRecallOverlay() {
+    if (!recallTimer) return;
+    recallPausedMs = Math.max(0, recallEndsAt - Date.now());
+    clearTimeout(recallTimer);
+    clearInterval(countdownInterval);
+    recallTimer = null;
+    countdownInterval = null;
+}
+
+/** 继续被暂停的主动回忆倒计时。 */
+export function resumeRecallOverlay() {
+    if (recallPausedMs === null) return;
+    const remainingMs = recallPausedMs;
+    recallPausedMs = null;
+    startRecallCountdown(remainingMs);
 }
 
 /** 隐藏主动回忆遮罩层并清除其计时器。 */
@@ -221,40 +248,196 @@ export function hideRecallOverlay() {
         clearInterval(countdownInterval);
         countdownInterval = null;
     }
+    recallPausedMs = null;
     if (dom.recallOverlay) {
         dom.recallOverlay.style.display = 'none';
     }
 }
 
+/**
+ * 显示或隐藏暂停遮罩，并切换暂停按钮。
+ * @param {boolean} paused - 会话是否处于暂停中。
+ */
+export function setPausedView(paused) {
+    if (dom.pauseOverlay) dom.pauseOverlay.style.display = paused ? 'flex' : 'none';
+    if (dom.pauseBtn) dom.pauseBtn.disabled = paused;
+}
+
+/**
+ * 显示学习目标的进度。
+ * @param {string} text - 进度说明；为空时隐藏。
+ */
+export function renderSessionGoal(text) {
+    if (!dom.sessionGoalDisplay) return;
+    dom.sessionGoalDisplay.textContent = text;
+    dom.sessionGoalDisplay.style.display = text ? 'block' : 'none';
+}
+
 /**
  * 显示会话完成屏幕。
  * @param {boolean} allMastered - 如果为 true，则显示一条掌握整个词库的特殊消息。
+ * @param {object} [summary] - 会话总结（见 SessionSummary.js 的 buildSessionSummary），省略时不显示总结。
+ * @param {boolean} [goalReached=false] - 会话是否因达到学习目标而结束。
  */
-export function showCompletionScreen(allMastered) {
+export function showCompletionScreen(allMastered, summary, goalReached = false) {
     if (dom.cardContainer) dom.cardContainer.style.display = 'none';
     
     if (allMastered) {
         dom.completionScreen.querySelector('h2').textContent = '🎉 恭喜你完成了本词库的记忆 🎉';
         dom.completionScreen.querySelector('p').textContent = '所有单词都已牢牢记住！';
+    } else if (goalReached) {
+        dom.completionScreen.querySelector('h2').textContent = '🎯 已达到本次学习目标';
+        dom.completionScreen.querySelector('p').textContent = summary?.cardsLeft > 0
+            ? `剩下的 ${summary.cardsLeft} 张卡片已保存，下次进入时可以继续。`
+            : '本次学习结束。';
     } else {
         dom.completionScreen.querySelector('h2').textContent = '🎉 恭喜！今日任务已全部完成 🎉';
         dom.completionScreen.querySelector('p').textContent = '请明天再来复习吧！';
     }
+    renderSessionSummary(summary);
     showScreen(dom.completionScreen);
 }
 
-/** 将 UI 切换到“回顾历史”模式，禁用评分按钮。 */
+/** 评分在总结中的名称，与评分按钮一致。 */
+const RATING_LABELS = [[RATING.AGAIN, '忘记'], [RATING.HARD, '模糊'], [RATING.GOOD, '记得'], [RATING.EASY, '简单']];
+
+/**
+ * 把毫秒数格式化为“X 分 Y 秒”。
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatStudyTime(ms) {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes} 分 ${seconds % 60} 秒` : `${seconds} 秒`;
+}
+
+/**
+ * 渲染会话总结：统计数字、评分分布、忘记的单词和快捷操作按钮。
+ * 按钮只带 `data-action`（redrill、add-mistakes、export），由 App 处理。
+ * @param {object} [summary]
+ */
+function renderSessionSummary(summary) {
+    if (!dom.sessionSummary) return;
+    dom.sessionSummary.innerHTML = '';
+    if (!summary || summary.totalRatings === 0) return;
+
+    const stats = document.createElement('div');
+    stats.className = 'session-summary-stats';
+    [
+        ['学习卡片', summary.cardsSeen],
+        ['新卡片', summary.newCards],
+        ['复习卡片', summary.reviewCards],
+        ['用时', formatStudyTime(summary.elapsedMs)],
+        ['明天到期', summary.tomorrowDue],
+    ].forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'session-summary-stat';
+        item.innerHTML = `<strong></strong><span></span>`;
+        item.querySelector('strong').textContent = value;
+        item.querySelector('span').textContent = label;
+        stats.appendChild(item);
+    });
+    dom.sessionSummary.appendChild(stats);
+
+    const ratings = document.createElement('div');
+    ratings.className = 'session-summary-ratings';
+    ratings.textContent = RATING_LABELS
+        .map(([rating, label]) => `${label} ${summary.ratings[rating] || 0}`)
+        .join(' · ');
+    dom.sessionSummary.appendChild(ratings);
+
+    if (summary.missedWords.length === 0) {
+        const perfect = document.createElement('div');
+        perfect.className = 'session-summary-perfect';
+        perfect.textContent = '本次没有忘记的单词 👍';
+        dom.sessionSummary.appendChild(perfect);
+    } else {
+        renderMissedWords(summary);
+    }
+    renderSlowWords(summary.slowWords || []);
+}
+
+/**
+ * 渲染忘记的单词列表和快捷操作按钮。
+ * @param {object} summary
+ */
+function renderMissedWords(summary) {
+    const title = document.createElement('h3');
+    title.textContent = summary.repeatedMisses > 0
+        ? `忘记的单词（${summary.missedWords.length} 个，其中 ${summary.repeatedMisses} 个反复忘记）`
+        : `忘记的单词（${summary.missedWords.length} 个）`;
+    dom.sessionSummary.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'session-summary-missed';
+    for (const word of summary.missedWords) {
+        const item = document.createElement('li');
+        item.classList.toggle('repeated', word.count >= REPEATED_MISS_COUNT);
+        item.innerHTML = '<span class="missed-arabic" dir="rtl"></span><span class="missed-chinese"></span><span class="missed-count"></span>';
+        item.querySelector('.missed-arabic').textContent = word.arabic;
+        item.querySelector('.missed-chinese').textContent = word.chinese;
+        item.querySelector('.missed-count').textContent = `×${word.count}`;
+        list.appendChild(item);
+    }
+    dom.sessionSummary.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'session-summary-actions';
+    [
+        ['redrill', '🔁 重练忘记的单词'],
+        ['add-mistakes', '📒 加入错题本'],
+        ['export', '📤 导出列表'],
+    ].forEach(([action, text]) => {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        actions.appendChild(button);
+    });
+    dom.sessionSummary.appendChild(actions);
+}
+
+/**
+ * 渲染“答对但偏慢”的单词：评为记得/简单，但回想用时超过设置的阈值。
+ * @param {Array<{arabic: string, chinese: string}>} slowWords
+ */
+function renderSlowWords(slowWords) {
+    if (slowWords.length === 0) return;
+    const title = document.createElement('h3');
+    title.textContent = `答对但偏慢（${slowWords.length} 个）`;
+    dom.sessionSummary.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'session-summary-missed session-summary-slow';
+    for (const word of slowWords) {
+        const item = document.createElement('li');
+        item.innerHTML = '<span class="missed-arabic" dir="rtl"></span><span class="missed-chinese"></span>';
+        item.querySelector('.missed-arabic').textContent = word.arabic;
+        item.querySelector('.missed-chinese').textContent = word.chinese;
+        list.appendChild(item);
+    }
+    dom.sessionSummary.appendChild(list);
+}
+
+/** 将 UI 切换到“回顾历史”模式，禁用评分、搁置和暂停按钮。 */
 export function enterReviewMode() {
     if (dom.forgotBtn) dom.forgotBtn.style.display = 'none';
     if (dom.hardBtn) dom.hardBtn.style.display = 'none';
+    if (dom.goodBtn) dom.goodBtn.style.display = 'none';
     if (dom.easyBtn) dom.easyBtn.style.display = 'none';
+    if (dom.buryBtn) dom.buryBtn.style.display = 'none';
+    if (dom.suspendBtn) dom.suspendBtn.style.display = 'none';
     if (dom.nextWordInHistoryBtn) dom.nextWordInHistoryBtn.style.display = 'block';
 }
 
-/** 退出“回顾历史”模式，重新启用评分按钮。 */
+/** 退出“回顾历史”模式，重新启用评分、搁置和暂停按钮。 */
 export function exitReviewMode() {
     if (dom.forgotBtn) dom.forgotBtn.style.display = 'inline-block';
     if (dom.hardBtn) dom.hardBtn.style.display = 'inline-block';
+    if (dom.goodBtn) dom.goodBtn.style.display = 'inline-block';
     if (dom.easyBtn) dom.easyBtn.style.display = 'inline-block';
+    if (dom.buryBtn) dom.buryBtn.style.display = '';
+    if (dom.suspendBtn) dom.suspendBtn.style.display = '';
     if (dom.nextWordInHistoryBtn) dom.nextWordInHistoryBtn.style.display = 'none';
 }
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Controller for the custom study modal.
+ * Edits a filter (see core/CustomStudy.js), previews how many words match, saves it as a preset
+ * and starts a session over the matching words, with or without FSRS updates.
+ */
+
+import { normalizeCustomStudyFilter, DEFAULT_CUSTOM_STUDY_LIMIT } from '../core/CustomStudy.js';
+import { showNotification } from './notifications.js';
+
+/**
+ * Creates an element with a class name and text content.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class CustomStudyController {
+    /**
+     * @param {object} dependencies
+     * @param {import('../repositories/CustomStudyPresetRepository.js').CustomStudyPresetRepository} dependencies.presetRepository
+     * @param {import('../use-cases/StartCustomStudySession.js').StartCustomStudySessionUseCase} dependencies.customStudyUseCase
+     * @param {Function} dependencies.getCollectionsAndDecks - Returns a Map of collection name -> deck names.
+     * @param {Function} [dependencies.onPresetsChanged] - Called after a preset was saved.
+     */
+    constructor({ presetRepository, customStudyUseCase, getCollectionsAndDecks, onPresetsChanged = () => {} }) {
+        this.presetRepository = presetRepository;
+        this.customStudyUseCase = customStudyUseCase;
+        this.getCollectionsAndDecks = getCollectionsAndDecks;
+        this.onPresetsChanged = onPresetsChanged;
+
+        this.modal = document.getElementById('custom-study-modal');
+        this.dom = {
+            title: document.getElementById('custom-study-title'),
+            name: document.getElementById('custom-study-name'),
+            decks: document.getElementById('custom-study-decks'),
+            difficultyMin: document.getElementById('custom-study-difficulty-min'),
+            difficultyMax: document.getElementById('custom-study-difficulty-max'),
+            stabilityMin: document.getElementById('custom-study-stability-min'),
+            stabilityMax: document.getElementById('custom-study-stability-max'),
+            lapsesMin: document.getElementById('custom-study-lapses-min'),
+            lapsesMax: document.getElementById('custom-study-lapses-max'),
+            learnedFrom: document.getElementById('custom-study-learned-from'),
+            learnedTo: document.getElementById('custom-study-learned-to'),
+            ratedWithin: document.getElementById('custom-study-rated-within'),
+            limit: document.getElementById('custom-study-limit'),
+            updateFsrs: document.getElementById('custom-study-update-fsrs'),
+            preview: document.getElementById('custom-study-preview'),
+            saveBtn: document.getElementById('custom-study-save-btn'),
+            startBtn: document.getElementById('custom-study-start-btn'),
+            closeBtn: this.modal?.querySelector('.close-button'),
+        };
+
+        this.presetId = null; // The preset being edited, null for a new filter
+        this.previewRequest = 0; // Only the latest preview is shown when several overlap
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        if (!this.modal) return;
+        this.dom.closeBtn?.addEventListener('click', () => this.close());
+        window.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.modal.addEventListener('change', () => this._updatePreview());
+        this.dom.saveBtn?.addEventListener('click', () => this._savePreset());
+        this.dom.startBtn?.addEventListener('click', () => this._start());
+    }
+
+    /**
+     * Opens the modal with an empty filter or with a saved preset.
+     * @param {string|null} [presetId=null]
+     */
+    async open(presetId = null) {
+        if (!this.modal) return;
+        const preset = presetId ? await this.presetRepository.get(presetId) : null;
+        this.presetId = preset?.id || null;
+        this.dom.title.textContent = preset ? `编辑预设：${preset.name}` : '自定义学习';
+        this._renderDeckOptions();
+        this._fillForm(preset?.filter || normalizeCustomStudyFilter(), preset?.name || '', preset?.updateFsrs ?? false);
+        this.modal.style.display = 'block';
+        this._updatePreview();
+    }
+
+    close() {
+        if (this.modal) this.modal.style.display = 'none';
+    }
+
+    /**
+     * Lists every collection, followed by its decks, as options of the deck select.
+     * @private
+     */
+    _renderDeckOptions() {
+        const select = this.dom.decks;
+        select.innerHTML = '';
+        for (const [collection, decks] of this.getCollectionsAndDecks()) {
+            const group = createElement('optgroup');
+            group.label = collection;
+            const whole = createElement('option', null, `${collection}（整个集合）`);
+            whole.value = collection;
+            group.appendChild(whole);
+            for (const deck of decks) {
+                const option = createElement('option', null, deck);
+                option.value = `${collection}//${deck}`;
+                group.appendChild(option);
+            }
+            select.appendChild(group);
+        }
+    }
+
+    /** @private */
+    _checkedValues(name) {
+        return [...this.modal.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+    }
+
+    /** @private */
+    _setChecked(name, values) {
+        this.modal.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+            input.checked = values.includes(input.value);
+        });
+    }
+
+    /** @private */
+    _fillForm(filter, name, updateFsrs) {
+        const { dom } = this;
+        const text = value => (value === null ? '' : String(value));
+        dom.name.value = name;
+        [...dom.decks.options].forEach(option => { option.selected = filter.decks.includes(option.value); });
+        this._setChecked('custom-study-stage', filter.stages.map(String));
+        dom.difficultyMin.value = text(filter.difficulty.min);
+        dom.difficultyMax.value = text(filter.difficulty.max);
+        dom.stabilityMin.value = text(filter.stability.min);
+        dom.stabilityMax.value = text(filter.stability.max);
+        dom.lapsesMin.value = text(filter.lapses.min);
+        dom.lapsesMax.value = text(filter.lapses.max);
+        dom.learnedFrom.value = filter.firstLearnedFrom || '';
+        dom.learnedTo.value = filter.firstLearnedTo || '';
+        this._setChecked('custom-study-rating', filter.lastRatings.map(String));
+        dom.ratedWithin.value = text(filter.lastRatedWithinDays);
+        this._setChecked('custom-study-tag', filter.tags);
+        dom.limit.value = filter.limit;
+        dom.updateFsrs.checked = updateFsrs;
+    }
+
+    /**
+     * Reads the filter from the form.
+     * @returns {object} A normalized filter.
+     * @private
+     */
+    _readFilter() {
+        const { dom } = this;
+        return normalizeCustomStudyFilter({
+            decks: [...dom.decks.selectedOptions].map(option => option.value),
+            stages: this._checkedValues('custom-study-stage'),
+            difficulty: { min: dom.difficultyMin.value, max: dom.difficultyMax.value },
+            stability: { min: dom.stabilityMin.value, max: dom.stabilityMax.value },
+            lapses: { min: dom.lapsesMin.value, max: dom.lapsesMax.value },
+            firstLearnedFrom: dom.learnedFrom.value,
+            firstLearnedTo: dom.learnedTo.value,
+            lastRatings: this._checkedValues('custom-study-rating'),
+            lastRatedWithinDays: dom.ratedWithin.value,
+            tags: this._checkedValues('custom-study-tag'),
+            limit: dom.limit.value || DEFAULT_CUSTOM_STUDY_LIMIT,
+        });
+    }
+
+    /** @private */
+    async _updatePreview() {
+        const request = ++this.previewRequest;
+        this.dom.preview.textContent = '正在筛选…';
+        try {
+            const filter = this._readFilter();
+            const { words, total } = await this.customStudyUseCase.findWords(filter);
+            if (request !== this.previewRequest) return;
+            this.dom.preview.textContent = total > words.length
+                ? `符合条件的单词共 ${total} 个，本次学习其中 ${words.length} 个。`
+                : `符合条件的单词共 ${total} 个。`;
+            this.dom.startBtn.disabled = total === 0;
+        } catch (error) {
+            console.error('[CustomStudy] Preview failed:', error);
+            if (request === this.previewRequest) this.dom.preview.textContent = '筛选失败，请稍后再试。';
+        }
+    }
+
+    /** @private */
+    async _savePreset() {
+        const name = this.dom.name.value.trim();
+        if (!name) {
+            showNotification('请先填写预设名称。', false);
+            this.dom.name.focus();
+            return;
+        }
+        const preset = await this.presetRepository.save({
+            id: this.presetId,
+            name,
+            filter: this._readFilter(),
+            updateFsrs: this.dom.updateFsrs.checked,
+        });
+        this.presetId = preset.id;
+        this.dom.title.textContent = `编辑预设：${preset.name}`;
+        showNotification(`预设“${preset.name}”已保存，可在词库列表中直接开始。`, true);
+        this.onPresetsChanged();
+    }
+
+    /** @private */
+    async _start() {
+        const started = await this.customStudyUseCase.execute(this._readFilter(), this.dom.updateFsrs.checked);
+        if (!started) {
+            showNotification('没有符合条件的单词，请放宽筛选条件。', false);
+            return;
+        }
+        this.close();
+    }
+}
@@ -1,8 +1,11 @@
 /**
  * @fileoverview Controller for the Deck Management / Word Browser modal.
- * Handles listing words, searching, and toggling mistake notebook status.
+ * Handles listing words, searching, toggling mistake notebook status,
+ * and suspending/unsuspending or unburying words.
  */
 
+import { ReviewScheduler } from '../core/ReviewScheduler.js';
+
 export class DeckManageController {
     /**
      * @param {import('../repositories/VocabularyRepository.js').VocabularyRepository} vocabularyRepository
@@ -11,6 +14,7 @@ export class DeckManageController {
     constructor(vocabularyRepository, mistakeRepository) {
         this.vocabularyRepository = vocabularyRepository;
         this.mistakeRepository = mistakeRepository;
+        this.scheduler = new ReviewScheduler();
         this.currentWords = [];
         this.modal = document.getElementById('deck-manage-modal');
         this.listContainer = document.getElementById('deck-word-list');
@@ -67,6 +71,8 @@ export class DeckManageController {
             );
         }
 
+        // Sessions write progress straight to the database, so suspend/bury states shown here are re-read from it.
+        await this.vocabularyRepository.refreshProgress(this.currentWords);
         await this._renderList(this.currentWords);
     }
 
@@ -101,6 +107,7 @@ export class DeckManageController {
 
             info.appendChild(arabic);
             info.appendChild(chinese);
+            this._appendStatusBadges(info, word);
 
             const actions = document.createElement('div');
             actions.className = 'word-actions';
@@ -122,6 +129,7 @@ export class DeckManageController {
             };
 
             actions.appendChild(toggleBtn);
+            this._appendStatusActions(actions, word);
             item.appendChild(info);
             item.appendChild(actions);
             fragment.appendChild(item);
@@ -130,6 +138,56 @@ export class DeckManageController {
         this.listContainer.appendChild(fragment);
     }
 
+    /**
+     * Shows leech / suspended / buried badges next to a word.
+     * @private
+     */
+    _appendStatusBadges(container, word) {
+        const progress = word.progress;
+        const badges = [];
+        if (progress?.leech) badges.push(['leech', `难词 · 遗忘 ${progress.lapses} 次`]);
+        if (progress?.suspended) badges.push(['suspended', '已暂停']);
+        if (progress?.buriedUntil && progress.buriedUntil > Date.now()) badges.push(['buried', '已搁置到明天']);
+
+        badges.forEach(([type, text]) => {
+            const badge = document.createElement('span');
+            badge.className = `word-status-badge ${type}`;
+            badge.textContent = text;
+            container.appendChild(badge);
+        });
+    }
+
+    /**
+     * Adds the suspend/unsuspend button, and an unbury button for buried words.
+     * @private
+     */
+    _appendStatusActions(actions, word) {
+        const suspendBtn = document.createElement('button');
+        suspendBtn.className = 'suspend-word-btn';
+        const isSuspended = !!word.progress?.suspended;
+        suspendBtn.textContent = isSuspended ? '▶️ 恢复' : '⏸️ 暂停';
+        suspendBtn.title = isSuspended ? '恢复后会重新出现在复习中' : '暂停后不会出现在任何复习中，进度保留';
+        suspendBtn.onclick = () => this._updateStatus(word, w => this.scheduler.setSuspended(w, !isSuspended));
+        actions.appendChild(suspendBtn);
+
+        if (word.progress?.buriedUntil && word.progress.buriedUntil > Date.now()) {
+            const unburyBtn = document.createElement('button');
+            unburyBtn.className = 'suspend-word-btn';
+            unburyBtn.textContent = '↩️ 取消搁置';
+            unburyBtn.onclick = () => this._updateStatus(word, w => this.scheduler.unbury(w));
+            actions.appendChild(unburyBtn);
+        }
+    }
+
+    /**
+     * Saves a suspend/bury change and re-renders the current (possibly filtered) list.
+     * @private
+     */
+    async _updateStatus(word, update) {
+        await this.vocabularyRepository.saveProgress([update(word)]);
+        this._filterWords(this.searchInput.value);
+    }
+
     _updateButtonState(btn, isAdded) {
         if (isAdded) {
             btn.classList.add('added');
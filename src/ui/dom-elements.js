@@ -17,6 +17,7 @@ export const cardContainer = document.getElementById('card-container');
 export const switchStudyPlanBtn = document.getElementById('switch-study-plan-btn');
 export const studyPlanDisplay = document.getElementById('study-plan-display');
 export const completionScreen = document.getElementById('completion-screen');
+export const sessionSummary = document.getElementById('session-summary');
 export const deckSelectionContainer = document.getElementById('deck-selection-container');
 export const skeletonLoader = document.getElementById('skeleton-loader');
 
@@ -30,10 +31,21 @@ export const definitionToggleContainer = document.getElementById('definition-tog
 
 // --- 控制按钮 ---
 export const regularStudyBtn = document.getElementById('regular-study-btn');
+export const examBtn = document.getElementById('exam-btn');
+export const examHistoryBtn = document.getElementById('exam-history-btn');
 export const forgotBtn = document.getElementById('forgot-btn');
 export const hardBtn = document.getElementById('hard-btn'); 
+export const goodBtn = document.getElementById('good-btn');
 export const easyBtn = document.getElementById('easy-btn'); 
 export const prevBtn = document.getElementById('prev-btn');
+export const undoBtn = document.getElementById('undo-btn');
+export const buryBtn = document.getElementById('bury-btn');
+export const suspendBtn = document.getElementById('suspend-btn');
+export const pauseBtn = document.getElementById('pause-btn');
+export const resumeBtn = document.getElementById('resume-btn');
+export const pauseExitBtn = document.getElementById('pause-exit-btn');
+export const pauseOverlay = document.getElementById('pause-overlay');
+export const sessionGoalDisplay = document.getElementById('session-goal-display');
 export const backToMenuBtn = document.getElementById('back-to-menu-btn');
 export const finishBackToMenuBtn = document.getElementById('finish-back-to-menu-btn');
 export const nextWordInHistoryBtn = document.getElementById('next-word-in-history-btn');
@@ -49,12 +61,52 @@ export const importBackupBtn = document.getElementById('import-backup-btn');
 export const checkStorageBtn = document.getElementById('check-storage-btn');
 export const openClearDataModalBtn = document.getElementById('open-clear-data-modal-btn');
 export const modeRadioButtons = document.querySelectorAll('input[name="mode"]');
+export const burySiblingsSetting = document.getElementById('bury-siblings-setting');
 export const dailyReviewWordsInput = document.getElementById('daily-review-words');
 export const dailyNewWordsInput = document.getElementById('daily-new-words');
+export const dayStartHourSetting = document.getElementById('day-start-hour-setting');
+export const queueOrderSetting = document.getElementById('queue-order-setting');
+export const queueInterleaveRatioSetting = document.getElementById('queue-interleave-ratio-setting');
+export const newWordOrderSetting = document.getElementById('new-word-order-setting');
+export const lessonUnlockPercentSetting = document.getElementById('lesson-unlock-percent-setting');
+export const shortcutSettingsList = document.getElementById('shortcut-settings-list');
+export const resetShortcutsBtn = document.getElementById('reset-shortcuts-btn');
+export const desiredRetentionSetting = document.getElementById('desired-retention-setting');
+export const desiredRetentionValue = document.getElementById('desired-retention-value');
+export const desiredRetentionPreview = document.getElementById('desired-retention-preview');
+export const learningStepsSetting = document.getElementById('learning-steps-setting');
+export const relearningStepsSetting = document.getElementById('relearning-steps-setting');
+export const enableFuzzSetting = document.getElementById('enable-fuzz-setting');
+export const enableLoadBalanceSetting = document.getElementById('enable-load-balance-setting');
+export const leechThresholdSetting = document.getElementById('leech-threshold-setting');
+export const leechActionSetting = document.getElementById('leech-action-setting');
+export const presetSelect = document.getElementById('preset-select');
+export const presetNameInput = document.getElementById('preset-name');
+export const presetRetentionInput = document.getElementById('preset-retention');
+export const presetMaxIntervalInput = document.getElementById('preset-max-interval');
+export const presetDailyNewInput = document.getElementById('preset-daily-new');
+export const presetDailyReviewInput = document.getElementById('preset-daily-review');
+export const presetRecallSecondsInput = document.getElementById('preset-recall-seconds');
+export const presetEditorHint = document.getElementById('preset-editor-hint');
+export const newPresetBtn = document.getElementById('new-preset-btn');
+export const savePresetBtn = document.getElementById('save-preset-btn');
+export const deletePresetBtn = document.getElementById('delete-preset-btn');
+export const presetAssignmentsContainer = document.getElementById('preset-assignments');
+export const optimizeFsrsBtn = document.getElementById('optimize-fsrs-btn');
+export const resetFsrsWeightsBtn = document.getElementById('reset-fsrs-weights-btn');
+export const fsrsOptimizerStatus = document.getElementById('fsrs-optimizer-status');
 export const nightModeToggle = document.getElementById('night-mode-toggle');
 
 // --- 主动回忆模式 ---
 export const recallSetting = document.getElementById('recall-setting');
+export const answerModeSetting = document.getElementById('answer-mode-setting');
+export const answerStrictnessSetting = document.getElementById('answer-strictness-setting');
+export const choiceCountSetting = document.getElementById('choice-count-setting');
+export const slowRecallSecondsSetting = document.getElementById('slow-recall-seconds-setting');
+export const listeningResponseSetting = document.getElementById('listening-response-setting');
+export const sessionGoalTypeSetting = document.getElementById('session-goal-type-setting');
+export const sessionGoalValueSetting = document.getElementById('session-goal-value-setting');
+export const listeningUnavailableHint = document.getElementById('listening-unavailable-hint');
 export const recallOverlay = document.getElementById('recall-overlay');
 export const timerCountdown = document.querySelector('.timer-countdown');
 
@@ -70,6 +122,11 @@ export const continueSessionModal = document.getElementById('continue-session-mo
 export const confirmContinueBtn = document.getElementById('confirm-continue-btn');
 export const declineContinueBtn = document.getElementById('decline-continue-btn');
 export const regularStudyScopeModal = document.getElementById('regular-study-scope-modal');
+export const studyOrderSection = document.getElementById('study-order-section');
+export const sessionQueueOrderSelect = document.getElementById('session-queue-order-select');
+export const examSettingsSection = document.getElementById('exam-settings-section');
+export const examQuestionCountInput = document.getElementById('exam-question-count');
+export const examTimeLimitInput = document.getElementById('exam-time-limit');
 export const studyPlanModal = document.getElementById('study-plan-modal');
 export const studyPlanOptionsContainer = document.getElementById('study-plan-options-container');
 export const cancelStudyPlanBtn = document.getElementById('cancel-study-plan-btn');
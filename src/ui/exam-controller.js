@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Controller for the random test (exam) modal.
+ * Runs a timed exam built by core/Exam.js, shows the scored report with the time spent on
+ * each question, saves the result to the exam history and can add the missed words to the
+ * mistake notebook. Exams never touch FSRS progress.
+ */
+
+import {
+    buildExamQuestions,
+    isExamAnswerCorrect,
+    summarizeExam,
+    createExamRecord,
+    EXAM_QUESTION_TYPE,
+} from '../core/Exam.js';
+import { showNotification } from './notifications.js';
+
+/** How many past exams the report and the history view list. */
+const HISTORY_LIST_LENGTH = 10;
+
+/**
+ * Formats a duration as "1分05秒" or "8.5秒".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 60) return `${seconds.toFixed(1)}秒`;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}分${String(Math.round(seconds % 60)).padStart(2, '0')}秒`;
+}
+
+/**
+ * Formats the remaining time of a timed exam as "mm:ss".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Creates an element with a class name and text content.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class ExamController {
+    /**
+     * @param {object} dependencies
+     * @param {import('../repositories/ExamRepository.js').ExamRepository} dependencies.examRepository
+     * @param {import('../repositories/MistakeRepository.js').MistakeRepository} dependencies.mistakeRepository
+     * @param {Function} [dependencies.onMistakesChanged] - Called after missed words were added to the mistake notebook.
+     */
+    constructor({ examRepository, mistakeRepository, onMistakesChanged = () => {} }) {
+        this.examRepository = examRepository;
+        this.mistakeRepository = mistakeRepository;
+        this.onMistakesChanged = onMistakesChanged;
+
+        this.modal = document.getElementById('exam-modal');
+        this.dom = {
+            questionView: document.getElementById('exam-question-view'),
+            reportView: document.getElementById('exam-report-view'),
+            progress: document.getElementById('exam-progress'),
+            timer: document.getElementById('exam-timer'),
+            prompt: document.getElementById('exam-prompt'),
+            hint: document.getElementById('exam-hint'),
+            options: document.getElementById('exam-choice-options'),
+            typedRow: document.getElementById('exam-typed-row'),
+            typedInput: document.getElementById('exam-typed-input'),
+            submitBtn: document.getElementById('exam-submit-btn'),
+            skipBtn: document.getElementById('exam-skip-btn'),
+            finishBtn: document.getElementById('exam-finish-btn'),
+            closeBtn: this.modal?.querySelector('.close-button'),
+        };
+
+        this.exam = null; // The running exam, null between exams
+        this.timerId = null;
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        if (!this.modal) return;
+        this.dom.closeBtn?.addEventListener('click', () => this.close());
+        this.dom.options?.addEventListener('click', (e) => {
+            const button = e.target.closest('.choice-option-btn');
+            if (button) this._answer(parseInt(button.dataset.index, 10));
+        });
+        this.dom.submitBtn?.addEventListener('click', () => this._answer(this.dom.typedInput.value));
+        this.dom.typedInput?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || e.isComposing) return;
+            e.preventDefault();
+            this._answer(this.dom.typedInput.value);
+        });
+        this.dom.skipBtn?.addEventListener('click', () => this._answer(null));
+        this.dom.finishBtn?.addEventListener('click', () => {
+            if (confirm('确定要交卷吗？未作答的题目按答错计算。')) this._finish();
+        });
+    }
+
+    /**
+     * Builds and starts an exam.
+     * @param {object} options
+     * @param {Array<import('../core/Word.js').Word>} options.words - The words in the chosen scope.
+     * @param {Array<import('../core/Word.js').Word>} options.vocabulary - All loaded words, the pool for distractors.
+     * @param {string} options.scopeName - Shown in the report and the history.
+     * @param {{questionCount: number, types: Array<string>, timeLimitMinutes: number}} options.settings - Normalized exam settings.
+     * @param {string} options.strictness - How strictly typed answers are checked, see ANSWER_STRICTNESS.
+     * @param {number} options.optionCount - Number of options of choice questions.
+     * @returns {boolean} False if no question could be built from the scope.
+     */
+    start({ words, vocabulary, scopeName, settings, strictness, optionCount }) {
+        const questions = buildExamQuestions(words, { ...settings, vocabulary, optionCount });
+        if (questions.length === 0) return false;
+
+        const startedAt = Date.now();
+        this.exam = {
+            questions,
+            results: new Array(questions.length),
+            current: 0,
+            scopeName,
+            settings,
+            strictness,
+            startedAt,
+            deadline: settings.timeLimitMinutes > 0 ? startedAt + settings.timeLimitMinutes * 60 * 1000 : null,
+            questionShownAt: startedAt,
+        };
+
+        this.dom.questionView.style.display = 'block';
+        this.dom.reportView.style.display = 'none';
+        this.modal.style.display = 'block';
+        this._startTimer();
+        this._showQuestion();
+        return true;
+    }
+
+    _startTimer() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+        const { deadline } = this.exam;
+        this.dom.timer.textContent = deadline ? formatCountdown(deadline - Date.now()) : '不限时';
+        if (!deadline) return;
+        this.timerId = setInterval(() => {
+            const remaining = deadline - Date.now();
+            this.dom.timer.textContent = formatCountdown(remaining);
+            this.dom.timer.classList.toggle('exam-timer-warning', remaining <= 30 * 1000);
+            if (remaining <= 0) this._finish({ timedOut: true });
+        }, 1000);
+    }
+
+    _stopTimer() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+        this.dom.timer.classList.remove('exam-timer-warning');
+    }
+
+    _showQuestion() {
+        const { questions, current } = this.exam;
+        const question = questions[current];
+        const { prompt, hint, options, typedRow, typedInput, progress } = this.dom;
+
+        progress.textContent = `第 ${current + 1} / ${questions.length} 题`;
+        prompt.innerHTML = '';
+        hint.textContent = question.hint || '';
+        options.innerHTML = '';
+
+        if (question.type === EXAM_QUESTION_TYPE.CLOZE) {
+            prompt.dir = 'rtl';
+            const sentence = createElement('div', 'cloze-sentence');
+            for (const part of question.prompt) {
+                sentence.appendChild(part.blank
+                    ? createElement('span', 'cloze-blank', '……')
+                    : document.createTextNode(part.text));
+            }
+            prompt.appendChild(sentence);
+        } else {
+            prompt.dir = question.type === EXAM_QUESTION_TYPE.MEANING ? 'rtl' : 'ltr';
+            prompt.textContent = question.prompt;
+        }
+
+        if (question.options) {
+            typedRow.style.display = 'none';
+            question.options.forEach((text, index) => {
+                const button = createElement('button', 'btn choice-option-btn', text);
+                button.dataset.index = index;
+                button.dir = question.type === EXAM_QUESTION_TYPE.ARABIC ? 'rtl' : 'ltr';
+                options.appendChild(button);
+            });
+        } else {
+            typedRow.style.display = 'flex';
+            typedInput.value = '';
+            typedInput.focus();
+        }
+        this.exam.questionShownAt = Date.now();
+    }
+
+    /**
+     * Records the answer to the current question (null when skipped) and moves on.
+     * @param {number|string|null} response
+     */
+    _answer(response) {
+        if (!this.exam) return;
+        const { questions, current, strictness } = this.exam;
+        const question = questions[current];
+        const value = typeof response === 'string' && response.trim() === '' ? null : response;
+        this.exam.results[current] = {
+            response: value,
+            correct: isExamAnswerCorrect(question, value, strictness),
+            timeMs: Date.now() - this.exam.questionShownAt,
+        };
+
+        if (current + 1 < questions.length) {
+            this.exam.current++;
+            this._showQuestion();
+        } else {
+            this._finish();
+        }
+    }
+
+    /**
+     * Ends the exam, saves it to the history and shows the report.
+     * @param {object} [options={}]
+     * @param {boolean} [options.timedOut=false] - Whether the time limit ended the exam.
+     */
+    async _finish({ timedOut = false } = {}) {
+        const exam = this.exam;
+        if (!exam) return;
+        this.exam = null;
+        this._stopTimer();
+
+        const summary = summarizeExam(exam.questions, exam.results);
+        const record = createExamRecord(summary, {
+            scopeName: exam.scopeName,
+            types: exam.settings.types,
+            timeLimitMinutes: exam.settings.timeLimitMinutes,
+            startedAt: exam.startedAt,
+            finishedAt: Date.now(),
+            timedOut,
+        });
+
+        let history = [record];
+        try {
+            history = await this.examRepository.addRecord(record);
+        } catch (error) {
+            console.error('[Exam] Failed to save the exam record:', error);
+            showNotification('测试记录保存失败。', false);
+        }
+        this._renderReport(exam, summary, record, history);
+    }
+
+    /**
+     * @returns {string} The answer given to a question, for the report.
+     */
+    _formatResponse(question, result) {
+        if (!result) return '（未作答）';
+        if (result.response === null) return '（跳过）';
+        return question.options ? question.options[result.response] : String(result.response);
+    }
+
+    _renderReport(exam, summary, record, history) {
+        const { reportView, questionView } = this.dom;
+        questionView.style.display = 'none';
+        reportView.style.display = 'block';
+        reportView.innerHTML = '';
+
+        reportView.appendChild(createElement('h2', null, '测试结果'));
+        reportView.appendChild(createElement('div', 'exam-score', `${summary.score} 分`));
+        const overview = [
+            `答对 ${summary.correct} / ${summary.total} 题`,
+            `用时 ${formatDuration(record.durationMs)}`,
+            `平均每题 ${formatDuration(summary.averageTimeMs)}`,
+        ];
+        if (record.timedOut) overview.push('时间到，未作答的题目按答错计算');
+        reportView.appendChild(createElement('p', 'exam-overview', overview.join('，')));
+
+        const table = createElement('table', 'exam-report-table');
+        const header = table.createTHead().insertRow();
+        ['#', '题目', '你的答案', '正确答案', '用时'].forEach(text => header.appendChild(createElement('th', null, text)));
+        const body = table.createTBody();
+        exam.questions.forEach((question, index) => {
+            const result = exam.results[index];
+            const row = body.insertRow();
+            row.className = result?.correct ? 'exam-row-correct' : 'exam-row-wrong';
+            const prompt = question.type === EXAM_QUESTION_TYPE.CLOZE
+                ? question.prompt.map(part => (part.blank ? '____' : part.text)).join('')
+                : question.prompt;
+            [
+                `${index + 1} ${result?.correct ? '✅' : '❌'}`,
+                prompt,
+                this._formatResponse(question, result),
+                question.answer,
+                result ? formatDuration(result.timeMs) : '—',
+            ].forEach(text => row.insertCell().textContent = text);
+        });
+        reportView.appendChild(table);
+
+        const actions = createElement('div', 'modal-actions');
+        const addMistakesBtn = createElement('button', 'btn', `将错题加入错题本（${record.wrongWords.length}）`);
+        addMistakesBtn.disabled = record.wrongWords.length === 0;
+        addMistakesBtn.addEventListener('click', async () => {
+            addMistakesBtn.disabled = true;
+            const added = await this._addToMistakes(record.wrongWords);
+            addMistakesBtn.textContent = added > 0 ? `已加入 ${added} 个单词` : '错题都已在错题本中';
+        });
+        const closeBtn = createElement('button', 'btn secondary-btn', '关闭');
+        closeBtn.addEventListener('click', () => this.close());
+        actions.append(addMistakesBtn, closeBtn);
+        reportView.appendChild(actions);
+
+        reportView.appendChild(this._renderHistory(history));
+    }
+
+    /**
+     * @param {Array<object>} history - Exam records, newest first.
+     * @returns {HTMLElement} The list of recent exams.
+     */
+    _renderHistory(history) {
+        const section = createElement('div', 'exam-history');
+        section.appendChild(createElement('h3', null, '测试记录'));
+        if (history.length === 0) {
+            section.appendChild(createElement('p', null, '还没有测试记录。'));
+            return section;
+        }
+        const list = createElement('ul', 'exam-history-list');
+        for (const record of history.slice(0, HISTORY_LIST_LENGTH)) {
+            const date = new Date(record.startedAt).toLocaleString();
+            list.appendChild(createElement('li', null,
+                `${date}　${record.scopeName}　${record.score} 分（${record.correct}/${record.total}，用时 ${formatDuration(record.durationMs)}）`));
+        }
+        section.appendChild(list);
+        if (history.length > 1) {
+            const average = Math.round(history.reduce((sum, record) => sum + record.score, 0) / history.length);
+            section.appendChild(createElement('p', 'setting-hint', `共 ${history.length} 次测试，平均 ${average} 分。`));
+        }
+        return section;
+    }
+
+    /**
+     * Adds words to the mistake notebook.
+     * @param {Array<string>} words - Arabic words.
+     * @returns {Promise<number>} How many were not in the notebook yet.
+     */
+    async _addToMistakes(words) {
+        let added = 0;
+        for (const arabic of words) {
+            if (await this.mistakeRepository.addWord(arabic)) added++;
+        }
+        if (added > 0) this.onMistakesChanged();
+        return added;
+    }
+
+    /**
+     * Opens the modal with only the exam history.
+     */
+    async showHistory() {
+        if (!this.modal || this.exam) return;
+        const { reportView, questionView } = this.dom;
+        questionView.style.display = 'none';
+        reportView.style.display = 'block';
+        reportView.innerHTML = '';
+        reportView.appendChild(this._renderHistory(await this.examRepository.getHistory()));
+        this.modal.style.display = 'block';
+    }
+
+    /**
+     * Closes the modal; a running exam is abandoned without being saved.
+     */
+    close() {
+        if (this.exam && !confirm('确定要放弃本次测试吗？结果不会保存。')) return;
+        this.exam = null;
+        this._stopTimer();
+        this.modal.style.display = 'none';
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Keyboard shortcuts of the study page.
+ * A shortcut acts exactly like clicking the control it stands for, so disabled or hidden controls
+ * (e.g. the rating buttons of a choice question) do nothing. Keys are ignored while typing in a field,
+ * while a modal is open and outside a session. The bound keys are shown as hints on the controls.
+ */
+
+import { SHORTCUT_ACTION, comboFromKeyEvent, findShortcutAction, formatShortcut, normalizeShortcuts } from '../core/KeyboardShortcuts.js';
+
+/** The controls each action clicks, in order of preference; the first visible one is used. */
+const ACTION_TARGETS = {
+    [SHORTCUT_ACTION.REVEAL_ANSWER]: ['answer-display'],
+    [SHORTCUT_ACTION.REVEAL_EXPLANATION]: ['explanation-display'],
+    [SHORTCUT_ACTION.RATE_AGAIN]: ['forgot-btn'],
+    [SHORTCUT_ACTION.RATE_HARD]: ['hard-btn'],
+    [SHORTCUT_ACTION.RATE_GOOD]: ['good-btn'],
+    [SHORTCUT_ACTION.RATE_EASY]: ['easy-btn'],
+    [SHORTCUT_ACTION.PREVIOUS]: ['prev-btn'],
+    [SHORTCUT_ACTION.NEXT]: ['next-word-in-history-btn'],
+    [SHORTCUT_ACTION.PLAY_AUDIO]: ['listening-replay-btn', 'tts-play-btn'],
+    [SHORTCUT_ACTION.SWITCH_DEFINITION]: ['definition-toggle-container'],
+    [SHORTCUT_ACTION.AI_ASSIST]: ['ai-assist-btn'],
+    [SHORTCUT_ACTION.UNDO]: ['undo-btn'],
+    [SHORTCUT_ACTION.EXIT]: ['back-to-menu-btn'],
+};
+
+let bindings = normalizeShortcuts();
+
+/**
+ * Whether an element is rendered, i.e. neither it nor an ancestor is hidden.
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isVisible(element) {
+    return element.getClientRects().length > 0;
+}
+
+/**
+ * Finds the control an action clicks.
+ * @param {string} action
+ * @returns {HTMLElement|null}
+ */
+function targetFor(action) {
+    for (const id of ACTION_TARGETS[action] || []) {
+        const element = document.getElementById(id);
+        if (element && !element.disabled && isVisible(element)) return element;
+    }
+    return null;
+}
+
+/**
+ * Clicks the definition toggle after the active one, wrapping around at the end.
+ * @param {HTMLElement} container
+ */
+function switchDefinition(container) {
+    const buttons = [...container.querySelectorAll('.definition-toggle-btn')];
+    if (buttons.length < 2) return;
+    const active = buttons.findIndex(button => button.classList.contains('active'));
+    buttons[(active + 1) % buttons.length].click();
+}
+
+function isModalOpen() {
+    return [...document.querySelectorAll('.modal')].some(modal => modal.style.display === 'block');
+}
+
+/**
+ * Handles a key press on the study page.
+ * @param {KeyboardEvent} e
+ * @param {{isSessionActive: Function, isPaused: Function}} state
+ */
+function handleKeydown(e, { isSessionActive, isPaused }) {
+    if (e.defaultPrevented || e.isComposing || e.repeat) return;
+    if (e.target.matches?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (!isSessionActive() || isModalOpen()) return;
+
+    const action = findShortcutAction(bindings, comboFromKeyEvent(e));
+    // While paused only leaving the session is possible, as with the pause overlay.
+    if (!action || (isPaused() && action !== SHORTCUT_ACTION.EXIT)) return;
+    const target = targetFor(action);
+    if (!target) return;
+
+    // Also keeps Space from scrolling the page or pressing the focused button a second time.
+    e.preventDefault();
+    if (action === SHORTCUT_ACTION.SWITCH_DEFINITION) {
+        switchDefinition(target);
+    } else {
+        target.click();
+    }
+}
+
+/**
+ * Shows the bound keys on the controls: in the tooltip, and as a badge on buttons (see style.css).
+ */
+function renderShortcutHints() {
+    for (const [action, ids] of Object.entries(ACTION_TARGETS)) {
+        const label = formatShortcut(bindings[action]);
+        for (const id of ids) {
+            const element = document.getElementById(id);
+            if (!element) continue;
+            if (element.dataset.baseTitle === undefined) element.dataset.baseTitle = element.title || '';
+            const base = element.dataset.baseTitle;
+            if (label) {
+                element.dataset.shortcut = label;
+                element.title = base ? `${base} (${label})` : `快捷键：${label}`;
+            } else {
+                delete element.dataset.shortcut;
+                element.title = base;
+            }
+        }
+    }
+}
+
+/**
+ * Replaces the key bindings and updates the hints.
+ * @param {object} savedBindings - Action -> key combination, see normalizeShortcuts.
+ */
+export function setShortcutBindings(savedBindings) {
+    bindings = normalizeShortcuts(savedBindings);
+    renderShortcutHints();
+}
+
+/**
+ * Starts listening for shortcuts.
+ * @param {object} state
+ * @param {Function} state.isSessionActive - Whether a study session is running.
+ * @param {Function} state.isPaused - Whether the running session is paused.
+ */
+export function initKeyboardShortcuts({ isSessionActive, isPaused }) {
+    document.addEventListener('keydown', (e) => handleKeydown(e, { isSessionActive, isPaused }));
+    renderShortcutHints();
+}
@@ -4,6 +4,7 @@
  */
 
 import * as dom from './dom-elements.js';
+import { FORECAST_RANGES } from '../core/ReviewForecast.js';
 
 /** 
  * 通过添加 'visible' 类来打开一个模态框。
@@ -38,8 +39,10 @@ export const closeContinueSessionModal = () => closeModal(dom.continueSessionMod
 /**
  * 动态渲染学习统计模态框中的内容。
  * @param {Array<object>} statsSummary - 从 stats.js 的 getStatsSummary 生成的数据。
+ * @param {object | null} [forecast=null] - StatsService.getForecast 的结果；为空时不显示复习预测。
+ * @param {Function | null} [onForecastChange=null] - 切换预测天数或模拟选项时调用，参数为 `{ days, simulate }`。
  */
-export function renderStats(statsSummary) {
+export function renderStats(statsSummary, forecast = null, onForecastChange = null) {
     if (!dom.statsContent) return;
     dom.statsContent.innerHTML = ''; // 清空现有内容
 
@@ -54,13 +57,89 @@ export function renderStats(statsSummary) {
         const statsList = document.createElement('ul');
         category.stats.forEach(stat => {
             const listItem = document.createElement('li');
-            listItem.innerHTML = `<strong>${stat.label}:</strong> ${stat.value}`;
+            // 标签可能是词库名或单词，按文本插入
+            const label = document.createElement('strong');
+            label.textContent = `${stat.label}:`;
+            listItem.append(label, ` ${stat.value}`);
             statsList.appendChild(listItem);
         });
 
         categoryDiv.appendChild(statsList);
         dom.statsContent.appendChild(categoryDiv);
     });
+
+    if (forecast) {
+        const forecastDiv = document.createElement('div');
+        forecastDiv.className = 'stats-category';
+        forecastDiv.id = 'stats-forecast';
+        dom.statsContent.appendChild(forecastDiv);
+        renderForecast(forecast, onForecastChange);
+    }
+}
+
+/**
+ * 渲染（或在切换选项后重新渲染）统计模态框中的复习预测柱状图。
+ * 每根柱子是一天，深色部分为按现有到期日到期的卡片，浅色部分为模拟产生的后续复习。
+ * @param {object} forecast - StatsService.getForecast 的结果。
+ * @param {Function | null} [onForecastChange=null] - 切换选项时的回调，参数为 `{ days, simulate }`。
+ */
+export function renderForecast(forecast, onForecastChange = null) {
+    const container = document.getElementById('stats-forecast');
+    if (!container) return;
+
+    const { days, simulate, scheduled, simulated, overdue } = forecast;
+    const totals = scheduled.map((count, i) => count + simulated[i]);
+    const maxCount = Math.max(1, ...totals);
+    const peakDay = totals.indexOf(Math.max(...totals));
+    const sum = (from, to) => totals.slice(from, to).reduce((a, b) => a + b, 0);
+
+    container.innerHTML = `
+        <h3>复习预测</h3>
+        <div class="forecast-controls">
+            ${FORECAST_RANGES.map(range => `
+                <button type="button" class="btn forecast-range-btn${range === days ? ' active' : ''}" data-days="${range}">${range} 天</button>
+            `).join('')}
+            <label class="forecast-simulate">
+                <input type="checkbox" id="forecast-simulate-checkbox" ${simulate ? 'checked' : ''}>
+                模拟未来复习
+            </label>
+        </div>
+        <ul>
+            <li><strong>今天:</strong> ${totals[0]}${overdue > 0 ? `（其中已过期 ${overdue}）` : ''}</li>
+            <li><strong>明天:</strong> ${totals[1] ?? 0}</li>
+            <li><strong>未来 7 天:</strong> ${sum(0, 7)}</li>
+            <li><strong>高峰:</strong> 第 ${peakDay} 天，${totals[peakDay]} 张</li>
+        </ul>
+        <div class="forecast-chart"></div>
+        <div class="forecast-axis"><span>今天</span><span>${days - 1} 天后</span></div>
+    `;
+
+    const chart = container.querySelector('.forecast-chart');
+    totals.forEach((total, day) => {
+        const bar = document.createElement('div');
+        bar.className = 'forecast-bar';
+        bar.title = `${day === 0 ? '今天' : `${day} 天后`}：${scheduled[day]} 张到期`
+            + (simulate ? `，另有约 ${simulated[day]} 张模拟复习` : '');
+
+        const simulatedPart = document.createElement('div');
+        simulatedPart.className = 'forecast-bar-simulated';
+        simulatedPart.style.height = `${(simulated[day] / maxCount) * 100}%`;
+
+        const scheduledPart = document.createElement('div');
+        scheduledPart.className = 'forecast-bar-scheduled';
+        scheduledPart.style.height = `${(scheduled[day] / maxCount) * 100}%`;
+
+        bar.append(simulatedPart, scheduledPart);
+        chart.appendChild(bar);
+    });
+
+    if (!onForecastChange) return;
+    container.querySelectorAll('.forecast-range-btn').forEach(btn => {
+        btn.addEventListener('click', () => onForecastChange({ days: Number(btn.dataset.days), simulate }));
+    });
+    container.querySelector('#forecast-simulate-checkbox').addEventListener('change', (e) => {
+        onForecastChange({ days, simulate: e.target.checked });
+    });
 }
 
 /**
@@ -5,9 +5,44 @@
 
 import * as dom from './dom-elements.js';
 import { STORAGE_KEYS, DEFAULT_AI_PROMPT } from '../common/constants.js';
+import { FSRS, FSRS_PARAMS, RETENTION_RANGE, parseSteps, formatSteps } from '../core/FSRS.js';
+import { showNotification } from './notifications.js';
+import { DEFAULT_PRESET_ID } from '../core/SchedulerPresets.js';
+import { DEFAULT_LEECH_THRESHOLD, LEECH_ACTION } from '../core/ReviewScheduler.js';
+import { DEFAULT_DAY_START_HOUR, normalizeDayStartHour } from '../core/StudyDay.js';
+import { DEFAULT_ANSWER_STRICTNESS } from '../core/AnswerChecker.js';
+import { DEFAULT_CHOICE_COUNT, normalizeChoiceCount } from '../core/ChoiceQuiz.js';
+import { DEFAULT_SESSION_GOAL, normalizeSessionGoal } from '../core/SessionGoal.js';
+import { DEFAULT_SLOW_RECALL_SECONDS, normalizeSlowRecallSeconds } from '../core/AnswerLatency.js';
+import { DEFAULT_QUEUE_ORDER, DEFAULT_INTERLEAVE_RATIO, normalizeQueueOrder, normalizeInterleaveRatio } from '../core/QueueOrder.js';
+import {
+    DEFAULT_NEW_WORD_ORDER, DEFAULT_LESSON_UNLOCK_PERCENT, normalizeNewWordOrder, normalizeLessonUnlockPercent,
+} from '../core/LessonOrder.js';
+import {
+    SHORTCUT_ACTION_LABELS, DEFAULT_SHORTCUTS, normalizeShortcuts, rebindShortcut, comboFromKeyEvent, formatShortcut,
+} from '../core/KeyboardShortcuts.js';
+
+/** Settings the session's scheduler reads; changing one makes a running session reload them. */
+const SCHEDULER_SETTING_KEYS = [
+    STORAGE_KEYS.DESIRED_RETENTION,
+    STORAGE_KEYS.LEARNING_STEPS,
+    STORAGE_KEYS.RELEARNING_STEPS,
+    STORAGE_KEYS.ENABLE_FUZZ,
+    STORAGE_KEYS.ENABLE_LOAD_BALANCE,
+    STORAGE_KEYS.LEECH_THRESHOLD,
+    STORAGE_KEYS.LEECH_ACTION,
+    STORAGE_KEYS.BURY_SIBLINGS,
+    STORAGE_KEYS.DAY_START_HOUR,
+];
 
 let storageSvc = null;
 let ttsMgr = null;
+let presetSvc = null;
+let editingPresetId = DEFAULT_PRESET_ID;
+let lastCollections = new Map();
+let shortcutBindings = normalizeShortcuts();
+let capturingShortcut = null; // The action waiting for its new key
+let savedRetention = FSRS_PARAMS.requestRetention; // The saved desired retention, i.e. that of the default preset
 
 /**
  * Applies the selected theme to the document body.
@@ -20,6 +55,295 @@ function applyTheme(themeName) {
     }
 }
 
+/**
+ * Shows the chosen desired retention and previews how the review workload
+ * changes compared to the retention saved now.
+ * @param {number} retention - The desired retention, e.g. 0.9.
+ */
+function renderRetentionPreview(retention) {
+    if (dom.desiredRetentionValue) {
+        dom.desiredRetentionValue.textContent = `${Math.round(retention * 100)}%`;
+    }
+    if (!dom.desiredRetentionPreview) return;
+
+    const baseline = savedRetention;
+    const workloadRatio = FSRS.estimateWorkloadRatio(retention, baseline);
+    const intervalRatio = FSRS.intervalModifier(retention) / FSRS.intervalModifier(baseline);
+    const percentChange = Math.round((workloadRatio - 1) * 100);
+
+    let workloadText;
+    if (percentChange === 0) {
+        workloadText = '每日复习量基本不变';
+    } else if (percentChange > 0) {
+        workloadText = `每日复习量约增加 ${percentChange}%`;
+    } else {
+        workloadText = `每日复习量约减少 ${-percentChange}%`;
+    }
+    dom.desiredRetentionPreview.textContent =
+        `相比当前的 ${Math.round(baseline * 100)}%：平均复习间隔 ×${intervalRatio.toFixed(2)}，${workloadText}。`;
+}
+
+/**
+ * Describes which FSRS weights are in use and how well they fit the review history.
+ * @param {object|null} savedWeights - The saved personal weights, or null for the defaults.
+ */
+function renderOptimizerStatus(savedWeights) {
+    if (!dom.fsrsOptimizerStatus) return;
+    if (!savedWeights?.w) {
+        dom.fsrsOptimizerStatus.textContent = '当前使用 FSRS 默认参数。';
+        if (dom.resetFsrsWeightsBtn) dom.resetFsrsWeightsBtn.disabled = true;
+        return;
+    }
+    const date = new Date(savedWeights.optimizedAt).toLocaleDateString();
+    dom.fsrsOptimizerStatus.textContent =
+        `当前使用个人参数（${date} 基于 ${savedWeights.reviewCount} 次复习优化，` +
+        `log-loss ${savedWeights.lossBefore.toFixed(4)} → ${savedWeights.lossAfter.toFixed(4)}）。`;
+    if (dom.resetFsrsWeightsBtn) dom.resetFsrsWeightsBtn.disabled = false;
+}
+
+/**
+ * Wires up the optimize / reset buttons of the FSRS parameter section.
+ * @param {import('../services/OptimizerService.js').OptimizerService} optimizerService
+ * @param {Function} [onSchedulerSettingsChange] - Called after new weights were saved or reset.
+ */
+function setupOptimizerListeners(optimizerService, onSchedulerSettingsChange) {
+    if (!optimizerService) return;
+
+    dom.optimizeFsrsBtn?.addEventListener('click', async () => {
+        dom.optimizeFsrsBtn.disabled = true;
+        dom.fsrsOptimizerStatus.textContent = '正在读取复习记录...';
+        try {
+            const result = await optimizerService.optimize(({ iteration, total, loss }) => {
+                dom.fsrsOptimizerStatus.textContent = `正在优化... ${iteration}/${total}（log-loss ${loss.toFixed(4)}）`;
+            });
+            if (result.improved) {
+                showNotification(`参数优化完成：log-loss ${result.lossBefore.toFixed(4)} → ${result.lossAfter.toFixed(4)}`, true);
+            } else {
+                showNotification(`当前参数已是最佳（log-loss ${result.lossBefore.toFixed(4)}），未做更改。`, true);
+            }
+        } catch (error) {
+            console.error('FSRS optimization failed:', error);
+            showNotification(error.message, false);
+        } finally {
+            dom.optimizeFsrsBtn.disabled = false;
+            renderOptimizerStatus(await optimizerService.getSavedWeights());
+            if (onSchedulerSettingsChange) onSchedulerSettingsChange();
+        }
+    });
+
+    dom.resetFsrsWeightsBtn?.addEventListener('click', async () => {
+        if (!confirm('确定要放弃个人参数并恢复 FSRS 默认参数吗？')) return;
+        await optimizerService.resetWeights();
+        renderOptimizerStatus(null);
+        if (onSchedulerSettingsChange) onSchedulerSettingsChange();
+        showNotification('已恢复默认参数。', true);
+    });
+}
+
+/**
+ * Lists every shortcut action with its key; clicking a key waits for the new one.
+ */
+function renderShortcutSettings() {
+    const list = dom.shortcutSettingsList;
+    if (!list) return;
+    list.innerHTML = '';
+    for (const [action, label] of Object.entries(SHORTCUT_ACTION_LABELS)) {
+        const row = document.createElement('div');
+        row.className = 'shortcut-setting-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'btn btn-small shortcut-key-btn';
+        keyBtn.dataset.action = action;
+        keyBtn.classList.toggle('capturing', capturingShortcut === action);
+        keyBtn.textContent = capturingShortcut === action ? '请按键…' : (formatShortcut(shortcutBindings[action]) || '未设置');
+        row.append(name, keyBtn);
+        list.appendChild(row);
+    }
+}
+
+/**
+ * Wires up rebinding of the keyboard shortcuts.
+ * @param {Function} [onShortcutsChange] - Called with the new bindings after they were saved.
+ */
+function setupShortcutListeners(onShortcutsChange) {
+    const save = async (bindings) => {
+        shortcutBindings = bindings;
+        renderShortcutSettings();
+        await storageSvc.saveSetting(STORAGE_KEYS.KEYBOARD_SHORTCUTS, bindings);
+        if (onShortcutsChange) onShortcutsChange(bindings);
+    };
+
+    dom.shortcutSettingsList?.addEventListener('click', (e) => {
+        const button = e.target.closest('.shortcut-key-btn');
+        if (!button) return;
+        capturingShortcut = capturingShortcut === button.dataset.action ? null : button.dataset.action;
+        renderShortcutSettings();
+    });
+
+    // Capture phase, so the key is not also handled as a shortcut elsewhere.
+    document.addEventListener('keydown', (e) => {
+        if (!capturingShortcut || e.isComposing) return;
+        let combo;
+        if (e.key === 'Escape') {
+            combo = shortcutBindings[capturingShortcut];
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            combo = '';
+        } else {
+            combo = comboFromKeyEvent(e);
+            if (!combo) return; // A modifier on its own: keep waiting for the key
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        const action = capturingShortcut;
+        capturingShortcut = null;
+        const { bindings, displaced } = rebindShortcut(shortcutBindings, action, combo);
+        if (displaced) {
+            showNotification(`${formatShortcut(combo)} 原来用于“${SHORTCUT_ACTION_LABELS[displaced]}”，该操作现在没有快捷键。`, false);
+        }
+        save(bindings);
+    }, true);
+
+    dom.resetShortcutsBtn?.addEventListener('click', () => {
+        capturingShortcut = null;
+        save({ ...DEFAULT_SHORTCUTS });
+        showNotification('已恢复默认快捷键。', true);
+    });
+}
+
+/**
+ * Fills the preset editor with a preset. The default preset is read-only here:
+ * it mirrors the study settings above.
+ * @param {object} preset
+ */
+function fillPresetEditor(preset) {
+    editingPresetId = preset.id;
+    const isDefault = preset.id === DEFAULT_PRESET_ID;
+    const fields = [
+        [dom.presetNameInput, preset.name],
+        [dom.presetRetentionInput, preset.requestRetention],
+        [dom.presetMaxIntervalInput, preset.maximumInterval],
+        [dom.presetDailyNewInput, preset.dailyNewWords],
+        [dom.presetDailyReviewInput, preset.maxReviewWords],
+        [dom.presetRecallSecondsInput, preset.recallSeconds],
+    ];
+    fields.forEach(([input, value]) => {
+        if (!input) return;
+        input.value = value;
+        input.disabled = isDefault;
+    });
+    if (dom.presetSelect) dom.presetSelect.value = preset.id;
+    if (dom.savePresetBtn) dom.savePresetBtn.disabled = isDefault;
+    if (dom.deletePresetBtn) dom.deletePresetBtn.disabled = isDefault;
+    if (dom.presetEditorHint) {
+        dom.presetEditorHint.textContent = isDefault
+            ? '默认预设用于未分配预设的词库，它跟随上方的规律学习设置。'
+            : '';
+    }
+}
+
+/**
+ * Renders the preset list, the editor and the per-collection/deck assignment selects.
+ * @param {Map<string, Array<string>>} [collections] - Collections and their decks, as returned by
+ *   StartRegularStudySessionUseCase#getCollectionsAndDecks. Defaults to the last rendered list.
+ */
+export async function renderPresetSettings(collections = lastCollections) {
+    if (!presetSvc || !dom.presetSelect) return;
+    lastCollections = collections;
+    await presetSvc.load();
+
+    const presets = presetSvc.getPresets();
+    dom.presetSelect.innerHTML = '';
+    presets.forEach(preset => dom.presetSelect.add(new Option(preset.name, preset.id)));
+    fillPresetEditor(presetSvc.getPreset(editingPresetId));
+
+    if (!dom.presetAssignmentsContainer) return;
+    const assignments = presetSvc.getAssignments();
+    const createRow = (scopeName, label, isDeck) => {
+        const row = document.createElement('div');
+        row.className = 'setting-item';
+        const text = document.createElement('label');
+        text.textContent = label;
+        const select = document.createElement('select');
+        select.className = 'preset-assignment-select';
+        select.dataset.scope = scopeName;
+        // Decks without their own assignment inherit from the collection.
+        select.add(new Option(isDeck ? '跟随集合' : presetSvc.getPreset(DEFAULT_PRESET_ID).name, DEFAULT_PRESET_ID));
+        presets.filter(p => p.id !== DEFAULT_PRESET_ID).forEach(p => select.add(new Option(p.name, p.id)));
+        select.value = assignments[scopeName] || DEFAULT_PRESET_ID;
+        row.appendChild(text);
+        row.appendChild(select);
+        return row;
+    };
+
+    dom.presetAssignmentsContainer.innerHTML = '';
+    if (collections.size === 0) {
+        dom.presetAssignmentsContainer.textContent = '还没有词库。';
+        return;
+    }
+    const fragment = document.createDocumentFragment();
+    collections.forEach((decks, collectionName) => {
+        fragment.appendChild(createRow(collectionName, collectionName, false));
+        decks.forEach(deckName => {
+            fragment.appendChild(createRow(`${collectionName}//${deckName}`, `　└ ${deckName}`, true));
+        });
+    });
+    dom.presetAssignmentsContainer.appendChild(fragment);
+}
+
+/**
+ * Wires up the preset editor buttons and the assignment selects.
+ */
+function setupPresetListeners() {
+    if (!presetSvc) return;
+
+    dom.presetSelect?.addEventListener('change', (e) => {
+        fillPresetEditor(presetSvc.getPreset(e.target.value));
+    });
+
+    dom.newPresetBtn?.addEventListener('click', async () => {
+        const base = presetSvc.getPreset(editingPresetId);
+        const created = await presetSvc.savePreset({ ...base, id: null, name: `${base.name} 副本` });
+        editingPresetId = created.id;
+        await renderPresetSettings();
+        showNotification(`已新建预设“${created.name}”。`, true);
+    });
+
+    dom.savePresetBtn?.addEventListener('click', async () => {
+        try {
+            const saved = await presetSvc.savePreset({
+                id: editingPresetId,
+                name: dom.presetNameInput.value,
+                requestRetention: dom.presetRetentionInput.value,
+                maximumInterval: dom.presetMaxIntervalInput.value,
+                dailyNewWords: dom.presetDailyNewInput.value,
+                maxReviewWords: dom.presetDailyReviewInput.value,
+                recallSeconds: dom.presetRecallSecondsInput.value,
+            });
+            await renderPresetSettings();
+            showNotification(`预设“${saved.name}”已保存。`, true);
+        } catch (error) {
+            showNotification(error.message, false);
+        }
+    });
+
+    dom.deletePresetBtn?.addEventListener('click', async () => {
+        const preset = presetSvc.getPreset(editingPresetId);
+        if (preset.id === DEFAULT_PRESET_ID) return;
+        if (!confirm(`确定要删除预设“${preset.name}”吗？使用它的词库将改用默认预设。`)) return;
+        await presetSvc.deletePreset(preset.id);
+        editingPresetId = DEFAULT_PRESET_ID;
+        await renderPresetSettings();
+    });
+
+    dom.presetAssignmentsContainer?.addEventListener('change', async (e) => {
+        const select = e.target;
+        if (!select.matches('.preset-assignment-select')) return;
+        await presetSvc.assign(select.dataset.scope, select.value);
+    });
+}
+
 /**
  * Initializes the TTS settings UI section.
  */
@@ -149,9 +473,29 @@ export async function initSettingsUI(storageService, ttsManager) {
 
     const settings = {
         [STORAGE_KEYS.STUDY_MODE]: 'zh-ar',
+        [STORAGE_KEYS.BURY_SIBLINGS]: true,
         [STORAGE_KEYS.RECALL_MODE]: false,
+        [STORAGE_KEYS.ANSWER_MODE]: 'reveal',
+        [STORAGE_KEYS.ANSWER_STRICTNESS]: DEFAULT_ANSWER_STRICTNESS,
+        [STORAGE_KEYS.CHOICE_COUNT]: DEFAULT_CHOICE_COUNT,
+        [STORAGE_KEYS.LISTENING_RESPONSE]: 'typed',
+        [STORAGE_KEYS.SLOW_RECALL_SECONDS]: DEFAULT_SLOW_RECALL_SECONDS,
+        [STORAGE_KEYS.SESSION_GOAL_TYPE]: DEFAULT_SESSION_GOAL.type,
+        [STORAGE_KEYS.SESSION_GOAL_VALUE]: DEFAULT_SESSION_GOAL.value,
         [STORAGE_KEYS.DAILY_REVIEW_WORDS]: 30,
         [STORAGE_KEYS.DAILY_NEW_WORDS]: 10,
+        [STORAGE_KEYS.DAY_START_HOUR]: DEFAULT_DAY_START_HOUR,
+        [STORAGE_KEYS.QUEUE_ORDER]: DEFAULT_QUEUE_ORDER,
+        [STORAGE_KEYS.QUEUE_INTERLEAVE_RATIO]: DEFAULT_INTERLEAVE_RATIO,
+        [STORAGE_KEYS.NEW_WORD_ORDER]: DEFAULT_NEW_WORD_ORDER,
+        [STORAGE_KEYS.LESSON_UNLOCK_PERCENT]: DEFAULT_LESSON_UNLOCK_PERCENT,
+        [STORAGE_KEYS.DESIRED_RETENTION]: FSRS_PARAMS.requestRetention,
+        [STORAGE_KEYS.LEARNING_STEPS]: FSRS_PARAMS.learningSteps,
+        [STORAGE_KEYS.RELEARNING_STEPS]: FSRS_PARAMS.relearningSteps,
+        [STORAGE_KEYS.ENABLE_FUZZ]: FSRS_PARAMS.enableFuzz,
+        [STORAGE_KEYS.ENABLE_LOAD_BALANCE]: true,
+        [STORAGE_KEYS.LEECH_THRESHOLD]: DEFAULT_LEECH_THRESHOLD,
+        [STORAGE_KEYS.LEECH_ACTION]: LEECH_ACTION.TAG,
         [STORAGE_KEYS.THEME]: 'default',
     };
 
@@ -161,9 +505,35 @@ export async function initSettingsUI(storageService, ttsManager) {
 
     const modeRadio = document.querySelector(`input[name="mode"][value="${settings[STORAGE_KEYS.STUDY_MODE]}"]`);
     if (modeRadio) modeRadio.checked = true;
+    if (dom.burySiblingsSetting) dom.burySiblingsSetting.checked = settings[STORAGE_KEYS.BURY_SIBLINGS];
     if (dom.recallSetting) dom.recallSetting.checked = settings[STORAGE_KEYS.RECALL_MODE];
+    if (dom.answerModeSetting) dom.answerModeSetting.value = settings[STORAGE_KEYS.ANSWER_MODE];
+    if (dom.answerStrictnessSetting) dom.answerStrictnessSetting.value = settings[STORAGE_KEYS.ANSWER_STRICTNESS];
+    if (dom.choiceCountSetting) dom.choiceCountSetting.value = settings[STORAGE_KEYS.CHOICE_COUNT];
+    if (dom.listeningResponseSetting) dom.listeningResponseSetting.value = settings[STORAGE_KEYS.LISTENING_RESPONSE];
+    if (dom.slowRecallSecondsSetting) dom.slowRecallSecondsSetting.value = settings[STORAGE_KEYS.SLOW_RECALL_SECONDS];
+    if (dom.sessionGoalTypeSetting) dom.sessionGoalTypeSetting.value = settings[STORAGE_KEYS.SESSION_GOAL_TYPE];
+    if (dom.sessionGoalValueSetting) dom.sessionGoalValueSetting.value = settings[STORAGE_KEYS.SESSION_GOAL_VALUE];
     if (dom.dailyReviewWordsInput) dom.dailyReviewWordsInput.value = settings[STORAGE_KEYS.DAILY_REVIEW_WORDS];
     if (dom.dailyNewWordsInput) dom.dailyNewWordsInput.value = settings[STORAGE_KEYS.DAILY_NEW_WORDS];
+    if (dom.dayStartHourSetting) dom.dayStartHourSetting.value = settings[STORAGE_KEYS.DAY_START_HOUR];
+    if (dom.queueOrderSetting) dom.queueOrderSetting.value = settings[STORAGE_KEYS.QUEUE_ORDER];
+    if (dom.queueInterleaveRatioSetting) dom.queueInterleaveRatioSetting.value = settings[STORAGE_KEYS.QUEUE_INTERLEAVE_RATIO];
+    if (dom.newWordOrderSetting) dom.newWordOrderSetting.value = settings[STORAGE_KEYS.NEW_WORD_ORDER];
+    if (dom.lessonUnlockPercentSetting) dom.lessonUnlockPercentSetting.value = settings[STORAGE_KEYS.LESSON_UNLOCK_PERCENT];
+    if (dom.desiredRetentionSetting) {
+        dom.desiredRetentionSetting.min = RETENTION_RANGE.min;
+        dom.desiredRetentionSetting.max = RETENTION_RANGE.max;
+        dom.desiredRetentionSetting.value = settings[STORAGE_KEYS.DESIRED_RETENTION];
+    }
+    savedRetention = settings[STORAGE_KEYS.DESIRED_RETENTION];
+    renderRetentionPreview(savedRetention);
+    if (dom.learningStepsSetting) dom.learningStepsSetting.value = formatSteps(settings[STORAGE_KEYS.LEARNING_STEPS]);
+    if (dom.relearningStepsSetting) dom.relearningStepsSetting.value = formatSteps(settings[STORAGE_KEYS.RELEARNING_STEPS]);
+    if (dom.enableFuzzSetting) dom.enableFuzzSetting.checked = settings[STORAGE_KEYS.ENABLE_FUZZ];
+    if (dom.enableLoadBalanceSetting) dom.enableLoadBalanceSetting.checked = settings[STORAGE_KEYS.ENABLE_LOAD_BALANCE];
+    if (dom.leechThresholdSetting) dom.leechThresholdSetting.value = settings[STORAGE_KEYS.LEECH_THRESHOLD];
+    if (dom.leechActionSetting) dom.leechActionSetting.value = settings[STORAGE_KEYS.LEECH_ACTION];
 
     const themeSelect = document.getElementById('theme-select');
     if (themeSelect) {
@@ -171,19 +541,53 @@ export async function initSettingsUI(storageService, ttsManager) {
         applyTheme(settings[STORAGE_KEYS.THEME]);
     }
     
+    renderOptimizerStatus(await storageSvc.getSetting(STORAGE_KEYS.FSRS_WEIGHTS, null));
+    shortcutBindings = normalizeShortcuts(await storageSvc.getSetting(STORAGE_KEYS.KEYBOARD_SHORTCUTS, {}));
+    renderShortcutSettings();
+
     await initTTSSettingsUI();
+    renderListeningAvailability();
     await initAISettingsUI();
 }
 
+/**
+ * Disables listening mode, with an explanation, when no Arabic voice is installed.
+ * The saved setting is kept so the mode comes back once a voice is available.
+ */
+function renderListeningAvailability() {
+    const available = Boolean(ttsMgr?.hasArabicVoice());
+    const option = dom.answerModeSetting?.querySelector('option[value="listening"]');
+    if (option) option.disabled = !available;
+    if (!available && dom.answerModeSetting?.value === 'listening') dom.answerModeSetting.value = 'reveal';
+    if (dom.listeningResponseSetting) dom.listeningResponseSetting.disabled = !available;
+    if (dom.listeningUnavailableHint) dom.listeningUnavailableHint.style.display = available ? 'none' : 'block';
+}
+
 /**
  * Sets up event listeners for all controls on the settings page.
  * @param {object} callbacks - An object containing callbacks for specific setting changes.
  * @param {Function} [callbacks.onStudyPlanChange] - Called when daily new/review words change.
+ * @param {Function} [callbacks.onDayStartChange] - Called with the new hour when the day rollover hour changes.
+ * @param {import('../services/OptimizerService.js').OptimizerService} [callbacks.optimizerService] - Fits personal FSRS weights.
+ * @param {import('../services/PresetService.js').PresetService} [callbacks.presetService] - Stores scheduler presets and their assignments.
+ * @param {Function} [callbacks.onShortcutsChange] - Called with the new key bindings when a shortcut is rebound.
+ * @param {Function} [callbacks.onSchedulerSettingsChange] - Called after a setting used for scheduling ratings was saved.
  */
-export function setupSettingsListeners({ onStudyPlanChange } = {}) {
+export function setupSettingsListeners({
+    onStudyPlanChange, onDayStartChange, optimizerService, presetService, onShortcutsChange, onSchedulerSettingsChange,
+} = {}) {
     if (!dom.settingsPage) return;
 
+    presetSvc = presetService || null;
     setupTTSSettingsListeners();
+    setupOptimizerListeners(optimizerService, onSchedulerSettingsChange);
+    setupPresetListeners();
+    setupShortcutListeners(onShortcutsChange);
+
+    // Live preview while dragging; the value itself is saved on 'change' below.
+    dom.desiredRetentionSetting?.addEventListener('input', (e) => {
+        renderRetentionPreview(parseFloat(e.target.value));
+    });
 
     dom.settingsPage.addEventListener('change', (e) => {
         const target = e.target;
@@ -198,9 +602,36 @@ export function setupSettingsListeners({ onStudyPlanChange } = {}) {
         if (target.matches('input[name="mode"]')) {
             key = STORAGE_KEYS.STUDY_MODE;
             value = target.value;
+        } else if (target.matches('#bury-siblings-setting')) {
+            key = STORAGE_KEYS.BURY_SIBLINGS;
+            value = target.checked;
         } else if (target.matches('#recall-setting')) {
             key = STORAGE_KEYS.RECALL_MODE;
             value = target.checked;
+        } else if (target.matches('#answer-mode-setting')) {
+            key = STORAGE_KEYS.ANSWER_MODE;
+            value = target.value;
+        } else if (target.matches('#answer-strictness-setting')) {
+            key = STORAGE_KEYS.ANSWER_STRICTNESS;
+            value = target.value;
+        } else if (target.matches('#listening-response-setting')) {
+            key = STORAGE_KEYS.LISTENING_RESPONSE;
+            value = target.value;
+        } else if (target.matches('#session-goal-type-setting')) {
+            key = STORAGE_KEYS.SESSION_GOAL_TYPE;
+            value = normalizeSessionGoal({ type: target.value }).type;
+        } else if (target.matches('#session-goal-value-setting')) {
+            key = STORAGE_KEYS.SESSION_GOAL_VALUE;
+            value = normalizeSessionGoal({ value: target.value }).value;
+            callback = () => { target.value = value; };
+        } else if (target.matches('#slow-recall-seconds-setting')) {
+            key = STORAGE_KEYS.SLOW_RECALL_SECONDS;
+            value = normalizeSlowRecallSeconds(target.value);
+            callback = () => { target.value = value; };
+        } else if (target.matches('#choice-count-setting')) {
+            key = STORAGE_KEYS.CHOICE_COUNT;
+            value = normalizeChoiceCount(target.value);
+            callback = () => { target.value = value; };
         } else if (target.matches('#daily-review-words')) {
             key = STORAGE_KEYS.DAILY_REVIEW_WORDS;
             value = parseInt(target.value, 10) || 30;
@@ -208,6 +639,62 @@ export function setupSettingsListeners({ onStudyPlanChange } = {}) {
             key = STORAGE_KEYS.DAILY_NEW_WORDS;
             value = parseInt(target.value, 10) || 10;
             if (onStudyPlanChange) callback = onStudyPlanChange;
+        } else if (target.matches('#queue-order-setting')) {
+            key = STORAGE_KEYS.QUEUE_ORDER;
+            value = normalizeQueueOrder(target.value);
+        } else if (target.matches('#queue-interleave-ratio-setting')) {
+            key = STORAGE_KEYS.QUEUE_INTERLEAVE_RATIO;
+            value = normalizeInterleaveRatio(target.value);
+            callback = () => { target.value = value; };
+        } else if (target.matches('#new-word-order-setting')) {
+            key = STORAGE_KEYS.NEW_WORD_ORDER;
+            value = normalizeNewWordOrder(target.value);
+        } else if (target.matches('#lesson-unlock-percent-setting')) {
+            key = STORAGE_KEYS.LESSON_UNLOCK_PERCENT;
+            value = normalizeLessonUnlockPercent(target.value);
+            callback = () => { target.value = value; };
+        } else if (target.matches('#day-start-hour-setting')) {
+            key = STORAGE_KEYS.DAY_START_HOUR;
+            value = normalizeDayStartHour(target.value);
+            callback = () => {
+                target.value = value;
+                if (onDayStartChange) onDayStartChange(value);
+            };
+        } else if (target.matches('#desired-retention-setting')) {
+            key = STORAGE_KEYS.DESIRED_RETENTION;
+            const retention = parseFloat(target.value) || FSRS_PARAMS.requestRetention;
+            value = Math.min(RETENTION_RANGE.max, Math.max(RETENTION_RANGE.min, retention));
+            callback = () => {
+                savedRetention = value;
+                renderRetentionPreview(value);
+            };
+        } else if (target.matches('#learning-steps-setting, #relearning-steps-setting')) {
+            const isLearning = target.id === 'learning-steps-setting';
+            const stepsKey = isLearning ? STORAGE_KEYS.LEARNING_STEPS : STORAGE_KEYS.RELEARNING_STEPS;
+            const steps = parseSteps(target.value);
+            if (!steps) {
+                showNotification('步骤格式不正确，请输入以空格分隔的时间，例如 "1m 10m"。', false);
+                const fallback = isLearning ? FSRS_PARAMS.learningSteps : FSRS_PARAMS.relearningSteps;
+                storageSvc.getSetting(stepsKey, fallback).then(saved => { target.value = formatSteps(saved); });
+                return;
+            }
+            key = stepsKey;
+            value = steps;
+            callback = () => { target.value = formatSteps(steps); };
+        } else if (target.matches('#enable-fuzz-setting')) {
+            key = STORAGE_KEYS.ENABLE_FUZZ;
+            value = target.checked;
+        } else if (target.matches('#enable-load-balance-setting')) {
+            key = STORAGE_KEYS.ENABLE_LOAD_BALANCE;
+            value = target.checked;
+        } else if (target.matches('#leech-threshold-setting')) {
+            key = STORAGE_KEYS.LEECH_THRESHOLD;
+            const threshold = parseInt(target.value, 10);
+            value = Number.isFinite(threshold) ? Math.max(0, threshold) : DEFAULT_LEECH_THRESHOLD;
+            callback = () => { target.value = value; };
+        } else if (target.matches('#leech-action-setting')) {
+            key = STORAGE_KEYS.LEECH_ACTION;
+            value = target.value;
         } else if (target.matches('#theme-select')) {
             key = STORAGE_KEYS.THEME;
             value = target.value;
@@ -227,10 +714,17 @@ export function setupSettingsListeners({ onStudyPlanChange } = {}) {
         }
 
         if (key !== null) {
-            storageSvc.saveSetting(key, value);
+            const saving = storageSvc.saveSetting(key, value);
             if (callback) {
                 callback();
             }
+            // The default preset mirrors these settings.
+            if ([STORAGE_KEYS.DAILY_NEW_WORDS, STORAGE_KEYS.DAILY_REVIEW_WORDS, STORAGE_KEYS.DESIRED_RETENTION].includes(key)) {
+                saving.then(() => renderPresetSettings());
+            }
+            if (SCHEDULER_SETTING_KEYS.includes(key) && onSchedulerSettingsChange) {
+                saving.then(onSchedulerSettingsChange);
+            }
         }
     });
 }
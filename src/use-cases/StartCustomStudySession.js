@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Use case for custom study: finds the words matching a filter (see CustomStudy.js)
+ * and starts a session over them, either as a regular FSRS session or as practice that leaves progress alone.
+ */
+
+import { ReviewScheduler } from '../core/ReviewScheduler.js';
+import { STORAGE_KEYS } from '../common/constants.js';
+import { shuffleArray } from '../common/utils.js';
+import { filterWordsForCustomStudy, getLastRatings, CUSTOM_STUDY_DECK } from '../core/CustomStudy.js';
+
+export class StartCustomStudySessionUseCase {
+    /**
+     * @param {object} dependencies
+     * @param {import('../infrastructure/StorageService.js').StorageService} dependencies.storageService
+     * @param {import('../infrastructure/DatabaseManager.js').DatabaseManager} dependencies.dbManager
+     * @param {import('../repositories/MistakeRepository.js').MistakeRepository} dependencies.mistakeRepository
+     * @param {Array} dependencies.vocabularyWords - A reference to the main vocabulary array.
+     * @param {Function} dependencies.startSessionCallback - Starts an FSRS session: (deckName, enableFsrs, options).
+     * @param {Function} dependencies.startPracticeCallback - Starts a practice session: (arabicWords, deckName).
+     */
+    constructor({ storageService, dbManager, mistakeRepository, vocabularyWords, startSessionCallback, startPracticeCallback }) {
+        this.storageService = storageService;
+        this.dbManager = dbManager;
+        this.mistakeRepository = mistakeRepository;
+        this.vocabularyWords = vocabularyWords;
+        this.startSession = startSessionCallback;
+        this.startPractice = startPracticeCallback;
+        this.scheduler = new ReviewScheduler();
+    }
+
+    /**
+     * Finds the words matching a filter, using the latest saved progress and review history.
+     * @param {object} filter - A custom study filter.
+     * @returns {Promise<{words: Array, total: number}>} At most `filter.limit` words, and how many matched in all.
+     */
+    async findWords(filter) {
+        this.scheduler.setCardOptions({ studyMode: await this.storageService.getSetting(STORAGE_KEYS.STUDY_MODE, 'zh-ar') });
+        const progressMap = await this.dbManager.getWordProgressBatch(this.vocabularyWords.map(w => w.arabic));
+        const words = this.vocabularyWords.map(word => {
+            const savedProgress = progressMap.get(word.arabic);
+            return savedProgress
+                ? this.scheduler.refreshProgress({ ...word, progress: { ...savedProgress } })
+                : this.scheduler.initializeWord(word);
+        });
+
+        const [reviewLogs, mistakeWords] = await Promise.all([
+            this.storageService.getAllReviewLogs(),
+            this.mistakeRepository.getAllWords(),
+        ]);
+        return filterWordsForCustomStudy(words, filter, {
+            lastRatings: getLastRatings(reviewLogs),
+            mistakeWords: new Set(mistakeWords),
+        });
+    }
+
+    /**
+     * Starts a session over the words matching a filter.
+     * @param {object} filter - A custom study filter.
+     * @param {boolean} updateFsrs - Whether ratings update FSRS progress; otherwise the session is practice only.
+     * @returns {Promise<boolean>} False if no word matches.
+     */
+    async execute(filter, updateFsrs) {
+        const { words } = await this.findWords(filter);
+        if (words.length === 0) return false;
+
+        if (!updateFsrs) {
+            await this.startPractice(words.map(word => word.arabic), CUSTOM_STUDY_DECK);
+            return true;
+        }
+        // Each custom session is a new selection, so an unfinished one is not offered for resuming.
+        await this.storageService.clearSessionState(CUSTOM_STUDY_DECK);
+        await this.startSession(CUSTOM_STUDY_DECK, true, {
+            precomputedQueue: shuffleArray([...words]),
+            fullWordList: words,
+        });
+        return true;
+    }
+}
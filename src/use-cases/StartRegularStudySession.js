@@ -7,6 +7,15 @@
 import { ReviewScheduler } from '../core/ReviewScheduler.js';
 import { FSRS } from '../core/FSRS.js';
 import { STORAGE_KEYS } from '../common/constants.js';
+import { createDefaultPreset } from '../core/SchedulerPresets.js';
+import { DEFAULT_DAY_START_HOUR, normalizeDayStartHour } from '../core/StudyDay.js';
+import { orderStudyQueue, normalizeQueueOrder, DEFAULT_QUEUE_ORDER, DEFAULT_INTERLEAVE_RATIO } from '../core/QueueOrder.js';
+import {
+    orderNewWordsByLesson, buildLessons, getLessonProgress, normalizeNewWordOrder, NEW_WORD_ORDER, DEFAULT_NEW_WORD_ORDER, DEFAULT_LESSON_UNLOCK_PERCENT,
+} from '../core/LessonOrder.js';
+
+/** Learning cards due within this window are studied right away instead of waiting. */
+const LEARN_AHEAD_MS = 20 * 60 * 1000;
 
 export class StartRegularStudySessionUseCase {
     /**
@@ -16,9 +25,11 @@ export class StartRegularStudySessionUseCase {
      * @param {import('./StatsService.js').StatsService} dependencies.statsService
      * @param {Array} dependencies.vocabularyWords - A reference to the main vocabulary array.
      * @param {Function} dependencies.startSessionCallback - Callback to start the UI session.
+     * @param {import('../services/PresetService.js').PresetService} [dependencies.presetService] - Resolves per-deck daily caps.
      */
-    constructor({ storageService, dbManager, statsService, vocabularyWords, startSessionCallback }) {
+    constructor({ storageService, dbManager, statsService, vocabularyWords, startSessionCallback, presetService }) {
         this.storageService = storageService;
+        this.presetService = presetService;
         this.dbManager = dbManager;
         this.statsService = statsService;
         this.vocabularyWords = vocabularyWords;
@@ -28,6 +39,11 @@ export class StartRegularStudySessionUseCase {
         this.settings = {
             maxReviewWords: 30,
             dailyNewWords: 10,
+            dayStartHour: DEFAULT_DAY_START_HOUR,
+            queueOrder: DEFAULT_QUEUE_ORDER,
+            interleaveRatio: DEFAULT_INTERLEAVE_RATIO,
+            newWordOrder: DEFAULT_NEW_WORD_ORDER,
+            lessonUnlockPercent: DEFAULT_LESSON_UNLOCK_PERCENT,
         };
         this.statsCache = new Map();
         this.CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -44,9 +60,87 @@ export class StartRegularStudySessionUseCase {
     async loadSettings() {
         this.settings.maxReviewWords = await this.storageService.getSetting(STORAGE_KEYS.DAILY_REVIEW_WORDS, 30);
         this.settings.dailyNewWords = await this.storageService.getSetting(STORAGE_KEYS.DAILY_NEW_WORDS, 10);
+        this.settings.dayStartHour = normalizeDayStartHour(
+            await this.storageService.getSetting(STORAGE_KEYS.DAY_START_HOUR, DEFAULT_DAY_START_HOUR));
+        this.scheduler.setDayStartHour(this.settings.dayStartHour);
+        this.settings.queueOrder = normalizeQueueOrder(await this.storageService.getSetting(STORAGE_KEYS.QUEUE_ORDER, DEFAULT_QUEUE_ORDER));
+        this.settings.interleaveRatio = await this.storageService.getSetting(STORAGE_KEYS.QUEUE_INTERLEAVE_RATIO, DEFAULT_INTERLEAVE_RATIO);
+        this.settings.newWordOrder = normalizeNewWordOrder(await this.storageService.getSetting(STORAGE_KEYS.NEW_WORD_ORDER, DEFAULT_NEW_WORD_ORDER));
+        this.settings.lessonUnlockPercent = await this.storageService.getSetting(STORAGE_KEYS.LESSON_UNLOCK_PERCENT, DEFAULT_LESSON_UNLOCK_PERCENT);
+        // Only the cards of the directions being studied decide whether a word is new or due.
+        this.scheduler.setCardOptions({ studyMode: await this.storageService.getSetting(STORAGE_KEYS.STUDY_MODE, 'zh-ar') });
+        if (this.presetService) {
+            await this.presetService.load();
+        }
+    }
+
+    /**
+     * Returns the scheduler preset whose daily caps apply to a word.
+     * Without a preset service every word uses the global settings.
+     */
+    _presetFor(word) {
+        if (this.presetService) {
+            return this.presetService.resolveForWord(word);
+        }
+        return createDefaultPreset({
+            dailyNewWords: this.settings.dailyNewWords,
+            maxReviewWords: this.settings.maxReviewWords,
+        });
+    }
+
+    /**
+     * Applies each preset's daily caps. A word counts against the preset that applies to it
+     * (for words in several decks see the rule in SchedulerPresets). Due reviews come first;
+     * new words fill the remaining capacity up to the preset's daily new-word quota.
+     * @param {Array} dueReviewWords - Due words, most overdue first.
+     * @param {Array} shuffledPart - New (or not-yet-due) words in study order.
+     * @param {boolean} isLearningNew - Whether shuffledPart holds new words, which are subject to the quota.
+     * @returns {{reviewQueue: Array, newQueue: Array}}
+     * @private
+     */
+    _applyDailyCaps(dueReviewWords, shuffledPart, isLearningNew) {
+        const usageByPreset = new Map();
+        const usageFor = (word) => {
+            const preset = this._presetFor(word);
+            if (!usageByPreset.has(preset.id)) {
+                const learnedToday = this.statsService.getTodayLearnedWordsForPreset(preset.id);
+                usageByPreset.set(preset.id, {
+                    preset,
+                    total: 0,
+                    newQuota: isLearningNew ? Math.max(0, preset.dailyNewWords - learnedToday) : Infinity,
+                });
+            }
+            return usageByPreset.get(preset.id);
+        };
+
+        const reviewQueue = dueReviewWords.filter(word => {
+            const usage = usageFor(word);
+            if (usage.total >= usage.preset.maxReviewWords) return false;
+            usage.total++;
+            return true;
+        });
+        const newQueue = shuffledPart.filter(word => {
+            const usage = usageFor(word);
+            if (usage.total >= usage.preset.maxReviewWords || usage.newQuota <= 0) return false;
+            usage.total++;
+            usage.newQuota--;
+            return true;
+        });
+        return { reviewQueue, newQueue };
+    }
+
+    /**
+     * Reviews are due by the study day, the same check deck sessions use (see ReviewScheduler.isDueToday).
+     * @param {object} progress - The word's progress.
+     * @param {number} [currentTime=Date.now()]
+     * @returns {boolean}
+     */
+    isDueToday(progress, currentTime = Date.now()) {
+        return this.scheduler.isDueToday(progress, currentTime);
     }
 
     isNewWord(word) {
+        if (FSRS.isLearning(word.progress)) return false;
         return !word.progress || !word.progress.stage || word.progress.stage === 0;
     }
 
@@ -57,11 +151,15 @@ export class StartRegularStudySessionUseCase {
         const progressMap = await this.dbManager.getWordProgressBatch(arabicKeys);
         const wordsWithProgress = words.map(word => {
             const savedProgress = progressMap.get(word.arabic);
-            return savedProgress ? { ...word, progress: savedProgress } : this.scheduler.initializeWord(word);
+            return savedProgress
+                ? this.scheduler.refreshProgress({ ...word, progress: savedProgress })
+                : this.scheduler.initializeWord(word);
         });
         
-        const dueWords = this.scheduler.getDueWords(wordsWithProgress);
-        const newWords = wordsWithProgress.filter(word => this.isNewWord(word));
+        // Suspended and buried words are not due, but still count towards mastery.
+        const availableWords = wordsWithProgress.filter(word => ReviewScheduler.isAvailable(word.progress));
+        const dueWords = availableWords.filter(word => this.isDueToday(word.progress));
+        const newWords = availableWords.filter(word => this.isNewWord(word) && FSRS.isDue(word.progress));
         const masteredWords = wordsWithProgress.filter(word => (word.progress?.stage || 0) >= 4);
         
         return { review: dueWords.length, new: newWords.length, mastered: masteredWords.length };
@@ -105,6 +203,28 @@ export class StartRegularStudySessionUseCase {
         return stats;
     }
 
+    /**
+     * Finds the lesson each collection is at when new words are introduced in textbook order.
+     * @returns {Promise<Map<string, {deck: string, name: string, total: number, learned: number}>|null>}
+     *   Collection name -> its current lesson; null when new words are introduced at random.
+     */
+    async getCurrentLessons() {
+        await this.loadSettings();
+        if (this.settings.newWordOrder !== NEW_WORD_ORDER.SEQUENTIAL) return null;
+
+        const progressMap = await this.dbManager.getWordProgressBatch(this.vocabularyWords.map(w => w.arabic));
+        const words = this.vocabularyWords.map(word => {
+            const savedProgress = progressMap.get(word.arabic);
+            return savedProgress ? this.scheduler.refreshProgress({ ...word, progress: { ...savedProgress } }) : { ...word, progress: null };
+        });
+        const currentLessons = new Map();
+        for (const [collection, lessons] of buildLessons(words)) {
+            const { current } = getLessonProgress(lessons, this.settings.lessonUnlockPercent);
+            if (current) currentLessons.set(collection, current);
+        }
+        return currentLessons;
+    }
+
     async prepareStudyQueue(wordList = this.vocabularyWords) {
         await this.loadSettings();
 
@@ -113,25 +233,34 @@ export class StartRegularStudySessionUseCase {
 
         const wordsWithProgress = wordList.map(word => {
             const savedProgress = progressMap.get(word.arabic);
-            return savedProgress ? { ...word, progress: { ...savedProgress } } : this.scheduler.initializeWord(word);
+            return savedProgress
+                ? this.scheduler.refreshProgress({ ...word, progress: { ...savedProgress } })
+                : this.scheduler.initializeWord(word);
         });
 
+        const learningWords = [];
         const dueReviewWords = [];
         const newWords = [];
         const notDueWords = [];
+        const learnAheadTime = Date.now() + LEARN_AHEAD_MS;
 
         for (const word of wordsWithProgress) {
-            if (this.isNewWord(word)) {
+            if (!ReviewScheduler.isAvailable(word.progress)) {
+                continue; // Suspended or buried until tomorrow
+            } else if (FSRS.isLearning(word.progress) && FSRS.isDue(word.progress, learnAheadTime)) {
+                learningWords.push(word);
+            } else if (this.isNewWord(word) && FSRS.isDue(word.progress)) { // New cards buried by a sibling wait
                 newWords.push(word);
-            } else if (FSRS.isDue(word.progress)) {
+            } else if (this.isDueToday(word.progress)) {
                 dueReviewWords.push(word);
             } else {
                 notDueWords.push(word);
             }
         }
 
+        learningWords.sort((a, b) => (a.progress?.dueDate || 0) - (b.progress?.dueDate || 0));
         dueReviewWords.sort((a, b) => (a.progress?.dueDate || 0) - (b.progress?.dueDate || 0));
-        return { dueReviewWords, newWords, notDueWords };
+        return { learningWords, dueReviewWords, newWords, notDueWords, wordsWithProgress };
     }
 
     _generateTripleRandomQueue(wordsToShuffle) {
@@ -205,47 +334,60 @@ export class StartRegularStudySessionUseCase {
         });
     }
 
-    async execute({ scopes = [{ type: 'global' }] }) {
-        let wordList = [];
-        let sessionDeckName = "规律学习";
-
+    /**
+     * Collects the words of the selected study scopes.
+     * @param {Array<{type: 'global'|'collection'|'deck', name?: string}>} scopes
+     * @returns {{wordList: Array, sessionDeckName: string}} The words (each once) and a display name for the scopes.
+     */
+    getWordsForScopes(scopes = [{ type: 'global' }]) {
         if (scopes.find(s => s.type === 'global')) {
-            wordList = this.vocabularyWords;
-            sessionDeckName = "全局学习";
-        } else {
-            const selectedWords = new Set();
-            for (const scope of scopes) {
-                let filteredWords = [];
-                if (scope.type === 'collection') {
-                    filteredWords = this.vocabularyWords.filter(word => 
-                        word.definitions.some(def => def.sourceDeck.startsWith(scope.name + '//'))
-                    );
-                } else if (scope.type === 'deck') {
-                    filteredWords = this.vocabularyWords.filter(word => 
-                        word.definitions.some(def => def.sourceDeck === scope.name)
-                    );
-                }
-                filteredWords.forEach(word => selectedWords.add(word));
+            return { wordList: this.vocabularyWords, sessionDeckName: "全局学习" };
+        }
+        const selectedWords = new Set();
+        for (const scope of scopes) {
+            let filteredWords = [];
+            if (scope.type === 'collection') {
+                filteredWords = this.vocabularyWords.filter(word => 
+                    word.definitions.some(def => def.sourceDeck.startsWith(scope.name + '//'))
+                );
+            } else if (scope.type === 'deck') {
+                filteredWords = this.vocabularyWords.filter(word => 
+                    word.definitions.some(def => def.sourceDeck === scope.name)
+                );
             }
-            wordList = Array.from(selectedWords);
-            sessionDeckName = scopes.length === 1 ? (scopes[0].type === 'collection' ? scopes[0].name : scopes[0].name.split('//').pop()) : "自定义学习";
+            filteredWords.forEach(word => selectedWords.add(word));
         }
+        const sessionDeckName = scopes.length === 1 ? (scopes[0].type === 'collection' ? scopes[0].name : scopes[0].name.split('//').pop()) : "自定义学习";
+        return { wordList: Array.from(selectedWords), sessionDeckName };
+    }
+
+    /**
+     * Builds the queue of the selected scopes and starts the session.
+     * @param {object} options
+     * @param {Array<{type: 'global'|'collection'|'deck', name?: string}>} [options.scopes]
+     * @param {string} [options.queueOrder] - Orders this session differently from the setting, see QUEUE_ORDER.
+     * @returns {Promise<boolean>} False if there is nothing to study.
+     */
+    async execute({ scopes = [{ type: 'global' }], queueOrder }) {
+        const { wordList, sessionDeckName } = this.getWordsForScopes(scopes);
 
-        const { dueReviewWords, newWords, notDueWords } = await this.prepareStudyQueue(wordList);
+        const { learningWords, dueReviewWords, newWords, notDueWords, wordsWithProgress } = await this.prepareStudyQueue(wordList);
         const wordsForRandomShuffle = newWords.length > 0 ? newWords : notDueWords;
         const isLearningNew = newWords.length > 0;
-        const shuffledPart = this._generateTripleRandomQueue(wordsForRandomShuffle);
-
-        const reviewQueue = dueReviewWords.slice(0, this.settings.maxReviewWords);
-        
-        // Use the unified stats service to get today's learned words
-        const remainingNewWordsQuota = isLearningNew ? Math.max(0, this.settings.dailyNewWords - this.statsService.getTotalTodayLearnedWords()) : Infinity;
-        const remainingCapacity = Math.max(0, this.settings.maxReviewWords - reviewQueue.length);
-        
-        const newPartCount = Math.min(shuffledPart.length, remainingNewWordsQuota, remainingCapacity);
-        const newQueue = shuffledPart.slice(0, newPartCount);
-
-        const finalQueue = [...reviewQueue, ...newQueue];
+        // In textbook order new words come lesson by lesson, and only from the lessons unlocked so far.
+        const inLessonOrder = isLearningNew && this.settings.newWordOrder === NEW_WORD_ORDER.SEQUENTIAL;
+        const shuffledPart = inLessonOrder
+            ? orderNewWordsByLesson(newWords, wordsWithProgress, this.settings.lessonUnlockPercent)
+            : this._generateTripleRandomQueue(wordsForRandomShuffle);
+
+        const { reviewQueue, newQueue } = this._applyDailyCaps(dueReviewWords, shuffledPart, isLearningNew);
+
+        // Cards in their learning steps are short-term and always come first, outside the daily caps.
+        // The caps pick the most overdue reviews; the queue order only decides in which order they come.
+        // In textbook order the queue order only applies to the reviews, so the lessons stay in sequence.
+        const orderedQueue = orderStudyQueue({ reviewWords: reviewQueue, newWords: newQueue },
+            queueOrder ?? this.settings.queueOrder, { interleaveRatio: this.settings.interleaveRatio, keepNewOrder: inLessonOrder });
+        const finalQueue = [...learningWords, ...orderedQueue];
 
         if (finalQueue.length === 0) {
             console.log('[RegularStudy] No content available to study today.');
@@ -8,8 +8,11 @@
 
 import { STORAGE_KEYS } from '../common/constants.js';
 import { Word } from '../core/Word.js';
-import { Progress } from '../core/Progress.js';
+import { Progress, CARD_STATE } from '../core/Progress.js';
 import { ReviewScheduler } from '../core/ReviewScheduler.js';
+import { DEFAULT_DAY_START_HOUR, normalizeDayStartHour } from '../core/StudyDay.js';
+import { orderStudyQueue, normalizeQueueOrder, DEFAULT_QUEUE_ORDER } from '../core/QueueOrder.js';
+import { shuffleArray } from '../common/utils.js';
 
 export class StartStudySession {
     /**
@@ -49,12 +52,17 @@ export class StartStudySession {
 
         const arabicKeys = deckWords.map(w => w.arabic);
         const progressMap = await this.dbManager.getWordProgressBatch(arabicKeys);
+        this.scheduler.setCardOptions({ studyMode: await this.storageService.getSetting(STORAGE_KEYS.STUDY_MODE, 'zh-ar') });
+        // Reviews are due by the study day, as in regular study sessions.
+        this.scheduler.setDayStartHour(normalizeDayStartHour(
+            await this.storageService.getSetting(STORAGE_KEYS.DAY_START_HOUR, DEFAULT_DAY_START_HOUR)));
         
         const wordsWithProgress = deckWords.map(word => {
             const savedProgress = progressMap.get(word.arabic);
             const progressInstance = savedProgress ? new Progress(savedProgress) : null;
             const wordInstance = new Word(word.arabic, word.definitions, progressInstance);
-            return this.scheduler.initializeWord(wordInstance);
+            // Due-ness depends on the cards of the directions being studied.
+            return this.scheduler.initializeWord(this.scheduler.refreshProgress(wordInstance));
         });
 
         await this.storageService.saveSetting(STORAGE_KEYS.LAST_ACTIVE_DECK, deckName);
@@ -69,9 +77,7 @@ export class StartStudySession {
         }
         
         const dueWords = this.scheduler.getDueWords(wordsWithProgress);
-        
-        // Simple shuffle for non-FSRS sessions, just like the original app
-        const sessionQueue = [...dueWords].sort(() => Math.random() - 0.5);
+        const sessionQueue = await this._orderQueue(dueWords);
 
         return {
             sessionQueue,
@@ -82,6 +88,23 @@ export class StartStudySession {
         };
     }
 
+    /**
+     * Orders the due words by the queue order setting. New words are shuffled first,
+     * so that orders which keep them as given still mix them up.
+     * @param {Array<Word>} dueWords
+     * @returns {Promise<Array<Word>>}
+     * @private
+     */
+    async _orderQueue(dueWords) {
+        const order = normalizeQueueOrder(await this.storageService.getSetting(STORAGE_KEYS.QUEUE_ORDER, DEFAULT_QUEUE_ORDER));
+        const interleaveRatio = await this.storageService.getSetting(STORAGE_KEYS.QUEUE_INTERLEAVE_RATIO);
+        const isNew = word => !word.progress || word.progress.state === CARD_STATE.NEW;
+        return orderStudyQueue({
+            reviewWords: dueWords.filter(word => !isNew(word)),
+            newWords: shuffleArray(dueWords.filter(isNew)),
+        }, order, { interleaveRatio });
+    }
+
     /**
      * Designed for "Regular Study", starts a session directly from a pre-calculated queue.
      * @private
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Web Worker that fits personal FSRS weights off the main thread,
+ * so optimizing a large review history does not freeze the UI.
+ *
+ * Message in:  { reviewLogs: Array<{arabic, timestamp, rating}>, initialWeights: Array<number>, dayStartHour: number }
+ * Messages out: { type: 'progress', iteration, total, loss }
+ *               { type: 'insufficient', reviewCount }
+ *               { type: 'done', result }
+ *               { type: 'error', message }
+ */
+
+import {
+    buildTrainingSet,
+    countTrainableReviews,
+    optimizeWeights,
+    MIN_REVIEWS_FOR_OPTIMIZATION,
+} from '../core/FSRSOptimizer.js';
+
+self.onmessage = (event) => {
+    const { reviewLogs, initialWeights, dayStartHour } = event.data;
+    try {
+        const sequences = buildTrainingSet(reviewLogs, dayStartHour);
+        const reviewCount = countTrainableReviews(sequences);
+        if (reviewCount < MIN_REVIEWS_FOR_OPTIMIZATION) {
+            self.postMessage({ type: 'insufficient', reviewCount });
+            return;
+        }
+
+        const result = optimizeWeights(sequences, {
+            initialWeights,
+            onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
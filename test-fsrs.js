@@ -2,8 +2,32 @@
 // To run this, open the browser's developer console and paste the content of this file.
 // Or load it in a test HTML file: <script type="module" src="test-fsrs.js"></script>
 
-import { FSRS, RATING } from './src/core/FSRS.js';
+import { FSRS, RATING, CARD_STATE } from './src/core/FSRS.js';
 import { Progress } from './src/core/Progress.js';
+import { buildTrainingSet, computeLogLoss, optimizeWeights } from './src/core/FSRSOptimizer.js';
+import { LoadBalancer } from './src/core/LoadBalancer.js';
+import { createSeededRandom } from './src/common/utils.js';
+import { ReviewScheduler, LEECH_ACTION, isLeechLapse, startOfNextDay } from './src/core/ReviewScheduler.js';
+import { DatabaseManager } from './src/infrastructure/DatabaseManager.js';
+import { StorageService } from './src/infrastructure/StorageService.js';
+import { BUILTIN_PRESETS, createDefaultPreset, resolvePresetForWord } from './src/core/SchedulerPresets.js';
+import { forecastReviews } from './src/core/ReviewForecast.js';
+import { StatsService } from './src/services/StatsService.js';
+import { Word } from './src/core/Word.js';
+import { pickDueCard, getCardProgresses, directionsForMode } from './src/core/SenseProgress.js';
+import { startOfStudyDay, studyDateString } from './src/core/StudyDay.js';
+import { StartRegularStudySessionUseCase } from './src/use-cases/StartRegularStudySession.js';
+import { checkAnswer, ANSWER_STRICTNESS } from './src/core/AnswerChecker.js';
+import { pickDistractors, buildChoiceOptions, ratingForChoice } from './src/core/ChoiceQuiz.js';
+import { parseExampleSentences, buildCloze } from './src/core/Cloze.js';
+import { createSessionTally, recordRating, buildSessionSummary, missedWordsToCsv } from './src/core/SessionSummary.js';
+import { SessionClock, CLOCK_PAUSE_REASON, normalizeSessionGoal, isSessionGoalReached, SESSION_GOAL_TYPE } from './src/core/SessionGoal.js';
+import { suggestRatingForLatency, averageLatencyByDeck, findCorrectButSlowWords } from './src/core/AnswerLatency.js';
+import { orderStudyQueue, QUEUE_ORDER } from './src/core/QueueOrder.js';
+import { parseLessonNumber, buildLessons, getLessonProgress, orderNewWordsByLesson } from './src/core/LessonOrder.js';
+import { filterWordsForCustomStudy, getLastRatings, describeCustomStudyFilter, CUSTOM_STUDY_TAG } from './src/core/CustomStudy.js';
+import { comboFromKeyEvent, normalizeShortcuts, rebindShortcut, findShortcutAction, formatShortcut, SHORTCUT_ACTION, DEFAULT_SHORTCUTS } from './src/core/KeyboardShortcuts.js';
+import { buildExamQuestions, isExamAnswerCorrect, summarizeExam, createExamRecord, EXAM_QUESTION_TYPE } from './src/core/Exam.js';
 
 console.log("--- FSRS Test Suite ---");
 
@@ -25,8 +49,8 @@ if (progress1.stability > 0 && progress1.difficulty > 0 && progress1.dueDate > D
 
 // 3. Test Case 2: Second review of the same card, rated 'HARD'
 console.log("\n--- Test Case 2: Existing card, rated 'HARD' ---");
-// Let's assume some time has passed, but it's still before the due date.
-let progress2 = fsrs.rate(progress1, RATING.HARD);
+// Review exactly on the due date, so retrievability has dropped to ~90%.
+let progress2 = fsrs.rate(progress1, RATING.HARD, progress1.dueDate);
 
 console.log("Resulting Progress:", progress2);
 if (progress2.stability > progress1.stability) {
@@ -34,26 +58,816 @@ if (progress2.stability > progress1.stability) {
 } else {
     console.error("❌ FAILED: Stability did not update as expected.");
 }
-if (progress2.reviews.length === 2) {
-    console.log("✅ PASSED: Review history was correctly updated.");
+if (progress2.reps === 2 && !('reviews' in progress2)) {
+    console.log("✅ PASSED: Review count was updated without storing the history in Progress.");
 } else {
     console.error("❌ FAILED: Review history was not updated.");
 }
 
-// 4. Test Case 3: Review of an existing card, rated 'FORGOT'
-console.log("\n--- Test Case 3: Existing card, rated 'FORGOT' ---");
-let progress3 = fsrs.rate(progress2, RATING.FORGOT);
+// 4. Test Case 3: Review of an existing card, rated 'AGAIN'
+console.log("\n--- Test Case 3: Existing card, rated 'AGAIN' ---");
+let progress3 = fsrs.rate(progress2, RATING.AGAIN, progress2.dueDate);
 console.log("Resulting Progress:", progress3);
 if (progress3.stability < progress2.stability) {
     console.log("✅ PASSED: Stability correctly decreased after forgetting.");
 } else {
     console.error("❌ FAILED: Stability did not decrease after forgetting.");
 }
-if (Math.round(progress3.dueDate - progress3.lastReview) === 1 * 24 * 60 * 60 * 1000) {
-    console.log("✅ PASSED: Interval was reset to 1 day.");
+if (progress3.state === CARD_STATE.RELEARNING && progress3.dueDate - progress3.lastReview === 10 * 60 * 1000) {
+    console.log("✅ PASSED: Card entered relearning and is due after the first 10-minute step.");
 } else {
-    console.error(`❌ FAILED: Interval was not reset to 1 day. It is ${Math.round(progress3.dueDate - progress3.lastReview) / (24*60*60*1000)} days.`);
+    console.error(`❌ FAILED: Expected relearning due in 10 minutes, got ${progress3.state} due in ${(progress3.dueDate - progress3.lastReview) / (60 * 1000)} minutes.`);
 }
+if (progress3.lapses === 1) {
+    console.log("✅ PASSED: Lapse was counted.");
+} else {
+    console.error(`❌ FAILED: Expected 1 lapse, got ${progress3.lapses}.`);
+}
+
+// 5. Test Case 4: The four grades produce ordered stabilities
+console.log("\n--- Test Case 4: HARD < GOOD < EASY on the same card ---");
+const reviewTime = progress1.dueDate;
+const hard = fsrs.rate(progress1, RATING.HARD, reviewTime);
+const good = fsrs.rate(progress1, RATING.GOOD, reviewTime);
+const easy = fsrs.rate(progress1, RATING.EASY, reviewTime);
+if (hard.stability < good.stability && good.stability < easy.stability) {
+    console.log("✅ PASSED: Stability grows with the rating.");
+} else {
+    console.error(`❌ FAILED: Stabilities not ordered: ${hard.stability}, ${good.stability}, ${easy.stability}.`);
+}
+
+// 6. Test Case 5: Reviewing later (lower retrievability) yields a bigger stability gain
+console.log("\n--- Test Case 5: Later review gives larger stability increase ---");
+const early = fsrs.rate(progress1, RATING.GOOD, progress1.lastReview + 60 * 60 * 1000);
+const late = fsrs.rate(progress1, RATING.GOOD, progress1.dueDate + 10 * 24 * 60 * 60 * 1000);
+if (late.stability > early.stability) {
+    console.log("✅ PASSED: Stability update depends on retrievability.");
+} else {
+    console.error(`❌ FAILED: Early ${early.stability} vs late ${late.stability}.`);
+}
+
+// 7. Test Case 6: Desired retention drives the interval
+console.log("\n--- Test Case 6: Lower desired retention gives longer intervals ---");
+const strict = new FSRS({ requestRetention: 0.95, learningSteps: [], enableFuzz: false }).rate(null, RATING.GOOD, 0);
+const relaxed = new FSRS({ requestRetention: 0.8, learningSteps: [], enableFuzz: false }).rate(null, RATING.GOOD, 0);
+if (relaxed.dueDate > strict.dueDate) {
+    console.log("✅ PASSED: Interval follows the forgetting curve at the target retention.");
+} else {
+    console.error(`❌ FAILED: 80% due ${relaxed.dueDate} is not after 95% due ${strict.dueDate}.`);
+}
+const dueRetrievability = FSRS.forgettingCurve((relaxed.dueDate - relaxed.lastReview) / (24 * 60 * 60 * 1000), relaxed.stability);
+if (Math.abs(dueRetrievability - 0.8) < 0.03) {
+    console.log("✅ PASSED: Retrievability at the due date matches the target.");
+} else {
+    console.error(`❌ FAILED: Retrievability at due date is ${dueRetrievability}.`);
+}
+
+// 8. Test Case 7: The optimizer does not make the fit worse
+console.log("\n--- Test Case 7: Optimizer lowers the log-loss on a review history ---");
+const DAY = 24 * 60 * 60 * 1000;
+const reviewLogs = [];
+for (let i = 0; i < 20; i++) {
+    // Deterministic pattern: every fourth card is forgotten on its third review.
+    const ratings = [RATING.GOOD, RATING.GOOD, i % 4 === 0 ? RATING.AGAIN : RATING.GOOD, RATING.GOOD, RATING.HARD];
+    let time = 0;
+    ratings.forEach((rating, k) => {
+        time += (k + 1) * 3 * DAY;
+        reviewLogs.push({ arabic: `word${i}`, timestamp: time, rating });
+    });
+}
+const sequences = buildTrainingSet(reviewLogs);
+const fitted = optimizeWeights(sequences, { iterations: 10 });
+if (sequences.length === 20 && fitted.lossAfter <= fitted.lossBefore && Math.abs(computeLogLoss(fitted.w, sequences) - fitted.lossAfter) < 1e-3) {
+    console.log(`✅ PASSED: log-loss ${fitted.lossBefore.toFixed(4)} → ${fitted.lossAfter.toFixed(4)}.`);
+} else {
+    console.error(`❌ FAILED: log-loss ${fitted.lossBefore} → ${fitted.lossAfter} on ${sequences.length} sequences.`);
+}
+
+// 9. Test Case 8: Learning steps keep a new card in minute-level steps until it graduates
+console.log("\n--- Test Case 8: Learning steps 1m, 10m ---");
+const MINUTE = 60 * 1000;
+const stepper = new FSRS({ learningSteps: [1, 10] });
+const step1 = stepper.rate(null, RATING.GOOD, 0);
+const step1Again = stepper.rate(null, RATING.AGAIN, 0);
+const step2 = stepper.rate(step1, RATING.GOOD, step1.dueDate);
+const step2Hard = stepper.rate(step1, RATING.HARD, step1.dueDate);
+if (step1.state === CARD_STATE.LEARNING && step1.dueDate === 10 * MINUTE && step1Again.dueDate === MINUTE) {
+    console.log("✅ PASSED: GOOD moves to the 10m step, AGAIN restarts at the 1m step.");
+} else {
+    console.error(`❌ FAILED: GOOD due ${step1.dueDate / MINUTE}m (${step1.state}), AGAIN due ${step1Again.dueDate / MINUTE}m.`);
+}
+if (step2Hard.state === CARD_STATE.LEARNING && step2Hard.dueDate - step2Hard.lastReview === 10 * MINUTE) {
+    console.log("✅ PASSED: HARD repeats the current step.");
+} else {
+    console.error(`❌ FAILED: HARD gave ${step2Hard.state} due in ${(step2Hard.dueDate - step2Hard.lastReview) / MINUTE}m.`);
+}
+if (step2.state === CARD_STATE.REVIEW && step2.dueDate - step2.lastReview >= 24 * 60 * MINUTE && step2.firstLearnedDate && step2.lapses === 0) {
+    console.log("✅ PASSED: Finishing the last step graduates the card to day-level reviews.");
+} else {
+    console.error(`❌ FAILED: After the last step: ${step2.state}, due in ${(step2.dueDate - step2.lastReview) / MINUTE}m.`);
+}
+if (step2.stability === step1.stability) {
+    console.log("✅ PASSED: Same-day steps do not change the long-term memory state.");
+} else {
+    console.error(`❌ FAILED: Stability changed from ${step1.stability} to ${step2.stability} within the steps.`);
+}
+const legacy = new Progress({ lastReview: 1, dueDate: 2, stability: 5, difficulty: 5 });
+if (legacy.state === CARD_STATE.REVIEW && new Progress().state === CARD_STATE.NEW) {
+    console.log("✅ PASSED: Saved progress without a state is treated as graduated.");
+} else {
+    console.error(`❌ FAILED: Legacy progress state is ${legacy.state}.`);
+}
+
 
+// 10. Test Case 9: Fuzz spreads equal intervals and is reproducible with a seeded RNG
+console.log("\n--- Test Case 9: Interval fuzz with a seeded RNG ---");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const graduateAll = (fsrsInstance) => Array.from({ length: 30 }, () => fsrsInstance.rate(null, RATING.EASY, 0));
+const fuzzedA = graduateAll(new FSRS({}, { random: createSeededRandom(42) }));
+const fuzzedB = graduateAll(new FSRS({}, { random: createSeededRandom(42) }));
+const unfuzzed = new FSRS({ enableFuzz: false }).rate(null, RATING.EASY, 0);
+const baseDays = unfuzzed.dueDate / DAY_MS;
+const { min: fuzzMin, max: fuzzMax } = new FSRS().fuzzRange(baseDays);
+const fuzzedDays = fuzzedA.map(p => p.dueDate / DAY_MS);
+if (fuzzedA.every((p, i) => p.dueDate === fuzzedB[i].dueDate)) {
+    console.log("✅ PASSED: Same seed gives the same due dates.");
+} else {
+    console.error("❌ FAILED: Seeded fuzz is not reproducible.");
+}
+if (fuzzedDays.every(d => d >= fuzzMin && d <= fuzzMax) && new Set(fuzzedDays).size > 1) {
+    console.log(`✅ PASSED: ${baseDays}-day interval fuzzed within [${fuzzMin}, ${fuzzMax}] over ${new Set(fuzzedDays).size} distinct days.`);
+} else {
+    console.error(`❌ FAILED: Fuzzed days ${[...new Set(fuzzedDays)]} for range [${fuzzMin}, ${fuzzMax}].`);
+}
+
+// 11. Test Case 10: The load balancer picks the least loaded day in the fuzz range
+console.log("\n--- Test Case 10: Load balancing with the due-date counts ---");
+const busy = LoadBalancer.fromDueDates([]);
+for (let day = fuzzMin; day <= fuzzMax; day++) {
+    // Every day in range is busy except the last one.
+    for (let n = 0; n < (day === fuzzMax ? 1 : 5); n++) busy.add(day * DAY_MS);
+}
+const balanced = new FSRS({}, { random: createSeededRandom(7), loadBalancer: busy }).rate(null, RATING.EASY, 0);
+if (LoadBalancer.dayNumber(balanced.dueDate) === LoadBalancer.dayNumber(fuzzMax * DAY_MS)) {
+    console.log("✅ PASSED: Card moved to the quietest day.");
+} else {
+    console.error(`❌ FAILED: Card due on day ${balanced.dueDate / DAY_MS}, expected ${fuzzMax}.`);
+}
+const spreadBalancer = new LoadBalancer();
+const spreadScheduler = new FSRS({}, { random: createSeededRandom(1), loadBalancer: spreadBalancer });
+for (let i = 0; i < 40; i++) {
+    const p = spreadScheduler.rate(null, RATING.EASY, 0);
+    spreadBalancer.move(null, p.dueDate);
+}
+const loads = [...spreadBalancer.dueCounts.values()];
+if (Math.max(...loads) - Math.min(...loads) <= 1) {
+    console.log(`✅ PASSED: 40 cards spread evenly over ${loads.length} days (${loads.join(', ')}).`);
+} else {
+    console.error(`❌ FAILED: Uneven daily load ${loads.join(', ')}.`);
+}
+
+
+// 12. Test Case 11: Per-deck presets and the multi-deck rule
+console.log("\n--- Test Case 11: Scheduler presets ---");
+const [examPreset, longTermPreset] = BUILTIN_PRESETS;
+const presetsById = new Map([createDefaultPreset(), examPreset, longTermPreset].map(p => [p.id, p]));
+const assignments = { 'Book': longTermPreset.id, 'Book//Exam': examPreset.id };
+const makeWord = (...decks) => ({
+    arabic: 'كتاب',
+    definitions: decks.map((sourceDeck, i) => ({ id: `def_${i}`, chinese: '书', sourceDeck })),
+});
+const inCollection = resolvePresetForWord(makeWord('Book//Lesson 1'), presetsById, assignments);
+const inDeck = resolvePresetForWord(makeWord('Book//Exam'), presetsById, assignments);
+const inBoth = resolvePresetForWord(makeWord('Book//Lesson 1', 'Book//Exam', 'Other//A'), presetsById, assignments);
+if (inCollection.id === longTermPreset.id && inDeck.id === examPreset.id && inBoth.id === examPreset.id) {
+    console.log("✅ PASSED: Deck beats collection, and the highest-retention preset wins across decks.");
+} else {
+    console.error(`❌ FAILED: Resolved ${inCollection.id}, ${inDeck.id}, ${inBoth.id}.`);
+}
+const presetScheduler = new ReviewScheduler({ enableFuzz: false, learningSteps: [] });
+presetScheduler.setPresetResolver(word => resolvePresetForWord(word, presetsById, assignments));
+const crammed = makeWord('Book//Exam');
+crammed.progress = new Progress({ lastReview: Date.now() - 200 * DAY_MS, dueDate: Date.now(), stability: 200, difficulty: 3, state: CARD_STATE.REVIEW });
+presetScheduler.processReview(crammed, RATING.EASY);
+const crammedDays = (crammed.progress.dueDate - crammed.progress.lastReview) / DAY_MS;
+if (crammedDays === examPreset.maximumInterval) {
+    console.log(`✅ PASSED: The exam preset caps the interval at ${examPreset.maximumInterval} days.`);
+} else {
+    console.error(`❌ FAILED: Interval ${crammedDays} days, expected ${examPreset.maximumInterval}.`);
+}
+
+
+// 13. Test Case 12: Review events go to the review-log store instead of Progress
+console.log("\n--- Test Case 12: Review logs ---");
+const loggedWord = makeWord('Other//A');
+const { reviewLog } = new ReviewScheduler().processReview(loggedWord, RATING.GOOD, 1000);
+if (reviewLog.arabic === loggedWord.arabic && reviewLog.timestamp === 1000 && reviewLog.rating === RATING.GOOD
+    && reviewLog.state === CARD_STATE.NEW && !('reviews' in loggedWord.progress)) {
+    console.log("✅ PASSED: processReview returns a review log entry.");
+} else {
+    console.error("❌ FAILED: Unexpected review log:", reviewLog);
+}
+const legacyRecord = { arabic: 'قلم', progress: { stability: 3, lastReview: 5, reviews: [{ timestamp: 1, rating: 3, interval: 1 }, { timestamp: 5, rating: 1, interval: 1 }] } };
+const { record: strippedRecord, logs: migratedLogs } = DatabaseManager.splitReviewHistory(legacyRecord);
+if (!('reviews' in strippedRecord.progress) && strippedRecord.progress.stability === 3
+    && migratedLogs.length === 2 && migratedLogs[1].arabic === 'قلم' && migratedLogs[1].rating === 1) {
+    console.log("✅ PASSED: Old review histories are split into log entries.");
+} else {
+    console.error("❌ FAILED: Migration split:", strippedRecord, migratedLogs);
+}
+
+
+// 14. Test Case 13: Review forecast
+console.log("\n--- Test Case 13: Review forecast ---");
+const forecastNow = 400 * DAY_MS;
+const forecastWords = [
+    { progress: null }, // New words are not forecast.
+    { progress: { lastReview: forecastNow - 10 * DAY_MS, dueDate: forecastNow - 2 * DAY_MS, stability: 8, difficulty: 5, state: CARD_STATE.REVIEW, reps: 3, lapses: 0 } },
+    { progress: { lastReview: forecastNow - 2 * DAY_MS, dueDate: forecastNow + 3 * DAY_MS, stability: 5, difficulty: 5, state: CARD_STATE.REVIEW, reps: 2, lapses: 0 } },
+    { progress: { lastReview: forecastNow - 2 * DAY_MS, dueDate: forecastNow + 60 * DAY_MS, stability: 60, difficulty: 5, state: CARD_STATE.REVIEW, reps: 4, lapses: 0 } },
+];
+const plainForecast = forecastReviews(forecastWords, { days: 30, currentTime: forecastNow });
+if (plainForecast.scheduled.length === 30 && plainForecast.scheduled[0] === 1 && plainForecast.scheduled[3] === 1
+    && plainForecast.overdue === 1 && plainForecast.scheduled.reduce((a, b) => a + b, 0) === 2
+    && plainForecast.simulated.every(count => count === 0)) {
+    console.log("✅ PASSED: Due dates are counted per day, overdue cards on day 0, beyond the range ignored.");
+} else {
+    console.error("❌ FAILED: Unexpected forecast:", plainForecast);
+}
+const simulatedForecast = forecastReviews(forecastWords, { days: 90, currentTime: forecastNow, simulate: true, random: createSeededRandom(3) });
+const simulatedTotal = simulatedForecast.simulated.reduce((a, b) => a + b, 0);
+const repeatedForecast = forecastReviews(forecastWords, { days: 90, currentTime: forecastNow, simulate: true, random: createSeededRandom(3) });
+if (simulatedForecast.scheduled[60] === 1 && simulatedTotal > 0
+    && JSON.stringify(simulatedForecast) === JSON.stringify(repeatedForecast)) {
+    console.log(`✅ PASSED: Simulation adds ${simulatedTotal} follow-up reviews within 90 days, reproducibly with a seed.`);
+} else {
+    console.error("❌ FAILED: Unexpected simulated forecast:", simulatedForecast);
+}
+
+
+// 15. Test Case 14: Leeches, suspending and burying
+console.log("\n--- Test Case 14: Leeches, suspend and bury ---");
+if ([4, 6, 8].every(lapses => isLeechLapse(lapses, 4)) && ![3, 5, 7].some(lapses => isLeechLapse(lapses, 4)) && !isLeechLapse(8, 0)) {
+    console.log("✅ PASSED: Leech warnings fire at the threshold and every half threshold after it.");
+} else {
+    console.error("❌ FAILED: Unexpected leech thresholds.");
+}
+const leechScheduler = new ReviewScheduler({ enableFuzz: false, learningSteps: [], relearningSteps: [] });
+leechScheduler.setLeechOptions({ threshold: 3, action: LEECH_ACTION.SUSPEND });
+const leechWord = makeWord('Other//A');
+leechWord.progress = new Progress({ lastReview: 1000, dueDate: 1000 + DAY_MS, stability: 2, difficulty: 8, state: CARD_STATE.REVIEW, lapses: 2, reps: 9 });
+const { isLeech } = leechScheduler.processReview(leechWord, RATING.AGAIN, 1000 + 2 * DAY_MS);
+if (isLeech && leechWord.progress.leech && leechWord.progress.suspended && leechWord.progress.lapses === 3
+    && leechScheduler.getDueWords([leechWord], 1000 + 30 * DAY_MS).length === 0) {
+    console.log("✅ PASSED: The third lapse marks the word as a leech and suspends it.");
+} else {
+    console.error("❌ FAILED: Leech handling:", leechWord.progress);
+}
+leechScheduler.setSuspended(leechWord, false);
+const buryTime = Date.now();
+leechScheduler.bury(leechWord, buryTime);
+const tomorrow = new Date(startOfNextDay(buryTime)); // The next study day starts at the day start hour
+if (leechScheduler.getDueWords([leechWord], buryTime).length === 0
+    && leechScheduler.getDueWords([leechWord], tomorrow.getTime()).length === 1
+    && leechWord.progress.leech && leechWord.progress.reps === 10) {
+    console.log("✅ PASSED: A buried word comes back tomorrow, keeping its progress and leech mark.");
+} else {
+    console.error("❌ FAILED: Bury handling:", leechWord.progress);
+}
+
+
+// 16. Test Case 15: Undoing a rating restores the stats counters
+console.log("\n--- Test Case 15: Stats snapshot for undo ---");
+const memoryStorage = { saveStats: async () => {}, saveSetting: async () => {} };
+const undoStats = new StatsService(memoryStorage);
+undoStats.incrementTodayLearnedWords('Deck', 'default');
+const statsBeforeRating = undoStats.createSnapshot();
+undoStats.trackWordLearned({ progress: new Progress() });
+undoStats.incrementTodayLearnedWords('Deck', 'default');
+undoStats.restoreSnapshot(statsBeforeRating);
+if (undoStats.stats.totalWordsLearned === 0 && undoStats.getTodayLearnedWords('Deck') === 1
+    && undoStats.getTodayLearnedWordsForPreset('default') === 1) {
+    console.log("✅ PASSED: Restoring a snapshot puts every counter back.");
+} else {
+    console.error("❌ FAILED: Counters after restore:", undoStats.stats, undoStats.learnedToday);
+}
+
+
+// 17. Test Case 16: Each definition is scheduled on its own
+console.log("\n--- Test Case 16: Sense-level scheduling ---");
+const senseNow = Date.now();
+const knownProgress = { lastReview: senseNow - 30 * DAY_MS, dueDate: senseNow + 60 * DAY_MS, stability: 90, difficulty: 4, state: CARD_STATE.REVIEW, stage: 4, reps: 6 };
+const migratedRecord = DatabaseManager.splitSenseProgress({ arabic: 'عين', progress: knownProgress }, [{ id: 'eye' }, { id: 'spring' }]);
+if (migratedRecord.progress.senses.eye.stability === 90 && migratedRecord.progress.senses.spring.dueDate === knownProgress.dueDate
+    && DatabaseManager.splitSenseProgress(migratedRecord, [{ id: 'eye' }]) === null) {
+    console.log("✅ PASSED: Word-level progress is migrated to every existing definition, once.");
+} else {
+    console.error("❌ FAILED: Migrated record:", migratedRecord);
+}
+const senseWord = new Word('عين', [{ id: 'eye', chinese: '眼睛', sourceDeck: 'A//1' }, { id: 'spring', chinese: '泉', sourceDeck: 'A//1' }], new Progress(knownProgress));
+senseWord.addDefinition({ id: 'notable', chinese: '显要人物', sourceDeck: 'B//2' });
+const quizzed = pickDueCard(senseWord, directionsForMode('zh-ar'), senseNow);
+const senseScheduler = new ReviewScheduler({ enableFuzz: false, learningSteps: [] });
+const { cardKey, reviewLog: senseLog } = senseScheduler.processReview(senseWord, RATING.GOOD, senseNow);
+const senses = senseWord.progress.senses;
+if (quizzed.key === 'notable@zh-ar' && quizzed.index === 2 && cardKey === 'notable@zh-ar' && senseLog.defId === 'notable'
+    && senses['notable@zh-ar'].dueDate - senseNow < 10 * DAY_MS && senses.eye.dueDate === knownProgress.dueDate
+    && senseWord.progress.dueDate === senses['notable@zh-ar'].dueDate) {
+    console.log("✅ PASSED: A new meaning of a known word is quizzed and scheduled on its own.");
+} else {
+    console.error("❌ FAILED: Sense scheduling:", quizzed, cardKey, senses);
+}
+
+// 18. Test Case 17: Each study direction has its own card, and siblings are buried
+console.log("\n--- Test Case 17: Direction-specific cards and sibling burying ---");
+const directionNow = Date.now();
+const bothDirections = directionsForMode('mixed');
+const directionWord = new Word('كتاب', [{ id: 'book', chinese: '书', sourceDeck: 'A//1' }], new Progress());
+const mixedScheduler = new ReviewScheduler({ enableFuzz: false, learningSteps: [] });
+mixedScheduler.setCardOptions({ studyMode: 'mixed' });
+const firstCard = pickDueCard(directionWord, bothDirections, directionNow, () => 0.99);
+const { reviewLog: directionLog } = mixedScheduler.processReview(directionWord, RATING.GOOD, directionNow, firstCard.key);
+const cardsAfter = directionWord.progress.senses;
+const tomorrowStart = startOfNextDay(directionNow);
+if (firstCard.key === 'book@ar-zh' && directionLog.direction === 'ar-zh' && directionLog.defId === 'book'
+    && cardsAfter['book@ar-zh'].state === CARD_STATE.REVIEW && cardsAfter['book@zh-ar'].state === CARD_STATE.NEW
+    && cardsAfter['book@zh-ar'].buriedUntil === tomorrowStart
+    && mixedScheduler.getDueWords([directionWord], directionNow).length === 0
+    && pickDueCard(directionWord, bothDirections, tomorrowStart).key === 'book@zh-ar') {
+    console.log("✅ PASSED: The other direction keeps its own progress and is buried until tomorrow.");
+} else {
+    console.error("❌ FAILED: Direction cards:", firstCard, directionLog, cardsAfter);
+}
+const unburiedWord = new Word('قلم', [{ id: 'pen', chinese: '笔', sourceDeck: 'A//1' }], new Progress());
+const noBuryScheduler = new ReviewScheduler({ enableFuzz: false, learningSteps: [] });
+noBuryScheduler.setCardOptions({ studyMode: 'mixed', burySiblings: false });
+noBuryScheduler.processReview(unburiedWord, RATING.GOOD, directionNow, 'pen@zh-ar');
+const zhArOnlyWord = new Word('قلم', [{ id: 'pen', chinese: '笔', sourceDeck: 'A//1' }], new Progress());
+new ReviewScheduler({ enableFuzz: false, learningSteps: [] }).processReview(zhArOnlyWord, RATING.GOOD, directionNow);
+const sharedWord = { definitions: [{ id: 'eye' }], progress: { senses: { eye: knownProgress } } };
+const sharedCards = getCardProgresses(sharedWord, bothDirections);
+if (!unburiedWord.progress.senses['pen@ar-zh'].buriedUntil && !zhArOnlyWord.progress.senses['pen@ar-zh']
+    && zhArOnlyWord.progress.senses['pen@zh-ar'].state === CARD_STATE.REVIEW
+    && sharedCards.get('eye@zh-ar').stability === 90 && sharedCards.get('eye@ar-zh').stability === 90) {
+    console.log("✅ PASSED: Burying can be turned off, single-direction modes leave the other direction alone, and old sense progress is shared.");
+} else {
+    console.error("❌ FAILED: Direction options:", unburiedWord.progress.senses, zhArOnlyWord.progress.senses, sharedCards);
+}
+
+// 19. Test Case 18: The day rolls over at the configured hour
+console.log("\n--- Test Case 18: Day rollover hour ---");
+const lateNight = new Date(2026, 0, 10, 2, 30).getTime();
+const morning = new Date(2026, 0, 10, 10, 0).getTime();
+const rolloverScheduler = new ReviewScheduler();
+rolloverScheduler.setDayStartHour(4);
+const buriedWord = rolloverScheduler.bury({ progress: new Progress() }, lateNight);
+if (startOfStudyDay(lateNight, 4) === new Date(2026, 0, 9, 4).getTime()
+    && studyDateString(lateNight, 4) === '2026-01-09' && studyDateString(lateNight, 0) === '2026-01-10'
+    && startOfNextDay(lateNight, 4) === new Date(2026, 0, 10, 4).getTime()
+    && buriedWord.progress.buriedUntil === new Date(2026, 0, 10, 4).getTime()) {
+    console.log("✅ PASSED: Time before the day start hour belongs to the previous day.");
+} else {
+    console.error("❌ FAILED: Study day boundaries:", startOfStudyDay(lateNight, 4), studyDateString(lateNight, 4), buriedWord.progress);
+}
+const lateDue = new Date(2026, 0, 11, 2, 0).getTime();
+const lateCard = { progress: { lastReview: morning - 5 * DAY_MS, dueDate: lateDue, stability: 5, difficulty: 5, state: CARD_STATE.REVIEW, reps: 2 } };
+const rolloverUseCase = new StartRegularStudySessionUseCase({});
+const eveningReview = new Progress({ lastReview: morning - 5 * DAY_MS, dueDate: new Date(2026, 0, 10, 23, 0).getTime(), state: CARD_STATE.REVIEW, stage: 2 });
+const eveningStep = new Progress({ lastReview: morning, dueDate: new Date(2026, 0, 10, 23, 0).getTime(), state: CARD_STATE.LEARNING, step: 1 });
+if (forecastReviews([lateCard], { days: 3, currentTime: morning, dayStartHour: 4 }).scheduled[0] === 1
+    && forecastReviews([lateCard], { days: 3, currentTime: morning, dayStartHour: 0 }).scheduled[1] === 1
+    && rolloverUseCase.isDueToday(eveningReview, morning) && !rolloverUseCase.isDueToday(eveningStep, morning)) {
+    console.log("✅ PASSED: Reviews due later in the study day are available at once; learning steps keep their time.");
+} else {
+    console.error("❌ FAILED: Due by study day:", rolloverUseCase.isDueToday(eveningReview, morning), rolloverUseCase.isDueToday(eveningStep, morning));
+}
+
+// 20. Test Case 19: Checking typed Arabic answers
+console.log("\n--- Test Case 19: Typed answer checking ---");
+const withoutTashkeel = checkAnswer('كِتَابٌ', 'كتاب');
+const exactCheck = checkAnswer('كِتَابٌ', 'كتاب', ANSWER_STRICTNESS.EXACT);
+const lenientCheck = checkAnswer('مَدْرَسَة', 'مدرسه', ANSWER_STRICTNESS.LENIENT);
+const hamzaCheck = checkAnswer('أَنْتَ', 'انت', ANSWER_STRICTNESS.LENIENT);
+if (withoutTashkeel.correct && withoutTashkeel.suggestedRating === RATING.GOOD && !exactCheck.correct
+    && lenientCheck.correct && !checkAnswer('مَدْرَسَة', 'مدرسه').correct && hamzaCheck.correct) {
+    console.log("✅ PASSED: Tashkeel, alef/hamza forms and ta marbuta are ignored according to the strictness.");
+} else {
+    console.error("❌ FAILED: Strictness:", withoutTashkeel, exactCheck, lenientCheck, hamzaCheck);
+}
+const typo = checkAnswer('مُسْتَشْفَى', 'مستشفي');
+const wrongAnswer = checkAnswer('كِتَابٌ', 'قلم');
+const typoDiff = typo.diff.map(part => part.type).join(',');
+if (!typo.correct && typo.suggestedRating === RATING.HARD && typoDiff.endsWith('missing,extra')
+    && wrongAnswer.suggestedRating === RATING.AGAIN && checkAnswer('كِتَابٌ', '').suggestedRating === RATING.AGAIN) {
+    console.log("✅ PASSED: A small typo suggests HARD with a character diff; a wrong or empty answer suggests AGAIN.");
+} else {
+    console.error("❌ FAILED: Suggested ratings:", typo, wrongAnswer);
+}
+
+// 21. Test Case 20: Multiple-choice options
+console.log("\n--- Test Case 20: Multiple-choice distractors ---");
+const quizWord = (arabic, chinese, deck) => ({ arabic, definitions: [{ id: `${arabic}_1`, chinese, sourceDeck: deck }] });
+const quizTarget = quizWord('مَكْتَبَة', '图书馆', '课本//第一课');
+const quizVocabulary = [
+    quizTarget,
+    quizWord('مَكْتَب', '办公室', '课本//第二课'),
+    quizWord('مَدْرَسَة', '学校', '课本//第一课'),
+    quizWord('شَمْس', '太阳', '课本//第一课'),
+    quizWord('مَكْتَبَة', '书店', '其他//一'),
+    quizWord('مَكْتُوبَة', '写好的', '其他//一'),
+    quizWord('قَلَم', '笔', '其他//一'),
+];
+const arabicDistractors = pickDistractors(quizTarget, quizTarget.definitions[0], 'zh-ar', quizVocabulary, { count: 4, random: () => 0 });
+const chineseDistractors = pickDistractors(quizTarget, quizTarget.definitions[0], 'ar-zh', quizVocabulary, { count: 3, random: () => 0 });
+if (arabicDistractors.join('|') === 'مَكْتَب|مَدْرَسَة|شَمْس|مَكْتُوبَة'
+    && chineseDistractors.length === 3 && chineseDistractors.slice(0, 2).includes('办公室') && !chineseDistractors.includes('图书馆')) {
+    console.log("✅ PASSED: Distractors come from the same collection first, then the most similar words; the answer's spelling is never a distractor.");
+} else {
+    console.error("❌ FAILED: Distractors:", arabicDistractors, chineseDistractors);
+}
+const quizRandom = createSeededRandom(7);
+const zhArQuestion = buildChoiceOptions(quizTarget, 0, 'zh-ar', quizVocabulary, { optionCount: 5, random: quizRandom });
+const arZhQuestion = buildChoiceOptions(quizTarget, 0, 'ar-zh', quizVocabulary, { optionCount: 9, random: quizRandom });
+const tinyQuestion = buildChoiceOptions(quizTarget, 0, 'zh-ar', [quizTarget], { random: quizRandom });
+if (zhArQuestion.options.length === 5 && zhArQuestion.options.filter(o => o.correct).length === 1
+    && zhArQuestion.options[zhArQuestion.correctIndex].text === 'مَكْتَبَة'
+    && arZhQuestion.options.length === 6 && arZhQuestion.options[arZhQuestion.correctIndex].text === '图书馆'
+    && tinyQuestion.options.length === 1
+    && ratingForChoice(true) === RATING.GOOD && ratingForChoice(false) === RATING.AGAIN) {
+    console.log("✅ PASSED: Questions have 4–6 options with one correct answer in both directions, and choices map to GOOD/AGAIN.");
+} else {
+    console.error("❌ FAILED: Choice questions:", zhArQuestion, arZhQuestion, tinyQuestion);
+}
+
+// 22. Test Case 21: Cloze cards from example sentences
+console.log("\n--- Test Case 21: Cloze cards ---");
+const clozeWord = (arabic, explanation) => ({ arabic, definitions: [{ id: 'c1', chinese: '', explanation }] });
+const whoCloze = buildCloze(clozeWord('مَنْ', 'مَنْ هُوَ؟ (他是谁？)'));
+const schoolCloze = buildCloze(clozeWord('مَدْرَسَة ج مَدَارِس', 'ذَهَبْتُ إِلَى مَدْرَسَتِي، وَفِي الْمَدَارِسِ طُلَّابٌ. (我去了我的学校，学校里有学生。)'));
+const parsed = parseExampleSentences('与工业有关。🌍 例句: الإِنْتَاجُ الصِنَاعِيُّ مُهِمٌّ. (工业生产很重要。) [2级词汇]');
+if (whoCloze && whoCloze.answer === 'مَنْ' && whoCloze.hint === '他是谁？'
+    && whoCloze.parts.map(p => (p.blank ? '_' : p.text)).join('') === '_ هُوَ؟'
+    && schoolCloze && schoolCloze.answer === 'مَدْرَسَتِي الْمَدَارِسِ'
+    && parsed.length === 1 && parsed[0].arabic === 'الإِنْتَاجُ الصِنَاعِيُّ مُهِمٌّ.' && parsed[0].chinese === '工业生产很重要。') {
+    console.log("✅ PASSED: The word and its inflected forms (suffixes, prefixes, plural) are blanked, and the translation is kept as the hint.");
+} else {
+    console.error("❌ FAILED: Cloze:", whoCloze, schoolCloze, parsed);
+}
+if (buildCloze(clozeWord('قَلَم', 'أَدَاةٌ لِلْكِتَابَةِ. (写字的工具。)')) === null
+    && buildCloze(clozeWord('قَلَم', '写字的工具')) === null
+    && buildCloze(clozeWord('هُوَ', 'وَهُوَ طَالِبٌ. (他是学生。)')) === null) {
+    console.log("✅ PASSED: Words without an example sentence containing them get no cloze card.");
+} else {
+    console.error("❌ FAILED: Unusable sentences should give no cloze card.");
+}
+
+
+// 23. Test Case 22: Random test (exam) questions and scoring
+console.log("\n--- Test Case 22: Random test ---");
+const examWords = ['كِتَاب', 'قَلَم', 'بَيْت', 'بَاب', 'وَلَد', 'بِنْت'].map((arabic, i) => ({
+    arabic,
+    definitions: [{ id: `e${i}`, chinese: `释义${i}`, sourceDeck: 'Exam//Deck', explanation: i === 0 ? 'هَذَا كِتَابٌ. (这是一本书。)' : '' }],
+}));
+const examQuestions = buildExamQuestions(examWords, {
+    questionCount: 4,
+    types: [EXAM_QUESTION_TYPE.MEANING, EXAM_QUESTION_TYPE.TYPED],
+    random: createSeededRandom(7),
+});
+const clozeQuestions = buildExamQuestions(examWords, { questionCount: 10, types: [EXAM_QUESTION_TYPE.CLOZE], random: createSeededRandom(7) });
+if (examQuestions.length === 4 && new Set(examQuestions.map(q => q.arabic)).size === 4
+    && examQuestions.every(q => [EXAM_QUESTION_TYPE.MEANING, EXAM_QUESTION_TYPE.TYPED].includes(q.type))
+    && examQuestions.filter(q => q.options).every(q => q.options[q.correctIndex] === q.answer)
+    && clozeQuestions.length === 1 && clozeQuestions[0].arabic === 'كِتَاب') {
+    console.log("✅ PASSED: Each word gives at most one question of an allowed type, and cloze questions only come from usable sentences.");
+} else {
+    console.error("❌ FAILED: Exam questions:", examQuestions, clozeQuestions);
+}
+const choiceQuestion = { type: EXAM_QUESTION_TYPE.MEANING, arabic: 'كِتَاب', options: ['书', '笔'], correctIndex: 0, answer: '书' };
+const typedQuestion = { type: EXAM_QUESTION_TYPE.TYPED, arabic: 'قَلَم', answer: 'قَلَم' };
+const skippedQuestion = { type: EXAM_QUESTION_TYPE.TYPED, arabic: 'بَيْت', answer: 'بَيْت' };
+const examResults = [
+    { response: 0, correct: isExamAnswerCorrect(choiceQuestion, 0), timeMs: 3000 },
+    { response: 'قلم', correct: isExamAnswerCorrect(typedQuestion, 'قلم', ANSWER_STRICTNESS.NORMAL), timeMs: 5000 },
+    undefined, // Time ran out
+];
+const examSummary = summarizeExam([choiceQuestion, typedQuestion, skippedQuestion], examResults);
+const examRecord = createExamRecord(examSummary, {
+    scopeName: 'Exam', types: [EXAM_QUESTION_TYPE.TYPED], timeLimitMinutes: 1, startedAt: 1000, finishedAt: 61000, timedOut: true,
+});
+if (examSummary.correct === 2 && examSummary.answered === 2 && examSummary.score === 67 && examSummary.averageTimeMs === 4000
+    && !isExamAnswerCorrect(choiceQuestion, 1) && !isExamAnswerCorrect(typedQuestion, null)
+    && examRecord.durationMs === 60000 && examRecord.timedOut && examRecord.wrongWords.join() === 'بَيْت') {
+    console.log("✅ PASSED: Exams are scored over all questions, unanswered ones count as wrong, and the record lists the missed words.");
+} else {
+    console.error("❌ FAILED: Exam scoring:", examSummary, examRecord);
+}
+
+
+// 24. Test Case 23: Session goals and the pausable session clock
+console.log("\n--- Test Case 23: Session goals ---");
+const sessionClock = new SessionClock(0);
+sessionClock.pause(60 * 1000);
+const elapsedWhilePaused = sessionClock.elapsed(10 * 60 * 1000);
+sessionClock.resume(10 * 60 * 1000);
+const minutesGoal = normalizeSessionGoal({ type: SESSION_GOAL_TYPE.MINUTES, value: '10' });
+const cardsGoal = normalizeSessionGoal({ type: SESSION_GOAL_TYPE.CARDS, value: 20 });
+const invalidGoal = normalizeSessionGoal({ type: 'hours', value: -5 });
+if (elapsedWhilePaused === 60 * 1000 && sessionClock.elapsed(11 * 60 * 1000) === 2 * 60 * 1000
+    && !isSessionGoalReached(minutesGoal, { elapsedMs: 9 * 60 * 1000, cardsDone: 100 })
+    && isSessionGoalReached(minutesGoal, { elapsedMs: 10 * 60 * 1000, cardsDone: 0 })
+    && !isSessionGoalReached(cardsGoal, { elapsedMs: 0, cardsDone: 19 })
+    && isSessionGoalReached(cardsGoal, { elapsedMs: 0, cardsDone: 20 })
+    && invalidGoal.type === SESSION_GOAL_TYPE.NONE && invalidGoal.value === 10
+    && !isSessionGoalReached(invalidGoal, { elapsedMs: Infinity, cardsDone: Infinity })) {
+    console.log("✅ PASSED: Paused time is not counted, and sessions end after N minutes or N cards.");
+} else {
+    console.error("❌ FAILED: Session goals:", elapsedWhilePaused, minutesGoal, cardsGoal, invalidGoal);
+}
+
+
+// 25. Test Case 24: End-of-session summary
+console.log("\n--- Test Case 24: Session summary ---");
+let sessionTally = createSessionTally();
+sessionTally = recordRating(sessionTally, { rating: RATING.AGAIN, cardKey: 'a@zh-ar', isNew: true });
+sessionTally = recordRating(sessionTally, { rating: RATING.GOOD, cardKey: 'a@zh-ar', isNew: true }); // Learning step
+sessionTally = recordRating(sessionTally, { rating: RATING.AGAIN, cardKey: 'b@zh-ar', isNew: false });
+sessionTally = recordRating(sessionTally, { rating: RATING.AGAIN, cardKey: 'b@zh-ar', isNew: true }); // Relearning
+sessionTally = recordRating(sessionTally, { rating: RATING.EASY, cardKey: 'c@zh-ar', isNew: false });
+const sessionSummary = buildSessionSummary({
+    tally: sessionTally,
+    mistakeCounts: new Map([['قَلَم', 1], ['بَيْت', 2]]),
+    words: [{ arabic: 'بَيْت', definitions: [{ chinese: '房子' }, { chinese: '家' }] }, { arabic: 'قَلَم', definitions: [{ chinese: '笔, 钢笔' }] }],
+    elapsedMs: 90000,
+    tomorrowDue: 7,
+});
+const missedCsv = missedWordsToCsv(sessionSummary.missedWords);
+if (sessionSummary.cardsSeen === 3 && sessionSummary.newCards === 1 && sessionSummary.reviewCards === 2
+    && sessionSummary.totalRatings === 5 && sessionSummary.ratings[RATING.AGAIN] === 3 && sessionSummary.ratings[RATING.HARD] === 0
+    && sessionSummary.missedWords.map(w => w.arabic).join() === 'بَيْت,قَلَم' && sessionSummary.missedWords[0].chinese === '房子；家'
+    && sessionSummary.repeatedMisses === 1 && sessionSummary.tomorrowDue === 7
+    && missedCsv.split('\n')[2] === 'قَلَم,"笔, 钢笔",1') {
+    console.log("✅ PASSED: The summary counts each card once, keeps the rating breakdown and lists missed words by how often they were forgotten.");
+} else {
+    console.error("❌ FAILED: Session summary:", sessionSummary, missedCsv);
+}
+
+
+// 26. Test Case 25: Answer latency
+console.log("\n--- Test Case 25: Answer latency ---");
+const latencyClock = new SessionClock(0);
+latencyClock.pause(10 * 1000, CLOCK_PAUSE_REASON.USER);
+latencyClock.pause(20 * 1000, CLOCK_PAUSE_REASON.HIDDEN);
+latencyClock.resume(30 * 1000, CLOCK_PAUSE_REASON.USER); // Still hidden
+const stillPaused = latencyClock.isPaused && latencyClock.isPausedFor(CLOCK_PAUSE_REASON.HIDDEN) && !latencyClock.isPausedFor(CLOCK_PAUSE_REASON.USER);
+latencyClock.resume(50 * 1000, CLOCK_PAUSE_REASON.HIDDEN);
+const latencyLogs = [
+    { arabic: 'بَيْت', defId: 'def_0', timestamp: 1, rating: RATING.GOOD, revealMs: 2000 },
+    { arabic: 'بَيْت', defId: 'def_0', timestamp: 2, rating: RATING.GOOD, revealMs: 12000 },
+    { arabic: 'قَلَم', defId: 'q1', timestamp: 1, rating: RATING.EASY, revealMs: 15000 },
+    { arabic: 'قَلَم', defId: 'q1', timestamp: 3, rating: RATING.HARD, revealMs: 9000 }, // Latest review was not rated correct
+    { arabic: 'قَلَم', defId: 'q1', timestamp: 4, rating: RATING.GOOD }, // Recorded before answer times
+];
+const latencyWords = [
+    { arabic: 'بَيْت', definitions: [{ chinese: '房子', sourceDeck: '第一课' }] },
+    { arabic: 'قَلَم', definitions: [{ id: 'q1', chinese: '笔', sourceDeck: '第二课' }] },
+];
+const byDeck = averageLatencyByDeck(latencyLogs, latencyWords);
+const slowWords = findCorrectButSlowWords(latencyLogs, 8000);
+if (stillPaused && latencyClock.elapsed(60 * 1000) === 20 * 1000
+    && suggestRatingForLatency(null, 9000, 8000) === RATING.HARD && suggestRatingForLatency(RATING.EASY, 9000, 8000) === RATING.HARD
+    && suggestRatingForLatency(RATING.AGAIN, 9000, 8000) === RATING.AGAIN && suggestRatingForLatency(RATING.GOOD, 3000, 8000) === RATING.GOOD
+    && suggestRatingForLatency(null, 60000, 0) === null
+    && byDeck.map(d => `${d.deck}:${d.averageMs}:${d.count}`).join() === '第一课:7000:2,第二课:12000:2'
+    && slowWords.map(w => w.arabic).join() === 'بَيْت') {
+    console.log("✅ PASSED: Pauses and hidden time are left out, slow recalls suggest 'Hard' and answer times are summarized per deck.");
+} else {
+    console.error("❌ FAILED: Answer latency:", latencyClock.elapsed(60 * 1000), byDeck, slowWords);
+}
+
+// 27. Test Case 26: Queue ordering
+console.log("\n--- Test Case 26: Queue ordering ---");
+const orderNow = 100 * DAY_MS;
+const reviewCard = (arabic, deck, { dueDays, lastReviewDays, stability, difficulty }) => ({
+    arabic,
+    definitions: [{ chinese: arabic, sourceDeck: deck }],
+    progress: { dueDate: dueDays * DAY_MS, lastReview: lastReviewDays * DAY_MS, stability, difficulty, state: 'review' },
+});
+const orderReviews = [
+    reviewCard('r1', 'B//1', { dueDays: 99, lastReviewDays: 90, stability: 30, difficulty: 9 }), // Most likely remembered, hardest
+    reviewCard('r2', 'A//1', { dueDays: 95, lastReviewDays: 90, stability: 2, difficulty: 3 }),  // Most likely forgotten
+    reviewCard('r3', 'B//1', { dueDays: 93, lastReviewDays: 95, stability: 10, difficulty: 5 }), // Due first
+];
+const orderNew = ['n1', 'n2'].map(arabic => ({ arabic, definitions: [{ chinese: arabic, sourceDeck: 'A//1' }], progress: null }));
+const orderWith = (order, options = {}) => orderStudyQueue({ reviewWords: orderReviews, newWords: orderNew }, order, { currentTime: orderNow, ...options })
+    .map(w => w.arabic).join();
+const randomA = orderWith(QUEUE_ORDER.RANDOM, { seed: 5 });
+if (orderWith(QUEUE_ORDER.DUE_DATE) === 'r3,r2,r1,n1,n2'
+    && orderWith(QUEUE_ORDER.RETRIEVABILITY) === 'r2,r3,r1,n1,n2'
+    && orderWith(QUEUE_ORDER.DIFFICULTY) === 'r1,r3,r2,n1,n2'
+    && orderWith(QUEUE_ORDER.DECK) === 'r2,n1,n2,r3,r1'
+    && orderWith(QUEUE_ORDER.INTERLEAVED, { interleaveRatio: 2 }) === 'r3,r2,n1,r1,n2'
+    && randomA === orderWith(QUEUE_ORDER.RANDOM, { seed: 5 }) && randomA.split(',').sort().join() === 'n1,n2,r1,r2,r3'
+    && orderWith('unknown') === orderWith(QUEUE_ORDER.DUE_DATE)) {
+    console.log("✅ PASSED: Queues can be ordered by due date, retrievability, difficulty, deck, interleaving or a seeded shuffle.");
+} else {
+    console.error("❌ FAILED: Queue ordering:", Object.values(QUEUE_ORDER).map(order => `${order}: ${orderWith(order)}`));
+}
+
+// 28. Test Case 27: Textbook-order new words
+console.log("\n--- Test Case 27: Lesson order ---");
+const lessonWord = (arabic, lesson, sourceIndex, stage = 0) => ({
+    arabic,
+    definitions: [{ chinese: arabic, sourceDeck: `第一册//${lesson}`, ...(sourceIndex === null ? {} : { sourceIndex }) }],
+    progress: stage > 0 ? { stage } : null,
+});
+const lessonWords = [
+    lessonWord('c1', '第三课：你叫什么名字', 3),
+    lessonWord('b2', '第二课：你好', 1, 2),
+    lessonWord('b1', '第二课：你好', 0, 1),
+    lessonWord('b3', '第二课：你好', 2),
+    lessonWord('d1', '第四课', 4),
+];
+const lessonsInFile = buildLessons(lessonWords).get('第一册');
+const unlockedAt60 = orderNewWordsByLesson(lessonWords.filter(w => !w.progress), lessonWords, 60).map(w => w.arabic).join();
+const unlockedAt80 = orderNewWordsByLesson(lessonWords.filter(w => !w.progress), lessonWords, 80).map(w => w.arabic).join();
+const { current: currentLesson } = getLessonProgress(lessonsInFile, 60);
+// Words imported before positions were recorded fall back to the lesson number.
+const legacyOrder = [...buildLessons([lessonWord('x', '第十一课', null), lessonWord('y', '第九课', null), lessonWord('z', '附录', null)]).get('第一册')]
+    .map(lesson => lesson.name).join();
+if (parseLessonNumber('第十一课：这两位是职员') === 11 && parseLessonNumber('第二十课') === 20 && parseLessonNumber('第 3 课') === 3 && parseLessonNumber('附录') === null
+    && lessonsInFile.map(l => l.name).join() === '第二课：你好,第三课：你叫什么名字,第四课'
+    && lessonsInFile[0].words.map(w => w.arabic).join() === 'b1,b2,b3'
+    && unlockedAt60 === 'b3,c1' && unlockedAt80 === 'b3'
+    && currentLesson.name === '第三课：你叫什么名字' && currentLesson.learned === 0 && currentLesson.total === 1
+    && legacyOrder === '第九课,第十一课,附录') {
+    console.log("✅ PASSED: New words follow the file's lesson order and the next lesson unlocks once enough of the current one is learned.");
+} else {
+    console.error("❌ FAILED: Lesson order:", unlockedAt60, unlockedAt80, currentLesson, legacyOrder);
+}
+
+// 29. Test Case 28: Custom study filters
+console.log("\n--- Test Case 28: Custom study filters ---");
+const customNow = new Date(2026, 9, 20, 12).getTime();
+const customWord = (arabic, deck, progress) => ({ arabic, definitions: [{ chinese: arabic, sourceDeck: deck }], progress });
+const customWords = [
+    customWord('w1', '第一册//第二课', { stage: 2, difficulty: 8, stability: 12, lapses: 3, firstLearnedDate: new Date(2026, 9, 3).toISOString(), leech: true }),
+    customWord('w2', '第一册//第三课', { stage: 1, difficulty: 7.5, stability: 3, lapses: 0, firstLearnedDate: new Date(2026, 8, 28).toISOString() }),
+    customWord('w3', '第二册//第一课', { stage: 3, difficulty: 9, stability: 40, lapses: 1, firstLearnedDate: new Date(2026, 9, 10).toISOString() }),
+    customWord('w4', '第一册//第二课', null), // Never studied
+];
+const customContext = {
+    lastRatings: getLastRatings([
+        { arabic: 'w1', rating: RATING.AGAIN, timestamp: customNow - 10 * DAY_MS },
+        { arabic: 'w1', rating: RATING.HARD, timestamp: customNow - 3 * DAY_MS },
+        { arabic: 'w2', rating: RATING.HARD, timestamp: customNow - 9 * DAY_MS }, // Rated HARD, but not last week
+        { arabic: 'w3', rating: RATING.GOOD, timestamp: customNow - 1 * DAY_MS },
+    ]),
+    mistakeWords: new Set(['w3']),
+    currentTime: customNow,
+};
+const customMatch = filter => filterWordsForCustomStudy(customWords, filter, customContext).words.map(w => w.arabic).join();
+const hardThisMonth = { decks: ['第一册'], difficulty: { min: 7.01 }, firstLearnedFrom: '2026-10-01', firstLearnedTo: '2026-10-31' };
+const limited = filterWordsForCustomStudy(customWords, { limit: 2 }, customContext);
+if (customMatch(hardThisMonth) === 'w1'
+    && customMatch({ lastRatings: [RATING.HARD], lastRatedWithinDays: 7 }) === 'w1'
+    && customMatch({ lastRatings: [RATING.HARD] }) === 'w1,w2'
+    && customMatch({ decks: ['第一册//第二课'], stages: [0] }) === 'w4'
+    && customMatch({ stability: { max: 12 }, lapses: { min: 1 } }) === 'w1'
+    && customMatch({ tags: [CUSTOM_STUDY_TAG.LEECH, CUSTOM_STUDY_TAG.MISTAKE] }) === 'w1,w3'
+    && customMatch({ firstLearnedTo: '2026-10-03' }) === 'w1,w2'
+    && limited.words.length === 2 && limited.total === 4
+    && describeCustomStudyFilter(hardThisMonth) === '第一册，难度 ≥ 7.01，学会于 2026-10-01 至 2026-10-31'
+    && describeCustomStudyFilter({}) === '全部单词') {
+    console.log("✅ PASSED: Custom study combines deck, stage, difficulty, stability, lapses, learned-date, last-rating and tag filters.");
+} else {
+    console.error("❌ FAILED: Custom study filters:", customMatch(hardThisMonth), customMatch({ lastRatings: [RATING.HARD], lastRatedWithinDays: 7 }), limited.total);
+}
+
+// 30. Test Case 29: Keyboard shortcuts
+console.log("\n--- Test Case 29: Keyboard shortcuts ---");
+const arabicLayoutKey = comboFromKeyEvent({ key: 'ش', code: 'KeyA' }); // Same key position on an Arabic layout
+const undoCombo = comboFromKeyEvent({ key: 'z', code: 'KeyZ', metaKey: true });
+const numpadCombo = comboFromKeyEvent({ key: '3', code: 'Numpad3' });
+const savedShortcuts = normalizeShortcuts({ [SHORTCUT_ACTION.RATE_GOOD]: 'G', [SHORTCUT_ACTION.RATE_EASY]: 'G', [SHORTCUT_ACTION.EXIT]: 'Ctrl+' });
+const { bindings: reboundShortcuts, displaced } = rebindShortcut(savedShortcuts, SHORTCUT_ACTION.AI_ASSIST, 'Space');
+if (arabicLayoutKey === 'A' && undoCombo === 'Ctrl+Z' && numpadCombo === '3'
+    && comboFromKeyEvent({ key: ' ', code: 'Space' }) === 'Space' && comboFromKeyEvent({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }) === null
+    && comboFromKeyEvent({ key: 'ArrowLeft', code: 'ArrowLeft', shiftKey: true }) === 'Shift+ArrowLeft'
+    && findShortcutAction(normalizeShortcuts(), undoCombo) === SHORTCUT_ACTION.UNDO
+    && savedShortcuts[SHORTCUT_ACTION.RATE_GOOD] === 'G' && savedShortcuts[SHORTCUT_ACTION.RATE_EASY] === ''
+    && savedShortcuts[SHORTCUT_ACTION.EXIT] === DEFAULT_SHORTCUTS[SHORTCUT_ACTION.EXIT]
+    && displaced === SHORTCUT_ACTION.REVEAL_ANSWER && reboundShortcuts[SHORTCUT_ACTION.REVEAL_ANSWER] === ''
+    && findShortcutAction(reboundShortcuts, 'Space') === SHORTCUT_ACTION.AI_ASSIST && savedShortcuts[SHORTCUT_ACTION.AI_ASSIST] === 'A'
+    && formatShortcut('Space') === '空格' && formatShortcut('Ctrl+ArrowLeft') === 'Ctrl+←' && formatShortcut('') === '') {
+    console.log("✅ PASSED: Keys are read by position, bindings are validated and rebinding a taken key frees it from its old action.");
+} else {
+    console.error("❌ FAILED: Keyboard shortcuts:", arabicLayoutKey, undoCombo, savedShortcuts, reboundShortcuts, displaced);
+}
+
+// 31. Test Case 30: Textbook-order new words under other queue orders
+console.log("\n--- Test Case 30: Lesson order with queue orders ---");
+const sequentialWord = (arabic, lesson, sourceIndex) => ({ arabic, definitions: [{ chinese: arabic, sourceDeck: `课本//${lesson}`, sourceIndex }], progress: null });
+// Lesson B comes first in the file, although "Lesson A" sorts first by name.
+const sequentialNew = [sequentialWord('a1', 'Lesson A', 2), sequentialWord('b1', 'Lesson B', 0), sequentialWord('a2', 'Lesson A', 3), sequentialWord('b2', 'Lesson B', 1)];
+const sequentialQueue = buildLessons(sequentialNew).get('课本').flatMap(lesson => lesson.words); // All lessons unlocked
+const withLessons = (order, keepNewOrder) => orderStudyQueue({ reviewWords: orderReviews, newWords: sequentialQueue }, order, { currentTime: orderNow, seed: 5, keepNewOrder })
+    .map(w => w.arabic).join();
+const newPart = queue => queue.split(',').filter(arabic => !arabic.startsWith('r')).join();
+const randomWithLessons = withLessons(QUEUE_ORDER.RANDOM, true);
+if (sequentialQueue.map(w => w.arabic).join() === 'b1,b2,a1,a2'
+    && newPart(randomWithLessons) === 'b1,b2,a1,a2' && randomWithLessons.split(',').slice(0, 3).sort().join() === 'r1,r2,r3'
+    && withLessons(QUEUE_ORDER.DECK, true) === 'r2,r3,r1,b1,b2,a1,a2'
+    && newPart(withLessons(QUEUE_ORDER.DECK, false)) === 'a1,a2,b1,b2' // Without it the decks are sorted by name
+    && newPart(withLessons(QUEUE_ORDER.INTERLEAVED, true)) === 'b1,b2,a1,a2') {
+    console.log("✅ PASSED: In textbook order the queue order only rearranges the reviews; new words keep their lesson sequence.");
+} else {
+    console.error("❌ FAILED: Lesson order with queue orders:", randomWithLessons, withLessons(QUEUE_ORDER.DECK, true));
+}
+
+// 32. Test Case 31: The optimizer groups same-day reviews by the study day
+console.log("\n--- Test Case 31: Optimizer study day ---");
+const lateEvening = new Date(2024, 0, 10, 23, 30).getTime();
+const afterMidnight = new Date(2024, 0, 11, 0, 30).getTime();
+const nightLogs = [
+    { arabic: 'night', timestamp: new Date(2024, 0, 7, 12, 0).getTime(), rating: RATING.GOOD },
+    { arabic: 'night', timestamp: lateEvening, rating: RATING.GOOD },
+    { arabic: 'night', timestamp: afterMidnight, rating: RATING.AGAIN },
+];
+const fourAmSequence = buildTrainingSet(nightLogs, 4)[0];
+const midnightSequence = buildTrainingSet(nightLogs, 0)[0];
+if (fourAmSequence.length === 2 && midnightSequence.length === 3) {
+    console.log("✅ PASSED: 23:30 and 00:30 count as one study day with a 4 AM rollover, as two days with a midnight rollover.");
+} else {
+    console.error(`❌ FAILED: ${fourAmSequence.length} reviews kept at 4 AM, ${midnightSequence.length} at midnight.`);
+}
+
+// 33. Test Case 32: Upgrading a version 5 record keeps reps, lapses and a valid difficulty on every card
+console.log("\n--- Test Case 32: Upgrade of old progress records ---");
+const v5Record = { arabic: 'باب', progress: { stability: 4, difficulty: 0.5, lastReview: 9 * DAY_MS, dueDate: 13 * DAY_MS, stage: 2,
+    reviews: [{ timestamp: DAY_MS, rating: 3, interval: 1 }, { timestamp: 3 * DAY_MS, rating: 1, interval: 1 }, { timestamp: 9 * DAY_MS, rating: 3, interval: 4 }] } };
+const { record: v6Record, logs: v5Logs } = DatabaseManager.splitReviewHistory(v5Record);
+const v7Record = DatabaseManager.splitSenseProgress(v6Record, [{ id: 'door' }]);
+const upgradedProgress = StorageService.toFourGradeProgress(v7Record.progress, v5Logs);
+const upgradedCard = getCardProgresses(new Word('باب', [{ id: 'door', chinese: '门', sourceDeck: 'A//1' }], new Progress(upgradedProgress))).get('door@zh-ar');
+if (upgradedCard.reps === 3 && upgradedCard.lapses === 1 && upgradedCard.difficulty === 1 && upgradedCard.stability === 4
+    && !('reviews' in upgradedProgress) && !('reviews' in DatabaseManager.splitSenseProgress(v5Record, [{ id: 'door' }]).progress)) {
+    console.log("✅ PASSED: The card copies get the back-filled reps and lapses and the clamped difficulty.");
+} else {
+    console.error("❌ FAILED: Upgraded card:", upgradedCard, upgradedProgress);
+}
+
+// 34. Test Case 33: The load balancer counts due cards per study day
+console.log("\n--- Test Case 33: Load balancing by study day ---");
+const studyDayScheduler = new ReviewScheduler();
+studyDayScheduler.setDayStartHour(4);
+const eveningDue = new Date(2024, 2, 10, 20, 0).getTime();
+const nightDue = new Date(2024, 2, 11, 2, 0).getTime();
+const studyDayBalancer = studyDayScheduler.createLoadBalancer([eveningDue, nightDue]);
+if (studyDayBalancer.countOn(eveningDue) === 2 && studyDayBalancer.countOn(new Date(2024, 2, 11, 12, 0).getTime()) === 0
+    && LoadBalancer.fromDueDates([eveningDue, nightDue], 0).countOn(eveningDue) === 1) {
+    console.log("✅ PASSED: A card due at 02:00 counts toward the previous study day.");
+} else {
+    console.error("❌ FAILED: Study-day counts:", [...studyDayBalancer.dueCounts]);
+}
+
+// 35. Test Case 34: Deck sessions check due dates by the study day
+console.log("\n--- Test Case 34: Due by study day ---");
+const deckSessionNight = new Date(2024, 2, 10, 23, 0).getTime();
+const dueBeforeDayStart = new Date(2024, 2, 11, 2, 0).getTime();
+const reviewDueAtNight = makeWord('Other//A');
+reviewDueAtNight.progress = new Progress({ lastReview: deckSessionNight - 5 * DAY_MS, dueDate: dueBeforeDayStart, stability: 5, difficulty: 5, state: CARD_STATE.REVIEW, stage: 2, reps: 3 });
+const learningDueAtNight = makeWord('Other//A');
+learningDueAtNight.progress = new Progress({ lastReview: deckSessionNight, dueDate: dueBeforeDayStart, stability: 1, difficulty: 5, state: CARD_STATE.RELEARNING, step: 0, stage: 2, reps: 4 });
+const dueScheduler = new ReviewScheduler();
+dueScheduler.setDayStartHour(4);
+const dueTonight = dueScheduler.getDueWords([reviewDueAtNight, learningDueAtNight], deckSessionNight);
+dueScheduler.setDayStartHour(0);
+if (dueTonight.length === 1 && dueTonight[0] === reviewDueAtNight
+    && dueScheduler.getDueWords([reviewDueAtNight, learningDueAtNight], deckSessionNight).length === 0) {
+    console.log("✅ PASSED: A review due before the day starts is due tonight; learning steps keep their exact time.");
+} else {
+    console.error("❌ FAILED: Due words:", dueTonight.map(word => word.progress));
+}
+
+// 36. Test Case 35: Undoing a rating moves the rated card's load balancer count back
+console.log("\n--- Test Case 35: Load balancer counts on undo ---");
+const undoNow = Date.now();
+const undoSenses = {
+    'eye@zh-ar': { lastReview: undoNow - 10 * DAY_MS, dueDate: undoNow - DAY_MS, stability: 10, difficulty: 5, state: CARD_STATE.REVIEW, stage: 3, reps: 4 },
+    'spring@zh-ar': { lastReview: undoNow - 5 * DAY_MS, dueDate: undoNow + 20 * DAY_MS, stability: 25, difficulty: 5, state: CARD_STATE.REVIEW, stage: 3, reps: 4 },
+};
+const undoWord = new Word('عين', [{ id: 'eye', chinese: '眼睛', sourceDeck: 'A//1' }, { id: 'spring', chinese: '泉', sourceDeck: 'A//1' }],
+    new Progress({ ...undoSenses['spring@zh-ar'], senses: undoSenses }));
+const undoBalancer = LoadBalancer.fromDueDates(Object.values(undoSenses).map(card => card.dueDate));
+const countsBeforeRating = JSON.stringify([...undoBalancer.dueCounts].sort());
+const undoScheduler = new ReviewScheduler({ learningSteps: [] }, { loadBalancer: undoBalancer });
+const { cardKey: undoneKey, cardDueDates } = undoScheduler.processReview(undoWord, RATING.GOOD, undoNow);
+undoBalancer.move(cardDueDates.after, cardDueDates.before);
+if (undoneKey === 'eye@zh-ar' && cardDueDates.before === undoSenses['eye@zh-ar'].dueDate
+    && JSON.stringify([...undoBalancer.dueCounts].sort()) === countsBeforeRating) {
+    console.log("✅ PASSED: Moving the rated card's due dates back restores the daily counts.");
+} else {
+    console.error("❌ FAILED: Counts after undo:", [...undoBalancer.dueCounts], countsBeforeRating, cardDueDates);
+}
 
 console.log("\n--- FSRS Test Suite Finished ---");